@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { duplicateService, getDuplicateErrorStatus } from '@/lib/services/DuplicateService'
+import { normalizeThreshold } from '@/lib/duplicateDetection'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+/**
+ * Possible duplicates of a feedback, and the feedback already merged into it
+ * Query: threshold (similarity, defaults to the project setting), limit (default 10)
+ */
+export async function GET(request, { params }) {
+  try {
+    // Get the authorization header
+    const authHeader = request.headers.get('authorization')
+    if (!authHeader) {
+      return NextResponse.json({ error: 'Missing authorization header' }, { status: 401 })
+    }
+
+    // Verify the JWT token
+    const token = authHeader.replace('Bearer ', '')
+    const { data: { user }, error } = await supabase.auth.getUser(token)
+
+    if (error || !user) {
+      return NextResponse.json({ error: 'Invalid token' }, { status: 401 })
+    }
+
+    const { id } = await params
+    const { searchParams } = new URL(request.url)
+
+    const result = await duplicateService.findPossibleDuplicates(id, user.id, {
+      threshold: searchParams.get('threshold') ? normalizeThreshold(searchParams.get('threshold')) : undefined,
+      limit: Math.min(parseInt(searchParams.get('limit')) || 10, 50)
+    })
+
+    return NextResponse.json(result)
+  } catch (error) {
+    const status = getDuplicateErrorStatus(error)
+    if (status) {
+      return NextResponse.json({ error: error.message }, { status })
+    }
+
+    console.error('Error finding possible duplicates:', error)
+    return NextResponse.json({
+      error: 'Failed to find possible duplicates',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
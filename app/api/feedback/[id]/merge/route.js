@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { duplicateService, getDuplicateErrorStatus } from '@/lib/services/DuplicateService'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+async function getUser(request) {
+  const authHeader = request.headers.get('authorization')
+  if (!authHeader) {
+    return { response: NextResponse.json({ error: 'Missing authorization header' }, { status: 401 }) }
+  }
+
+  const token = authHeader.replace('Bearer ', '')
+  const { data: { user }, error } = await supabase.auth.getUser(token)
+
+  if (error || !user) {
+    return { response: NextResponse.json({ error: 'Invalid token' }, { status: 401 }) }
+  }
+
+  return { user }
+}
+
+function errorResponse(error, message) {
+  const status = getDuplicateErrorStatus(error)
+  if (status) {
+    return NextResponse.json({ error: error.message }, { status })
+  }
+
+  console.error(`${message}:`, error)
+  return NextResponse.json({
+    error: message,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  }, { status: 500 })
+}
+
+/**
+ * Merge duplicates into this feedback
+ * Body: { duplicateIds: string[] }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { response, user } = await getUser(request)
+    if (response) return response
+
+    const { id } = await params
+    const { duplicateIds } = await request.json()
+
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return NextResponse.json({ error: 'No duplicate IDs provided' }, { status: 400 })
+    }
+
+    const result = await duplicateService.mergeFeedback(id, duplicateIds, user.id)
+    return NextResponse.json({ success: true, ...result })
+  } catch (error) {
+    return errorResponse(error, 'Failed to merge feedback')
+  }
+}
+
+/**
+ * Undo the merge of this feedback into its canonical feedback
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { response, user } = await getUser(request)
+    if (response) return response
+
+    const { id } = await params
+    const result = await duplicateService.unmergeFeedback(id, user.id)
+    return NextResponse.json({ success: true, ...result })
+  } catch (error) {
+    return errorResponse(error, 'Failed to unmerge feedback')
+  }
+}
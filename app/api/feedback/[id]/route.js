@@ -2,6 +2,8 @@ import { NextResponse } from 'next/server'
 import { createClient } from '@supabase/supabase-js'
 import { prisma } from '@/lib/prisma'
 import { analyzeAndCategorizeFeedback } from '@/lib/sentimentAnalysis'
+import { getProjectAIOptions } from '@/lib/ai/projectAIOptions'
+import { recordClassificationCorrections } from '@/lib/classificationCorrections'
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
@@ -86,7 +88,8 @@ export async function PUT(request, { params }) {
       isArchived,
       projectId,
       reanalyze = false, // Flag to trigger AI re-analysis
-      bulkOperation = false // Flag for bulk operations
+      bulkOperation = false, // Flag for bulk operations
+      correctionSource = 'manual_edit' // Where a category override came from (edit_modal, bulk_recategorization, ...)
     } = body
 
     // First, get the existing feedback to check current state
@@ -128,6 +131,17 @@ export async function PUT(request, { params }) {
       ...(projectId !== undefined && { projectId })
     }
 
+    // Changed content needs a new embedding (computed when duplicates are next searched)
+    if (content && content !== existingFeedback.content) {
+      updateData.embeddingModel = null
+    }
+
+    // A priority set by hand no longer has an automatic breakdown
+    if (priority && priority !== existingFeedback.priority) {
+      updateData.priorityScore = null
+      updateData.priorityFactors = []
+    }
+
     // Handle archiving
     if (isArchived !== undefined) {
       updateData.isArchived = isArchived
@@ -207,7 +221,15 @@ export async function PUT(request, { params }) {
     // Handle re-analysis request or content changes
     if (reanalyze || (contentChanged && content)) {
       try {
-        const analysisResult = await analyzeAndCategorizeFeedback(content || existingFeedback.content)
+        const targetProjectId = projectId || existingFeedback.projectId
+        const project = targetProjectId
+          ? await prisma.project.findFirst({ where: { id: targetProjectId, userId: user.id } })
+          : null
+
+        const analysisResult = await analyzeAndCategorizeFeedback(
+          content || existingFeedback.content,
+          { ...await getProjectAIOptions(project), source: existingFeedback.source }
+        )
         
         // Add AI re-analysis to history
         if (analysisResult.historyEntry) {
@@ -224,6 +246,13 @@ export async function PUT(request, { params }) {
         updateData.sentimentScore = analysisResult.sentimentScore
         updateData.sentimentLabel = analysisResult.sentimentLabel
         updateData.topics = analysisResult.topics
+        updateData.aspects = analysisResult.aspects
+        updateData.emotions = analysisResult.emotions
+        updateData.urgencyScore = analysisResult.urgencyScore
+        updateData.language = analysisResult.language
+        updateData.languageConfidence = analysisResult.languageConfidence
+        updateData.translatedContent = analysisResult.translatedContent
+        updateData.translationLanguage = analysisResult.translationLanguage
         updateData.aiClassificationMeta = analysisResult.classificationMeta
         updateData.classificationHistory = classificationHistory
 
@@ -252,12 +281,21 @@ export async function PUT(request, { params }) {
       return NextResponse.json({ error: 'Feedback not found or unauthorized' }, { status: 404 })
     }
 
+    // Record the override so AI performance metrics can use it
+    if (categoryChanged) {
+      await recordClassificationCorrections([existingFeedback], category, {
+        userId: user.id,
+        source: correctionSource
+      })
+    }
+
     // Fetch and return the updated feedback
     const result = await prisma.feedback.findFirst({
       where: {
         id: id,
         userId: user.id
       },
+      omit: { embedding: true },
       include: {
         project: {
           select: {
@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { prisma } from '@/lib/prisma'
+import { batchAnalyzeAndCategorizeFeedback } from '@/lib/sentimentAnalysis'
+import { getProjectAIOptions } from '@/lib/ai/projectAIOptions'
+import { mergeRedactionCounts } from '@/lib/piiRedaction'
+import { getBatchConfig } from '@/lib/batchConfig'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+// Texts analyzed per request; the CSV import sends its rows in batches to show progress
+const MAX_ANALYZE_TEXTS = 100
+
+/**
+ * Analyze feedback texts before they are imported (sentiment, language, category)
+ * Runs with the project's AI provider, categories, rules, PII redaction and few-shot examples.
+ * Body: { texts, sources (one per text, for source rules), projectId (defaults to the default project) }
+ * Returns { results, maskedEntities }; nothing is stored.
+ */
+export async function POST(request) {
+  try {
+    // Get the authorization header
+    const authHeader = request.headers.get('authorization')
+    if (!authHeader) {
+      return NextResponse.json({ error: 'Missing authorization header' }, { status: 401 })
+    }
+
+    // Verify the JWT token
+    const token = authHeader.replace('Bearer ', '')
+    const { data: { user }, error } = await supabase.auth.getUser(token)
+
+    if (error || !user) {
+      return NextResponse.json({ error: 'Invalid token' }, { status: 401 })
+    }
+
+    const { texts, sources = [], projectId = null } = await request.json()
+
+    if (!Array.isArray(texts) || texts.length === 0 || texts.some(text => typeof text !== 'string' || !text.trim())) {
+      return NextResponse.json({ error: 'Invalid texts array' }, { status: 400 })
+    }
+    if (texts.length > MAX_ANALYZE_TEXTS) {
+      return NextResponse.json({ error: `At most ${MAX_ANALYZE_TEXTS} texts can be analyzed per request` }, { status: 400 })
+    }
+
+    let project
+    if (projectId) {
+      project = await prisma.project.findFirst({
+        where: { id: projectId, userId: user.id }
+      })
+      if (!project) {
+        return NextResponse.json({ error: 'Project not found or access denied' }, { status: 404 })
+      }
+    } else {
+      project = await prisma.project.findFirst({
+        where: { userId: user.id, isDefault: true }
+      })
+    }
+
+    const batchConfig = getBatchConfig('csv_import')
+    const results = await batchAnalyzeAndCategorizeFeedback(
+      texts.map(text => text.trim()),
+      batchConfig.batchSize,
+      null,
+      { ...await getProjectAIOptions(project), sources }
+    )
+
+    return NextResponse.json({
+      results,
+      maskedEntities: mergeRedactionCounts(
+        results.map(result => result.classificationMeta?.aiClassification?.redactedEntities)
+      )
+    })
+  } catch (error) {
+    console.error('Error analyzing feedback:', error)
+    return NextResponse.json({
+      error: 'Failed to analyze feedback',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
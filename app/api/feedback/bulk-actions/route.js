@@ -1,6 +1,9 @@
 import { NextResponse } from 'next/server'
 import { createClient } from '@supabase/supabase-js'
 import { prisma } from '@/lib/prisma'
+import { recordClassificationCorrections } from '@/lib/classificationCorrections'
+import { priorityService } from '@/lib/services/PriorityService'
+import { duplicateService, getDuplicateErrorStatus } from '@/lib/services/DuplicateService'
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
@@ -76,6 +79,18 @@ export async function POST(request) {
         result = await updateBulkPriority(feedbackIds, actionData.priority, user.id)
         break
 
+      case 'recalculatePriority':
+        result = await recalculateBulkPriority(feedbackIds, user.id)
+        break
+
+      case 'mergeDuplicates':
+        if (feedbackIds.length < 2) {
+          return NextResponse.json({ error: 'Select at least two feedback items to merge' }, { status: 400 })
+        }
+
+        result = await mergeBulkDuplicates(feedbackIds, actionData?.canonicalId || null, user.id)
+        break
+
       case 'archive':
         result = await archiveBulkFeedback(feedbackIds, true, user.id)
         break
@@ -156,6 +171,8 @@ async function updateBulkPriority(feedbackIds, priority, userId) {
       },
       data: {
         priority: priority,
+        priorityScore: null,
+        priorityFactors: [],
         lastEditedBy: userId,
         lastEditedAt: new Date()
       }
@@ -177,6 +194,48 @@ async function updateBulkPriority(feedbackIds, priority, userId) {
   }
 }
 
+async function recalculateBulkPriority(feedbackIds, userId) {
+  try {
+    const { processed, skipped, changed } = await priorityService.recalculatePriorities(feedbackIds, userId)
+
+    return {
+      success: true,
+      processed,
+      action: 'priority_recalculation',
+      data: { changed, skipped }
+    }
+  } catch (error) {
+    console.error('Error recalculating bulk priority:', error)
+    return {
+      success: false,
+      processed: 0,
+      errors: [error.message]
+    }
+  }
+}
+
+async function mergeBulkDuplicates(feedbackIds, canonicalId, userId) {
+  try {
+    const { canonicalId: mergedInto, merged, duplicateCount } = await duplicateService.mergeFeedback(canonicalId, feedbackIds, userId)
+
+    return {
+      success: true,
+      processed: merged,
+      action: 'merge_duplicates',
+      data: { canonicalId: mergedInto, duplicateCount }
+    }
+  } catch (error) {
+    if (!getDuplicateErrorStatus(error)) {
+      console.error('Error merging bulk duplicates:', error)
+    }
+    return {
+      success: false,
+      processed: 0,
+      errors: [error.message]
+    }
+  }
+}
+
 async function archiveBulkFeedback(feedbackIds, isArchived, userId) {
   try {
     const updateData = {
@@ -248,6 +307,14 @@ async function deleteBulkFeedback(feedbackIds, userId) {
 
 async function updateBulkCategory(feedbackIds, category, userId) {
   try {
+    // Load current state first so the overrides can be recorded as corrections
+    const existingFeedback = await prisma.feedback.findMany({
+      where: {
+        id: { in: feedbackIds },
+        userId: userId
+      }
+    })
+
     const updateResult = await prisma.feedback.updateMany({
       where: {
         id: { in: feedbackIds },
@@ -261,6 +328,11 @@ async function updateBulkCategory(feedbackIds, category, userId) {
       }
     })
 
+    await recordClassificationCorrections(existingFeedback, category, {
+      userId,
+      source: 'bulk_action'
+    })
+
     return {
       success: true,
       processed: updateResult.count,
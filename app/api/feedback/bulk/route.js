@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server'
 import { createClient } from '@supabase/supabase-js'
 import { prisma } from '@/lib/prisma'
+import { parseCustomerValue } from '@/lib/priorityEngine'
+import { priorityService } from '@/lib/services/PriorityService'
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
@@ -63,6 +65,7 @@ export async function POST(request) {
 
     // Handle project assignment
     let assignedProjectId = projectId
+    let assignedProject = null
     
     if (projectId) {
       // Verify the specified project belongs to the user
@@ -76,6 +79,7 @@ export async function POST(request) {
       if (!projectExists) {
         return NextResponse.json({ error: 'Invalid project ID or unauthorized' }, { status: 400 })
       }
+      assignedProject = projectExists
     } else {
       // If no project specified, assign to default project
       const defaultProject = await prisma.project.findFirst({
@@ -87,6 +91,7 @@ export async function POST(request) {
       
       if (defaultProject) {
         assignedProjectId = defaultProject.id
+        assignedProject = defaultProject
       }
       // If no default project exists, leave projectId as null for backward compatibility
     }
@@ -99,16 +104,20 @@ export async function POST(request) {
       }
 
       // Ensure proper JSON serialization for complex fields
-      let topics, aiClassificationMeta, classificationHistory
+      let topics, aspects, emotions, aiClassificationMeta, classificationHistory
       
       try {
         topics = Array.isArray(feedback.topics) ? feedback.topics : []
+        aspects = Array.isArray(feedback.aspects) ? feedback.aspects : []
+        emotions = Array.isArray(feedback.emotions) ? feedback.emotions : []
         aiClassificationMeta = feedback.aiClassificationMeta ?
           (typeof feedback.aiClassificationMeta === 'object' ? feedback.aiClassificationMeta : JSON.parse(feedback.aiClassificationMeta)) : null
         classificationHistory = Array.isArray(feedback.classificationHistory) ? feedback.classificationHistory : []
       } catch (jsonError) {
         console.warn(`JSON parsing error for feedback at index ${index}:`, jsonError)
         topics = []
+        aspects = []
+        emotions = []
         aiClassificationMeta = null
         classificationHistory = []
       }
@@ -122,7 +131,18 @@ export async function POST(request) {
         sentimentScore: typeof feedback.sentimentScore === 'number' ? feedback.sentimentScore : 0.5,
         sentimentLabel: feedback.sentimentLabel || 'neutral',
         topics,
+        aspects,
         feedbackDate: feedback.feedbackDate ? new Date(feedback.feedbackDate) : new Date(),
+        // Language fields
+        language: feedback.language || null,
+        languageConfidence: typeof feedback.languageConfidence === 'number' ? feedback.languageConfidence : null,
+        translatedContent: feedback.translatedContent || null,
+        translationLanguage: feedback.translationLanguage || null,
+        // Emotion and urgency fields
+        emotions,
+        urgencyScore: typeof feedback.urgencyScore === 'number' ? feedback.urgencyScore : null,
+        priority: ['high', 'medium', 'low'].includes(feedback.priority) ? feedback.priority : 'medium',
+        customerValue: parseCustomerValue(feedback.customerValue),
         // AI categorization fields
         aiCategoryConfidence: typeof feedback.aiCategoryConfidence === 'number' ? feedback.aiCategoryConfidence : null,
         aiClassificationMeta,
@@ -131,6 +151,14 @@ export async function POST(request) {
       }
     })
 
+    // Score priorities with the project's priority settings (keeps the suggested priorities when disabled)
+    try {
+      const priorities = await priorityService.prioritizeFeedback(assignedProject, feedbackData)
+      priorities?.forEach((prioritized, index) => Object.assign(feedbackData[index], prioritized))
+    } catch (priorityError) {
+      console.error('Priority scoring failed, keeping the suggested priorities:', priorityError)
+    }
+
     // Count how many have AI analysis
     const aiAnalyzedCount = feedbacks.filter(f => f.aiCategoryConfidence !== null && f.aiCategoryConfidence !== undefined).length
 
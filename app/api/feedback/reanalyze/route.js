@@ -2,6 +2,8 @@ import { NextResponse } from 'next/server'
 import { createClient } from '@supabase/supabase-js'
 import { prisma } from '@/lib/prisma'
 import { batchReanalyzeFeedback } from '@/lib/sentimentAnalysis'
+import { getProjectAIOptions } from '@/lib/ai/projectAIOptions'
+import { mergeRedactionCounts } from '@/lib/piiRedaction'
 import { getBatchConfig } from '@/lib/batchConfig'
 
 const supabase = createClient(
@@ -71,8 +73,16 @@ export async function POST(request) {
       if (dateTo) whereClause.feedbackDate.lte = new Date(dateTo)
     }
 
+    let project = null
+
     if (projectId) {
       whereClause.projectId = projectId
+      project = await prisma.project.findFirst({
+        where: {
+          id: projectId,
+          userId: user.id
+        }
+      })
     } else {
       // If no specific project requested, filter by default project
       const defaultProject = await prisma.project.findFirst({
@@ -84,6 +94,7 @@ export async function POST(request) {
       
       if (defaultProject) {
         whereClause.projectId = defaultProject.id
+        project = defaultProject
       }
       // If no default project, analyze all feedback (backward compatibility)
     }
@@ -109,7 +120,8 @@ export async function POST(request) {
       total: feedback.length,
       processed: 0,
       failed: 0,
-      errors: []
+      errors: [],
+      maskedEntities: {}
     }
 
     console.log(`🚀 Starting optimized batch re-analysis: ${feedback.length} items using ${batchConfig.description} (batch size: ${batchSize})`)
@@ -119,6 +131,7 @@ export async function POST(request) {
       const feedbackItems = feedback.map(f => ({
         id: f.id,
         content: f.content,
+        source: f.source,
         classificationHistory: Array.isArray(f.classificationHistory)
           ? f.classificationHistory
           : []
@@ -130,11 +143,17 @@ export async function POST(request) {
         batchSize,
         (progress) => {
           console.log(`Batch progress: ${progress.processed}/${progress.total} (${progress.percentage}%) - Batch ${progress.batchesCompleted}/${progress.totalBatches}`)
-        }
+        },
+        await getProjectAIOptions(project)
       )
 
       console.log(`Batch analysis complete. Updating ${analysisResults.length} feedback records in database...`)
 
+      // PII masked before the texts were sent to the AI, by entity type
+      results.maskedEntities = mergeRedactionCounts(
+        analysisResults.map(analysis => analysis.classificationMeta?.aiClassification?.redactedEntities)
+      )
+
       // Update all feedback records in the database
       const updatePromises = analysisResults.map(async (analysis) => {
         try {
@@ -145,6 +164,13 @@ export async function POST(request) {
               sentimentScore: analysis.sentimentScore,
               sentimentLabel: analysis.sentimentLabel,
               topics: analysis.topics,
+              aspects: analysis.aspects,
+              emotions: analysis.emotions,
+              urgencyScore: analysis.urgencyScore,
+              language: analysis.language,
+              languageConfidence: analysis.languageConfidence,
+              translatedContent: analysis.translatedContent,
+              translationLanguage: analysis.translationLanguage,
               aiCategoryConfidence: analysis.aiCategoryConfidence,
               aiClassificationMeta: analysis.classificationMeta,
               classificationHistory: analysis.classificationHistory,
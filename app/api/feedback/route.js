@@ -2,12 +2,49 @@ import { NextResponse } from 'next/server'
 import { createClient } from '@supabase/supabase-js'
 import { prisma } from '@/lib/prisma'
 import { analyzeAndCategorizeFeedback } from '@/lib/sentimentAnalysis'
+import { getProjectAIOptions } from '@/lib/ai/projectAIOptions'
+import { parseCustomerValue } from '@/lib/priorityEngine'
+import { priorityService } from '@/lib/services/PriorityService'
+import { duplicateService } from '@/lib/services/DuplicateService'
+import { searchService } from '@/lib/services/SearchService'
+import { normalizeSearchMode, SEARCH_CONFIG } from '@/lib/semanticSearch'
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 )
 
+// Embedding vectors are only used server-side for duplicate detection and search
+const FEEDBACK_OMIT = { embedding: true }
+
+const FEEDBACK_INCLUDE = {
+  project: {
+    select: {
+      id: true,
+      name: true,
+      isDefault: true
+    }
+  },
+  notes: {
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true
+        }
+      }
+    },
+    orderBy: {
+      createdAt: 'desc'
+    }
+  }
+}
+
+/**
+ * Feedback of the user (of a project with projectId, else of the default project)
+ * Query: q searches the feedback instead - searchMode keyword | semantic | hybrid (default), limit (max 200)
+ */
 export async function GET(request) {
   try {
     // Get the authorization header
@@ -59,31 +96,30 @@ export async function GET(request) {
           // If no default project, show all feedback (backward compatibility)
         }
 
+        // Search mode: the best matches of the query, ranked, with their scores in `search`
+        const query = url.searchParams.get('q')?.trim()
+        if (query) {
+          const project = whereClause.projectId
+            ? await prisma.project.findFirst({ where: { id: whereClause.projectId, userId: user.id } })
+            : null
+          const limit = Math.min(
+            SEARCH_CONFIG.maxLimit,
+            parseInt(url.searchParams.get('limit')) || SEARCH_CONFIG.defaultLimit
+          )
+
+          const { results, mode } = await searchService.searchFeedback(
+            whereClause,
+            { query, mode: normalizeSearchMode(url.searchParams.get('searchMode')), limit, project },
+            { omit: FEEDBACK_OMIT, include: FEEDBACK_INCLUDE }
+          )
+          feedback = results.map(({ feedback: item, ...scores }) => ({ ...item, search: { mode, ...scores } }))
+          break
+        }
+
         feedback = await prisma.feedback.findMany({
           where: whereClause,
-          include: {
-            project: {
-              select: {
-                id: true,
-                name: true,
-                isDefault: true
-              }
-            },
-            notes: {
-              include: {
-                user: {
-                  select: {
-                    id: true,
-                    name: true,
-                    email: true
-                  }
-                }
-              },
-              orderBy: {
-                createdAt: 'desc'
-              }
-            }
-          },
+          omit: FEEDBACK_OMIT,
+          include: FEEDBACK_INCLUDE,
           orderBy: {
             createdAt: 'desc'
           }
@@ -150,22 +186,13 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Invalid JSON format' }, { status: 400 })
     }
 
-    const { content, source, category, sentimentScore, sentimentLabel, topics, feedbackDate, projectId } = body
+    const { content, source, category, sentimentScore, sentimentLabel, topics, feedbackDate, projectId, customerValue } = body
 
     // Validate required fields
     if (!content || typeof content !== 'string' || content.trim().length === 0) {
       return NextResponse.json({ error: 'Content is required' }, { status: 400 })
     }
 
-    // Perform AI-powered analysis
-    let analysisResult = null
-    try {
-      analysisResult = await analyzeAndCategorizeFeedback(content.trim())
-    } catch (analysisError) {
-      console.error('AI analysis failed, proceeding with manual categorization:', analysisError)
-      // Continue with manual categorization - don't block user flow
-    }
-
     // Ensure user profile exists with retry logic
     let existingProfile
     let retryCount = 0
@@ -219,6 +246,7 @@ export async function POST(request) {
 
     // Handle project assignment
     let assignedProjectId = projectId
+    let assignedProject = null
     
     if (!assignedProjectId) {
       // If no project specified, assign to default project
@@ -231,6 +259,7 @@ export async function POST(request) {
       
       if (defaultProject) {
         assignedProjectId = defaultProject.id
+        assignedProject = defaultProject
       }
       // If no default project exists, leave projectId as null for backward compatibility
     } else {
@@ -245,6 +274,19 @@ export async function POST(request) {
       if (!projectExists) {
         return NextResponse.json({ error: 'Invalid project ID or unauthorized' }, { status: 400 })
       }
+      assignedProject = projectExists
+    }
+
+    // Perform AI-powered analysis with the project's AI provider and labeled examples
+    let analysisResult = null
+    try {
+      analysisResult = await analyzeAndCategorizeFeedback(content.trim(), {
+        ...await getProjectAIOptions(assignedProject),
+        source: source || 'manual'
+      })
+    } catch (analysisError) {
+      console.error('AI analysis failed, proceeding with manual categorization:', analysisError)
+      // Continue with manual categorization - don't block user flow
     }
 
     // Create new feedback with retry logic
@@ -258,6 +300,7 @@ export async function POST(request) {
       content: content.trim(),
       source: source || 'manual',
       feedbackDate: feedbackDate ? new Date(feedbackDate) : new Date(),
+      customerValue: parseCustomerValue(customerValue),
       status: 'new',
       priority: 'medium',
       isArchived: false,
@@ -272,6 +315,14 @@ export async function POST(request) {
       feedbackData.sentimentScore = analysisResult.sentimentScore || 0.5
       feedbackData.sentimentLabel = analysisResult.sentimentLabel || 'neutral'
       feedbackData.topics = analysisResult.topics || []
+      feedbackData.aspects = analysisResult.aspects || []
+      feedbackData.emotions = analysisResult.emotions || []
+      feedbackData.urgencyScore = analysisResult.urgencyScore ?? null
+      feedbackData.priority = analysisResult.suggestedPriority || 'medium'
+      feedbackData.language = analysisResult.language || null
+      feedbackData.languageConfidence = analysisResult.languageConfidence ?? null
+      feedbackData.translatedContent = analysisResult.translatedContent || null
+      feedbackData.translationLanguage = analysisResult.translationLanguage || null
       feedbackData.aiCategoryConfidence = analysisResult.aiCategoryConfidence || null
       feedbackData.aiClassificationMeta = analysisResult.classificationMeta || null
       feedbackData.classificationHistory = [analysisResult.historyEntry] || []
@@ -287,6 +338,16 @@ export async function POST(request) {
       feedbackData.classificationHistory = []
       feedbackData.manualOverride = category ? true : false
     }
+
+    // Score the priority with the project's priority settings (keeps the urgency-based suggestion when disabled)
+    try {
+      const [prioritized] = await priorityService.prioritizeFeedback(assignedProject, [feedbackData]) || []
+      if (prioritized) {
+        Object.assign(feedbackData, prioritized)
+      }
+    } catch (priorityError) {
+      console.error('Priority scoring failed, keeping the suggested priority:', priorityError)
+    }
     
     while (retryCount < maxRetries) {
       try {
@@ -322,6 +383,13 @@ export async function POST(request) {
       }
     }
 
+    // Embed for duplicate detection (feedback left without an embedding is embedded when duplicates are searched)
+    try {
+      await duplicateService.embedFeedback([newFeedback], assignedProject)
+    } catch (embeddingError) {
+      console.error('Embedding new feedback failed:', embeddingError)
+    }
+
     return NextResponse.json(newFeedback)
   } catch (error) {
     console.error('Error creating feedback:', error)
@@ -0,0 +1,107 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { prisma } from '@/lib/prisma'
+import { searchService } from '@/lib/services/SearchService'
+import { parseSearchQuery } from '@/lib/searchQuery'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+
+// Embedding vectors are only used server-side for duplicate detection and search
+const FEEDBACK_OMIT = { embedding: true }
+
+const FEEDBACK_INCLUDE = {
+  project: {
+    select: {
+      id: true,
+      name: true,
+      isDefault: true
+    }
+  },
+  notes: {
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true
+        }
+      }
+    },
+    orderBy: {
+      createdAt: 'desc'
+    }
+  }
+}
+
+/**
+ * Full-text search of the user's feedback in the database (content, translation and notes, stemmed)
+ * Query: q, mode simple (default) | advanced (AND/OR/NOT grammar of the search bar), projectId,
+ * limit (max 200), offset, includeArchived
+ * Results are ranked best match first, each with its rank, a highlighted snippet and the field the snippet
+ * comes from (snippetField) in `search`.
+ */
+export async function GET(request) {
+  try {
+    // Get the authorization header
+    const authHeader = request.headers.get('authorization')
+    if (!authHeader) {
+      return NextResponse.json({ error: 'Missing authorization header' }, { status: 401 })
+    }
+
+    // Verify the JWT token
+    const token = authHeader.replace('Bearer ', '')
+    const { data: { user }, error } = await supabase.auth.getUser(token)
+
+    if (error || !user) {
+      return NextResponse.json({ error: 'Invalid token' }, { status: 401 })
+    }
+
+    const url = new URL(request.url)
+    const mode = url.searchParams.get('mode') === 'advanced' ? 'advanced' : 'simple'
+    const parsedQuery = parseSearchQuery(url.searchParams.get('q'), mode)
+
+    if (!parsedQuery || (parsedQuery.type === 'advanced' && parsedQuery.terms.length === 0)) {
+      return NextResponse.json({ error: 'Search query is required' }, { status: 400 })
+    }
+
+    const projectId = url.searchParams.get('projectId')
+    if (projectId) {
+      const project = await prisma.project.findFirst({
+        where: { id: projectId, userId: user.id }
+      })
+
+      if (!project) {
+        return NextResponse.json({ error: 'Project not found or unauthorized' }, { status: 404 })
+      }
+    }
+
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(url.searchParams.get('limit')) || DEFAULT_LIMIT))
+    const offset = Math.max(0, parseInt(url.searchParams.get('offset')) || 0)
+
+    const { results, total } = await searchService.fullTextSearch(
+      { userId: user.id, projectId, includeArchived: url.searchParams.get('includeArchived') === 'true' },
+      parsedQuery,
+      { limit, offset },
+      { omit: FEEDBACK_OMIT, include: FEEDBACK_INCLUDE }
+    )
+
+    return NextResponse.json({
+      results: results.map(({ feedback, rank, snippet, snippetField }) => ({ ...feedback, search: { mode, rank, snippet, snippetField } })),
+      total,
+      limit,
+      offset
+    })
+  } catch (error) {
+    console.error('Error searching feedback:', error)
+    return NextResponse.json({
+      error: 'Failed to search feedback',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { summaryService, getSummaryErrorStatus } from '@/lib/services/SummaryService'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+/**
+ * Summarize the feedback of a filtered list: key themes, representative quotes and suggested actions
+ * Body: { feedbackIds: string[], filters, projectId, refresh }
+ * Summaries are cached per filter hash and reused while the filtered feedback is unchanged.
+ */
+export async function POST(request) {
+  try {
+    // Get the authorization header
+    const authHeader = request.headers.get('authorization')
+    if (!authHeader) {
+      return NextResponse.json({ error: 'Missing authorization header' }, { status: 401 })
+    }
+
+    // Verify the JWT token
+    const token = authHeader.replace('Bearer ', '')
+    const { data: { user }, error } = await supabase.auth.getUser(token)
+
+    if (error || !user) {
+      return NextResponse.json({ error: 'Invalid token' }, { status: 401 })
+    }
+
+    const { feedbackIds, filters, projectId, refresh } = await request.json()
+
+    const result = await summaryService.summarizeFilteredFeedback(
+      user.id,
+      { projectId: projectId || null, filters, feedbackIds },
+      { refresh: refresh === true }
+    )
+
+    return NextResponse.json(result)
+  } catch (error) {
+    const status = getSummaryErrorStatus(error)
+    if (status) {
+      return NextResponse.json({ error: error.message }, { status })
+    }
+
+    console.error('Error summarizing feedback:', error)
+    return NextResponse.json({
+      error: 'Failed to summarize feedback',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { prisma } from '@/lib/prisma'
+import { calculateCorrectionMetrics } from '@/lib/classificationCorrections'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+export async function GET(request, { params }) {
+  try {
+    // Get the authorization header
+    const authHeader = request.headers.get('authorization')
+    if (!authHeader) {
+      return NextResponse.json({ error: 'Missing authorization header' }, { status: 401 })
+    }
+
+    // Verify the JWT token
+    const token = authHeader.replace('Bearer ', '')
+    const { data: { user }, error } = await supabase.auth.getUser(token)
+
+    if (error || !user) {
+      return NextResponse.json({ error: 'Invalid token' }, { status: 401 })
+    }
+
+    const { id } = await params
+    const { searchParams } = new URL(request.url)
+    const weeks = Math.min(Math.max(parseInt(searchParams.get('weeks')) || 12, 1), 52)
+
+    // Verify the project exists and belongs to the user
+    const project = await prisma.project.findFirst({
+      where: {
+        id: id,
+        userId: user.id
+      }
+    })
+
+    if (!project) {
+      return NextResponse.json({ error: 'Project not found or unauthorized' }, { status: 404 })
+    }
+
+    const [corrections, classifiedFeedback] = await Promise.all([
+      prisma.classificationCorrection.findMany({
+        where: { projectId: id },
+        select: {
+          id: true,
+          feedbackId: true,
+          aiPrediction: true,
+          userCorrection: true,
+          aiConfidence: true,
+          wasCorrect: true,
+          source: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.feedback.findMany({
+        where: {
+          projectId: id,
+          aiCategoryConfidence: { not: null }
+        },
+        select: {
+          id: true,
+          category: true,
+          aiCategoryConfidence: true,
+          createdAt: true
+        }
+      })
+    ])
+
+    const metrics = calculateCorrectionMetrics({ corrections, classifiedFeedback }, { weeks })
+
+    const recentCorrections = await prisma.classificationCorrection.findMany({
+      where: { projectId: id },
+      orderBy: { createdAt: 'desc' },
+      take: 10,
+      select: {
+        id: true,
+        feedbackText: true,
+        aiPrediction: true,
+        userCorrection: true,
+        aiConfidence: true,
+        source: true,
+        createdAt: true
+      }
+    })
+
+    return NextResponse.json({
+      ...metrics,
+      recentCorrections
+    })
+  } catch (error) {
+    console.error('Error fetching AI performance metrics:', error)
+    return NextResponse.json({
+      error: 'Failed to fetch AI performance metrics',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
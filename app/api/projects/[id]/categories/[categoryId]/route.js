@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { prisma } from '@/lib/prisma'
+import { categoryService, getCategoryErrorStatus } from '@/lib/services/CategoryService'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+async function getAuthorizedProject(request, projectId) {
+  const authHeader = request.headers.get('authorization')
+  if (!authHeader) {
+    return { response: NextResponse.json({ error: 'Missing authorization header' }, { status: 401 }) }
+  }
+
+  const token = authHeader.replace('Bearer ', '')
+  const { data: { user }, error } = await supabase.auth.getUser(token)
+
+  if (error || !user) {
+    return { response: NextResponse.json({ error: 'Invalid token' }, { status: 401 }) }
+  }
+
+  // Verify the project exists and belongs to the user
+  const project = await prisma.project.findFirst({
+    where: {
+      id: projectId,
+      userId: user.id
+    }
+  })
+
+  if (!project) {
+    return { response: NextResponse.json({ error: 'Project not found or unauthorized' }, { status: 404 }) }
+  }
+
+  return { user, project }
+}
+
+export async function PUT(request, { params }) {
+  try {
+    const { id, categoryId } = await params
+    const { response, project } = await getAuthorizedProject(request, id)
+    if (response) return response
+
+    const body = await request.json()
+    const category = await categoryService.updateCategory(project.id, categoryId, body)
+
+    return NextResponse.json(category)
+  } catch (error) {
+    const status = getCategoryErrorStatus(error)
+    if (status) {
+      return NextResponse.json({ error: error.message }, { status })
+    }
+
+    console.error('Error updating category:', error)
+    return NextResponse.json({
+      error: 'Failed to update category',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { id, categoryId } = await params
+    const { response, project } = await getAuthorizedProject(request, id)
+    if (response) return response
+
+    await categoryService.deleteCategory(project.id, categoryId)
+
+    return NextResponse.json({ message: 'Category deleted successfully' })
+  } catch (error) {
+    const status = getCategoryErrorStatus(error)
+    if (status) {
+      return NextResponse.json({ error: error.message }, { status })
+    }
+
+    console.error('Error deleting category:', error)
+    return NextResponse.json({
+      error: 'Failed to delete category',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { prisma } from '@/lib/prisma'
+import { getCategoryErrorStatus } from '@/lib/services/CategoryService'
+import { categoryOperationService } from '@/lib/services/CategoryOperationService'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+async function getAuthorizedProject(request, projectId) {
+  const authHeader = request.headers.get('authorization')
+  if (!authHeader) {
+    return { response: NextResponse.json({ error: 'Missing authorization header' }, { status: 401 }) }
+  }
+
+  const token = authHeader.replace('Bearer ', '')
+  const { data: { user }, error } = await supabase.auth.getUser(token)
+
+  if (error || !user) {
+    return { response: NextResponse.json({ error: 'Invalid token' }, { status: 401 }) }
+  }
+
+  // Verify the project exists and belongs to the user
+  const project = await prisma.project.findFirst({
+    where: {
+      id: projectId,
+      userId: user.id
+    }
+  })
+
+  if (!project) {
+    return { response: NextResponse.json({ error: 'Project not found or unauthorized' }, { status: 404 }) }
+  }
+
+  return { user, project }
+}
+
+export async function POST(request, { params }) {
+  try {
+    const { id, operationId } = await params
+    const { response, user, project } = await getAuthorizedProject(request, id)
+    if (response) return response
+
+    const result = await categoryOperationService.undoOperation(project, user.id, operationId)
+
+    return NextResponse.json(result)
+  } catch (error) {
+    const status = getCategoryErrorStatus(error)
+    if (status) {
+      return NextResponse.json({ error: error.message }, { status })
+    }
+
+    console.error('Error undoing category operation:', error)
+    return NextResponse.json({
+      error: 'Failed to undo category operation',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
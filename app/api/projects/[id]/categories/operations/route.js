@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { prisma } from '@/lib/prisma'
+import { getCategoryErrorStatus } from '@/lib/services/CategoryService'
+import { categoryOperationService, CATEGORY_OPERATION_TYPES } from '@/lib/services/CategoryOperationService'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+async function getAuthorizedProject(request, projectId) {
+  const authHeader = request.headers.get('authorization')
+  if (!authHeader) {
+    return { response: NextResponse.json({ error: 'Missing authorization header' }, { status: 401 }) }
+  }
+
+  const token = authHeader.replace('Bearer ', '')
+  const { data: { user }, error } = await supabase.auth.getUser(token)
+
+  if (error || !user) {
+    return { response: NextResponse.json({ error: 'Invalid token' }, { status: 401 }) }
+  }
+
+  // Verify the project exists and belongs to the user
+  const project = await prisma.project.findFirst({
+    where: {
+      id: projectId,
+      userId: user.id
+    }
+  })
+
+  if (!project) {
+    return { response: NextResponse.json({ error: 'Project not found or unauthorized' }, { status: 404 }) }
+  }
+
+  return { user, project }
+}
+
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params
+    const { response, project } = await getAuthorizedProject(request, id)
+    if (response) return response
+
+    const { searchParams } = new URL(request.url)
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 20, 100)
+
+    const operations = await categoryOperationService.listOperations(project.id, { limit })
+
+    return NextResponse.json(operations)
+  } catch (error) {
+    console.error('Error fetching category operations:', error)
+    return NextResponse.json({
+      error: 'Failed to fetch category operations',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
+
+// Body: { type: 'rename', categoryId, name }
+//     | { type: 'merge', sourceIds, targetId }
+//     | { type: 'split', sourceId, targetIds, newTargets, deactivateSource }
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params
+    const { response, user, project } = await getAuthorizedProject(request, id)
+    if (response) return response
+
+    const { type, ...body } = await request.json()
+
+    let operation
+    switch (type) {
+      case CATEGORY_OPERATION_TYPES.RENAME:
+        operation = await categoryOperationService.renameCategory(project, user.id, body)
+        break
+      case CATEGORY_OPERATION_TYPES.MERGE:
+        operation = await categoryOperationService.mergeCategories(project, user.id, body)
+        break
+      case CATEGORY_OPERATION_TYPES.SPLIT:
+        operation = await categoryOperationService.splitCategory(project, user.id, body)
+        break
+      default:
+        return NextResponse.json({ error: `Unknown category operation: ${type}` }, { status: 400 })
+    }
+
+    return NextResponse.json(operation, { status: 201 })
+  } catch (error) {
+    const status = getCategoryErrorStatus(error)
+    if (status) {
+      return NextResponse.json({ error: error.message }, { status })
+    }
+
+    console.error('Error running category operation:', error)
+    return NextResponse.json({
+      error: 'Failed to run category operation',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
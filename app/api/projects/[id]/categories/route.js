@@ -0,0 +1,89 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { prisma } from '@/lib/prisma'
+import { categoryService, getCategoryErrorStatus } from '@/lib/services/CategoryService'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+async function getAuthorizedProject(request, params) {
+  const authHeader = request.headers.get('authorization')
+  if (!authHeader) {
+    return { response: NextResponse.json({ error: 'Missing authorization header' }, { status: 401 }) }
+  }
+
+  const token = authHeader.replace('Bearer ', '')
+  const { data: { user }, error } = await supabase.auth.getUser(token)
+
+  if (error || !user) {
+    return { response: NextResponse.json({ error: 'Invalid token' }, { status: 401 }) }
+  }
+
+  const { id } = await params
+
+  // Verify the project exists and belongs to the user
+  const project = await prisma.project.findFirst({
+    where: {
+      id: id,
+      userId: user.id
+    }
+  })
+
+  if (!project) {
+    return { response: NextResponse.json({ error: 'Project not found or unauthorized' }, { status: 404 }) }
+  }
+
+  return { user, project }
+}
+
+export async function GET(request, { params }) {
+  try {
+    const { response, project } = await getAuthorizedProject(request, params)
+    if (response) return response
+
+    const { searchParams } = new URL(request.url)
+    const includeInactive = searchParams.get('includeInactive') !== 'false'
+
+    const categories = await categoryService.listCategories(project.id, project.userId, { includeInactive })
+
+    return NextResponse.json(categories)
+  } catch (error) {
+    console.error('Error fetching categories:', error)
+    return NextResponse.json({
+      error: 'Failed to fetch categories',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
+
+export async function POST(request, { params }) {
+  try {
+    const { response, project } = await getAuthorizedProject(request, params)
+    if (response) return response
+
+    const body = await request.json()
+
+    // Import a list of categories (JSON import and the one-time localStorage migration)
+    if (Array.isArray(body.categories)) {
+      const result = await categoryService.importCategories(project.id, project.userId, body.categories)
+      const categories = await categoryService.listCategories(project.id, project.userId)
+      return NextResponse.json({ ...result, categories })
+    }
+
+    const category = await categoryService.createCategory(project.id, project.userId, body)
+    return NextResponse.json(category, { status: 201 })
+  } catch (error) {
+    const status = getCategoryErrorStatus(error)
+    if (status) {
+      return NextResponse.json({ error: error.message }, { status })
+    }
+
+    console.error('Error creating category:', error)
+    return NextResponse.json({
+      error: 'Failed to create category',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
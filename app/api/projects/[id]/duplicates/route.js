@@ -0,0 +1,63 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { prisma } from '@/lib/prisma'
+import { duplicateService } from '@/lib/services/DuplicateService'
+import { getDuplicateThreshold, normalizeThreshold } from '@/lib/duplicateDetection'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+/**
+ * Groups of near-duplicate feedback in the project
+ * Feedback without an embedding is embedded in the background (a batch per request) and compared once it has one;
+ * `pendingEmbeddings` tells how many are left.
+ * Query: threshold (similarity, defaults to the project setting)
+ */
+export async function GET(request, { params }) {
+  try {
+    // Get the authorization header
+    const authHeader = request.headers.get('authorization')
+    if (!authHeader) {
+      return NextResponse.json({ error: 'Missing authorization header' }, { status: 401 })
+    }
+
+    // Verify the JWT token
+    const token = authHeader.replace('Bearer ', '')
+    const { data: { user }, error } = await supabase.auth.getUser(token)
+
+    if (error || !user) {
+      return NextResponse.json({ error: 'Invalid token' }, { status: 401 })
+    }
+
+    const { id } = await params
+
+    // Verify the project exists and belongs to the user
+    const project = await prisma.project.findFirst({
+      where: {
+        id: id,
+        userId: user.id
+      }
+    })
+
+    if (!project) {
+      return NextResponse.json({ error: 'Project not found or unauthorized' }, { status: 404 })
+    }
+
+    const { searchParams } = new URL(request.url)
+    const threshold = searchParams.get('threshold')
+      ? normalizeThreshold(searchParams.get('threshold'))
+      : getDuplicateThreshold(project)
+
+    const result = await duplicateService.findDuplicateGroups(project, { threshold })
+
+    return NextResponse.json({ threshold, ...result })
+  } catch (error) {
+    console.error('Error finding duplicate groups:', error)
+    return NextResponse.json({
+      error: 'Failed to find duplicate groups',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
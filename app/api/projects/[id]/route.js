@@ -1,6 +1,9 @@
 import { NextResponse } from 'next/server'
 import { createClient } from '@supabase/supabase-js'
 import { prisma } from '@/lib/prisma'
+import { isAllowedBaseUrl } from '@/lib/ai'
+import { validateRule } from '@/lib/categorizationRules'
+import { validateCustomPattern } from '@/lib/piiRedaction'
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
@@ -107,6 +110,31 @@ export async function PUT(request, { params }) {
       return NextResponse.json({ error: 'Project name cannot be empty' }, { status: 400 })
     }
 
+    // Provider requests carry the server's API key, so they may only go to servers the environment allows
+    const aiProvider = settings?.aiProvider
+    if (aiProvider?.baseUrl && !isAllowedBaseUrl(aiProvider.baseUrl)) {
+      return NextResponse.json({
+        error: 'This AI server URL is not allowed. Ask your administrator to add it to AI_ALLOWED_BASE_URLS.'
+      }, { status: 400 })
+    }
+    if (aiProvider) {
+      delete aiProvider.apiKeyEnv
+    }
+
+    // Rules and redaction patterns run on every analyzed feedback, so invalid or unsafe regexes are rejected here
+    if (Array.isArray(settings?.categorizationRules)) {
+      const ruleError = settings.categorizationRules.map(rule => validateRule(rule || {})).find(Boolean)
+      if (ruleError) {
+        return NextResponse.json({ error: `Invalid categorization rule: ${ruleError}` }, { status: 400 })
+      }
+    }
+    if (Array.isArray(settings?.piiRedaction?.customPatterns)) {
+      const patternError = settings.piiRedaction.customPatterns.map(pattern => validateCustomPattern(pattern || {})).find(Boolean)
+      if (patternError) {
+        return NextResponse.json({ error: `Invalid redaction pattern: ${patternError}` }, { status: 400 })
+      }
+    }
+
     // First, get the existing project to check current state
     const existingProject = await prisma.project.findFirst({
       where: {
@@ -0,0 +1,101 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { prisma } from '@/lib/prisma'
+import { rescoreFeedbackSentiment } from '@/lib/sentimentAnalysis'
+import { getProjectSentimentLexicon } from '@/lib/customLexicon'
+import { categoryService } from '@/lib/services/CategoryService'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+// Feedback loaded and updated per round trip
+const CHUNK_SIZE = 200
+
+/**
+ * Re-score the sentiment of all project feedback with the project's current lexicon.
+ * Only the rule-based scorer runs - categories, languages and translations are kept.
+ */
+export async function POST(request, { params }) {
+  try {
+    // Get the authorization header
+    const authHeader = request.headers.get('authorization')
+    if (!authHeader) {
+      return NextResponse.json({ error: 'Missing authorization header' }, { status: 401 })
+    }
+
+    // Verify the JWT token
+    const token = authHeader.replace('Bearer ', '')
+    const { data: { user }, error } = await supabase.auth.getUser(token)
+
+    if (error || !user) {
+      return NextResponse.json({ error: 'Invalid token' }, { status: 401 })
+    }
+
+    const { id } = await params
+
+    // Verify the project exists and belongs to the user
+    const project = await prisma.project.findFirst({
+      where: {
+        id: id,
+        userId: user.id
+      }
+    })
+
+    if (!project) {
+      return NextResponse.json({ error: 'Project not found or unauthorized' }, { status: 404 })
+    }
+
+    const sentimentLexicon = getProjectSentimentLexicon(project)
+    const categories = await categoryService.getClassifierCategories(project)
+    const results = { processed: 0, changed: 0 }
+    let cursor = null
+
+    while (true) {
+      const feedback = await prisma.feedback.findMany({
+        where: { projectId: id },
+        select: {
+          id: true,
+          content: true,
+          sentimentLabel: true,
+          language: true,
+          translatedContent: true,
+          translationLanguage: true,
+          aiClassificationMeta: true
+        },
+        orderBy: { id: 'asc' },
+        take: CHUNK_SIZE,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+      })
+      if (feedback.length === 0) break
+
+      const updates = await Promise.all(feedback.map(async item => ({
+        item,
+        data: await rescoreFeedbackSentiment(item, { sentimentLexicon, categories })
+      })))
+
+      await prisma.$transaction(
+        updates.map(({ item, data }) => prisma.feedback.update({ where: { id: item.id }, data }))
+      )
+
+      results.processed += updates.length
+      results.changed += updates.filter(({ item, data }) => item.sentimentLabel !== data.sentimentLabel).length
+      cursor = feedback[feedback.length - 1].id
+    }
+
+    console.log(`🔁 Re-scored sentiment of ${results.processed} feedback in project ${id} (${results.changed} changed label)`)
+
+    return NextResponse.json({
+      success: true,
+      ...results,
+      message: `Re-scored ${results.processed} feedback entries, ${results.changed} changed sentiment`
+    })
+  } catch (error) {
+    console.error('Error re-scoring feedback sentiment:', error)
+    return NextResponse.json({
+      error: 'Failed to re-score feedback sentiment',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { prisma } from '@/lib/prisma'
+import { topicClusterService } from '@/lib/services/TopicClusterService'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+/**
+ * Emerging themes of the project's feedback
+ * Themes older than TOPIC_REFRESH_HOURS (24 by default) are returned while they are recomputed in the
+ * background (refreshing: true). Query: refresh=true recomputes them and waits for the result
+ */
+export async function GET(request, { params }) {
+  try {
+    // Get the authorization header
+    const authHeader = request.headers.get('authorization')
+    if (!authHeader) {
+      return NextResponse.json({ error: 'Missing authorization header' }, { status: 401 })
+    }
+
+    // Verify the JWT token
+    const token = authHeader.replace('Bearer ', '')
+    const { data: { user }, error } = await supabase.auth.getUser(token)
+
+    if (error || !user) {
+      return NextResponse.json({ error: 'Invalid token' }, { status: 401 })
+    }
+
+    const { id } = await params
+
+    // Verify the project exists and belongs to the user
+    const project = await prisma.project.findFirst({
+      where: {
+        id: id,
+        userId: user.id
+      }
+    })
+
+    if (!project) {
+      return NextResponse.json({ error: 'Project not found or unauthorized' }, { status: 404 })
+    }
+
+    const { searchParams } = new URL(request.url)
+    const result = await topicClusterService.getProjectClusters(project, {
+      refresh: searchParams.get('refresh') === 'true'
+    })
+
+    return NextResponse.json(result)
+  } catch (error) {
+    console.error('Error loading topic clusters:', error)
+    return NextResponse.json({
+      error: 'Failed to load topic clusters',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 })
+  }
+}
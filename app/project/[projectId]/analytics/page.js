@@ -187,7 +187,7 @@ export default function ProjectAnalyticsPage({ params }) {
                     Showing analytics for {filteredFeedback.length} out of {allFeedback.length} total feedback items
                   </p>
                 </div>
-                <CategoryAnalytics feedback={filteredFeedback} />
+                <CategoryAnalytics feedback={filteredFeedback} projectId={params.projectId} />
               </CardContent>
             </Card>
           </TabsContent>
@@ -201,7 +201,7 @@ export default function ProjectAnalyticsPage({ params }) {
                     Monitor AI categorization accuracy and performance for this project
                   </p>
                 </div>
-                <AIPerformanceMetrics feedback={filteredFeedback} />
+                <AIPerformanceMetrics feedback={filteredFeedback} projectId={params.projectId} />
               </CardContent>
             </Card>
           </TabsContent>
@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server'
 import { createClient } from '@supabase/supabase-js'
 import { prisma } from '@/lib/prisma'
+import { parseCustomerValue } from '@/lib/priorityEngine'
+import { priorityService } from '@/lib/services/PriorityService'
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
@@ -61,10 +63,19 @@ export async function POST(request, { params }) {
       userId: user.id,
       projectId: project.id,
       feedbackDate: feedback.feedbackDate ? new Date(feedback.feedbackDate) : new Date(),
+      customerValue: parseCustomerValue(feedback.customerValue),
       createdAt: new Date(),
       updatedAt: new Date()
     }))
 
+    // Score priorities with the project's priority settings (keeps the suggested priorities when disabled)
+    try {
+      const priorities = await priorityService.prioritizeFeedback(project, feedbacksWithUserAndProject)
+      priorities?.forEach((prioritized, index) => Object.assign(feedbacksWithUserAndProject[index], prioritized))
+    } catch (priorityError) {
+      console.error('Priority scoring failed, keeping the suggested priorities:', priorityError)
+    }
+
     // Use batch insert for better performance - avoid transaction timeout
     const result = await prisma.$transaction(async (prisma) => {
       const createdFeedbacks = []
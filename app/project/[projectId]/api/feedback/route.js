@@ -1,6 +1,10 @@
 import { NextResponse } from 'next/server'
 import { createClient } from '@supabase/supabase-js'
 import { prisma } from '@/lib/prisma'
+import { detectLanguage } from '@/lib/languageDetection'
+import { parseCustomerValue } from '@/lib/priorityEngine'
+import { priorityService } from '@/lib/services/PriorityService'
+import { duplicateService } from '@/lib/services/DuplicateService'
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
@@ -74,6 +78,8 @@ export async function GET(request, { params }) {
       try {
         feedback = await prisma.feedback.findMany({
           where: whereClause,
+          // Embedding vectors are only used server-side for duplicate detection
+          omit: { embedding: true },
           include: {
             notes: {
               orderBy: { createdAt: 'desc' }
@@ -148,7 +154,7 @@ export async function POST(request, { params }) {
       return NextResponse.json({ error: 'Invalid JSON format' }, { status: 400 })
     }
 
-    const { content, category, customerName, source } = body
+    const { content, category, customerName, source, customerValue } = body
 
     // Validate required fields
     if (!content || typeof content !== 'string' || content.trim().length === 0) {
@@ -167,7 +173,8 @@ export async function POST(request, { params }) {
     try {
       // Try to import and use AI analysis if available
       const { categorizeFeedback } = await import('@/lib/geminiAI')
-      const aiResult = await categorizeFeedback(content)
+      const { getProjectAIOptions } = await import('@/lib/ai/projectAIOptions')
+      const aiResult = await categorizeFeedback(content, await getProjectAIOptions(project))
       analysisResult = {
         sentimentLabel: 'neutral', // For now, use simple sentiment
         sentimentScore: aiResult.confidence || 0.5,
@@ -179,18 +186,35 @@ export async function POST(request, { params }) {
       console.error('AI analysis failed, using defaults:', aiError)
     }
 
+    const { language, confidence: languageConfidence } = detectLanguage(content)
+
+    const feedbackData = {
+      userId: user.id,
+      projectId: project.id, // Automatically associate with the project
+      content: content.trim(),
+      category: category || analysisResult.suggestedCategory,
+      sentimentLabel: analysisResult.sentimentLabel,
+      sentimentScore: analysisResult.sentimentScore,
+      topics: analysisResult.topics,
+      language,
+      languageConfidence,
+      customerValue: parseCustomerValue(customerValue),
+      source: source?.trim() || 'manual'
+    }
+
+    // Score the priority with the project's priority settings
+    try {
+      const [prioritized] = await priorityService.prioritizeFeedback(project, [feedbackData]) || []
+      if (prioritized) {
+        Object.assign(feedbackData, prioritized)
+      }
+    } catch (priorityError) {
+      console.error('Priority scoring failed, using the default priority:', priorityError)
+    }
+
     // Create feedback entry - automatically scoped to project
     const feedback = await prisma.feedback.create({
-      data: {
-        userId: user.id,
-        projectId: project.id, // Automatically associate with the project
-        content: content.trim(),
-        category: category || analysisResult.suggestedCategory,
-        sentimentLabel: analysisResult.sentimentLabel,
-        sentimentScore: analysisResult.sentimentScore,
-        topics: analysisResult.topics,
-        source: source?.trim() || 'manual'
-      },
+      data: feedbackData,
       include: {
         notes: true,
         project: {
@@ -202,6 +226,13 @@ export async function POST(request, { params }) {
       }
     })
 
+    // Embed for duplicate detection (feedback left without an embedding is embedded when duplicates are searched)
+    try {
+      await duplicateService.embedFeedback([feedback], project)
+    } catch (embeddingError) {
+      console.error('Embedding new feedback failed:', embeddingError)
+    }
+
     return NextResponse.json(feedback)
   } catch (error) {
     console.error('Error creating project feedback:', error)
@@ -197,7 +197,7 @@ function DashboardContent() {
             <h1 className="text-3xl font-bold text-gray-900 mb-6">Category Analytics</h1>
             <Card className="bg-white/80 backdrop-blur-sm shadow-lg border border-stone-200">
               <CardContent className="p-6">
-                <CategoryAnalytics feedback={feedback} />
+                <CategoryAnalytics feedback={feedback} projectId={projectId} />
               </CardContent>
             </Card>
           </div>
@@ -208,7 +208,7 @@ function DashboardContent() {
             <h1 className="text-3xl font-bold text-gray-900 mb-6">AI Performance</h1>
             <Card className="bg-white/80 backdrop-blur-sm shadow-lg border border-stone-200">
               <CardContent className="p-6">
-                <AIPerformanceMetrics feedback={feedback} />
+                <AIPerformanceMetrics feedback={feedback} projectId={projectId} />
               </CardContent>
             </Card>
           </div>
@@ -220,7 +220,7 @@ function DashboardContent() {
 
 // Component wrappers using proper ES6 imports
 function ProjectDashboard({ feedback, project, onFeedbackUpdate }) {
-  return <Analytics feedback={feedback} />
+  return <Analytics feedback={feedback} projectId={project?.id} />
 }
 
 function FeedbackForm({ onFeedbackAdded, projectId }) {
@@ -235,12 +235,12 @@ function FeedbackList({ feedback, onUpdate, currentProject }) {
   return <FeedbackListComponent feedback={feedback} onUpdate={onUpdate} currentProject={currentProject} />
 }
 
-function CategoryAnalytics({ feedback }) {
-  return <CategoryAnalyticsComponent feedback={feedback} />
+function CategoryAnalytics({ feedback, projectId }) {
+  return <CategoryAnalyticsComponent feedback={feedback} projectId={projectId} />
 }
 
-function AIPerformanceMetrics({ feedback }) {
-  return <AIPerformanceMetricsComponent feedback={feedback} />
+function AIPerformanceMetrics({ feedback, projectId }) {
+  return <AIPerformanceMetricsComponent feedback={feedback} projectId={projectId} />
 }
 
 export default function ProjectDashboardPage() {
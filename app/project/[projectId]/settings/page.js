@@ -19,6 +19,13 @@ import {
 import { Alert, AlertDescription } from '@/components/ui/alert'
 import { Badge } from '@/components/ui/badge'
 import { Separator } from '@/components/ui/separator'
+import AIProviderSettings from '@/components/AIProviderSettings'
+import CategoryManager from '@/components/CategoryManager'
+import CategorizationRules from '@/components/CategorizationRules'
+import PIIRedactionSettings from '@/components/PIIRedactionSettings'
+import LanguageSettings from '@/components/LanguageSettings'
+import SentimentLexiconSettings from '@/components/SentimentLexiconSettings'
+import PrioritySettings from '@/components/PrioritySettings'
 import { 
   Dialog, 
   DialogContent, 
@@ -325,6 +332,97 @@ export default function ProjectSettingsPage({ params }) {
           </CardContent>
         </Card>
 
+        {/* AI Provider */}
+        <AIProviderSettings
+          project={project}
+          onSaved={(message) => {
+            setError(null)
+            setSuccess(message)
+            refetchProject()
+          }}
+          onError={(message) => {
+            setSuccess(null)
+            setError(message)
+          }}
+        />
+
+        {/* PII Redaction */}
+        <PIIRedactionSettings
+          project={project}
+          onSaved={(message) => {
+            setError(null)
+            setSuccess(message)
+            refetchProject()
+          }}
+          onError={(message) => {
+            setSuccess(null)
+            setError(message)
+          }}
+        />
+
+        {/* Languages */}
+        <LanguageSettings
+          project={project}
+          onSaved={(message) => {
+            setError(null)
+            setSuccess(message)
+            refetchProject()
+          }}
+          onError={(message) => {
+            setSuccess(null)
+            setError(message)
+          }}
+        />
+
+        {/* Sentiment Lexicon */}
+        <SentimentLexiconSettings
+          project={project}
+          onSaved={(message) => {
+            setError(null)
+            setSuccess(message)
+            refetchProject()
+          }}
+          onError={(message) => {
+            setSuccess(null)
+            setError(message)
+          }}
+        />
+
+        {/* Automatic Priority */}
+        <PrioritySettings
+          project={project}
+          onSaved={(message) => {
+            setError(null)
+            setSuccess(message)
+            refetchProject()
+          }}
+          onError={(message) => {
+            setSuccess(null)
+            setError(message)
+          }}
+        />
+
+        {/* Categories */}
+        <Card>
+          <CardContent className="pt-6">
+            <CategoryManager projectId={params.projectId} />
+          </CardContent>
+        </Card>
+
+        {/* Categorization Rules */}
+        <CategorizationRules
+          project={project}
+          onSaved={(message) => {
+            setError(null)
+            setSuccess(message)
+            refetchProject()
+          }}
+          onError={(message) => {
+            setSuccess(null)
+            setError(message)
+          }}
+        />
+
         {/* Project Status */}
         <Card>
           <CardHeader>
@@ -1,7 +1,7 @@
 'use client'
 
 import { useState, useEffect } from 'react'
-import { getAIPerformanceMetrics } from '@/lib/geminiAI'
+import { supabase } from '@/lib/supabase/client'
 import { Bar, Line, Doughnut } from 'react-chartjs-2'
 import {
   Chart as ChartJS,
@@ -28,24 +28,42 @@ ChartJS.register(
   LineElement
 )
 
-export default function AIPerformanceMetrics({ feedback }) {
+export default function AIPerformanceMetrics({ feedback, projectId }) {
   const [metrics, setMetrics] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
   const [showDetails, setShowDetails] = useState(false)
 
+  // Corrections are stored per project, fall back to the project of the feedback shown
+  const metricsProjectId = projectId || feedback?.find(f => f.projectId)?.projectId
+
   useEffect(() => {
     loadMetrics()
-  }, [feedback])
+  }, [feedback, metricsProjectId])
 
   const loadMetrics = async () => {
     try {
       setIsLoading(true)
-// Debugging: Log metrics data
-// Debugging: Log updated metrics state
-console.log('Updated metrics state:', metrics);
-console.log('Metrics fetched:', performanceMetrics);
-      const performanceMetrics = await getAIPerformanceMetrics();
-      setMetrics(performanceMetrics)
+
+      if (!metricsProjectId) {
+        setMetrics(null)
+        return
+      }
+
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) throw new Error('No session found')
+
+      const response = await fetch(`/api/projects/${metricsProjectId}/ai-performance`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.error || 'Failed to load AI performance metrics')
+      }
+
+      setMetrics(await response.json())
     } catch (error) {
       console.error('Error loading AI performance metrics:', error)
     } finally {
@@ -142,6 +160,9 @@ console.log('Metrics fetched:', performanceMetrics);
         case 'ai_enhanced': return 'AI Enhanced'
         case 'ai_batch_enhanced': return 'AI Batch'
         case 'fallback_enhanced': return 'Keyword Fallback'
+        case 'local_embedding': return 'Local Model'
+        case 'local_zero_shot': return 'Local Zero-Shot'
+        case 'rule': return 'Categorization Rule'
         default: return method.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
       }
     }),
@@ -171,6 +192,57 @@ console.log('Metrics fetched:', performanceMetrics);
     ],
   }
 
+  const trendChartData = {
+    labels: (metrics?.trend || []).map(point =>
+      new Date(point.period).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+    ),
+    datasets: [
+      {
+        label: 'Accuracy (%)',
+        data: (metrics?.trend || []).map(point =>
+          point.accuracy !== null ? Math.round(point.accuracy * 100) : null
+        ),
+        borderColor: '#10B981',
+        backgroundColor: 'rgba(16, 185, 129, 0.1)',
+        spanGaps: true,
+        yAxisID: 'y',
+      },
+      {
+        label: 'Corrections',
+        data: (metrics?.trend || []).map(point => point.corrected),
+        borderColor: '#EF4444',
+        backgroundColor: 'rgba(239, 68, 68, 0.1)',
+        yAxisID: 'y1',
+      },
+    ],
+  }
+
+  const trendChartOptions = {
+    responsive: true,
+    plugins: {
+      legend: {
+        position: 'top',
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        max: 100,
+        position: 'left',
+      },
+      y1: {
+        beginAtZero: true,
+        position: 'right',
+        grid: {
+          drawOnChartArea: false,
+        },
+      },
+    },
+  }
+
+  const confusionMatrix = metrics?.confusionMatrix || { labels: [], matrix: [] }
+  const maxConfusionCell = Math.max(1, ...confusionMatrix.matrix.flat())
+
   const chartOptions = {
     responsive: true,
     plugins: {
@@ -302,6 +374,69 @@ console.log('Metrics fetched:', performanceMetrics);
         </div>
       </div>
 
+      {/* Accuracy Trend */}
+      <div className="bg-white p-6 rounded-lg shadow border">
+        <h3 className="text-lg font-medium text-gray-900 mb-1">Accuracy Trend</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Weekly share of AI classifications kept by users ({metrics?.totalCorrections || 0} corrections recorded)
+        </p>
+        <div className="h-64">
+          <Line data={trendChartData} options={trendChartOptions} />
+        </div>
+      </div>
+
+      {/* Confusion Matrix */}
+      {confusionMatrix.labels.length > 0 && (
+        <div className="bg-white rounded-lg shadow border">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">Confusion Matrix</h3>
+            <p className="text-sm text-gray-500">Rows are AI predictions, columns are the categories users kept</p>
+          </div>
+          <div className="overflow-x-auto p-6">
+            <table className="text-xs">
+              <thead>
+                <tr>
+                  <th className="px-2 py-1 text-left text-gray-500">AI \ User</th>
+                  {confusionMatrix.labels.map(label => (
+                    <th key={label} className="px-2 py-1 text-gray-500 font-medium whitespace-nowrap">
+                      {formatCategoryName(label)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {confusionMatrix.matrix.map((row, rowIndex) => (
+                  <tr key={confusionMatrix.labels[rowIndex]}>
+                    <td className="px-2 py-1 font-medium text-gray-700 whitespace-nowrap">
+                      {formatCategoryName(confusionMatrix.labels[rowIndex])}
+                    </td>
+                    {row.map((count, columnIndex) => {
+                      const intensity = count / maxConfusionCell
+                      const isDiagonal = rowIndex === columnIndex
+                      return (
+                        <td
+                          key={columnIndex}
+                          className="px-2 py-1 text-center border border-gray-100"
+                          style={{
+                            backgroundColor: count === 0
+                              ? 'transparent'
+                              : isDiagonal
+                                ? `rgba(16, 185, 129, ${0.15 + intensity * 0.6})`
+                                : `rgba(239, 68, 68, ${0.15 + intensity * 0.6})`
+                          }}
+                        >
+                          {count || ''}
+                        </td>
+                      )
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Improvement Suggestions */}
       {metrics?.improvementSuggestions && metrics.improvementSuggestions.length > 0 && (
         <div className="bg-amber-50 border border-amber-200 rounded-lg p-6">
@@ -358,12 +493,19 @@ console.log('Metrics fetched:', performanceMetrics);
                       {stats.highConfidence} / {stats.total} ({Math.round((stats.highConfidence / stats.total) * 100)}%)
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      <div className="w-full bg-gray-200 rounded-full h-2">
-                        <div 
-                          className="bg-blue-600 h-2 rounded-full" 
-                          style={{ width: `${(stats.highConfidence / stats.total) * 100}%` }}
-                        ></div>
-                      </div>
+                      {metrics?.categoryAccuracy?.[category] ? (
+                        <div className="flex items-center gap-2">
+                          <div className="w-full bg-gray-200 rounded-full h-2">
+                            <div 
+                              className="bg-blue-600 h-2 rounded-full" 
+                              style={{ width: `${metrics.categoryAccuracy[category].accuracy * 100}%` }}
+                            ></div>
+                          </div>
+                          <span>{Math.round(metrics.categoryAccuracy[category].accuracy * 100)}%</span>
+                        </div>
+                      ) : (
+                        <span className="text-gray-400">No data</span>
+                      )}
                     </td>
                   </tr>
                 ))}
@@ -0,0 +1,154 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase/client'
+import { AI_PROVIDER_TYPES } from '@/lib/ai'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select'
+import { CpuChipIcon } from '@heroicons/react/24/outline'
+
+const DEFAULT_PROVIDER_SETTINGS = {
+  type: 'gemini',
+  model: '',
+  baseUrl: ''
+}
+
+export default function AIProviderSettings({ project, onSaved, onError }) {
+  const [providerSettings, setProviderSettings] = useState(DEFAULT_PROVIDER_SETTINGS)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    setProviderSettings({
+      ...DEFAULT_PROVIDER_SETTINGS,
+      ...(project?.settings?.aiProvider || {})
+    })
+  }, [project])
+
+  const handleChange = (field, value) => {
+    setProviderSettings(prev => ({
+      ...prev,
+      [field]: value
+    }))
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) throw new Error('No session found')
+
+      // Only keep the fields that apply to the selected provider
+      const aiProvider = { type: providerSettings.type }
+      if (providerSettings.model.trim()) aiProvider.model = providerSettings.model.trim()
+      if (providerSettings.type === 'openai' || providerSettings.type === 'ollama') {
+        if (providerSettings.baseUrl.trim()) aiProvider.baseUrl = providerSettings.baseUrl.trim()
+      }
+
+      const response = await fetch(`/api/projects/${project.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({
+          settings: {
+            ...(project.settings || {}),
+            aiProvider
+          }
+        })
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.error || 'Failed to update AI provider')
+      }
+
+      onSaved?.('AI provider saved successfully!')
+    } catch (err) {
+      console.error('Error updating AI provider:', err)
+      onError?.(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const usesServer = providerSettings.type === 'openai' || providerSettings.type === 'ollama'
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <CpuChipIcon className="h-5 w-5 text-teal-600" />
+          AI Provider
+        </CardTitle>
+        <CardDescription>
+          Choose which model categorizes feedback and generates insights for this project
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <Label>Provider</Label>
+          <Select
+            value={providerSettings.type}
+            onValueChange={(value) => handleChange('type', value)}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {AI_PROVIDER_TYPES.map((type) => (
+                <SelectItem key={type.value} value={type.value}>
+                  {type.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {providerSettings.type !== 'mock' && (
+          <div className="space-y-2">
+            <Label htmlFor="aiModel">Model</Label>
+            <Input
+              id="aiModel"
+              value={providerSettings.model}
+              onChange={(e) => handleChange('model', e.target.value)}
+              placeholder="Leave empty to use the server default"
+            />
+          </div>
+        )}
+
+        {usesServer && (
+          <div className="space-y-2">
+            <Label htmlFor="aiBaseUrl">Server URL</Label>
+            <Input
+              id="aiBaseUrl"
+              value={providerSettings.baseUrl}
+              onChange={(e) => handleChange('baseUrl', e.target.value)}
+              placeholder={providerSettings.type === 'ollama' ? 'http://localhost:11434/v1' : 'https://api.openai.com/v1'}
+            />
+            <p className="text-xs text-gray-500">
+              Leave empty to use the server default. Other servers must be allowed by your administrator; API keys
+              are configured on the server, never with the project.
+            </p>
+          </div>
+        )}
+
+        <div className="flex justify-end pt-4">
+          <Button onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save AI Provider'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -3,6 +3,11 @@
 import { useState, useEffect } from 'react'
 import DateRangePicker from './DateRangePicker'
 import SearchQueryBuilder from './SearchQueryBuilder'
+import { getLanguageName } from '@/lib/languageDetection'
+import { EMOTIONS, URGENCY_LEVELS, getUrgencyLevel } from '@/lib/emotionDetection'
+
+// Feedback count from which text searches run against the database full-text index
+const SERVER_SEARCH_THRESHOLD = 1000
 
 export default function AdvancedSearchPanel({ 
   feedback, 
@@ -19,6 +24,9 @@ export default function AdvancedSearchPanel({
     sources: [],
     statuses: [],
     priorities: [],
+    languages: [],
+    emotions: [],
+    urgencyLevels: [],
     showArchived: false,
     sortBy: 'date',
     sortOrder: 'desc'
@@ -30,7 +38,10 @@ export default function AdvancedSearchPanel({
     sentiments: [...new Set(feedback.map(f => f.sentimentLabel || f.sentiment_label))].filter(Boolean),
     sources: [...new Set(feedback.map(f => f.source))].filter(Boolean),
     statuses: [...new Set(feedback.map(f => f.status))].filter(Boolean),
-    priorities: [...new Set(feedback.map(f => f.priority))].filter(Boolean)
+    priorities: [...new Set(feedback.map(f => f.priority))].filter(Boolean),
+    languages: [...new Set(feedback.map(f => f.language))].filter(Boolean),
+    emotions: EMOTIONS.filter(emotion => feedback.some(f => f.emotions?.includes(emotion.value))),
+    urgencyLevels: URGENCY_LEVELS.filter(level => feedback.some(f => getUrgencyLevel(f.urgencyScore) === level.value))
   }
 
   // Apply all filters to feedback
@@ -87,6 +98,27 @@ export default function AdvancedSearchPanel({
       )
     }
 
+    // Apply language filter
+    if (currentFilters.languages.length > 0) {
+      filtered = filtered.filter(item =>
+        currentFilters.languages.includes(item.language)
+      )
+    }
+
+    // Apply emotion filter
+    if (currentFilters.emotions.length > 0) {
+      filtered = filtered.filter(item =>
+        currentFilters.emotions.some(emotion => item.emotions?.includes(emotion))
+      )
+    }
+
+    // Apply urgency filter
+    if (currentFilters.urgencyLevels.length > 0) {
+      filtered = filtered.filter(item =>
+        currentFilters.urgencyLevels.includes(getUrgencyLevel(item.urgencyScore))
+      )
+    }
+
     // Apply archived filter
     if (!currentFilters.showArchived) {
       filtered = filtered.filter(item => !item.isArchived)
@@ -116,6 +148,10 @@ export default function AdvancedSearchPanel({
           aValue = priorityOrder[a.priority] || 2
           bValue = priorityOrder[b.priority] || 2
           break
+        case 'urgency':
+          aValue = parseFloat(a.urgencyScore || 0)
+          bValue = parseFloat(b.urgencyScore || 0)
+          break
         case 'status':
           // Status order: new > in_review > resolved > archived
           const statusOrder = { new: 4, in_review: 3, resolved: 2, archived: 1 }
@@ -123,6 +159,12 @@ export default function AdvancedSearchPanel({
           bValue = statusOrder[b.status] || 4
           break
         case 'relevance':
+          // Semantic and full-text searches come with relevance scores from the server
+          if (currentFilters.parsedQuery?.scores) {
+            aValue = currentFilters.parsedQuery.scores[a.id] || 0
+            bValue = currentFilters.parsedQuery.scores[b.id] || 0
+            break
+          }
           // For relevance, prioritize search matches
           aValue = currentFilters.searchQuery ?
             (a.content.toLowerCase().includes(currentFilters.searchQuery.toLowerCase()) ? 1 : 0) : 0
@@ -156,7 +198,9 @@ export default function AdvancedSearchPanel({
       ...prev,
       searchQuery: query,
       parsedQuery: parsedQuery,
-      searchFunction: searchFunction
+      searchFunction: searchFunction,
+      // Server-ranked results are only useful best match first
+      ...(parsedQuery?.scores && !prev.parsedQuery?.scores ? { sortBy: 'relevance', sortOrder: 'desc' } : {})
     }))
   }
 
@@ -199,6 +243,9 @@ export default function AdvancedSearchPanel({
       sources: [],
       statuses: [],
       priorities: [],
+      languages: [],
+      emotions: [],
+      urgencyLevels: [],
       showArchived: false,
       sortBy: 'date',
       sortOrder: 'desc'
@@ -214,6 +261,9 @@ export default function AdvancedSearchPanel({
     filters.sources.length > 0 ||
     filters.statuses.length > 0 ||
     filters.priorities.length > 0 ||
+    filters.languages.length > 0 ||
+    filters.emotions.length > 0 ||
+    filters.urgencyLevels.length > 0 ||
     filters.showArchived
 
   const getResultsCount = () => {
@@ -263,6 +313,8 @@ export default function AdvancedSearchPanel({
       {/* Search Bar (Always Visible) */}
       <div className="px-6 py-4">
         <SearchQueryBuilder
+          projectId={feedback.find(f => f.projectId)?.projectId}
+          serverSearch={feedback.length >= SERVER_SEARCH_THRESHOLD}
           onSearchChange={handleSearchChange}
           placeholder="Search feedback content with advanced operators..."
         />
@@ -344,7 +396,7 @@ export default function AdvancedSearchPanel({
           </div>
 
           {/* Enhanced Filters Row */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
             {/* Status */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -389,6 +441,26 @@ export default function AdvancedSearchPanel({
               </div>
             </div>
 
+            {/* Languages */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Language
+              </label>
+              <div className="space-y-2 max-h-40 overflow-y-auto">
+                {filterOptions.languages.map(language => (
+                  <label key={language} className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={filters.languages.includes(language)}
+                      onChange={() => handleMultiSelectChange('languages', language)}
+                      className="rounded border-gray-300 text-blue-600 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">{getLanguageName(language)}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
             {/* Archive Options */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -408,6 +480,49 @@ export default function AdvancedSearchPanel({
             </div>
           </div>
 
+          {/* Emotion & Urgency Filters */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+            {/* Emotions */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Emotions
+              </label>
+              <div className="space-y-2">
+                {filterOptions.emotions.map(emotion => (
+                  <label key={emotion.value} className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={filters.emotions.includes(emotion.value)}
+                      onChange={() => handleMultiSelectChange('emotions', emotion.value)}
+                      className="rounded border-gray-300 text-blue-600 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">{emotion.emoji} {emotion.label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {/* Urgency */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Urgency
+              </label>
+              <div className="space-y-2">
+                {filterOptions.urgencyLevels.map(level => (
+                  <label key={level.value} className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={filters.urgencyLevels.includes(level.value)}
+                      onChange={() => handleMultiSelectChange('urgencyLevels', level.value)}
+                      className="rounded border-gray-300 text-blue-600 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">{level.label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+
           {/* Sorting Options */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -422,6 +537,7 @@ export default function AdvancedSearchPanel({
                 <option value="date">Date</option>
                 <option value="sentiment">Sentiment Score</option>
                 <option value="priority">Priority</option>
+                <option value="urgency">Urgency</option>
                 <option value="status">Status</option>
                 <option value="relevance">Relevance</option>
               </select>
@@ -16,11 +16,16 @@ import {
 import { Bar, Pie, Line, Doughnut } from 'react-chartjs-2'
 import TimeRangeSelector from './TimeRangeSelector'
 import ExportPanel from './ExportPanel'
+import TopicClusters from './TopicClusters'
+import ScenarioAnalysis from './ScenarioAnalysis'
+import { StatisticalAnalyzer } from '@/lib/analytics/StatisticalAnalyzer'
+import { getLanguageName, UNKNOWN_LANGUAGE } from '@/lib/languageDetection'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { Button } from '@/components/ui/button'
 import { Progress } from '@/components/ui/progress'
 import { Separator } from '@/components/ui/separator'
+import { Alert, AlertDescription } from '@/components/ui/alert'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
 import { format, isWithinInterval, subDays, subMonths, subYears, startOfDay, endOfDay, parseISO, isValid } from 'date-fns'
 
@@ -36,7 +41,9 @@ ChartJS.register(
   LineElement
 )
 
-export default function Analytics({ feedback }) {
+const statisticalAnalyzer = new StatisticalAnalyzer()
+
+export default function Analytics({ feedback, projectId }) {
   const [selectedTimeRange, setSelectedTimeRange] = useState({
     start: startOfDay(subDays(new Date(), 29)),
     end: endOfDay(new Date()),
@@ -44,6 +51,9 @@ export default function Analytics({ feedback }) {
   })
   const [showExportPanel, setShowExportPanel] = useState(false)
 
+  // Themes are computed per project, fall back to the project of the feedback shown
+  const themesProjectId = projectId || feedback?.find(f => f.projectId)?.projectId
+
   // Filter feedback by selected time range
   const filteredFeedback = useMemo(() => {
     if (!selectedTimeRange.start || !selectedTimeRange.end) return feedback
@@ -133,6 +143,7 @@ export default function Analytics({ feedback }) {
         sentimentDistribution: { positive: 0, negative: 0, neutral: 0 },
         categoryDistribution: {},
         sourceDistribution: {},
+        languageDistribution: {},
         recentTrend: [],
         averageSentiment: 0,
         aiMetrics: {
@@ -149,6 +160,8 @@ export default function Analytics({ feedback }) {
 
     // Basic metrics
     const totalFeedback = filteredFeedback.length
+    // Merged duplicates still count as reports; unique issues count each canonical feedback once
+    const mergedDuplicates = filteredFeedback.filter(f => f.duplicateOfId).length
     const averageSentiment = totalFeedback > 0
       ? filteredFeedback.reduce((sum, f) => {
           const score = parseFloat(f.sentimentScore || f.sentiment_score || 0)
@@ -175,6 +188,16 @@ export default function Analytics({ feedback }) {
       return acc
     }, {})
 
+    // Language distribution with the sentiment split per language
+    const languageDistribution = filteredFeedback.reduce((acc, f) => {
+      const language = f.language || UNKNOWN_LANGUAGE
+      const label = f.sentimentLabel || f.sentiment_label || 'neutral'
+      acc[language] = acc[language] || { count: 0, positive: 0, negative: 0, neutral: 0 }
+      acc[language].count++
+      acc[language][label] = (acc[language][label] || 0) + 1
+      return acc
+    }, {})
+
     // AI Analytics
     const aiAnalyzedFeedback = filteredFeedback.filter(f => f.aiCategoryConfidence !== null && f.aiCategoryConfidence !== undefined)
     const totalAIAnalyzed = aiAnalyzedFeedback.length
@@ -322,9 +345,12 @@ export default function Analytics({ feedback }) {
 
     return {
       totalFeedback,
+      mergedDuplicates,
+      uniqueIssues: totalFeedback - mergedDuplicates,
       sentimentDistribution,
       categoryDistribution,
       sourceDistribution,
+      languageDistribution,
       recentTrend,
       averageSentiment,
       previousPeriodData,
@@ -345,6 +371,11 @@ export default function Analytics({ feedback }) {
       (f.sentimentLabel || f.sentiment_label) === 'positive'
     ).length
     
+    const currentNegativeShare = currentTotal > 0 ? (analytics.sentimentDistribution.negative || 0) / currentTotal : 0
+    const previousNegativeShare = previousTotal > 0 ? previousPeriodData.filter(f =>
+      (f.sentimentLabel || f.sentiment_label) === 'negative'
+    ).length / previousTotal : 0
+
     const currentAvgSentiment = analytics.averageSentiment
     const previousAvgSentiment = previousTotal > 0 ?
       previousPeriodData.reduce((sum, f) => sum + parseFloat(f.sentimentScore || f.sentiment_score || 0), 0) / previousTotal : 0
@@ -354,13 +385,19 @@ export default function Analytics({ feedback }) {
       return ((current - previous) / previous) * 100
     }
 
+    const hasPreviousData = previousTotal > 0
+
     return {
       totalChange: calculateChange(currentTotal, previousTotal),
       positiveChange: calculateChange(currentPositive, previousPositive),
       sentimentChange: calculateChange(currentAvgSentiment, previousAvgSentiment),
-      hasPreviousData: previousTotal > 0
+      // Percentage points, since the share itself is a percentage
+      negativeShareChange: (currentNegativeShare - previousNegativeShare) * 100,
+      hasPreviousData,
+      // Whether the changes are larger than chance variation between two periods
+      significance: hasPreviousData ? statisticalAnalyzer.comparePeriods(filteredFeedback, previousPeriodData) : null
     }
-  }, [analytics, previousPeriodData])
+  }, [analytics, filteredFeedback, previousPeriodData])
 
   const handleTimeRangeChange = (start, end, rangeId) => {
     setSelectedTimeRange({ start, end, rangeId })
@@ -503,12 +540,40 @@ export default function Analytics({ feedback }) {
     return `${sign}${change.toFixed(1)}%`
   }
 
+  const formatPoints = (change) => {
+    const sign = change > 0 ? '+' : ''
+    return `${sign}${change.toFixed(1)} pts`
+  }
+
   const getChangeColor = (change) => {
     if (change > 0) return 'text-green-600'
     if (change < 0) return 'text-red-600'
     return 'text-gray-600'
   }
 
+  // Changes that could be chance variation stay gray
+  const getChangeBadgeClass = (change, test) => {
+    if (test && !test.significant) return 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+    if (change > 0) return 'bg-green-100 text-green-700 hover:bg-green-200'
+    if (change < 0) return 'bg-red-100 text-red-700 hover:bg-red-200'
+    return 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+  }
+
+  const renderSignificance = (test) => {
+    if (!test) return null
+    if (!test.sufficient) {
+      return <span className="text-amber-600" title="Too few feedback entries to tell a real change from chance">⚠️ Too few to compare</span>
+    }
+    return test.significant
+      ? <span className="font-medium text-gray-900">Significant ({statisticalAnalyzer.formatPValue(test.pValue)})</span>
+      : <span>Not significant ({statisticalAnalyzer.formatPValue(test.pValue)})</span>
+  }
+
+  const formatInterval = (interval, scale = 100) => {
+    if (!interval || interval.lower === null) return null
+    return `${Math.round(interval.level * 100)}% CI ${(interval.lower * scale).toFixed(1)}-${(interval.upper * scale).toFixed(1)}%`
+  }
+
   if (feedback.length === 0) {
     return (
       <Card>
@@ -620,13 +685,7 @@ export default function Analytics({ feedback }) {
             <div className="flex items-center space-x-2 text-xs text-muted-foreground">
               {periodComparison.hasPreviousData ? (
                 <>
-                  <Badge
-                    className={
-                      periodComparison.totalChange > 0 ? 'bg-green-100 text-green-700 hover:bg-green-200' :
-                      periodComparison.totalChange < 0 ? 'bg-red-100 text-red-700 hover:bg-red-200' :
-                      'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                    }
-                  >
+                  <Badge className={getChangeBadgeClass(periodComparison.totalChange, periodComparison.significance?.volume)}>
                     {formatChange(periodComparison.totalChange)}
                   </Badge>
                   <span>from previous period</span>
@@ -637,6 +696,16 @@ export default function Analytics({ feedback }) {
                 </Badge>
               )}
             </div>
+            {periodComparison.hasPreviousData && (
+              <p className="text-xs text-muted-foreground mt-1">
+                {renderSignificance(periodComparison.significance.volume)}
+              </p>
+            )}
+            {analytics.mergedDuplicates > 0 && (
+              <p className="text-xs text-muted-foreground mt-1">
+                {analytics.uniqueIssues} unique • {analytics.mergedDuplicates} merged duplicates
+              </p>
+            )}
           </CardContent>
         </Card>
 
@@ -652,13 +721,7 @@ export default function Analytics({ feedback }) {
             <div className="flex items-center space-x-2 text-xs text-muted-foreground">
               {periodComparison.hasPreviousData ? (
                 <>
-                  <Badge
-                    className={
-                      periodComparison.positiveChange > 0 ? 'bg-green-100 text-green-700 hover:bg-green-200' :
-                      periodComparison.positiveChange < 0 ? 'bg-red-100 text-red-700 hover:bg-red-200' :
-                      'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                    }
-                  >
+                  <Badge className={getChangeBadgeClass(periodComparison.positiveChange, periodComparison.significance?.positiveShare)}>
                     {formatChange(periodComparison.positiveChange)}
                   </Badge>
                   <span>from previous period</span>
@@ -669,6 +732,13 @@ export default function Analytics({ feedback }) {
                 </Badge>
               )}
             </div>
+            {periodComparison.hasPreviousData && (
+              <p className="text-xs text-muted-foreground mt-1">
+                Positive share: {renderSignificance(periodComparison.significance.positiveShare)}
+                {formatInterval(periodComparison.significance.confidenceIntervals.current.sentimentProportions.positive) &&
+                  ` • ${formatInterval(periodComparison.significance.confidenceIntervals.current.sentimentProportions.positive)}`}
+              </p>
+            )}
           </CardContent>
         </Card>
 
@@ -687,6 +757,14 @@ export default function Analytics({ feedback }) {
                 'No data'
               }
             </p>
+            {periodComparison.hasPreviousData && analytics.totalFeedback > 0 && (
+              <p className="text-xs text-muted-foreground mt-1">
+                <span className={getChangeColor(-periodComparison.negativeShareChange)}>
+                  {formatPoints(periodComparison.negativeShareChange)}
+                </span>{' '}
+                negative share • {renderSignificance(periodComparison.significance.negativeShare)}
+              </p>
+            )}
           </CardContent>
         </Card>
 
@@ -704,13 +782,7 @@ export default function Analytics({ feedback }) {
             <div className="flex items-center space-x-2 text-xs text-muted-foreground">
               {periodComparison.hasPreviousData ? (
                 <>
-                  <Badge
-                    className={
-                      periodComparison.sentimentChange > 0 ? 'bg-green-100 text-green-700 hover:bg-green-200' :
-                      periodComparison.sentimentChange < 0 ? 'bg-red-100 text-red-700 hover:bg-red-200' :
-                      'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                    }
-                  >
+                  <Badge className={getChangeBadgeClass(periodComparison.sentimentChange, periodComparison.significance?.averageSentiment)}>
                     {formatChange(periodComparison.sentimentChange)}
                   </Badge>
                   <span>from previous period</span>
@@ -721,6 +793,13 @@ export default function Analytics({ feedback }) {
                 </Badge>
               )}
             </div>
+            {periodComparison.hasPreviousData && (
+              <p className="text-xs text-muted-foreground mt-1">
+                {renderSignificance(periodComparison.significance.averageSentiment)}
+                {formatInterval(periodComparison.significance.confidenceIntervals.current.sentimentMean) &&
+                  ` • ${formatInterval(periodComparison.significance.confidenceIntervals.current.sentimentMean)}`}
+              </p>
+            )}
           </CardContent>
         </Card>
       </div>
@@ -803,10 +882,11 @@ export default function Analytics({ feedback }) {
 
       {/* Charts */}
       <Tabs defaultValue="overview" className="space-y-4">
-        <TabsList className="grid w-full grid-cols-3">
+        <TabsList className="grid w-full grid-cols-4">
           <TabsTrigger value="overview">Overview</TabsTrigger>
           <TabsTrigger value="ai-insights">AI Insights</TabsTrigger>
           <TabsTrigger value="trends">Trends</TabsTrigger>
+          <TabsTrigger value="scenarios">Scenarios</TabsTrigger>
         </TabsList>
         
         <TabsContent value="overview" className="space-y-4">
@@ -930,6 +1010,11 @@ export default function Analytics({ feedback }) {
             )}
           </div>
         </TabsContent>
+
+        <TabsContent value="scenarios" className="space-y-4">
+          {/* Forecasts need the whole history, not just the selected time range */}
+          <ScenarioAnalysis feedback={feedback} />
+        </TabsContent>
       </Tabs>
 
 
@@ -1016,6 +1101,9 @@ export default function Analytics({ feedback }) {
         </Card>
       )}
 
+      {/* Emerging Themes - clustered per project, so only shown for project feedback */}
+      <TopicClusters projectId={themesProjectId} />
+
       {/* Source Distribution */}
       <Card>
         <CardHeader>
@@ -1045,6 +1133,41 @@ export default function Analytics({ feedback }) {
         </CardContent>
       </Card>
 
+      {/* Language Distribution */}
+      {Object.keys(analytics.languageDistribution).some(language => language !== UNKNOWN_LANGUAGE) && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Feedback Languages</CardTitle>
+            <CardDescription>
+              Detected language of the feedback and its sentiment split
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {Object.entries(analytics.languageDistribution)
+              .sort((a, b) => b[1].count - a[1].count)
+              .map(([language, stats]) => (
+                <div key={language} className="space-y-2">
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm font-medium">{getLanguageName(language)}</span>
+                    <div className="flex items-center gap-2">
+                      <span className="text-xs text-green-600">{stats.positive} positive</span>
+                      <span className="text-xs text-red-600">{stats.negative} negative</span>
+                      <Badge variant="outline" className="text-xs">
+                        {Math.round((stats.count / analytics.totalFeedback) * 100)}%
+                      </Badge>
+                      <span className="text-sm text-muted-foreground">{stats.count}</span>
+                    </div>
+                  </div>
+                  <Progress
+                    value={(stats.count / analytics.totalFeedback) * 100}
+                    className="h-2"
+                  />
+                </div>
+              ))}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Period Comparison Summary */}
       {periodComparison.hasPreviousData && (
         <Card>
@@ -1060,51 +1183,49 @@ export default function Analytics({ feedback }) {
                 selectedTimeRange.rangeId.replace('last', '').replace('days', ' days').replace('months', ' months').replace('1year', ' year')}
             </CardDescription>
           </CardHeader>
-          <CardContent>
+          <CardContent className="space-y-4">
+            {periodComparison.significance.smallSample && (
+              <Alert>
+                <AlertDescription>
+                  The smaller period has only {Math.min(analytics.totalFeedback, previousPeriodData.length)} feedback entries, too few for
+                  firm conclusions: treat changes as indicative, and gray changes as chance variation.
+                </AlertDescription>
+              </Alert>
+            )}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
               <div className="text-center space-y-2">
                 <div className="text-3xl font-bold">
-                  <Badge
-                    className={
-                      periodComparison.totalChange > 0 ? 'bg-green-100 text-green-700 hover:bg-green-200 text-lg px-3 py-1' :
-                      periodComparison.totalChange < 0 ? 'bg-red-100 text-red-700 hover:bg-red-200 text-lg px-3 py-1' :
-                      'bg-gray-100 text-gray-700 hover:bg-gray-200 text-lg px-3 py-1'
-                    }
-                  >
+                  <Badge className={`${getChangeBadgeClass(periodComparison.totalChange, periodComparison.significance?.volume)} text-lg px-3 py-1`}>
                     {formatChange(periodComparison.totalChange)}
                   </Badge>
                 </div>
                 <div className="text-sm text-muted-foreground font-medium">Total Feedback</div>
+                <div className="text-xs text-muted-foreground">{renderSignificance(periodComparison.significance.volume)}</div>
               </div>
               <div className="text-center space-y-2">
                 <div className="text-3xl font-bold">
-                  <Badge
-                    className={
-                      periodComparison.positiveChange > 0 ? 'bg-green-100 text-green-700 hover:bg-green-200 text-lg px-3 py-1' :
-                      periodComparison.positiveChange < 0 ? 'bg-red-100 text-red-700 hover:bg-red-200 text-lg px-3 py-1' :
-                      'bg-gray-100 text-gray-700 hover:bg-gray-200 text-lg px-3 py-1'
-                    }
-                  >
+                  <Badge className={`${getChangeBadgeClass(periodComparison.positiveChange, periodComparison.significance?.positiveShare)} text-lg px-3 py-1`}>
                     {formatChange(periodComparison.positiveChange)}
                   </Badge>
                 </div>
                 <div className="text-sm text-muted-foreground font-medium">Positive Feedback</div>
+                <div className="text-xs text-muted-foreground">{renderSignificance(periodComparison.significance.positiveShare)}</div>
               </div>
               <div className="text-center space-y-2">
                 <div className="text-3xl font-bold">
-                  <Badge
-                    className={
-                      periodComparison.sentimentChange > 0 ? 'bg-green-100 text-green-700 hover:bg-green-200 text-lg px-3 py-1' :
-                      periodComparison.sentimentChange < 0 ? 'bg-red-100 text-red-700 hover:bg-red-200 text-lg px-3 py-1' :
-                      'bg-gray-100 text-gray-700 hover:bg-gray-200 text-lg px-3 py-1'
-                    }
-                  >
+                  <Badge className={`${getChangeBadgeClass(periodComparison.sentimentChange, periodComparison.significance?.averageSentiment)} text-lg px-3 py-1`}>
                     {formatChange(periodComparison.sentimentChange)}
                   </Badge>
                 </div>
                 <div className="text-sm text-muted-foreground font-medium">Avg Sentiment</div>
+                <div className="text-xs text-muted-foreground">{renderSignificance(periodComparison.significance.averageSentiment)}</div>
               </div>
             </div>
+            <p className="text-xs text-muted-foreground">
+              Significance at the {statisticalAnalyzer.options.significanceLevel * 100}% level: feedback volume with a Poisson rate test,
+              sentiment shares with two-proportion z-tests, average sentiment with Welch&apos;s t-test (a bootstrap test below{' '}
+              {statisticalAnalyzer.options.minSampleSize} entries per period).
+            </p>
           </CardContent>
         </Card>
       )}
@@ -1,9 +1,10 @@
 'use client'
 
-import { useState, useEffect } from 'react'
+import { useState } from 'react'
 import { supabase } from '@/lib/supabase/client'
+import { toCategoryOptions } from '@/lib/categories'
 
-export default function BulkRecategorization({ feedback, onUpdate }) {
+export default function BulkRecategorization({ feedback, onUpdate, categories }) {
   const [selectedItems, setSelectedItems] = useState([])
   const [isProcessing, setIsProcessing] = useState(false)
   const [showBulkPanel, setShowBulkPanel] = useState(false)
@@ -12,40 +13,8 @@ export default function BulkRecategorization({ feedback, onUpdate }) {
   const [progress, setProgress] = useState({ processed: 0, total: 0, percentage: 0 })
   const [processingLog, setProcessingLog] = useState([])
 
-  const categories = [
-    { value: 'feature_request', label: 'Feature Request' },
-    { value: 'bug_report', label: 'Bug Report' },
-    { value: 'shipping_complaint', label: 'Shipping Complaint' },
-    { value: 'product_quality', label: 'Product Quality' },
-    { value: 'customer_service', label: 'Customer Service' },
-    { value: 'general_inquiry', label: 'General Inquiry' },
-    { value: 'refund_request', label: 'Refund Request' },
-    { value: 'compliment', label: 'Compliment' }
-  ]
-
-  // Load custom categories from localStorage
-  const [customCategories, setCustomCategories] = useState([])
-
-  useEffect(() => {
-    loadCustomCategories()
-  }, [])
-
-  const loadCustomCategories = () => {
-    try {
-      const storedCategories = localStorage.getItem('feedbacksense_custom_categories')
-      if (storedCategories) {
-        const custom = JSON.parse(storedCategories)
-        setCustomCategories(custom.filter(cat => cat.isActive !== false))
-      }
-    } catch (error) {
-      console.warn('Error loading custom categories:', error)
-    }
-  }
-
-  const allCategories = [...categories, ...customCategories.map(cat => ({
-    value: cat.id,
-    label: cat.name
-  }))]
+  // Category options ({value, label}) of the project, the defaults when none are passed
+  const allCategories = categories || toCategoryOptions()
 
   const handleSelectAll = () => {
     if (selectedItems.length === feedback.length) {
@@ -166,7 +135,8 @@ export default function BulkRecategorization({ feedback, onUpdate }) {
             body: JSON.stringify({ 
               category,
               manualOverride: true,
-              bulkOperation: true
+              bulkOperation: true,
+              correctionSource: 'bulk_recategorization'
             })
           })
         )
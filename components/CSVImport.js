@@ -2,7 +2,6 @@
 
 import { useState } from 'react'
 import { supabase } from '@/lib/supabase/client'
-import { batchAnalyzeAndCategorizeFeedback } from '@/lib/sentimentAnalysis'
 import { getBatchConfig } from '@/lib/batchConfig'
 import Papa from 'papaparse'
 import { Button } from '@/components/ui/button'
@@ -14,6 +13,8 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Label } from '@/components/ui/label'
 import { Separator } from '@/components/ui/separator'
 import { track } from '@vercel/analytics'
+import { formatRedactionCounts } from '@/lib/piiRedaction'
+import { parseCustomerValue } from '@/lib/priorityEngine'
 
 export default function CSVImport({ onFeedbackImported, projectId }) {
   const [file, setFile] = useState(null)
@@ -25,7 +26,8 @@ export default function CSVImport({ onFeedbackImported, projectId }) {
     content: '',
     source: '',
     category: '',
-    date: ''
+    date: '',
+    customerValue: ''
   })
 
   const handleFileChange = (e) => {
@@ -188,17 +190,39 @@ export default function CSVImport({ onFeedbackImported, projectId }) {
             
             setMessage(`🚀 Starting batch analysis with optimized processing (${adjustedBatchSize} items per batch)...`)
             
-            // Use batch analysis with progress tracking
-            const analysisResults = await batchAnalyzeAndCategorizeFeedback(
-              contentTexts,
-              adjustedBatchSize,
-              (progress) => {
-                setMessage(
-                  `⚡ ${batchConfig.description}: Batch ${progress.batchesCompleted}/${progress.totalBatches} - ` +
-                  `${progress.processed}/${progress.total} entries analyzed (${progress.percentage}%)`
-                )
+            // The server analyzes with the project's AI provider, rules and few-shot examples; one request per batch
+            const analysisResults = []
+            const totalBatches = Math.ceil(total / adjustedBatchSize)
+            for (let i = 0; i < total; i += adjustedBatchSize) {
+              const batchRows = validRows.slice(i, i + adjustedBatchSize)
+              const response = await fetch('/api/feedback/analyze', {
+                method: 'POST',
+                headers: {
+                  'Content-Type': 'application/json',
+                  'Authorization': `Bearer ${session.access_token}`
+                },
+                body: JSON.stringify({
+                  texts: contentTexts.slice(i, i + adjustedBatchSize),
+                  sources: batchRows.map(row => row[columnMapping.source] || 'csv_import'),
+                  projectId
+                })
+              })
+
+              if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }))
+                throw new Error(`Analysis failed (${response.status}): ${errorData.error || 'Unknown error'}`)
               }
-            )
+
+              const { results, maskedEntities } = await response.json()
+              analysisResults.push(...results)
+
+              const masked = formatRedactionCounts(maskedEntities)
+              setMessage(
+                `⚡ ${batchConfig.description}: Batch ${Math.floor(i / adjustedBatchSize) + 1}/${totalBatches} - ` +
+                `${analysisResults.length}/${total} entries analyzed (${Math.round((analysisResults.length / total) * 100)}%)` +
+                (masked ? ` - 🛡️ masked ${masked}` : '')
+              )
+            }
             
             // Create feedback objects with analysis results
             const feedbacks = validRows.map((row, index) => {
@@ -211,7 +235,16 @@ export default function CSVImport({ onFeedbackImported, projectId }) {
                 sentimentScore: analysisResult.sentimentScore,
                 sentimentLabel: analysisResult.sentimentLabel,
                 feedbackDate: row[columnMapping.date] || new Date().toISOString(),
+                customerValue: columnMapping.customerValue ? parseCustomerValue(row[columnMapping.customerValue]) : null,
                 topics: analysisResult.topics || [],
+                aspects: analysisResult.aspects || [],
+                emotions: analysisResult.emotions || [],
+                urgencyScore: analysisResult.urgencyScore,
+                priority: analysisResult.suggestedPriority,
+                language: analysisResult.language,
+                languageConfidence: analysisResult.languageConfidence,
+                translatedContent: analysisResult.translatedContent,
+                translationLanguage: analysisResult.translationLanguage,
                 // Include AI analysis data
                 aiCategoryConfidence: analysisResult.aiCategoryConfidence,
                 aiClassificationMeta: analysisResult.classificationMeta,
@@ -247,7 +280,8 @@ export default function CSVImport({ onFeedbackImported, projectId }) {
                   totalRows: feedbacks.length,
                   hadSourceMapping: !!columnMapping.source,
                   hadCategoryMapping: !!columnMapping.category,
-                  hadDateMapping: !!columnMapping.date
+                  hadDateMapping: !!columnMapping.date,
+                  hadCustomerValueMapping: !!columnMapping.customerValue
                 })
                 
                 setMessage(`🎉 Successfully imported ${result.count} feedback entries with AI batch analysis! All entries were processed efficiently using batch processing.`)
@@ -257,7 +291,7 @@ export default function CSVImport({ onFeedbackImported, projectId }) {
                 setFile(null)
                 setPreview(null)
                 setTotalRows(0)
-                setColumnMapping({ content: '', source: '', category: '', date: '' })
+                setColumnMapping({ content: '', source: '', category: '', date: '', customerValue: '' })
               } catch (saveError) {
                 console.error('Database save error:', saveError)
                 
@@ -371,7 +405,7 @@ export default function CSVImport({ onFeedbackImported, projectId }) {
                   <div className="flex items-center gap-2 mb-4">
                     <span className="text-sm font-medium text-purple-900">📋 Column Mapping</span>
                     <Badge variant="outline" className="text-xs">
-                      {Object.values(columnMapping).filter(v => v).length} of 4 mapped
+                      {Object.values(columnMapping).filter(v => v).length} of 5 mapped
                     </Badge>
                   </div>
                   
@@ -503,6 +537,38 @@ export default function CSVImport({ onFeedbackImported, projectId }) {
                         If empty, we'll use today's date
                       </p>
                     </div>
+
+                    {/* Customer Value Column */}
+                    <div className="space-y-3 p-4 border-2 border-teal-200 rounded-lg bg-teal-50/50">
+                      <div className="flex items-center gap-2">
+                        <div className="h-3 w-3 bg-teal-500 rounded-full"></div>
+                        <Label className="font-medium text-teal-900">
+                          💰 Customer Value
+                        </Label>
+                        <Badge variant="secondary" className="text-xs">Optional</Badge>
+                      </div>
+                      <Select
+                        value={columnMapping.customerValue || "none"}
+                        onValueChange={(value) => setColumnMapping({...columnMapping, customerValue: value === "none" ? "" : value})}
+                      >
+                        <SelectTrigger className="border-teal-300 focus:border-teal-500">
+                          <SelectValue placeholder="What is the customer worth?" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="none" className="text-gray-500">
+                            ⏭️ Skip this field
+                          </SelectItem>
+                          {preview.meta.fields.map(field => (
+                            <SelectItem key={field} value={field}>
+                              💰 {field}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <p className="text-xs text-teal-700">
+                        e.g., annual revenue or lifetime value - raises the priority of valuable customers
+                      </p>
+                    </div>
                   </div>
                 </div>
 
@@ -544,6 +610,7 @@ export default function CSVImport({ onFeedbackImported, projectId }) {
                                       {mappingType === 'source' && <Badge className="text-xs bg-blue-500">📍 Source</Badge>}
                                       {mappingType === 'category' && <Badge className="text-xs bg-green-500">🏷️ Category</Badge>}
                                       {mappingType === 'date' && <Badge className="text-xs bg-orange-500">📅 Date</Badge>}
+                                      {mappingType === 'customerValue' && <Badge className="text-xs bg-teal-500">💰 Value</Badge>}
                                     </div>
                                   )}
                                 </div>
@@ -602,6 +669,7 @@ export default function CSVImport({ onFeedbackImported, projectId }) {
                             {columnMapping.source && <span>📍 Source: {columnMapping.source}</span>}
                             {columnMapping.category && <span>🏷️ Category: {columnMapping.category}</span>}
                             {columnMapping.date && <span>📅 Date: {columnMapping.date}</span>}
+                            {columnMapping.customerValue && <span>💰 Value: {columnMapping.customerValue}</span>}
                           </div>
                         </div>
                         <Button
@@ -0,0 +1,319 @@
+'use client'
+
+import { useState, useEffect, useMemo } from 'react'
+import { supabase } from '@/lib/supabase/client'
+import { useProjectCategories } from '@/hooks/useProjectCategories'
+import { toClassifierCategories } from '@/lib/categories'
+import {
+  RULE_TYPES,
+  validateRule,
+  normalizeRules,
+  getProjectRules,
+  matchCategorizationRule
+} from '@/lib/categorizationRules'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select'
+import { FunnelIcon, ArrowUpIcon, ArrowDownIcon, TrashIcon } from '@heroicons/react/24/outline'
+
+const EMPTY_RULE = {
+  name: '',
+  type: 'keyword',
+  pattern: '',
+  category: '',
+  minLength: '',
+  caseSensitive: false,
+  enabled: true
+}
+
+export default function CategorizationRules({ project, onSaved, onError }) {
+  const { categories } = useProjectCategories(project?.id)
+  const [rules, setRules] = useState([])
+  const [newRule, setNewRule] = useState(EMPTY_RULE)
+  const [saving, setSaving] = useState(false)
+  const [testText, setTestText] = useState('')
+  const [testSource, setTestSource] = useState('')
+
+  useEffect(() => {
+    const saved = project?.settings?.categorizationRules
+    setRules(Array.isArray(saved)
+      ? [...saved].sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity))
+      : [])
+  }, [project])
+
+  // Rules can only assign categories the classifiers use
+  const targetCategories = useMemo(() => toClassifierCategories(categories), [categories])
+  const categoryNames = useMemo(
+    () => new Map(targetCategories.map(category => [category.id, category.name])),
+    [targetCategories]
+  )
+
+  // Preview runs the rules as edited, before they are saved
+  const previewMatch = useMemo(() => {
+    if (!testText.trim()) return null
+    const previewRules = getProjectRules({ settings: { categorizationRules: normalizeRules(rules) } })
+    return matchCategorizationRule(testText, previewRules, {
+      source: testSource.trim() || null,
+      categories: targetCategories
+    }) || false
+  }, [testText, testSource, rules, targetCategories])
+
+  const newRuleError = newRule.name || newRule.pattern ? validateRule(newRule) : null
+
+  const handleAddRule = () => {
+    const error = validateRule(newRule)
+    if (error) {
+      onError?.(error)
+      return
+    }
+    setRules(prev => [...prev, { ...newRule }])
+    setNewRule(EMPTY_RULE)
+  }
+
+  const moveRule = (index, direction) => {
+    setRules(prev => {
+      const next = [...prev]
+      const target = index + direction
+      if (target < 0 || target >= next.length) return prev
+      ;[next[index], next[target]] = [next[target], next[index]]
+      return next
+    })
+  }
+
+  const updateRule = (index, updates) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...updates } : rule)))
+  }
+
+  const removeRule = (index) => {
+    setRules(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+
+      const invalid = rules.map(validateRule).find(Boolean)
+      if (invalid) throw new Error(invalid)
+
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) throw new Error('No session found')
+
+      const response = await fetch(`/api/projects/${project.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({
+          settings: {
+            ...(project.settings || {}),
+            categorizationRules: normalizeRules(rules)
+          }
+        })
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.error || 'Failed to save categorization rules')
+      }
+
+      onSaved?.('Categorization rules saved successfully!')
+    } catch (err) {
+      console.error('Error saving categorization rules:', err)
+      onError?.(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const ruleTypeLabel = type => RULE_TYPES.find(t => t.value === type)?.label || type
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FunnelIcon className="h-5 w-5 text-teal-600" />
+          Categorization Rules
+        </CardTitle>
+        <CardDescription>
+          Rules assign a category before the AI is asked. They run from top to bottom and the first match wins.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {/* Rule list */}
+        {rules.length === 0 ? (
+          <p className="text-sm text-gray-500">No rules yet - all feedback is classified by the AI.</p>
+        ) : (
+          <div className="space-y-2">
+            {rules.map((rule, index) => (
+              <div
+                key={rule.id || `new_${index}`}
+                className={`flex items-center justify-between gap-3 rounded-md border p-3 ${rule.enabled === false ? 'opacity-60' : ''}`}
+              >
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="text-xs text-gray-400">#{index + 1}</span>
+                    <span className="font-medium text-gray-900">{rule.name}</span>
+                    {!categoryNames.has(rule.category) && (
+                      <Badge variant="outline" className="text-xs text-red-600">Inactive category</Badge>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600 truncate">
+                    {ruleTypeLabel(rule.type)} <code className="bg-gray-100 px-1 rounded">{rule.pattern}</code>
+                    {rule.minLength ? ` · at least ${rule.minLength} characters` : ''}
+                    {rule.caseSensitive ? ' · case-sensitive' : ''}
+                    {' → '}
+                    <span className="font-medium">{categoryNames.get(rule.category) || rule.category}</span>
+                  </p>
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <label className="flex items-center mr-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled !== false}
+                      onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+                      className="h-4 w-4 mr-1 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    Enabled
+                  </label>
+                  <Button variant="ghost" size="sm" onClick={() => moveRule(index, -1)} disabled={index === 0} title="Move up">
+                    <ArrowUpIcon className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => moveRule(index, 1)} disabled={index === rules.length - 1} title="Move down">
+                    <ArrowDownIcon className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => removeRule(index)} title="Delete rule">
+                    <TrashIcon className="h-4 w-4 text-red-600" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* New rule */}
+        <div className="rounded-md border border-dashed p-4 space-y-4">
+          <h4 className="font-medium text-gray-900">Add Rule</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="ruleName">Name</Label>
+              <Input
+                id="ruleName"
+                value={newRule.name}
+                onChange={(e) => setNewRule({ ...newRule, name: e.target.value })}
+                placeholder="Invoice numbers are billing"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Category</Label>
+              <Select value={newRule.category} onValueChange={(value) => setNewRule({ ...newRule, category: value })}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Select category" />
+                </SelectTrigger>
+                <SelectContent>
+                  {targetCategories.map(category => (
+                    <SelectItem key={category.id} value={category.id}>{category.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Match</Label>
+              <Select value={newRule.type} onValueChange={(value) => setNewRule({ ...newRule, type: value })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {RULE_TYPES.map(type => (
+                    <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="rulePattern">
+                {newRule.type === 'regex' ? 'Regular expression' : 'Values (comma-separated)'}
+              </Label>
+              <Input
+                id="rulePattern"
+                value={newRule.pattern}
+                onChange={(e) => setNewRule({ ...newRule, pattern: e.target.value })}
+                placeholder={RULE_TYPES.find(type => type.value === newRule.type)?.placeholder}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="ruleMinLength">Minimum length (optional)</Label>
+              <Input
+                id="ruleMinLength"
+                type="number"
+                min="0"
+                value={newRule.minLength}
+                onChange={(e) => setNewRule({ ...newRule, minLength: e.target.value })}
+                placeholder="Only match feedback with at least this many characters"
+              />
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-sm text-gray-700 pb-2">
+                <input
+                  type="checkbox"
+                  checked={newRule.caseSensitive}
+                  onChange={(e) => setNewRule({ ...newRule, caseSensitive: e.target.checked })}
+                  className="h-4 w-4 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                Case-sensitive
+              </label>
+            </div>
+          </div>
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-red-600">{newRuleError}</p>
+            <Button variant="outline" onClick={handleAddRule} disabled={!!validateRule(newRule)}>
+              Add Rule
+            </Button>
+          </div>
+        </div>
+
+        {/* Preview */}
+        <div className="rounded-md bg-gray-50 p-4 space-y-3">
+          <h4 className="font-medium text-gray-900">Test Rules</h4>
+          <Textarea
+            value={testText}
+            onChange={(e) => setTestText(e.target.value)}
+            rows={3}
+            placeholder="Paste a feedback text to see which rule would categorize it"
+          />
+          <Input
+            value={testSource}
+            onChange={(e) => setTestSource(e.target.value)}
+            placeholder="Source (optional, for source rules)"
+          />
+          {previewMatch && (
+            <p className="text-sm text-green-700">
+              ✅ Rule #{previewMatch.rule.priority} "{previewMatch.rule.name}" matches
+              {' '}(<code className="bg-white px-1 rounded">{previewMatch.matched}</code>) →
+              {' '}<span className="font-medium">{categoryNames.get(previewMatch.category)}</span>
+            </p>
+          )}
+          {previewMatch === false && (
+            <p className="text-sm text-gray-600">No rule matches - the AI would classify this feedback.</p>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <Button onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Rules'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -23,6 +23,9 @@ import { Alert, AlertDescription } from '@/components/ui/alert'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
 import { Label } from '@/components/ui/label'
 import { Separator } from '@/components/ui/separator'
+import { useProjectCategories } from '@/hooks/useProjectCategories'
+import { getCategoryRollupMap, getCategoryPathName, getMaxCategoryDepth } from '@/lib/categories'
+import { buildAspectMatrix } from '@/lib/aspectSentiment'
 
 ChartJS.register(
   CategoryScale,
@@ -36,21 +39,30 @@ ChartJS.register(
   LineElement
 )
 
-export default function CategoryAnalytics({ feedback }) {
+export default function CategoryAnalytics({ feedback, projectId }) {
   const [selectedCategory, setSelectedCategory] = useState('all')
+  // Tree level to aggregate at ('leaf' = categories as classified, otherwise 0 = top level)
+  const [categoryLevel, setCategoryLevel] = useState('leaf')
+  const { categories: projectCategories } = useProjectCategories(projectId)
+  const maxCategoryDepth = getMaxCategoryDepth(projectCategories)
 
   const analytics = useMemo(() => {
     if (!feedback || feedback.length === 0) {
       return {
         categories: {},
         categoryTrends: {},
-        topKeywords: {}
+        topKeywords: {},
+        aspectMatrices: {}
       }
     }
 
+    // Roll categories up to the selected level of the category tree
+    const rollup = getCategoryRollupMap(projectCategories, categoryLevel === 'leaf' ? null : parseInt(categoryLevel))
+    const resolveCategory = f => rollup.get(f.category) || f.category || 'uncategorized'
+
     // Group feedback by category
     const categories = feedback.reduce((acc, f) => {
-      const category = f.category || 'uncategorized'
+      const category = resolveCategory(f)
       if (!acc[category]) {
         acc[category] = {
           count: 0,
@@ -109,7 +121,7 @@ export default function CategoryAnalytics({ feedback }) {
     const last30Days = subDays(new Date(), 30)
     const categoryTrends = Object.keys(categories).reduce((acc, category) => {
       const categoryFeedback = feedback.filter(f => 
-        (f.category || 'uncategorized') === category &&
+        resolveCategory(f) === category &&
         isWithinInterval(new Date(f.feedbackDate || f.feedback_date), {
           start: startOfDay(last30Days),
           end: endOfDay(new Date())
@@ -129,14 +141,21 @@ export default function CategoryAnalytics({ feedback }) {
       return acc
     }, {})
 
+    // Aspect-by-sentiment matrix for all feedback and per category
+    const aspectMatrices = { all: buildAspectMatrix(feedback) }
+    Object.keys(categories).forEach(category => {
+      aspectMatrices[category] = buildAspectMatrix(feedback.filter(f => resolveCategory(f) === category))
+    })
+
     return {
       categories,
-      categoryTrends
+      categoryTrends,
+      aspectMatrices
     }
-  }, [feedback])
+  }, [feedback, projectCategories, categoryLevel])
 
   const formatCategoryName = (category) => {
-    return category?.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) || 'Unknown'
+    return getCategoryPathName(category, projectCategories)
   }
 
   const categoryNames = Object.keys(analytics.categories)
@@ -214,6 +233,13 @@ export default function CategoryAnalytics({ feedback }) {
 
   const sentimentChartData = getSentimentChartData()
 
+  const aspectMatrix = analytics.aspectMatrices[selectedCategory] || []
+
+  // Cell shading grows with the share of the aspect's mentions
+  const getAspectCellStyle = (count, total, rgb) => ({
+    backgroundColor: `rgba(${rgb}, ${total > 0 ? (count / total) * 0.5 : 0})`
+  })
+
   const chartOptions = {
     responsive: true,
     plugins: {
@@ -339,6 +365,32 @@ export default function CategoryAnalytics({ feedback }) {
         </CardHeader>
         <CardContent>
           <div className="flex items-center gap-4">
+            {maxCategoryDepth > 0 && (
+              <>
+                <Label htmlFor="category-level-select" className="text-sm font-medium min-w-fit">
+                  Group by:
+                </Label>
+                <Select
+                  value={categoryLevel}
+                  onValueChange={(value) => {
+                    setCategoryLevel(value)
+                    setSelectedCategory('all')
+                  }}
+                >
+                  <SelectTrigger className="w-56" id="category-level-select">
+                    <SelectValue placeholder="Category level" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="leaf">🍃 Categories as classified</SelectItem>
+                    {Array.from({ length: maxCategoryDepth }, (_, level) => (
+                      <SelectItem key={level} value={String(level)}>
+                        🌳 {level === 0 ? 'Top-level categories' : `Level ${level + 1} categories`}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </>
+            )}
             <Label htmlFor="category-select" className="text-sm font-medium min-w-fit">
               Focus on Category:
             </Label>
@@ -530,6 +582,77 @@ export default function CategoryAnalytics({ feedback }) {
         </Card>
       )}
 
+      {/* Aspect Sentiment Matrix */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <span className="text-xl">🧩</span>
+            Aspect Sentiment
+            {selectedCategory !== 'all' && (
+              <Badge variant="outline" className="ml-2">
+                {formatCategoryName(selectedCategory)}
+              </Badge>
+            )}
+          </CardTitle>
+          <CardDescription>
+            Which product areas drive negativity - each aspect counted with the sentiment of the sentence it was mentioned in
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {aspectMatrix.length === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              No aspects found yet. Feedback analyzed before aspect extraction gets aspects when it is re-analyzed.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-4 font-medium">🧩 Aspect</th>
+                    <th className="text-center py-3 px-4 font-medium">😊 Positive</th>
+                    <th className="text-center py-3 px-4 font-medium">😐 Neutral</th>
+                    <th className="text-center py-3 px-4 font-medium">😞 Negative</th>
+                    <th className="text-left py-3 px-4 font-medium">⚖️ Net Sentiment</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {aspectMatrix.map(row => (
+                    <tr key={`${row.type}:${row.aspect}`} className="border-b">
+                      <td className="py-3 px-4">
+                        <div className="font-medium">
+                          {row.type === 'category' ? `📂 ${formatCategoryName(row.aspect)}` : `🔖 ${row.aspect}`}
+                        </div>
+                        <div className="text-xs text-muted-foreground">{row.total} mentions</div>
+                      </td>
+                      <td className="py-3 px-4 text-center font-mono" style={getAspectCellStyle(row.positive, row.total, '16, 185, 129')}>
+                        {row.positive}
+                      </td>
+                      <td className="py-3 px-4 text-center font-mono" style={getAspectCellStyle(row.neutral, row.total, '107, 114, 128')}>
+                        {row.neutral}
+                      </td>
+                      <td className="py-3 px-4 text-center font-mono" style={getAspectCellStyle(row.negative, row.total, '239, 68, 68')}>
+                        {row.negative}
+                      </td>
+                      <td className="py-3 px-4">
+                        <Badge
+                          className={
+                            row.avgCompound >= 0.05 ? 'bg-green-100 text-green-700 hover:bg-green-200' :
+                            row.avgCompound <= -0.05 ? 'bg-red-100 text-red-700 hover:bg-red-200' :
+                            'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                          }
+                        >
+                          {row.avgCompound > 0 ? '+' : ''}{row.avgCompound.toFixed(2)}
+                        </Badge>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
       {/* Detailed Category Table */}
       <Card>
         <CardHeader>
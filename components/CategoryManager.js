@@ -1,11 +1,13 @@
 'use client'
 
-import { useState, useEffect } from 'react'
+import { useState } from 'react'
 import { supabase } from '@/lib/supabase/client'
+import { useProjectCategories } from '@/hooks/useProjectCategories'
+import { flattenCategoryTree, MAX_CATEGORY_DEPTH } from '@/lib/categories'
+import CategoryOperations from './CategoryOperations'
 
-export default function CategoryManager({ onCategoryUpdate }) {
-  const [categories, setCategories] = useState([])
-  const [isLoading, setIsLoading] = useState(true)
+export default function CategoryManager({ projectId, onCategoryUpdate }) {
+  const { categories, loading: isLoading, refetch } = useProjectCategories(projectId)
   const [isCreating, setIsCreating] = useState(false)
   const [editingCategory, setEditingCategory] = useState(null)
   const [newCategory, setNewCategory] = useState({
@@ -13,52 +15,48 @@ export default function CategoryManager({ onCategoryUpdate }) {
     description: '',
     keywords: '',
     color: '#3B82F6',
-    isActive: true
+    isActive: true,
+    parentId: ''
   })
 
-  // Default categories that come with the system
-  const defaultCategories = [
-    { id: 'feature_request', name: 'Feature Request', description: 'Requests for new features or improvements', keywords: 'feature,add,request,suggestion,improve,enhancement', color: '#10B981', isActive: true, isDefault: true },
-    { id: 'bug_report', name: 'Bug Report', description: 'Reports of technical issues, errors, or malfunctions', keywords: 'bug,error,broken,crash,issue,problem,not working,fails,glitch', color: '#EF4444', isActive: true, isDefault: true },
-    { id: 'shipping_complaint', name: 'Shipping Complaint', description: 'Issues related to delivery, packaging, or shipping', keywords: 'delivery,shipping,arrived,package,late,delayed,damaged,lost', color: '#F59E0B', isActive: true, isDefault: true },
-    { id: 'product_quality', name: 'Product Quality', description: 'Concerns about product quality, materials, or build', keywords: 'quality,material,build,durability,defective,cheap,flimsy', color: '#8B5CF6', isActive: true, isDefault: true },
-    { id: 'customer_service', name: 'Customer Service', description: 'Feedback about customer support or service experience', keywords: 'service,support,staff,representative,help,rude,unhelpful,friendly', color: '#06B6D4', isActive: true, isDefault: true },
-    { id: 'general_inquiry', name: 'General Inquiry', description: 'General questions or neutral feedback', keywords: 'question,inquiry,information,help,general', color: '#6B7280', isActive: true, isDefault: true },
-    { id: 'refund_request', name: 'Refund Request', description: 'Requests for refunds, returns, or billing issues', keywords: 'refund,return,money back,cancel,charge,billing,payment', color: '#DC2626', isActive: true, isDefault: true },
-    { id: 'compliment', name: 'Compliment', description: 'Positive feedback, praise, or compliments', keywords: 'great,excellent,amazing,love,perfect,awesome,fantastic,thank you', color: '#059669', isActive: true, isDefault: true }
-  ]
+  // Categories in tree order, each with its depth and full path
+  const categoryTree = flattenCategoryTree(categories)
+  const parentOptions = categoryTree.filter(category => category.depth < MAX_CATEGORY_DEPTH)
 
-  useEffect(() => {
-    loadCategories()
-  }, [])
+  // A category cannot be moved under itself or one of its subcategories
+  const getParentOptionsFor = (category) => {
+    const excluded = new Set([category.id])
+    // Tree order lists parents before their children
+    categoryTree.forEach(c => {
+      if (excluded.has(c.parentId)) excluded.add(c.id)
+    })
+    return parentOptions.filter(option => !excluded.has(option.id))
+  }
 
-  const loadCategories = async () => {
-    try {
-      setIsLoading(true)
-      const { data: { session } } = await supabase.auth.getSession()
-      if (!session) throw new Error('User not authenticated')
+  const categoriesRequest = async (path, options = {}) => {
+    const { data: { session } } = await supabase.auth.getSession()
+    if (!session) throw new Error('User not authenticated')
 
-      // For now, we'll use localStorage to store custom categories
-      // In a full implementation, you'd want to store these in the database
-      const storedCategories = localStorage.getItem('feedbacksense_custom_categories')
-      const customCategories = storedCategories ? JSON.parse(storedCategories) : []
-      
-      // Combine default and custom categories
-      const allCategories = [
-        ...defaultCategories,
-        ...customCategories.map(cat => ({ ...cat, isDefault: false }))
-      ]
-      
-      setCategories(allCategories)
-    } catch (error) {
-      console.error('Error loading categories:', error)
-    } finally {
-      setIsLoading(false)
+    const response = await fetch(`/api/projects/${projectId}/categories${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${session.access_token}`,
+        'Content-Type': 'application/json'
+      }
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Category request failed')
     }
+    return data
   }
 
-  const saveCustomCategories = (customCategories) => {
-    localStorage.setItem('feedbacksense_custom_categories', JSON.stringify(customCategories))
+  const afterChange = async () => {
+    await refetch()
+    if (onCategoryUpdate) {
+      onCategoryUpdate()
+    }
   }
 
   const handleCreateCategory = async () => {
@@ -69,28 +67,13 @@ export default function CategoryManager({ onCategoryUpdate }) {
 
     try {
       setIsCreating(true)
-      const customCategories = categories.filter(cat => !cat.isDefault)
-      
-      const categoryToAdd = {
-        id: newCategory.name.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, ''),
-        name: newCategory.name.trim(),
-        description: newCategory.description.trim(),
-        keywords: newCategory.keywords.trim(),
-        color: newCategory.color,
-        isActive: newCategory.isActive,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      }
+      await categoriesRequest('', {
+        method: 'POST',
+        body: JSON.stringify(newCategory)
+      })
 
-      const updatedCustomCategories = [...customCategories, categoryToAdd]
-      saveCustomCategories(updatedCustomCategories)
-      
-      setCategories([...defaultCategories, ...updatedCustomCategories.map(cat => ({ ...cat, isDefault: false }))])
-      setNewCategory({ name: '', description: '', keywords: '', color: '#3B82F6', isActive: true })
-      
-      if (onCategoryUpdate) {
-        onCategoryUpdate()
-      }
+      setNewCategory({ name: '', description: '', keywords: '', color: '#3B82F6', isActive: true, parentId: '' })
+      await afterChange()
     } catch (error) {
       console.error('Error creating category:', error)
       alert('Error creating category: ' + error.message)
@@ -99,27 +82,24 @@ export default function CategoryManager({ onCategoryUpdate }) {
     }
   }
 
-  const handleUpdateCategory = async (categoryId, updates) => {
+  const handleUpdateCategory = async (categoryId, { name, ...updates }) => {
     try {
-      if (categories.find(cat => cat.id === categoryId)?.isDefault) {
-        alert('Cannot edit default categories')
-        return
+      // Renaming changes the slug, so it runs as an operation that rewrites the feedback
+      const category = categories.find(c => c.id === categoryId)
+      if (name !== undefined && name.trim() !== category?.name) {
+        await categoriesRequest('/operations', {
+          method: 'POST',
+          body: JSON.stringify({ type: 'rename', categoryId, name })
+        })
       }
 
-      const customCategories = categories.filter(cat => !cat.isDefault)
-      const updatedCustomCategories = customCategories.map(cat =>
-        cat.id === categoryId
-          ? { ...cat, ...updates, updatedAt: new Date().toISOString() }
-          : cat
-      )
-      
-      saveCustomCategories(updatedCustomCategories)
-      setCategories([...defaultCategories, ...updatedCustomCategories.map(cat => ({ ...cat, isDefault: false }))])
+      await categoriesRequest(`/${categoryId}`, {
+        method: 'PUT',
+        body: JSON.stringify(updates)
+      })
+
       setEditingCategory(null)
-      
-      if (onCategoryUpdate) {
-        onCategoryUpdate()
-      }
+      await afterChange()
     } catch (error) {
       console.error('Error updating category:', error)
       alert('Error updating category: ' + error.message)
@@ -132,18 +112,8 @@ export default function CategoryManager({ onCategoryUpdate }) {
     }
 
     try {
-      if (categories.find(cat => cat.id === categoryId)?.isDefault) {
-        alert('Cannot delete default categories')
-        return
-      }
-
-      const customCategories = categories.filter(cat => !cat.isDefault && cat.id !== categoryId)
-      saveCustomCategories(customCategories)
-      setCategories([...defaultCategories, ...customCategories.map(cat => ({ ...cat, isDefault: false }))])
-      
-      if (onCategoryUpdate) {
-        onCategoryUpdate()
-      }
+      await categoriesRequest(`/${categoryId}`, { method: 'DELETE' })
+      await afterChange()
     } catch (error) {
       console.error('Error deleting category:', error)
       alert('Error deleting category: ' + error.message)
@@ -155,8 +125,12 @@ export default function CategoryManager({ onCategoryUpdate }) {
   }
 
   const exportCategories = () => {
-    const customCategories = categories.filter(cat => !cat.isDefault)
-    const dataStr = JSON.stringify(customCategories, null, 2)
+    // Tree order keeps parents ahead of their subcategories for import
+    const slugsById = new Map(categories.map(category => [category.id, category.slug]))
+    const exported = categoryTree.map(({ slug, name, description, keywords, color, isActive, parentId }) => ({
+      slug, name, description, keywords, color, isActive, parentSlug: slugsById.get(parentId) || null
+    }))
+    const dataStr = JSON.stringify(exported, null, 2)
     const dataBlob = new Blob([dataStr], { type: 'application/json' })
     const url = URL.createObjectURL(dataBlob)
     const link = document.createElement('a')
@@ -171,33 +145,20 @@ export default function CategoryManager({ onCategoryUpdate }) {
     if (!file) return
 
     const reader = new FileReader()
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       try {
         const importedCategories = JSON.parse(e.target.result)
         if (!Array.isArray(importedCategories)) {
           throw new Error('Invalid file format')
         }
 
-        const existingCustomCategories = categories.filter(cat => !cat.isDefault)
-        const mergedCategories = [...existingCustomCategories]
-
-        importedCategories.forEach(importCat => {
-          if (!mergedCategories.find(cat => cat.id === importCat.id)) {
-            mergedCategories.push({
-              ...importCat,
-              importedAt: new Date().toISOString()
-            })
-          }
+        const result = await categoriesRequest('', {
+          method: 'POST',
+          body: JSON.stringify({ categories: importedCategories })
         })
+        await afterChange()
 
-        saveCustomCategories(mergedCategories)
-        setCategories([...defaultCategories, ...mergedCategories.map(cat => ({ ...cat, isDefault: false }))])
-        
-        if (onCategoryUpdate) {
-          onCategoryUpdate()
-        }
-        
-        alert(`Successfully imported ${importedCategories.length} categories`)
+        alert(`Successfully imported ${result.imported} categories${result.skipped ? ` (${result.skipped} already existed)` : ''}`)
       } catch (error) {
         alert('Error importing categories: ' + error.message)
       }
@@ -219,7 +180,7 @@ export default function CategoryManager({ onCategoryUpdate }) {
       <div className="flex items-center justify-between">
         <div>
           <h2 className="text-2xl font-bold text-gray-900">Category Management</h2>
-          <p className="text-gray-500 mt-1">Manage custom feedback categories for AI classification</p>
+          <p className="text-gray-500 mt-1">Manage the categories this project's feedback is classified into</p>
         </div>
         <div className="flex items-center space-x-3">
           <input
@@ -277,6 +238,19 @@ export default function CategoryManager({ onCategoryUpdate }) {
               className="w-full h-10 border border-gray-300 rounded-md"
             />
           </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Parent Category
+            </label>
+            <ParentCategorySelect
+              value={newCategory.parentId}
+              options={parentOptions}
+              onChange={(parentId) => setNewCategory({ ...newCategory, parentId })}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Feedback is classified into the most specific categories and rolled up to their parents in analytics
+            </p>
+          </div>
           <div className="md:col-span-2">
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Description
@@ -333,11 +307,12 @@ export default function CategoryManager({ onCategoryUpdate }) {
           </h3>
         </div>
         <div className="divide-y divide-gray-200">
-          {categories.map((category) => (
-            <div key={category.id} className="p-6">
+          {categoryTree.map((category) => (
+            <div key={category.id} className="p-6" style={{ paddingLeft: `${1.5 + category.depth * 2}rem` }}>
               {editingCategory === category.id ? (
                 <EditCategoryForm
                   category={category}
+                  parentOptions={getParentOptionsFor(category)}
                   onSave={(updates) => handleUpdateCategory(category.id, updates)}
                   onCancel={() => setEditingCategory(null)}
                 />
@@ -361,6 +336,11 @@ export default function CategoryManager({ onCategoryUpdate }) {
                             Inactive
                           </span>
                         )}
+                        {!category.isLeaf && (
+                          <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800">
+                            Group
+                          </span>
+                        )}
                       </div>
                       <p className="text-sm text-gray-500">{category.description}</p>
                       {category.keywords && (
@@ -379,27 +359,32 @@ export default function CategoryManager({ onCategoryUpdate }) {
                       <input
                         type="checkbox"
                         checked={category.isActive}
-                        onChange={(e) => !category.isDefault && toggleCategoryActive(category.id, e.target.checked)}
-                        disabled={category.isDefault}
-                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded disabled:opacity-50"
+                        onChange={(e) => toggleCategoryActive(category.id, e.target.checked)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                       />
                       <span className="ml-2 text-sm text-gray-700">Active</span>
                     </label>
+                    {category.depth < MAX_CATEGORY_DEPTH && (
+                      <button
+                        onClick={() => setNewCategory({ ...newCategory, parentId: category.id })}
+                        className="text-blue-600 hover:text-blue-800 text-sm"
+                      >
+                        Add Subcategory
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setEditingCategory(category.id)}
+                      className="text-blue-600 hover:text-blue-800 text-sm"
+                    >
+                      Edit
+                    </button>
                     {!category.isDefault && (
-                      <>
-                        <button
-                          onClick={() => setEditingCategory(category.id)}
-                          className="text-blue-600 hover:text-blue-800 text-sm"
-                        >
-                          Edit
-                        </button>
-                        <button
-                          onClick={() => handleDeleteCategory(category.id)}
-                          className="text-red-600 hover:text-red-800 text-sm"
-                        >
-                          Delete
-                        </button>
-                      </>
+                      <button
+                        onClick={() => handleDeleteCategory(category.id)}
+                        className="text-red-600 hover:text-red-800 text-sm"
+                      >
+                        Delete
+                      </button>
                     )}
                   </div>
                 </div>
@@ -408,15 +393,37 @@ export default function CategoryManager({ onCategoryUpdate }) {
           ))}
         </div>
       </div>
+
+      <CategoryOperations
+        categoryTree={categoryTree}
+        categoriesRequest={categoriesRequest}
+        onChange={afterChange}
+      />
     </div>
   )
 }
 
-function EditCategoryForm({ category, onSave, onCancel }) {
+function ParentCategorySelect({ value, options, onChange }) {
+  return (
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+    >
+      <option value="">None (top-level category)</option>
+      {options.map(option => (
+        <option key={option.id} value={option.id}>{option.pathName}</option>
+      ))}
+    </select>
+  )
+}
+
+function EditCategoryForm({ category, parentOptions, onSave, onCancel }) {
   const [formData, setFormData] = useState({
+    parentId: category.parentId || '',
     name: category.name,
-    description: category.description,
-    keywords: category.keywords,
+    description: category.description || '',
+    keywords: category.keywords || '',
     color: category.color,
     isActive: category.isActive
   })
@@ -454,6 +461,16 @@ function EditCategoryForm({ category, onSave, onCancel }) {
             className="w-full h-10 border border-gray-300 rounded-md"
           />
         </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Parent Category
+          </label>
+          <ParentCategorySelect
+            value={formData.parentId}
+            options={parentOptions}
+            onChange={(parentId) => setFormData({ ...formData, parentId })}
+          />
+        </div>
         <div className="md:col-span-2">
           <label className="block text-sm font-medium text-gray-700 mb-1">
             Description
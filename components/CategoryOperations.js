@@ -0,0 +1,264 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+
+const OPERATION_LABELS = {
+  rename: 'Renamed',
+  merge: 'Merged',
+  split: 'Split'
+}
+
+function describeOperation(operation) {
+  const { details } = operation
+  switch (operation.type) {
+    case 'rename':
+      return `"${details.from.name}" → "${details.to.name}"`
+    case 'merge':
+      return `${details.sources.map(source => `"${source.name}"`).join(', ')} → "${details.target.name}"`
+    case 'split':
+      return `"${details.source.name}" → ${details.targets.map(target => `"${target.name}"`).join(', ')}`
+    default:
+      return ''
+  }
+}
+
+/**
+ * Merge and split categories of a project, and undo the latest category operation
+ * @param {Array} categoryTree - Categories in tree order (flattenCategoryTree)
+ * @param {Function} categoriesRequest - Authenticated request helper of CategoryManager
+ * @param {Function} onChange - Called after categories changed
+ */
+export default function CategoryOperations({ categoryTree, categoriesRequest, onChange }) {
+  const [operations, setOperations] = useState([])
+  const [isRunning, setIsRunning] = useState(false)
+  const [merge, setMerge] = useState({ sourceIds: [], targetId: '' })
+  const [split, setSplit] = useState({ sourceId: '', targetIds: [], newTargets: '', deactivateSource: true })
+
+  const loadOperations = async () => {
+    try {
+      setOperations(await categoriesRequest('/operations'))
+    } catch (error) {
+      console.error('Error loading category operations:', error)
+    }
+  }
+
+  useEffect(() => {
+    loadOperations()
+  }, [])
+
+  const runOperation = async (body, successMessage) => {
+    try {
+      setIsRunning(true)
+      const operation = await categoriesRequest('/operations', {
+        method: 'POST',
+        body: JSON.stringify(body)
+      })
+      await Promise.all([onChange(), loadOperations()])
+      alert(successMessage(operation))
+      return true
+    } catch (error) {
+      console.error(`Error running category ${body.type}:`, error)
+      alert(`Error running category ${body.type}: ` + error.message)
+      return false
+    } finally {
+      setIsRunning(false)
+    }
+  }
+
+  const handleMerge = async () => {
+    const target = categoryTree.find(category => category.id === merge.targetId)
+    if (!confirm(`Merge ${merge.sourceIds.length} categories into "${target?.pathName}"? The merged categories are deleted.`)) {
+      return
+    }
+
+    const done = await runOperation(
+      { type: 'merge', ...merge },
+      operation => `Merged categories, ${operation.affectedCount} feedback items moved`
+    )
+    if (done) setMerge({ sourceIds: [], targetId: '' })
+  }
+
+  const handleSplit = async () => {
+    const newTargets = split.newTargets
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => ({ name }))
+
+    const done = await runOperation(
+      {
+        type: 'split',
+        sourceId: split.sourceId,
+        targetIds: split.targetIds,
+        newTargets,
+        deactivateSource: split.deactivateSource
+      },
+      operation => `Split category, ${operation.affectedCount} feedback items re-classified`
+    )
+    if (done) setSplit({ sourceId: '', targetIds: [], newTargets: '', deactivateSource: true })
+  }
+
+  const handleUndo = async (operation) => {
+    if (!confirm(`Undo "${OPERATION_LABELS[operation.type]} ${describeOperation(operation)}"?`)) {
+      return
+    }
+
+    try {
+      setIsRunning(true)
+      const result = await categoriesRequest(`/operations/${operation.id}/undo`, { method: 'POST' })
+      await Promise.all([onChange(), loadOperations()])
+      alert(`Undone, ${result.revertedCount} feedback items restored${result.skippedCount ? ` (${result.skippedCount} changed since and kept)` : ''}`)
+    } catch (error) {
+      console.error('Error undoing category operation:', error)
+      alert('Error undoing category operation: ' + error.message)
+    } finally {
+      setIsRunning(false)
+    }
+  }
+
+  const toggleId = (ids, id) => (ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id])
+  const splitTargetCount = split.targetIds.length + split.newTargets.split(',').filter(name => name.trim()).length
+  const latestApplied = operations.find(operation => operation.status === 'applied')
+
+  return (
+    <div className="bg-white rounded-lg shadow border">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h3 className="text-lg font-medium text-gray-900">Merge & Split</h3>
+        <p className="text-sm text-gray-500 mt-1">
+          Move feedback between categories. Every change is recorded in the feedback's classification history and the latest operation can be undone.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6">
+        {/* Merge */}
+        <div className="space-y-3">
+          <h4 className="font-medium text-gray-900">Merge categories</h4>
+          <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-md p-2 space-y-1">
+            {categoryTree.filter(category => category.id !== merge.targetId).map(category => (
+              <label key={category.id} className="flex items-center text-sm" style={{ paddingLeft: `${category.depth}rem` }}>
+                <input
+                  type="checkbox"
+                  checked={merge.sourceIds.includes(category.id)}
+                  onChange={() => setMerge({ ...merge, sourceIds: toggleId(merge.sourceIds, category.id) })}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-gray-700">{category.name}</span>
+              </label>
+            ))}
+          </div>
+          <label className="block text-sm font-medium text-gray-700">Into</label>
+          <select
+            value={merge.targetId}
+            onChange={(e) => setMerge({
+              targetId: e.target.value,
+              sourceIds: merge.sourceIds.filter(id => id !== e.target.value)
+            })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">Select target category</option>
+            {categoryTree.map(category => (
+              <option key={category.id} value={category.id}>{category.pathName}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleMerge}
+            disabled={isRunning || !merge.targetId || merge.sourceIds.length === 0}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            {isRunning ? 'Working...' : 'Merge'}
+          </button>
+        </div>
+
+        {/* Split */}
+        <div className="space-y-3">
+          <h4 className="font-medium text-gray-900">Split a category</h4>
+          <select
+            value={split.sourceId}
+            onChange={(e) => setSplit({
+              ...split,
+              sourceId: e.target.value,
+              targetIds: split.targetIds.filter(id => id !== e.target.value)
+            })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">Select category to split</option>
+            {categoryTree.map(category => (
+              <option key={category.id} value={category.id}>{category.pathName}</option>
+            ))}
+          </select>
+          <label className="block text-sm font-medium text-gray-700">Re-classify its feedback into</label>
+          <div className="max-h-36 overflow-y-auto border border-gray-200 rounded-md p-2 space-y-1">
+            {categoryTree.filter(category => category.id !== split.sourceId).map(category => (
+              <label key={category.id} className="flex items-center text-sm" style={{ paddingLeft: `${category.depth}rem` }}>
+                <input
+                  type="checkbox"
+                  checked={split.targetIds.includes(category.id)}
+                  onChange={() => setSplit({ ...split, targetIds: toggleId(split.targetIds, category.id) })}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-gray-700">{category.name}</span>
+              </label>
+            ))}
+          </div>
+          <input
+            type="text"
+            value={split.newTargets}
+            onChange={(e) => setSplit({ ...split, newTargets: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            placeholder="New categories (comma-separated), e.g. Refunds, Invoices"
+          />
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={split.deactivateSource}
+              onChange={(e) => setSplit({ ...split, deactivateSource: e.target.checked })}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            <span className="ml-2 text-sm text-gray-700">Deactivate the split category afterwards</span>
+          </label>
+          <button
+            onClick={handleSplit}
+            disabled={isRunning || !split.sourceId || splitTargetCount < 2}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            {isRunning ? 'Working...' : 'Split with AI'}
+          </button>
+        </div>
+      </div>
+
+      {/* Recent operations */}
+      {operations.length > 0 && (
+        <div className="border-t border-gray-200 px-6 py-4">
+          <h4 className="font-medium text-gray-900 mb-2">Recent operations</h4>
+          <ul className="divide-y divide-gray-100">
+            {operations.map(operation => (
+              <li key={operation.id} className="flex items-center justify-between py-2 text-sm">
+                <div>
+                  <span className="font-medium text-gray-900">{OPERATION_LABELS[operation.type]}</span>{' '}
+                  <span className="text-gray-700">{describeOperation(operation)}</span>
+                  <span className="text-gray-500">
+                    {' '}· {operation.affectedCount} feedback · {new Date(operation.createdAt).toLocaleString()}
+                  </span>
+                  {operation.status === 'undone' && (
+                    <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-800">
+                      Undone
+                    </span>
+                  )}
+                </div>
+                {operation.id === latestApplied?.id && (
+                  <button
+                    onClick={() => handleUndo(operation)}
+                    disabled={isRunning}
+                    className="text-blue-600 hover:text-blue-800 text-sm disabled:opacity-50"
+                  >
+                    Undo
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
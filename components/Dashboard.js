@@ -372,7 +372,7 @@ function DashboardContent({ user, onSignOut }) {
                 {activeTab === 'category-analytics' && (
                   <Card className="bg-white/80 backdrop-blur-sm shadow-lg border border-stone-200">
                     <CardContent className="p-6">
-                      <CategoryAnalytics feedback={feedback} />
+                      <CategoryAnalytics feedback={feedback} projectId={currentProject?.id} />
                     </CardContent>
                   </Card>
                 )}
@@ -2,8 +2,16 @@
 
 import { useState, useEffect } from 'react'
 import { supabase } from '@/lib/supabase/client'
+import { toCategoryOptions } from '@/lib/categories'
+import { DEFAULT_DUPLICATE_THRESHOLD } from '@/lib/duplicateDetection'
 
-export default function EditFeedbackModal({ feedback, isOpen, onClose, onUpdate }) {
+const SIMILARITY_LEVELS = [
+  { value: '0.95', label: 'Nearly identical' },
+  { value: String(DEFAULT_DUPLICATE_THRESHOLD), label: 'Very similar' },
+  { value: '0.8', label: 'Similar' }
+]
+
+export default function EditFeedbackModal({ feedback, isOpen, onClose, onUpdate, categories }) {
   const [formData, setFormData] = useState({
     content: '',
     category: '',
@@ -16,17 +24,11 @@ export default function EditFeedbackModal({ feedback, isOpen, onClose, onUpdate
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [activeTab, setActiveTab] = useState('details')
   const [editHistory, setEditHistory] = useState([])
-
-  const categories = [
-    { value: 'general_inquiry', label: 'General Inquiry' },
-    { value: 'product_feedback', label: 'Product Feedback' },
-    { value: 'service_complaint', label: 'Service Complaint' },
-    { value: 'billing_issue', label: 'Billing Issue' },
-    { value: 'technical_support', label: 'Technical Support' },
-    { value: 'feature_request', label: 'Feature Request' },
-    { value: 'bug_report', label: 'Bug Report' },
-    { value: 'compliment', label: 'Compliment' }
-  ]
+  const [duplicates, setDuplicates] = useState(null)
+  const [duplicatesLoading, setDuplicatesLoading] = useState(false)
+  const [selectedDuplicates, setSelectedDuplicates] = useState([])
+  const [similarity, setSimilarity] = useState(String(DEFAULT_DUPLICATE_THRESHOLD))
+  const [isMerging, setIsMerging] = useState(false)
 
   const statusOptions = [
     { value: 'new', label: 'New' },
@@ -52,10 +54,18 @@ export default function EditFeedbackModal({ feedback, isOpen, onClose, onUpdate
       })
       
       setEditHistory(Array.isArray(feedback.editHistory) ? feedback.editHistory : [])
+      setDuplicates(null)
+      setSelectedDuplicates([])
       loadNotes()
     }
   }, [feedback, isOpen])
 
+  useEffect(() => {
+    if (activeTab === 'duplicates' && feedback && isOpen && !feedback.duplicateOfId) {
+      loadDuplicates()
+    }
+  }, [activeTab, similarity, feedback, isOpen])
+
   const loadNotes = async () => {
     if (!feedback?.id) return
     
@@ -78,6 +88,90 @@ export default function EditFeedbackModal({ feedback, isOpen, onClose, onUpdate
     }
   }
 
+  const loadDuplicates = async () => {
+    if (!feedback?.id) return
+
+    setDuplicatesLoading(true)
+    try {
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) return
+
+      const response = await fetch(`/api/feedback/${feedback.id}/duplicates?threshold=${similarity}`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`
+        }
+      })
+
+      if (response.ok) {
+        setDuplicates(await response.json())
+        setSelectedDuplicates([])
+      }
+    } catch (error) {
+      console.error('Error loading possible duplicates:', error)
+    } finally {
+      setDuplicatesLoading(false)
+    }
+  }
+
+  const toggleDuplicate = (id) => {
+    setSelectedDuplicates(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id])
+  }
+
+  const handleMerge = async () => {
+    if (selectedDuplicates.length === 0 || isMerging) return
+
+    setIsMerging(true)
+    try {
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) throw new Error('User not authenticated')
+
+      const response = await fetch(`/api/feedback/${feedback.id}/merge`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({ duplicateIds: selectedDuplicates })
+      })
+
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.error || 'Failed to merge feedback')
+
+      onUpdate()
+      loadDuplicates()
+    } catch (error) {
+      alert('Error merging feedback: ' + error.message)
+    } finally {
+      setIsMerging(false)
+    }
+  }
+
+  const handleUnmerge = async (id) => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) throw new Error('User not authenticated')
+
+      const response = await fetch(`/api/feedback/${id}/merge`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`
+        }
+      })
+
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.error || 'Failed to unmerge feedback')
+
+      onUpdate()
+      if (id === feedback.id) {
+        onClose()
+      } else {
+        loadDuplicates()
+      }
+    } catch (error) {
+      alert('Error unmerging feedback: ' + error.message)
+    }
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     if (isSubmitting) return
@@ -93,7 +187,10 @@ export default function EditFeedbackModal({ feedback, isOpen, onClose, onUpdate
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${session.access_token}`
         },
-        body: JSON.stringify(formData)
+        body: JSON.stringify({
+          ...formData,
+          correctionSource: 'edit_modal'
+        })
       })
 
       if (!response.ok) throw new Error('Failed to update feedback')
@@ -139,6 +236,12 @@ export default function EditFeedbackModal({ feedback, isOpen, onClose, onUpdate
     return category?.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) || 'Unknown'
   }
 
+  // Keep the current category selectable even if it is no longer active in the project
+  const categoryOptions = categories || toCategoryOptions()
+  const selectableCategories = formData.category && !categoryOptions.some(cat => cat.value === formData.category)
+    ? [...categoryOptions, { value: formData.category, label: formatCategoryName(formData.category) }]
+    : categoryOptions
+
   const formatDateTime = (dateString) => {
     return new Date(dateString).toLocaleString()
   }
@@ -188,7 +291,13 @@ export default function EditFeedbackModal({ feedback, isOpen, onClose, onUpdate
             {[
               { id: 'details', label: 'Details' },
               { id: 'notes', label: `Notes (${notes.length})` },
-              { id: 'history', label: 'Edit History' }
+              { id: 'history', label: 'Edit History' },
+              {
+                id: 'duplicates',
+                label: duplicates
+                  ? `Possible Duplicates (${duplicates.matches.length})`
+                  : `Possible Duplicates${feedback?.duplicateCount ? ` · ${feedback.duplicateCount} merged` : ''}`
+              }
             ].map((tab) => (
               <button
                 key={tab.id}
@@ -234,7 +343,7 @@ export default function EditFeedbackModal({ feedback, isOpen, onClose, onUpdate
                     onChange={(e) => setFormData({ ...formData, category: e.target.value })}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                   >
-                    {categories.map(cat => (
+                    {selectableCategories.map(cat => (
                       <option key={cat.value} value={cat.value}>{cat.label}</option>
                     ))}
                   </select>
@@ -271,6 +380,32 @@ export default function EditFeedbackModal({ feedback, isOpen, onClose, onUpdate
                 </div>
               </div>
 
+              {/* Priority breakdown */}
+              {feedback.priorityScore !== null && feedback.priorityScore !== undefined && (
+                <div className="p-3 bg-gray-50 border border-gray-200 rounded-md">
+                  <p className="text-sm font-medium text-gray-700 mb-2">
+                    Why {feedback.priority} priority (score {feedback.priorityScore}/100)
+                  </p>
+                  {(feedback.priorityFactors || []).length === 0 ? (
+                    <p className="text-sm text-gray-500">No factor raised or lowered the priority.</p>
+                  ) : (
+                    <ul className="space-y-1 text-sm text-gray-600">
+                      {feedback.priorityFactors.map(factor => (
+                        <li key={factor.factor} className="flex justify-between gap-4">
+                          <span>{factor.detail}</span>
+                          <span className={factor.points > 0 ? 'text-red-600' : 'text-green-600'}>
+                            {factor.points > 0 ? '+' : ''}{factor.points}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {formData.priority !== feedback.priority && (
+                    <p className="text-xs text-gray-500 mt-2">Saving overrides the automatic priority.</p>
+                  )}
+                </div>
+              )}
+
               {/* Source */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -365,6 +500,110 @@ export default function EditFeedbackModal({ feedback, isOpen, onClose, onUpdate
               )}
             </div>
           )}
+
+          {activeTab === 'duplicates' && (
+            <div className="space-y-4">
+              {feedback?.duplicateOfId ? (
+                <div className="p-3 bg-blue-50 border border-blue-200 rounded-md flex items-center justify-between gap-4">
+                  <p className="text-sm text-blue-800">
+                    This feedback is merged into another feedback as a duplicate. It still counts in analytics.
+                  </p>
+                  <button
+                    onClick={() => handleUnmerge(feedback.id)}
+                    className="px-3 py-1 border border-blue-300 rounded-md text-sm font-medium text-blue-700 bg-white hover:bg-blue-50"
+                  >
+                    Unmerge
+                  </button>
+                </div>
+              ) : (
+                <>
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm text-gray-600">
+                      Feedback saying the same thing, compared by meaning rather than exact words.
+                    </p>
+                    <select
+                      value={similarity}
+                      onChange={(e) => setSimilarity(e.target.value)}
+                      className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+                    >
+                      {SIMILARITY_LEVELS.map(level => (
+                        <option key={level.value} value={level.value}>{level.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {duplicatesLoading ? (
+                    <p className="text-gray-500 text-center py-4">Looking for duplicates...</p>
+                  ) : duplicates && !duplicates.embedded ? (
+                    <p className="text-gray-500 text-center py-4">
+                      Duplicate detection is unavailable: no embedding model is configured.
+                    </p>
+                  ) : duplicates?.matches.length === 0 ? (
+                    <p className="text-gray-500 text-center py-4">No possible duplicates found</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {duplicates?.matches.map(({ feedback: match, similarity: score }) => (
+                        <label key={match.id} className="flex items-start gap-3 bg-gray-50 rounded-lg p-3 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={selectedDuplicates.includes(match.id)}
+                            onChange={() => toggleDuplicate(match.id)}
+                            className="h-4 w-4 mt-0.5 text-blue-600 border-gray-300 rounded"
+                          />
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm text-gray-700">{match.content}</p>
+                            <p className="text-xs text-gray-500 mt-1">
+                              {match.source} • {formatCategoryName(match.category)} • {new Date(match.feedbackDate).toLocaleDateString()}
+                              {match.duplicateCount > 0 && ` • ${match.duplicateCount} merged`}
+                            </p>
+                          </div>
+                          <span className="text-xs font-medium text-gray-600">{Math.round(score * 100)}%</span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+
+                  {duplicates?.pendingEmbeddings > 0 && (
+                    <p className="text-xs text-gray-500">
+                      {duplicates.pendingEmbeddings} older feedback entries are not compared yet; they are embedded in the background each time duplicates are searched.
+                    </p>
+                  )}
+
+                  <div className="flex justify-end">
+                    <button
+                      onClick={handleMerge}
+                      disabled={selectedDuplicates.length === 0 || isMerging}
+                      className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {isMerging ? 'Merging...' : `Merge ${selectedDuplicates.length || ''} into this feedback`}
+                    </button>
+                  </div>
+
+                  {duplicates?.merged.length > 0 && (
+                    <div className="space-y-2">
+                      <h4 className="text-sm font-medium text-gray-900">Merged duplicates ({duplicates.merged.length})</h4>
+                      {duplicates.merged.map(item => (
+                        <div key={item.id} className="flex items-start justify-between gap-3 bg-gray-50 rounded-lg p-3">
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm text-gray-700">{item.content}</p>
+                            <p className="text-xs text-gray-500 mt-1">
+                              {item.source} • {new Date(item.feedbackDate).toLocaleDateString()}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => handleUnmerge(item.id)}
+                            className="text-xs font-medium text-blue-600 hover:text-blue-800"
+                          >
+                            Unmerge
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Footer */}
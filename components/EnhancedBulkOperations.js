@@ -2,8 +2,9 @@
 
 import { useState, useEffect } from 'react'
 import { supabase } from '@/lib/supabase/client'
+import { toCategoryOptions } from '@/lib/categories'
 
-export default function EnhancedBulkOperations({ feedback, onUpdate }) {
+export default function EnhancedBulkOperations({ feedback, onUpdate, categories }) {
   const [selectedItems, setSelectedItems] = useState([])
   const [isProcessing, setIsProcessing] = useState(false)
   const [showBulkPanel, setShowBulkPanel] = useState(false)
@@ -30,21 +31,14 @@ export default function EnhancedBulkOperations({ feedback, onUpdate }) {
     { value: 'low', label: 'Low' }
   ]
 
-  const categories = [
-    { value: 'feature_request', label: 'Feature Request' },
-    { value: 'bug_report', label: 'Bug Report' },
-    { value: 'shipping_complaint', label: 'Shipping Complaint' },
-    { value: 'product_quality', label: 'Product Quality' },
-    { value: 'customer_service', label: 'Customer Service' },
-    { value: 'general_inquiry', label: 'General Inquiry' },
-    { value: 'refund_request', label: 'Refund Request' },
-    { value: 'compliment', label: 'Compliment' }
-  ]
+  const categoryOptions = categories || toCategoryOptions()
 
   const bulkActions = [
     { value: 'updateStatus', label: 'Update Status' },
     { value: 'updatePriority', label: 'Update Priority' },
+    { value: 'recalculatePriority', label: 'Recalculate Priority (automatic)' },
     { value: 'updateCategory', label: 'Update Category' },
+    { value: 'mergeDuplicates', label: 'Merge as Duplicates' },
     { value: 'archive', label: 'Archive Items' },
     { value: 'unarchive', label: 'Unarchive Items' },
     { value: 'delete', label: 'Delete Items (Permanent)' }
@@ -115,6 +109,9 @@ export default function EnhancedBulkOperations({ feedback, onUpdate }) {
         }
         throw new Error(result.error || 'Bulk operation failed')
       }
+      if (result.success === false) {
+        throw new Error(result.errors?.join(', ') || 'Bulk operation failed')
+      }
 
       setProgress({ 
         processed: result.processed, 
@@ -124,7 +121,10 @@ export default function EnhancedBulkOperations({ feedback, onUpdate }) {
 
       setProcessingLog([
         `✅ Successfully processed ${result.processed} items`,
-        `Action: ${getActionLabel(bulkAction)}`
+        `Action: ${getActionLabel(bulkAction)}`,
+        ...(bulkAction === 'recalculatePriority'
+          ? [`${result.data?.changed || 0} changed priority${result.data?.skipped ? `, ${result.data.skipped} skipped (priority engine disabled)` : ''}`]
+          : [])
       ])
 
       onUpdate() // Refresh the feedback list
@@ -290,13 +290,31 @@ export default function EnhancedBulkOperations({ feedback, onUpdate }) {
                   disabled={isProcessing}
                 >
                   <option value="">Select a category</option>
-                  {categories.map(cat => (
+                  {categoryOptions.map(cat => (
                     <option key={cat.value} value={cat.value}>{cat.label}</option>
                   ))}
                 </select>
               </div>
             )}
 
+            {bulkAction === 'recalculatePriority' && (
+              <div className="p-3 bg-blue-50 border border-blue-200 rounded-md">
+                <p className="text-sm text-blue-800">
+                  Priorities of the selected items will be scored again with their project&apos;s priority settings,
+                  replacing priorities set by hand.
+                </p>
+              </div>
+            )}
+
+            {bulkAction === 'mergeDuplicates' && (
+              <div className="p-3 bg-blue-50 border border-blue-200 rounded-md">
+                <p className="text-sm text-blue-800">
+                  The selected items will be merged into the oldest of them (or the one that already has merged
+                  duplicates). Duplicates stay counted in analytics and can be unmerged from the edit dialog.
+                </p>
+              </div>
+            )}
+
             {(bulkAction === 'archive' || bulkAction === 'unarchive') && (
               <div className="p-3 bg-blue-50 border border-blue-200 rounded-md">
                 <p className="text-sm text-blue-800">
@@ -330,7 +348,7 @@ export default function EnhancedBulkOperations({ feedback, onUpdate }) {
                 </button>
                 <button
                   onClick={handleBulkProcess}
-                  disabled={isProcessing || (bulkAction === 'updateCategory' && !actionData.category)}
+                  disabled={isProcessing || (bulkAction === 'updateCategory' && !actionData.category) || (bulkAction === 'mergeDuplicates' && selectedItems.length < 2)}
                   className={`px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50 ${
                     bulkAction === 'delete' 
                       ? 'bg-red-600 hover:bg-red-700 focus:ring-red-500' 
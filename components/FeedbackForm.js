@@ -12,12 +12,15 @@ import { Badge } from '@/components/ui/badge'
 import { Progress } from '@/components/ui/progress'
 import { Alert, AlertDescription } from '@/components/ui/alert'
 import { Separator } from '@/components/ui/separator'
+import { useProjectCategories } from '@/hooks/useProjectCategories'
 
 export default function FeedbackForm({ onFeedbackAdded, projectId }) {
   const [content, setContent] = useState('')
   const [source, setSource] = useState('manual')
   const [category, setCategory] = useState('') // Empty by default to let AI categorize
+  const { categoryOptions } = useProjectCategories(projectId)
   const [feedbackDate, setFeedbackDate] = useState(new Date().toISOString().split('T')[0])
+  const [customerValue, setCustomerValue] = useState('')
   const [loading, setLoading] = useState(false)
   const [message, setMessage] = useState('')
   const [aiAnalysisResult, setAiAnalysisResult] = useState(null)
@@ -47,7 +50,8 @@ export default function FeedbackForm({ onFeedbackAdded, projectId }) {
           content,
           source,
           category: category || undefined, // Only send category if manually selected
-          feedbackDate
+          feedbackDate,
+          customerValue: customerValue || undefined
         })
       })
 
@@ -74,6 +78,7 @@ export default function FeedbackForm({ onFeedbackAdded, projectId }) {
       setMessage('Feedback added successfully!')
       setContent('')
       setCategory('')
+      setCustomerValue('')
       onFeedbackAdded(data)
     } catch (error) {
       setMessage('Error adding feedback: ' + error.message)
@@ -155,6 +160,22 @@ export default function FeedbackForm({ onFeedbackAdded, projectId }) {
                   </div>
                 </div>
 
+                <div className="space-y-2">
+                  <Label htmlFor="customerValue">Customer Value (Optional)</Label>
+                  <Input
+                    type="number"
+                    id="customerValue"
+                    min="0"
+                    step="any"
+                    value={customerValue}
+                    onChange={(e) => setCustomerValue(e.target.value)}
+                    placeholder="e.g. 12000"
+                  />
+                  <p className="text-sm text-muted-foreground">
+                    Revenue or lifetime value of the customer - valuable customers get a higher priority
+                  </p>
+                </div>
+
                 <div className="space-y-2">
                   <Label htmlFor="category">Category (Optional)</Label>
                   <Select value={category || "auto"} onValueChange={(value) => setCategory(value === "auto" ? "" : value)}>
@@ -163,14 +184,9 @@ export default function FeedbackForm({ onFeedbackAdded, projectId }) {
                     </SelectTrigger>
                     <SelectContent>
                       <SelectItem value="auto">🤖 AI Auto-categorization</SelectItem>
-                      <SelectItem value="general_inquiry">❓ General Inquiry</SelectItem>
-                      <SelectItem value="product_feedback">💭 Product Feedback</SelectItem>
-                      <SelectItem value="service_complaint">⚠️ Service Complaint</SelectItem>
-                      <SelectItem value="billing_issue">💰 Billing Issue</SelectItem>
-                      <SelectItem value="technical_support">🔧 Technical Support</SelectItem>
-                      <SelectItem value="feature_request">💡 Feature Request</SelectItem>
-                      <SelectItem value="bug_report">🐛 Bug Report</SelectItem>
-                      <SelectItem value="compliment">👏 Compliment</SelectItem>
+                      {categoryOptions.map(cat => (
+                        <SelectItem key={cat.value} value={cat.value}>{cat.label}</SelectItem>
+                      ))}
                     </SelectContent>
                   </Select>
                   <p className="text-sm text-muted-foreground">
@@ -6,7 +6,12 @@ import AdvancedSearchPanel from './AdvancedSearchPanel'
 import BulkRecategorization from './BulkRecategorization'
 import EnhancedBulkOperations from './EnhancedBulkOperations'
 import EditFeedbackModal from './EditFeedbackModal'
-import { recordUserFeedback } from '@/lib/geminiAI'
+import FeedbackSummaryPanel from './FeedbackSummaryPanel'
+import { useProjectCategories } from '@/hooks/useProjectCategories'
+import { formatCategoryName as formatCategorySlug } from '@/lib/categories'
+import { getLanguageName, UNKNOWN_LANGUAGE } from '@/lib/languageDetection'
+import { EMOTIONS, getUrgencyLevel } from '@/lib/emotionDetection'
+import { explainPriority } from '@/lib/priorityEngine'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
@@ -27,6 +32,7 @@ export default function FeedbackList({ feedback, onUpdate, currentProject }) {
   const [viewMode, setViewMode] = useState('list') // 'list', 'bulk', or 'enhanced'
   const [editingFeedback, setEditingFeedback] = useState(null)
   const [showEditModal, setShowEditModal] = useState(false)
+  const { categories: projectCategories, categoryOptions: categories } = useProjectCategories(currentProject?.id)
 
   const handleFilteredResults = (results) => {
     setFilteredFeedback(results)
@@ -68,11 +74,6 @@ export default function FeedbackList({ feedback, onUpdate, currentProject }) {
       const { data: { session } } = await supabase.auth.getSession()
       if (!session) throw new Error('User not authenticated')
 
-      // Find the original feedback item to record user feedback
-      const originalItem = feedback.find(item => item.id === id)
-      const originalAICategory = originalItem?.category
-      const originalAIConfidence = originalItem?.aiCategoryConfidence
-
       const response = await fetch(`/api/feedback/${id}`, {
         method: 'PUT',
         headers: {
@@ -81,22 +82,13 @@ export default function FeedbackList({ feedback, onUpdate, currentProject }) {
         },
         body: JSON.stringify({
           category,
-          manualOverride: true // Mark as manually categorized
+          manualOverride: true, // Mark as manually categorized
+          correctionSource: 'feedback_list' // Recorded server-side as an AI correction
         })
       })
       
       if (!response.ok) throw new Error('Failed to update feedback')
       
-      // Record user feedback for AI improvement if this was an AI categorization
-      if (originalAICategory && originalAIConfidence !== null) {
-        recordUserFeedback(
-          originalItem.content,
-          originalAICategory,
-          category,
-          originalAIConfidence
-        )
-      }
-      
       setEditingCategory(null)
       setNewCategory('')
       onUpdate() // Refresh the list
@@ -176,19 +168,8 @@ export default function FeedbackList({ feedback, onUpdate, currentProject }) {
     )
   }
 
-  const categories = [
-    { value: 'general_inquiry', label: 'General Inquiry' },
-    { value: 'product_feedback', label: 'Product Feedback' },
-    { value: 'service_complaint', label: 'Service Complaint' },
-    { value: 'billing_issue', label: 'Billing Issue' },
-    { value: 'technical_support', label: 'Technical Support' },
-    { value: 'feature_request', label: 'Feature Request' },
-    { value: 'bug_report', label: 'Bug Report' },
-    { value: 'compliment', label: 'Compliment' }
-  ]
-
   const formatCategoryName = (category) => {
-    return category?.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) || 'Unknown'
+    return projectCategories.find(cat => cat.slug === category)?.name || formatCategorySlug(category)
   }
 
   const getPriorityColor = (priority) => {
@@ -286,6 +267,19 @@ export default function FeedbackList({ feedback, onUpdate, currentProject }) {
             </CardContent>
           </Card>
 
+          {/* Summary of the filtered feedback */}
+          {filteredFeedback.length > 0 && (
+            <FeedbackSummaryPanel
+              feedback={filteredFeedback}
+              filters={currentFilters}
+              projectId={currentProject?.id}
+              onOpenFeedback={(id) => {
+                const item = feedback.find(f => f.id === id)
+                if (item) handleEditFeedback(item)
+              }}
+            />
+          )}
+
           {/* Feedback List */}
           <div className="space-y-4">
             {filteredFeedback.length === 0 ? (
@@ -348,6 +342,9 @@ export default function FeedbackList({ feedback, onUpdate, currentProject }) {
                             item.priority === 'medium' ? 'bg-orange-100 text-orange-700 hover:bg-orange-200' :
                             'bg-green-100 text-green-700 hover:bg-green-200'
                           }
+                          title={item.priorityScore !== null && item.priorityScore !== undefined
+                            ? explainPriority(item.priority, item.priorityScore, item.priorityFactors || [])
+                            : 'Priority set by hand'}
                         >
                           {getPriorityIcon(item.priority || 'medium')} {item.priority?.charAt(0).toUpperCase() + item.priority?.slice(1) || 'Medium'}
                         </Badge>
@@ -359,6 +356,18 @@ export default function FeedbackList({ feedback, onUpdate, currentProject }) {
                           </Badge>
                         )}
                         
+                        {/* Duplicate Badges */}
+                        {item.duplicateOfId && (
+                          <Badge className="bg-gray-100 text-gray-700 hover:bg-gray-200" title="Merged into another feedback as a duplicate">
+                            🔗 Duplicate
+                          </Badge>
+                        )}
+                        {item.duplicateCount > 0 && (
+                          <Badge className="bg-blue-100 text-blue-700 hover:bg-blue-200" title="Reports merged into this feedback">
+                            🔗 +{item.duplicateCount} duplicate{item.duplicateCount === 1 ? '' : 's'}
+                          </Badge>
+                        )}
+                        
                         {/* Source Badge */}
                         <Badge className="bg-purple-100 text-purple-700 hover:bg-purple-200 text-xs">
                           📡 {item.source}
@@ -478,6 +487,44 @@ export default function FeedbackList({ feedback, onUpdate, currentProject }) {
                             </div>
                           )}
                           
+                          {/* Categorization Rule Indicator */}
+                          {!item.manualOverride && item.aiClassificationMeta?.aiClassification?.rule && (
+                            <Badge
+                              className="bg-teal-100 text-teal-700 hover:bg-teal-200 text-xs"
+                              title={item.aiClassificationMeta.aiClassification.reasoning}
+                            >
+                              📏 Rule: {item.aiClassificationMeta.aiClassification.rule.name}
+                            </Badge>
+                          )}
+
+                          {/* Language */}
+                          {item.language && item.language !== UNKNOWN_LANGUAGE && (
+                            <Badge
+                              variant="outline"
+                              className="text-xs"
+                              title={item.languageConfidence ? `Detected with ${Math.round(item.languageConfidence * 100)}% confidence` : undefined}
+                            >
+                              🌐 {getLanguageName(item.language)}
+                            </Badge>
+                          )}
+
+                          {/* Emotions */}
+                          {EMOTIONS.filter(emotion => item.emotions?.includes(emotion.value)).map(emotion => (
+                            <Badge key={emotion.value} variant="outline" className="text-xs">
+                              {emotion.emoji} {emotion.label}
+                            </Badge>
+                          ))}
+
+                          {/* Urgency */}
+                          {getUrgencyLevel(item.urgencyScore) === 'high' && (
+                            <Badge
+                              className="bg-red-100 text-red-700 hover:bg-red-200 text-xs"
+                              title={item.aiClassificationMeta?.emotionAnalysis?.urgency?.signals?.map(signal => signal.label).join(', ') || undefined}
+                            >
+                              🚨 Urgent ({Math.round(item.urgencyScore * 100)}%)
+                            </Badge>
+                          )}
+
                           {/* Manual Override Indicator */}
                           {item.manualOverride && (
                             <Badge className="bg-purple-100 text-purple-700 hover:bg-purple-200 text-xs">
@@ -493,6 +540,12 @@ export default function FeedbackList({ feedback, onUpdate, currentProject }) {
                       <p className="text-foreground leading-relaxed">
                         {highlightSearchTerms(item.content, currentFilters.searchQuery)}
                       </p>
+                      {item.translatedContent && (
+                        <p className="mt-2 text-sm text-muted-foreground leading-relaxed border-l-2 pl-3">
+                          <span className="font-medium">🌐 {getLanguageName(item.translationLanguage)}:</span>{' '}
+                          {highlightSearchTerms(item.translatedContent, currentFilters.searchQuery)}
+                        </p>
+                      )}
                     </div>
 
                     {/* Analytics Grid */}
@@ -608,6 +661,7 @@ export default function FeedbackList({ feedback, onUpdate, currentProject }) {
               <BulkRecategorization
                 feedback={filteredFeedback.length > 0 ? filteredFeedback : feedback}
                 onUpdate={onUpdate}
+                categories={categories}
               />
             </CardContent>
           </Card>
@@ -628,6 +682,7 @@ export default function FeedbackList({ feedback, onUpdate, currentProject }) {
               <EnhancedBulkOperations
                 feedback={filteredFeedback.length > 0 ? filteredFeedback : feedback}
                 onUpdate={onUpdate}
+                categories={categories}
               />
             </CardContent>
           </Card>
@@ -640,6 +695,7 @@ export default function FeedbackList({ feedback, onUpdate, currentProject }) {
         isOpen={showEditModal}
         onClose={closeEditModal}
         onUpdate={onUpdate}
+        categories={categories}
       />
     </div>
   )
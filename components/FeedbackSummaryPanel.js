@@ -0,0 +1,181 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase/client'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+
+const getSentimentColor = (sentiment) => {
+  switch (sentiment) {
+    case 'positive': return 'bg-green-100 text-green-800'
+    case 'negative': return 'bg-red-100 text-red-800'
+    case 'mixed': return 'bg-yellow-100 text-yellow-800'
+    default: return 'bg-gray-100 text-gray-800'
+  }
+}
+
+const getPriorityColor = (priority) => {
+  switch (priority) {
+    case 'high': return 'bg-red-100 text-red-800'
+    case 'low': return 'bg-green-100 text-green-800'
+    default: return 'bg-yellow-100 text-yellow-800'
+  }
+}
+
+/**
+ * "Summarize" action for the feedback currently shown in the feedback list
+ */
+export default function FeedbackSummaryPanel({ feedback, filters, projectId, onOpenFeedback }) {
+  const [result, setResult] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // A summary only describes the list it was made for
+  const feedbackKey = feedback.map(item => item.id).join(',')
+  useEffect(() => {
+    setResult(null)
+    setError(null)
+  }, [feedbackKey])
+
+  const summarize = async (refresh = false) => {
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) throw new Error('User not authenticated')
+
+      const response = await fetch('/api/feedback/summarize', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({
+          feedbackIds: feedback.map(item => item.id),
+          filters,
+          projectId,
+          refresh
+        })
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.error || 'Failed to summarize feedback')
+      }
+
+      setResult(await response.json())
+    } catch (err) {
+      console.error('Error summarizing feedback:', err)
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const summary = result?.summary
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <span className="text-xl">✨</span>
+              Summary
+              {result?.cached && <Badge variant="outline" className="text-xs">cached</Badge>}
+            </CardTitle>
+            <CardDescription>
+              Key themes, representative quotes and suggested actions for the {feedback.length} feedback entries shown
+            </CardDescription>
+          </div>
+          <div className="flex gap-2">
+            {summary && (
+              <Button variant="outline" size="sm" onClick={() => summarize(true)} disabled={isLoading}>
+                Regenerate
+              </Button>
+            )}
+            <Button size="sm" onClick={() => summarize(false)} disabled={isLoading || feedback.length === 0}>
+              {isLoading ? 'Summarizing...' : 'Summarize'}
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+
+      {(error || summary) && (
+        <CardContent className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {summary && (
+            <>
+              {summary.method === 'extractive' && (
+                <Alert>
+                  <AlertDescription>
+                    The AI provider could not be used{summary.error ? ` (${summary.error})` : ''}, so themes were found by grouping similar feedback.
+                  </AlertDescription>
+                </Alert>
+              )}
+              {result.summarizedCount < result.feedbackCount && (
+                <p className="text-xs text-muted-foreground">
+                  Summarizes the {result.summarizedCount} most recent of {result.feedbackCount} feedback entries.
+                </p>
+              )}
+
+              <p className="text-sm text-gray-700">{summary.overview}</p>
+
+              {summary.themes.length > 0 && (
+                <div className="space-y-3">
+                  <h4 className="font-medium text-gray-900">Key themes</h4>
+                  {summary.themes.map((theme, index) => (
+                    <div key={index} className="rounded-md border p-4 space-y-2">
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <span className="font-medium text-gray-900">{theme.title}</span>
+                        <div className="flex gap-2 text-xs">
+                          <Badge variant="outline">{theme.mentions} mentions</Badge>
+                          <Badge className={getSentimentColor(theme.sentiment)}>{theme.sentiment}</Badge>
+                        </div>
+                      </div>
+                      {theme.description && <p className="text-sm text-gray-600">{theme.description}</p>}
+                      {theme.quotes.map(quote => (
+                        <button
+                          key={quote.feedbackId}
+                          type="button"
+                          onClick={() => onOpenFeedback?.(quote.feedbackId)}
+                          className="block w-full border-l-2 border-gray-200 pl-3 text-left text-sm text-gray-700 hover:border-teal-500 hover:text-gray-900"
+                          title="Open this feedback"
+                        >
+                          &ldquo;{quote.content}&rdquo;
+                        </button>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {summary.suggestedActions.length > 0 && (
+                <div className="space-y-2">
+                  <h4 className="font-medium text-gray-900">Suggested actions</h4>
+                  {summary.suggestedActions.map((action, index) => (
+                    <div key={index} className="flex items-start gap-2 text-sm">
+                      <Badge className={`${getPriorityColor(action.priority)} text-xs`}>{action.priority}</Badge>
+                      <span>
+                        <span className="font-medium">{action.title}</span>
+                        {action.description && <span className="text-gray-600"> - {action.description}</span>}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </CardContent>
+      )}
+    </Card>
+  )
+}
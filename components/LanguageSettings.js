@@ -0,0 +1,143 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase/client'
+import {
+  LANGUAGES,
+  getProjectLanguageSettings,
+  detectLanguage,
+  getLanguageName
+} from '@/lib/languageDetection'
+import { getLexiconLanguages } from '@/lib/sentimentLexicons'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select'
+import { LanguageIcon } from '@heroicons/react/24/outline'
+
+export default function LanguageSettings({ project, onSaved, onError }) {
+  const [settings, setSettings] = useState(getProjectLanguageSettings(null))
+  const [testText, setTestText] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    setSettings(getProjectLanguageSettings(project))
+  }, [project])
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) throw new Error('No session found')
+
+      const response = await fetch(`/api/projects/${project.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({
+          settings: {
+            ...(project.settings || {}),
+            language: settings
+          }
+        })
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.error || 'Failed to save language settings')
+      }
+
+      onSaved?.('Language settings saved successfully!')
+    } catch (err) {
+      console.error('Error saving language settings:', err)
+      onError?.(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const lexiconLanguages = getLexiconLanguages()
+  const detected = testText.trim() ? detectLanguage(testText) : null
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <LanguageIcon className="h-5 w-5 text-teal-600" />
+          Languages
+        </CardTitle>
+        <CardDescription>
+          The language of every feedback is detected when it is analyzed. Sentiment is scored with word lists for{' '}
+          {lexiconLanguages.map(getLanguageName).join(', ')}.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="space-y-2">
+          <Label>Working language</Label>
+          <Select
+            value={settings.workingLanguage}
+            onValueChange={(value) => setSettings({ ...settings, workingLanguage: value })}
+          >
+            <SelectTrigger className="w-64">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {LANGUAGES.map(language => (
+                <SelectItem key={language.code} value={language.code}>{language.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <label className="flex items-start text-sm text-gray-900">
+          <input
+            type="checkbox"
+            checked={settings.translate}
+            onChange={(e) => setSettings({ ...settings, translate: e.target.checked })}
+            className="h-4 w-4 mt-0.5 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          <span>
+            <span className="font-medium">Translate feedback into the working language</span>
+            <span className="block text-gray-500">
+              The translation is stored next to the original and used for sentiment when there is no word list for the
+              original language. Uses the AI provider, or a local translation model when it is unavailable.
+            </span>
+          </span>
+        </label>
+
+        <div className="rounded-md bg-gray-50 p-4 space-y-3">
+          <h4 className="font-medium text-gray-900">Test Detection</h4>
+          <Textarea
+            value={testText}
+            onChange={(e) => setTestText(e.target.value)}
+            rows={2}
+            placeholder="Paste a feedback text to see which language is detected"
+          />
+          {detected && (
+            <p className="text-sm text-gray-700">
+              {detected.language === 'und'
+                ? 'Language not recognized - English sentiment words are used'
+                : `${getLanguageName(detected.language)} (${Math.round(detected.confidence * 100)}% confidence)`}
+            </p>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <Button onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Language Settings'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,200 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase/client'
+import {
+  PII_ENTITY_TYPES,
+  DEFAULT_PII_SETTINGS,
+  validateCustomPattern,
+  redactText,
+  formatRedactionCounts
+} from '@/lib/piiRedaction'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import { ShieldCheckIcon, TrashIcon } from '@heroicons/react/24/outline'
+
+export default function PIIRedactionSettings({ project, onSaved, onError }) {
+  const [settings, setSettings] = useState(DEFAULT_PII_SETTINGS)
+  const [newPattern, setNewPattern] = useState({ name: '', pattern: '' })
+  const [testText, setTestText] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    setSettings({
+      ...DEFAULT_PII_SETTINGS,
+      ...(project?.settings?.piiRedaction || {})
+    })
+  }, [project])
+
+  const toggleEntity = (value, checked) => {
+    setSettings(prev => ({
+      ...prev,
+      entities: checked
+        ? [...prev.entities, value]
+        : prev.entities.filter(entity => entity !== value)
+    }))
+  }
+
+  const handleAddPattern = () => {
+    const error = validateCustomPattern(newPattern)
+    if (error) {
+      onError?.(error)
+      return
+    }
+    setSettings(prev => ({
+      ...prev,
+      customPatterns: [...prev.customPatterns, { name: newPattern.name.trim(), pattern: newPattern.pattern }]
+    }))
+    setNewPattern({ name: '', pattern: '' })
+  }
+
+  const removePattern = (index) => {
+    setSettings(prev => ({
+      ...prev,
+      customPatterns: prev.customPatterns.filter((_, i) => i !== index)
+    }))
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) throw new Error('No session found')
+
+      const response = await fetch(`/api/projects/${project.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({
+          settings: {
+            ...(project.settings || {}),
+            piiRedaction: {
+              enabled: settings.enabled,
+              entities: settings.entities,
+              customPatterns: settings.customPatterns
+            }
+          }
+        })
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.error || 'Failed to save PII redaction settings')
+      }
+
+      onSaved?.('PII redaction settings saved successfully!')
+    } catch (err) {
+      console.error('Error saving PII redaction settings:', err)
+      onError?.(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // The preview always redacts so the patterns can be tried before turning redaction on
+  const preview = testText.trim() ? redactText(testText, { ...settings, enabled: true }) : null
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldCheckIcon className="h-5 w-5 text-teal-600" />
+          PII Redaction
+        </CardTitle>
+        <CardDescription>
+          Mask personal data in feedback before it is sent to the AI provider. Stored feedback is not changed.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <label className="flex items-center text-sm font-medium text-gray-900">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => setSettings({ ...settings, enabled: e.target.checked })}
+            className="h-4 w-4 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          Redact PII before AI calls
+        </label>
+
+        <div className="space-y-2">
+          <Label>Mask</Label>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {PII_ENTITY_TYPES.map(type => (
+              <label key={type.value} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={settings.entities.includes(type.value)}
+                  onChange={(e) => toggleEntity(type.value, e.target.checked)}
+                  disabled={!settings.enabled}
+                  className="h-4 w-4 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                {type.label} <span className="ml-1 text-gray-400">{type.placeholder}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <Label>Custom patterns</Label>
+          {settings.customPatterns.map((customPattern, index) => (
+            <div key={index} className="flex items-center justify-between rounded-md border px-3 py-2 text-sm">
+              <span>
+                <span className="font-medium">{customPattern.name}</span>{' '}
+                <code className="bg-gray-100 px-1 rounded">{customPattern.pattern}</code>
+              </span>
+              <Button variant="ghost" size="sm" onClick={() => removePattern(index)} title="Remove pattern">
+                <TrashIcon className="h-4 w-4 text-red-600" />
+              </Button>
+            </div>
+          ))}
+          <div className="flex gap-2">
+            <Input
+              value={newPattern.name}
+              onChange={(e) => setNewPattern({ ...newPattern, name: e.target.value })}
+              placeholder="Name, e.g. Account ID"
+              className="w-1/3"
+            />
+            <Input
+              value={newPattern.pattern}
+              onChange={(e) => setNewPattern({ ...newPattern, pattern: e.target.value })}
+              placeholder="Regex, e.g. ACC-\d{6}"
+            />
+            <Button variant="outline" onClick={handleAddPattern} disabled={!newPattern.name.trim() || !newPattern.pattern}>
+              Add
+            </Button>
+          </div>
+        </div>
+
+        <div className="rounded-md bg-gray-50 p-4 space-y-3">
+          <h4 className="font-medium text-gray-900">Test Redaction</h4>
+          <Textarea
+            value={testText}
+            onChange={(e) => setTestText(e.target.value)}
+            rows={3}
+            placeholder="Paste a feedback text to see what the AI provider would receive"
+          />
+          {preview && (
+            <div className="space-y-1">
+              <p className="text-sm text-gray-800 whitespace-pre-wrap rounded bg-white border p-2">{preview.text}</p>
+              <p className="text-xs text-gray-500">
+                {preview.total > 0 ? `Masked ${formatRedactionCounts(preview.counts)}` : 'Nothing to mask'}
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <Button onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Redaction Settings'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,347 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase/client'
+import {
+  PRIORITY_FACTORS,
+  getProjectPrioritySettings,
+  parseCustomerValue,
+  scorePriority
+} from '@/lib/priorityEngine'
+import { scoreSentiment } from '@/lib/sentimentScorer'
+import { detectEmotions, detectUrgency } from '@/lib/emotionDetection'
+import { useProjectCategories } from '@/hooks/useProjectCategories'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select'
+import { FlagIcon } from '@heroicons/react/24/outline'
+
+const SOURCES = [
+  { value: 'manual', label: 'Manual Entry' },
+  { value: 'email', label: 'Email' },
+  { value: 'chat', label: 'Chat' },
+  { value: 'social', label: 'Social Media' },
+  { value: 'survey', label: 'Survey' },
+  { value: 'phone', label: 'Phone' },
+  { value: 'csv_import', label: 'CSV Import' }
+]
+
+const getPriorityColor = (priority) => {
+  switch (priority) {
+    case 'high': return 'bg-red-100 text-red-800'
+    case 'low': return 'bg-green-100 text-green-800'
+    default: return 'bg-yellow-100 text-yellow-800'
+  }
+}
+
+const formatPoints = (points) => (points > 0 ? `+${points}` : `${points}`)
+
+// Points maps keep only the entries that change something
+const setPoints = (points, key, value) => {
+  const { [key]: _removed, ...rest } = points
+  return value === '' || Number(value) === 0 ? rest : { ...rest, [key]: Number(value) }
+}
+
+export default function PrioritySettings({ project, onSaved, onError }) {
+  const [settings, setSettings] = useState(() => getProjectPrioritySettings(project))
+  const [test, setTest] = useState({ text: '', source: 'email', category: 'none', customerValue: '' })
+  const [saving, setSaving] = useState(false)
+  const { categoryOptions } = useProjectCategories(project?.id)
+
+  useEffect(() => {
+    setSettings(getProjectPrioritySettings(project))
+  }, [project])
+
+  const getAuthHeaders = async () => {
+    const { data: { session } } = await supabase.auth.getSession()
+    if (!session) throw new Error('No session found')
+
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`
+    }
+  }
+
+  const handleSave = async () => {
+    if (settings.thresholds.low >= settings.thresholds.high) {
+      onError?.('The low priority threshold must be below the high priority threshold')
+      return
+    }
+
+    try {
+      setSaving(true)
+
+      const response = await fetch(`/api/projects/${project.id}`, {
+        method: 'PUT',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify({
+          settings: {
+            ...(project.settings || {}),
+            priority: getProjectPrioritySettings({ settings: { priority: settings } })
+          }
+        })
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.error || 'Failed to save priority settings')
+      }
+
+      onSaved?.('Priority settings saved successfully!')
+    } catch (err) {
+      console.error('Error saving priority settings:', err)
+      onError?.(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const updateNumber = (key, value) => setSettings({ ...settings, [key]: value === '' ? '' : Number(value) })
+
+  // Preview: the rule-based analysis the server runs, scored with the unsaved settings
+  let preview = null
+  if (test.text.trim()) {
+    const { compound } = scoreSentiment(test.text)
+    const emotions = detectEmotions(test.text)
+    const urgency = detectUrgency(test.text, { emotions, compound })
+    preview = scorePriority({
+      category: test.category === 'none' ? null : test.category,
+      source: test.source,
+      customerValue: parseCustomerValue(test.customerValue),
+      urgencyScore: urgency.score,
+      aiClassificationMeta: {
+        sentimentAnalysis: { compound },
+        emotionAnalysis: { urgency }
+      }
+    }, getProjectPrioritySettings({ settings: { priority: settings } }))
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FlagIcon className="h-5 w-5 text-teal-600" />
+          Automatic Priority
+        </CardTitle>
+        <CardDescription>
+          New feedback gets a priority score from 0 to 100 out of its sentiment, urgency, category, source, customer value
+          and how often the same issue was reported recently. Every priority comes with the factors behind it. Use
+          &quot;Recalculate Priority&quot; in the bulk operations to apply changed settings to existing feedback.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <label className="flex items-start text-sm text-gray-900">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => setSettings({ ...settings, enabled: e.target.checked })}
+            className="h-4 w-4 mt-0.5 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          <span>
+            <span className="font-medium">Score priorities automatically</span>
+            <span className="block text-gray-500">
+              When off, new feedback is high priority only when it is urgent, and priorities are otherwise set by hand.
+            </span>
+          </span>
+        </label>
+
+        <div className="space-y-2">
+          <Label>Factor weights</Label>
+          <p className="text-sm text-gray-500">0 ignores a factor, 1 is the default strength, 2 doubles it.</p>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {PRIORITY_FACTORS.map(factor => (
+              <div key={factor.value} className="flex items-center justify-between gap-2 rounded-md border px-3 py-2 text-sm">
+                <span>{factor.label}</span>
+                <Input
+                  type="number"
+                  min="0"
+                  max="2"
+                  step="0.25"
+                  value={settings.factorWeights[factor.value]}
+                  onChange={(e) => setSettings({
+                    ...settings,
+                    factorWeights: { ...settings.factorWeights, [factor.value]: e.target.value === '' ? 0 : Number(e.target.value) }
+                  })}
+                  className="w-20"
+                  disabled={!settings.enabled}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-2">
+            <Label>Category points</Label>
+            <p className="text-sm text-gray-500">Added to the score of feedback in a category (negative lowers it).</p>
+            {categoryOptions.map(category => (
+              <div key={category.value} className="flex items-center justify-between gap-2 text-sm">
+                <span>{category.label}</span>
+                <Input
+                  type="number"
+                  min="-50"
+                  max="50"
+                  step="5"
+                  value={settings.categoryPoints[category.value] ?? ''}
+                  onChange={(e) => setSettings({
+                    ...settings,
+                    categoryPoints: setPoints(settings.categoryPoints, category.value, e.target.value)
+                  })}
+                  placeholder="0"
+                  className="w-20"
+                  disabled={!settings.enabled}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="space-y-2">
+            <Label>Source points</Label>
+            <p className="text-sm text-gray-500">A phone call usually needs an answer sooner than a survey.</p>
+            {SOURCES.map(source => (
+              <div key={source.value} className="flex items-center justify-between gap-2 text-sm">
+                <span>{source.label}</span>
+                <Input
+                  type="number"
+                  min="-50"
+                  max="50"
+                  step="5"
+                  value={settings.sourcePoints[source.value] ?? ''}
+                  onChange={(e) => setSettings({
+                    ...settings,
+                    sourcePoints: setPoints(settings.sourcePoints, source.value, e.target.value)
+                  })}
+                  placeholder="0"
+                  className="w-20"
+                  disabled={!settings.enabled}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="highValueCustomer">High-value customer</Label>
+            <Input
+              id="highValueCustomer"
+              type="number"
+              min="1"
+              value={settings.highValueCustomer}
+              onChange={(e) => updateNumber('highValueCustomer', e.target.value)}
+              disabled={!settings.enabled}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="recurrenceWindowDays">Recurrence window (days)</Label>
+            <Input
+              id="recurrenceWindowDays"
+              type="number"
+              min="1"
+              max="90"
+              value={settings.recurrenceWindowDays}
+              onChange={(e) => updateNumber('recurrenceWindowDays', e.target.value)}
+              disabled={!settings.enabled}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="highThreshold">High from score</Label>
+            <Input
+              id="highThreshold"
+              type="number"
+              min="1"
+              max="100"
+              value={settings.thresholds.high}
+              onChange={(e) => setSettings({ ...settings, thresholds: { ...settings.thresholds, high: Number(e.target.value) } })}
+              disabled={!settings.enabled}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="lowThreshold">Low below score</Label>
+            <Input
+              id="lowThreshold"
+              type="number"
+              min="0"
+              max="99"
+              value={settings.thresholds.low}
+              onChange={(e) => setSettings({ ...settings, thresholds: { ...settings.thresholds, low: Number(e.target.value) } })}
+              disabled={!settings.enabled}
+            />
+          </div>
+        </div>
+
+        <div className="rounded-md bg-gray-50 p-4 space-y-3">
+          <h4 className="font-medium text-gray-900">Test Priority</h4>
+          <Textarea
+            value={test.text}
+            onChange={(e) => setTest({ ...test, text: e.target.value })}
+            rows={2}
+            placeholder="Type a feedback text to see its priority and why"
+          />
+          <div className="flex flex-wrap gap-2">
+            <Select value={test.source} onValueChange={(value) => setTest({ ...test, source: value })}>
+              <SelectTrigger className="w-40">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {SOURCES.map(source => (
+                  <SelectItem key={source.value} value={source.value}>{source.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={test.category} onValueChange={(value) => setTest({ ...test, category: value })}>
+              <SelectTrigger className="w-48">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="none">No category</SelectItem>
+                {categoryOptions.map(category => (
+                  <SelectItem key={category.value} value={category.value}>{category.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input
+              type="number"
+              min="0"
+              value={test.customerValue}
+              onChange={(e) => setTest({ ...test, customerValue: e.target.value })}
+              placeholder="Customer value"
+              className="w-40"
+            />
+          </div>
+          {preview && (
+            <div className="space-y-1 text-sm text-gray-700">
+              <p className="flex items-center gap-2">
+                <Badge className={getPriorityColor(preview.priority)}>{preview.priority}</Badge>
+                <span>score {preview.score}/100</span>
+              </p>
+              {preview.factors.map(factor => (
+                <p key={factor.factor} className="flex justify-between">
+                  <span>{factor.detail}</span>
+                  <span className="font-medium">{formatPoints(factor.points)}</span>
+                </p>
+              ))}
+              <p className="text-xs text-gray-500">Recurring issues are counted from the project&apos;s feedback when it is saved.</p>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <Button onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Priority Settings'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,293 @@
+'use client'
+
+import { useState, useMemo } from 'react'
+import { PredictiveInsights } from '@/lib/analytics/PredictiveInsights'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+
+const SCENARIOS = [
+  { key: 'baseline', title: 'Baseline', description: 'Most likely outcome', color: 'bg-blue-100 text-blue-800' },
+  { key: 'optimistic', title: 'Optimistic', description: 'Favourable end of the forecast range', color: 'bg-green-100 text-green-800' },
+  { key: 'pessimistic', title: 'Pessimistic', description: 'Unfavourable end of the forecast range', color: 'bg-yellow-100 text-yellow-800' },
+  { key: 'stressTest', title: 'Stress test', description: 'Rare unfavourable outcome', color: 'bg-red-100 text-red-800' }
+]
+
+const VOLUME_CHANGES = [-0.5, -0.3, -0.1, 0, 0.1, 0.3, 0.5]
+const SENTIMENT_CHANGES = [-0.2, -0.1, 0, 0.1, 0.2]
+
+// Categories offered in the what-if inputs (largest first)
+const MAX_WHAT_IF_CATEGORIES = 6
+
+const formatCategory = (category) => category.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
+const formatPercent = (value) => value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`
+const formatSigned = (value, formatter = v => v.toFixed(3)) => {
+  if (value === null || value === undefined) return '-'
+  return `${value > 0 ? '+' : ''}${formatter(value)}`
+}
+
+// Green when a change is an improvement, red when it's a deterioration
+const changeColor = (value, higherIsBetter) => {
+  if (!value) return 'text-gray-500'
+  return (value > 0) === higherIsBetter ? 'text-green-600' : 'text-red-600'
+}
+
+/**
+ * Scenarios for the next 30 days and what-if analysis of category changes
+ */
+export default function ScenarioAnalysis({ feedback }) {
+  const [adjustments, setAdjustments] = useState({})
+
+  const insights = useMemo(() => new PredictiveInsights(), [])
+
+  const analysis = useMemo(() => {
+    const timeSeriesData = insights.prepareTimeSeriesData(feedback)
+    return insights.performScenarioAnalysis(feedback, timeSeriesData, null)
+  }, [insights, feedback])
+
+  const whatIf = useMemo(() => {
+    const changes = Object.entries(adjustments)
+      .map(([category, change]) => ({ category, ...change }))
+      .filter(change => change.volumeChange || change.sentimentChange)
+    return insights.runWhatIfScenario(feedback, changes)
+  }, [insights, feedback, adjustments])
+
+  const setAdjustment = (category, field, value) => {
+    setAdjustments(current => ({
+      ...current,
+      [category]: { ...current[category], [field]: parseFloat(value) }
+    }))
+  }
+
+  const { scenarios, probabilityWeighted, sensitivityAnalysis } = analysis
+
+  if (!scenarios.baseline.available) {
+    return (
+      <Card>
+        <CardContent className="flex flex-col items-center justify-center h-64">
+          <div className="text-4xl mb-4">🔮</div>
+          <h3 className="text-lg font-semibold mb-2">Not Enough History</h3>
+          <p className="text-muted-foreground text-center">
+            Scenarios need at least two weeks of dated feedback with sentiment scores
+          </p>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  const weighted = probabilityWeighted.outcomes
+  const hasAdjustments = whatIf.available && (whatIf.change.feedbackVolume !== 0 || whatIf.change.averageSentiment)
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        {SCENARIOS.map(({ key, title, description, color }) => {
+          const scenario = scenarios[key]
+          return (
+            <Card key={key}>
+              <CardHeader className="pb-2">
+                <CardTitle className="flex items-center justify-between text-base">
+                  {title}
+                  {scenario.level && (
+                    <Badge className={`${color} text-xs`}>{Math.round(scenario.level * 100)}% bound</Badge>
+                  )}
+                </CardTitle>
+                <CardDescription>{description}</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-1 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Avg sentiment</span>
+                  <span className="font-medium">{scenario.outcomes.averageSentiment.toFixed(2)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Negative share</span>
+                  <span className="font-medium">{formatPercent(scenario.outcomes.negativeShare)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Feedback</span>
+                  <span className="font-medium">{scenario.outcomes.expectedFeedback}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Negative feedback</span>
+                  <span className="font-medium">{scenario.outcomes.expectedNegative}</span>
+                </div>
+              </CardContent>
+            </Card>
+          )
+        })}
+      </div>
+
+      {weighted && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Expected Outcome (Next {scenarios.baseline.horizonDays} Days)</CardTitle>
+            <CardDescription>
+              Scenarios weighted by probability: {Object.entries(probabilityWeighted.probabilities)
+                .map(([type, probability]) => `${type} ${Math.round(probability * 100)}%`)
+                .join(', ')}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div>
+                <div className="text-2xl font-bold">{weighted.averageSentiment.toFixed(2)}</div>
+                <p className="text-xs text-muted-foreground">Average sentiment</p>
+              </div>
+              <div>
+                <div className="text-2xl font-bold">{formatPercent(weighted.negativeShare)}</div>
+                <p className="text-xs text-muted-foreground">Negative share</p>
+              </div>
+              <div>
+                <div className="text-2xl font-bold">{Math.round(weighted.expectedFeedback)}</div>
+                <p className="text-xs text-muted-foreground">Feedback expected</p>
+              </div>
+              <div>
+                <div className="text-2xl font-bold">{Math.round(weighted.expectedNegative)}</div>
+                <p className="text-xs text-muted-foreground">Negative feedback expected</p>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {whatIf.available && (
+        <Card>
+          <CardHeader>
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <CardTitle>What If</CardTitle>
+                <CardDescription>
+                  Change the volume or sentiment of a category to see the effect on the last {whatIf.windowDays} days and the 30-day forecast
+                </CardDescription>
+              </div>
+              <Button variant="outline" size="sm" onClick={() => setAdjustments({})} disabled={!hasAdjustments}>
+                Reset
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="space-y-3">
+              {whatIf.categories.slice(0, MAX_WHAT_IF_CATEGORIES).map(({ category, count, averageSentiment }) => (
+                <div key={category} className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+                  <div>
+                    <div className="font-medium">{formatCategory(category)}</div>
+                    <p className="text-xs text-muted-foreground">
+                      {count} entries{averageSentiment !== null ? `, sentiment ${averageSentiment.toFixed(2)}` : ''}
+                    </p>
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-xs">Volume</Label>
+                    <Select
+                      value={String(adjustments[category]?.volumeChange || 0)}
+                      onValueChange={(value) => setAdjustment(category, 'volumeChange', value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {VOLUME_CHANGES.map(change => (
+                          <SelectItem key={change} value={String(change)}>
+                            {change === 0 ? 'No change' : formatSigned(change, formatPercent)}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-xs">Sentiment</Label>
+                    <Select
+                      value={String(adjustments[category]?.sentimentChange || 0)}
+                      onValueChange={(value) => setAdjustment(category, 'sentimentChange', value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {SENTIMENT_CHANGES.map(change => (
+                          <SelectItem key={change} value={String(change)}>
+                            {change === 0 ? 'No change' : formatSigned(change, v => v.toFixed(1))}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 rounded-md border p-4">
+              <div>
+                <p className="text-xs text-muted-foreground">Feedback volume</p>
+                <div className="text-lg font-bold">{whatIf.adjusted.feedbackVolume}</div>
+                <p className={`text-xs ${changeColor(whatIf.change.feedbackVolume, false)}`}>
+                  {formatSigned(whatIf.change.feedbackVolume, v => String(v))} vs {whatIf.baseline.feedbackVolume}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-muted-foreground">Average sentiment</p>
+                <div className="text-lg font-bold">{whatIf.adjusted.averageSentiment?.toFixed(2) ?? '-'}</div>
+                <p className={`text-xs ${changeColor(whatIf.change.averageSentiment, true)}`}>
+                  {formatSigned(whatIf.change.averageSentiment)} vs {whatIf.baseline.averageSentiment?.toFixed(2) ?? '-'}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-muted-foreground">Negative share</p>
+                <div className="text-lg font-bold">{formatPercent(whatIf.adjusted.negativeShare)}</div>
+                <p className={`text-xs ${changeColor(whatIf.change.negativeShare, false)}`}>
+                  {formatSigned(whatIf.change.negativeShare, formatPercent)} vs {formatPercent(whatIf.baseline.negativeShare)}
+                </p>
+              </div>
+              {whatIf.forecast && (
+                <div>
+                  <p className="text-xs text-muted-foreground">Sentiment in {whatIf.forecast.horizonDays} days</p>
+                  <div className="text-lg font-bold">{whatIf.forecast.adjusted.toFixed(2)}</div>
+                  <p className="text-xs text-muted-foreground">forecast {whatIf.forecast.baseline.toFixed(2)} without changes</p>
+                </div>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {sensitivityAnalysis.available && sensitivityAnalysis.categories.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Sensitivity</CardTitle>
+            <CardDescription>
+              Change in overall sentiment when a category&apos;s volume moves by {Math.round(sensitivityAnalysis.changes.volumeChange * 100)}% or
+              its sentiment improves by {sensitivityAnalysis.changes.sentimentChange}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2 pr-4 font-medium">Category</th>
+                    <th className="py-2 pr-4 font-medium">Volume -{Math.round(sensitivityAnalysis.changes.volumeChange * 100)}%</th>
+                    <th className="py-2 pr-4 font-medium">Volume +{Math.round(sensitivityAnalysis.changes.volumeChange * 100)}%</th>
+                    <th className="py-2 pr-4 font-medium">Sentiment +{sensitivityAnalysis.changes.sentimentChange}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sensitivityAnalysis.categories.map(row => (
+                    <tr key={row.category} className="border-b last:border-0">
+                      <td className="py-2 pr-4">{formatCategory(row.category)}</td>
+                      {[row.volumeDown, row.volumeUp, row.sentimentUp].map((impact, index) => (
+                        <td key={index} className={`py-2 pr-4 ${changeColor(impact.averageSentiment, true)}`}>
+                          {formatSigned(impact.averageSentiment)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  )
+}
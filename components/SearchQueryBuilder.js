@@ -1,80 +1,76 @@
 'use client'
 
 import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase/client'
+import { parseSearchQuery, matchesSearchQuery } from '@/lib/searchQuery'
 
-export default function SearchQueryBuilder({ onSearchChange, placeholder = "Search feedback..." }) {
+// Most matches a semantic or full-text search returns
+const SEMANTIC_RESULT_LIMIT = 200
+const FULL_TEXT_RESULT_LIMIT = 200
+
+// serverSearch: evaluate simple and advanced queries with the database full-text index instead of in the browser
+export default function SearchQueryBuilder({ onSearchChange, placeholder = "Search feedback...", projectId, serverSearch = false }) {
   const [searchQuery, setSearchQuery] = useState('')
-  const [searchMode, setSearchMode] = useState('simple') // 'simple' or 'advanced'
+  const [searchMode, setSearchMode] = useState('simple') // 'simple', 'advanced' or 'semantic'
   const [showHelp, setShowHelp] = useState(false)
+  const [isSearching, setIsSearching] = useState(false)
+  const [searchError, setSearchError] = useState(null)
+  const [rankingMode, setRankingMode] = useState(null)
+  const [matchCount, setMatchCount] = useState(null)
 
   // Parse search query for advanced operators
-  const parseAdvancedQuery = (query) => {
-    if (!query.trim()) return null
-
-    // Simple mode - just return the query as-is for basic text search
-    if (searchMode === 'simple') {
-      return {
-        type: 'simple',
-        term: query.trim(),
-        originalQuery: query
+  const parseAdvancedQuery = (query) => parseSearchQuery(query, searchMode)
+
+  // Ask the server for the feedback closest in meaning to the query (hybrid of semantic and keyword scores)
+  const fetchSemanticMatches = async (query) => {
+    const { data: { session } } = await supabase.auth.getSession()
+    if (!session) throw new Error('User not authenticated')
+
+    const params = new URLSearchParams({ q: query, searchMode: 'hybrid', limit: String(SEMANTIC_RESULT_LIMIT) })
+    if (projectId) params.set('projectId', projectId)
+
+    const response = await fetch(`/api/feedback?${params}`, {
+      headers: {
+        'Authorization': `Bearer ${session.access_token}`
       }
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json()
+      throw new Error(errorData.error || 'Semantic search failed')
     }
 
-    // Advanced mode - parse AND, OR, NOT operators
-    const terms = []
-    let currentTerm = ''
-    let currentOperator = 'AND'
-    let isNegated = false
-    
-    // Split by spaces but preserve quoted strings
-    const tokens = query.match(/(?:[^\s"]+|"[^"]*")+/g) || []
-    
-    for (let i = 0; i < tokens.length; i++) {
-      const token = tokens[i].toLowerCase()
-      
-      if (token === 'and' || token === '&&') {
-        if (currentTerm) {
-          terms.push({
-            term: currentTerm.replace(/"/g, ''),
-            operator: currentOperator,
-            negated: isNegated
-          })
-          currentTerm = ''
-          isNegated = false
-        }
-        currentOperator = 'AND'
-      } else if (token === 'or' || token === '||') {
-        if (currentTerm) {
-          terms.push({
-            term: currentTerm.replace(/"/g, ''),
-            operator: currentOperator,
-            negated: isNegated
-          })
-          currentTerm = ''
-          isNegated = false
-        }
-        currentOperator = 'OR'
-      } else if (token === 'not' || token === '!') {
-        isNegated = true
-      } else {
-        if (currentTerm) currentTerm += ' '
-        currentTerm += tokens[i] // Use original case for the term
-      }
+    const results = await response.json()
+    return {
+      mode: results[0]?.search.mode || 'hybrid',
+      scores: Object.fromEntries(results.map(item => [item.id, item.search.score]))
     }
-    
-    // Add the last term
-    if (currentTerm) {
-      terms.push({
-        term: currentTerm.replace(/"/g, ''),
-        operator: currentOperator,
-        negated: isNegated
-      })
+  }
+
+  // Ask the server to evaluate the query against the full-text index (stemmed, ranked by relevance)
+  const fetchFullTextMatches = async (query) => {
+    const { data: { session } } = await supabase.auth.getSession()
+    if (!session) throw new Error('User not authenticated')
+
+    const params = new URLSearchParams({ q: query, mode: searchMode, limit: String(FULL_TEXT_RESULT_LIMIT) })
+    if (projectId) params.set('projectId', projectId)
+
+    const response = await fetch(`/api/feedback/search?${params}`, {
+      headers: {
+        'Authorization': `Bearer ${session.access_token}`
+      }
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json()
+      throw new Error(errorData.error || 'Search failed')
     }
 
+    const { results, total } = await response.json()
     return {
-      type: 'advanced',
-      terms: terms,
-      originalQuery: query
+      mode: 'fulltext',
+      total,
+      scores: Object.fromEntries(results.map(item => [item.id, item.search.rank]))
     }
   }
 
@@ -82,53 +78,66 @@ export default function SearchQueryBuilder({ onSearchChange, placeholder = "Sear
   const executeSearch = (feedback, parsedQuery) => {
     if (!parsedQuery) return feedback
 
-    if (parsedQuery.type === 'simple') {
-      return feedback.filter(item => 
-        item.content.toLowerCase().includes(parsedQuery.term.toLowerCase())
-      )
+    if (parsedQuery.scores) {
+      // Semantic and full-text searches are ranked server-side; sorting by relevance uses the scores
+      return feedback.filter(item => parsedQuery.scores[item.id] !== undefined)
     }
 
-    // Advanced search logic
-    return feedback.filter(item => {
-      const content = item.content.toLowerCase()
-      let result = true
-      let hasOrCondition = false
-      let orResult = false
-
-      for (const term of parsedQuery.terms) {
-        const matches = content.includes(term.term.toLowerCase())
-        const termResult = term.negated ? !matches : matches
-
-        if (term.operator === 'OR') {
-          hasOrCondition = true
-          orResult = orResult || termResult
-        } else { // AND
-          if (hasOrCondition) {
-            // Complete the OR group
-            result = result && orResult
-            hasOrCondition = false
-            orResult = false
-          }
-          result = result && termResult
-        }
-      }
+    return feedback.filter(item => matchesSearchQuery(item.content, parsedQuery))
+  }
+
+  useEffect(() => {
+    setSearchError(null)
 
-      // Handle final OR condition
-      if (hasOrCondition) {
-        result = result && orResult
+    if (searchMode !== 'semantic') {
+      const parsedQuery = parseAdvancedQuery(searchQuery)
+      // Queries without terms (e.g. a lone "AND") match everything, no need to ask the server
+      if (!serverSearch || !parsedQuery || parsedQuery.terms?.length === 0) {
+        onSearchChange(searchQuery, parsedQuery, executeSearch)
+        return
       }
+    }
 
-      return result
-    })
-  }
+    const query = searchQuery.trim()
+    if (!query) {
+      onSearchChange(searchQuery, null, executeSearch)
+      return
+    }
 
-  useEffect(() => {
-    const parsedQuery = parseAdvancedQuery(searchQuery)
-    onSearchChange(searchQuery, parsedQuery, executeSearch)
-  }, [searchQuery, searchMode])
+    // Wait for a pause in typing - every semantic search embeds the query
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        setIsSearching(true)
+        const { mode, scores, total } = searchMode === 'semantic'
+          ? await fetchSemanticMatches(query)
+          : await fetchFullTextMatches(query)
+        if (cancelled) return
+        setRankingMode(mode)
+        setMatchCount(total ?? null)
+        onSearchChange(searchQuery, {
+          type: searchMode === 'semantic' ? 'semantic' : 'fulltext',
+          term: query,
+          scores,
+          originalQuery: searchQuery
+        }, executeSearch)
+      } catch (error) {
+        if (cancelled) return
+        console.error('Search error:', error)
+        setSearchError(error.message)
+      } finally {
+        if (!cancelled) setIsSearching(false)
+      }
+    }, 400)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [searchQuery, searchMode, projectId, serverSearch])
 
   const handleModeToggle = () => {
-    const newMode = searchMode === 'simple' ? 'advanced' : 'simple'
+    const newMode = searchMode === 'advanced' ? 'simple' : 'advanced'
     setSearchMode(newMode)
     
     // Clear search when switching modes
@@ -137,6 +146,24 @@ export default function SearchQueryBuilder({ onSearchChange, placeholder = "Sear
     }
   }
 
+  const handleSemanticToggle = () => {
+    setSearchMode(searchMode === 'semantic' ? 'simple' : 'semantic')
+  }
+
+  const getModeLabel = () => {
+    const label = searchMode === 'advanced' ? 'Advanced (AND/OR/NOT)' : 'Simple text search'
+    if (searchMode !== 'semantic' && !serverSearch) return label
+    if (isSearching) return searchMode === 'semantic' ? 'Semantic search - searching...' : `${label} - searching...`
+    if (searchMode !== 'semantic') {
+      return matchCount > FULL_TEXT_RESULT_LIMIT
+        ? `${label} - best ${FULL_TEXT_RESULT_LIMIT} of ${matchCount} matches, ranked in the database`
+        : `${label} - ranked in the database`
+    }
+    return rankingMode === 'keyword'
+      ? 'Semantic search unavailable - ranked by keywords'
+      : 'Semantic search - ranked by meaning and keywords'
+  }
+
   return (
     <div className="space-y-2">
       <div className="relative">
@@ -185,14 +212,28 @@ export default function SearchQueryBuilder({ onSearchChange, placeholder = "Sear
           />
           <span className="ml-2 text-sm text-gray-600">Advanced search</span>
         </label>
+
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={searchMode === 'semantic'}
+            onChange={handleSemanticToggle}
+            className="rounded border-gray-300 text-blue-600 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
+          />
+          <span className="ml-2 text-sm text-gray-600">Semantic search</span>
+        </label>
         
         {searchQuery && (
           <span className="text-xs text-gray-500">
-            Mode: {searchMode === 'advanced' ? 'Advanced (AND/OR/NOT)' : 'Simple text search'}
+            Mode: {getModeLabel()}
           </span>
         )}
       </div>
 
+      {searchError && (
+        <p className="text-xs text-red-600">{searchError}</p>
+      )}
+
       {/* Help Text */}
       {showHelp && (
         <div className="bg-blue-50 border border-blue-200 rounded-md p-3 text-sm">
@@ -206,6 +247,9 @@ export default function SearchQueryBuilder({ onSearchChange, placeholder = "Sear
               <li><code>NOT</code> or <code>!</code> - Term must not be present</li>
               <li><code>"phrase"</code> - Search for exact phrase</li>
             </ul>
+            <div>AND is applied before OR: <code>login AND slow OR crash</code> finds &quot;login&quot; with &quot;slow&quot;, or &quot;crash&quot;.</div>
+            <div><strong>Large feedback lists:</strong> Searches run in the database and match whole words by their stem across content, translations and notes - &quot;crash&quot; finds &quot;crashes&quot;, but &quot;log&quot; no longer finds &quot;login&quot;. Results can differ from the same search on a smaller list.</div>
+            <div><strong>Semantic search:</strong> Finds feedback with the same meaning, even in other words - &quot;can&apos;t log in&quot; also finds &quot;password reset email never arrives&quot;. Results are sorted by relevance.</div>
             <div className="mt-2">
               <strong>Examples:</strong>
               <ul className="list-disc list-inside ml-4">
@@ -0,0 +1,267 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase/client'
+import {
+  MIN_TERM_VALENCE,
+  MAX_TERM_VALENCE,
+  validateLexiconTerm,
+  normalizeLexiconTerms,
+  getCustomSentimentLexicon,
+  getCustomTopics
+} from '@/lib/customLexicon'
+import { detectLanguage, getLanguageName } from '@/lib/languageDetection'
+import { getSentimentLexicon, getLexiconLanguages } from '@/lib/sentimentLexicons'
+import { scoreSentiment } from '@/lib/sentimentScorer'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select'
+import { BookOpenIcon, TrashIcon, ArrowPathIcon } from '@heroicons/react/24/outline'
+
+const EMPTY_TERM = { term: '', valence: '', topic: '', language: 'all' }
+
+const getValenceColor = (valence) => {
+  if (valence > 0) return 'bg-green-100 text-green-800'
+  if (valence < 0) return 'bg-red-100 text-red-800'
+  return 'bg-gray-100 text-gray-800'
+}
+
+const formatValence = (valence) => (valence > 0 ? `+${valence}` : `${valence}`)
+
+export default function SentimentLexiconSettings({ project, onSaved, onError }) {
+  const [terms, setTerms] = useState([])
+  const [newTerm, setNewTerm] = useState(EMPTY_TERM)
+  const [testText, setTestText] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [rescoring, setRescoring] = useState(false)
+
+  const savedTerms = project?.settings?.sentimentLexicon?.terms || []
+
+  useEffect(() => {
+    setTerms(project?.settings?.sentimentLexicon?.terms || [])
+  }, [project])
+
+  const handleAddTerm = () => {
+    const term = { ...newTerm, language: newTerm.language === 'all' ? null : newTerm.language }
+    const error = validateLexiconTerm(term, terms)
+    if (error) {
+      onError?.(error)
+      return
+    }
+    setTerms(prev => [...prev, ...normalizeLexiconTerms([term])])
+    setNewTerm(EMPTY_TERM)
+  }
+
+  const removeTerm = (index) => {
+    setTerms(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const getAuthHeaders = async () => {
+    const { data: { session } } = await supabase.auth.getSession()
+    if (!session) throw new Error('No session found')
+
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`
+    }
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+
+      const response = await fetch(`/api/projects/${project.id}`, {
+        method: 'PUT',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify({
+          settings: {
+            ...(project.settings || {}),
+            sentimentLexicon: { terms: normalizeLexiconTerms(terms) }
+          }
+        })
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.error || 'Failed to save sentiment lexicon')
+      }
+
+      onSaved?.('Sentiment lexicon saved successfully!')
+    } catch (err) {
+      console.error('Error saving sentiment lexicon:', err)
+      onError?.(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRescore = async () => {
+    if (!confirm('Re-score the sentiment of all feedback in this project with the saved lexicon? Categories are not changed.')) {
+      return
+    }
+
+    try {
+      setRescoring(true)
+
+      const response = await fetch(`/api/projects/${project.id}/sentiment/rescore`, {
+        method: 'POST',
+        headers: await getAuthHeaders()
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to re-score feedback')
+      }
+
+      onSaved?.(data.message)
+    } catch (err) {
+      console.error('Error re-scoring feedback:', err)
+      onError?.(err.message)
+    } finally {
+      setRescoring(false)
+    }
+  }
+
+  const hasUnsavedChanges = JSON.stringify(normalizeLexiconTerms(terms)) !== JSON.stringify(normalizeLexiconTerms(savedTerms))
+
+  // Preview: the same text scored with the built-in word list and with the project terms
+  let preview = null
+  if (testText.trim()) {
+    const detected = detectLanguage(testText).language
+    const language = getSentimentLexicon(detected) ? detected : 'en'
+    preview = {
+      language,
+      builtIn: scoreSentiment(testText, { language }),
+      custom: scoreSentiment(testText, { language, lexicon: getCustomSentimentLexicon(terms, language) }),
+      topics: getCustomTopics(testText, terms)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <BookOpenIcon className="h-5 w-5 text-teal-600" />
+          Sentiment Lexicon
+        </CardTitle>
+        <CardDescription>
+          Words that mean something different for this product, like &quot;sick&quot; in a game or &quot;cheap&quot; for a
+          budget brand. Weights go from {MIN_TERM_VALENCE} (very negative) to +{MAX_TERM_VALENCE} (very positive); 0 makes a
+          word neutral. A topic tags feedback that mentions the word.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="space-y-2">
+          <Label>Custom terms</Label>
+          {terms.length === 0 && (
+            <p className="text-sm text-gray-500">No custom terms - the built-in word lists are used.</p>
+          )}
+          {terms.map((term, index) => (
+            <div key={`${term.term}-${term.language || 'all'}`} className="flex items-center justify-between rounded-md border px-3 py-2 text-sm">
+              <span className="flex items-center gap-2">
+                <span className="font-medium">{term.term}</span>
+                <Badge className={getValenceColor(term.valence)}>{formatValence(term.valence)}</Badge>
+                {term.topic && <Badge variant="outline">{term.topic}</Badge>}
+                <span className="text-gray-500">{term.language ? getLanguageName(term.language) : 'All languages'}</span>
+              </span>
+              <Button variant="ghost" size="sm" onClick={() => removeTerm(index)} title="Remove term">
+                <TrashIcon className="h-4 w-4 text-red-600" />
+              </Button>
+            </div>
+          ))}
+          <div className="flex gap-2">
+            <Input
+              value={newTerm.term}
+              onChange={(e) => setNewTerm({ ...newTerm, term: e.target.value })}
+              placeholder="Word, e.g. sick"
+              className="w-1/4"
+            />
+            <Input
+              type="number"
+              min={MIN_TERM_VALENCE}
+              max={MAX_TERM_VALENCE}
+              step="0.5"
+              value={newTerm.valence}
+              onChange={(e) => setNewTerm({ ...newTerm, valence: e.target.value })}
+              placeholder="Weight"
+              className="w-24"
+            />
+            <Input
+              value={newTerm.topic}
+              onChange={(e) => setNewTerm({ ...newTerm, topic: e.target.value })}
+              placeholder="Topic (optional)"
+              className="w-1/4"
+            />
+            <Select
+              value={newTerm.language}
+              onValueChange={(value) => setNewTerm({ ...newTerm, language: value })}
+            >
+              <SelectTrigger className="w-40">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All languages</SelectItem>
+                {getLexiconLanguages().map(code => (
+                  <SelectItem key={code} value={code}>{getLanguageName(code)}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="outline" onClick={handleAddTerm} disabled={!newTerm.term.trim() || newTerm.valence === ''}>
+              Add
+            </Button>
+          </div>
+        </div>
+
+        <div className="rounded-md bg-gray-50 p-4 space-y-3">
+          <h4 className="font-medium text-gray-900">Test Lexicon</h4>
+          <Textarea
+            value={testText}
+            onChange={(e) => setTestText(e.target.value)}
+            rows={2}
+            placeholder="Type a feedback text to compare the built-in and the custom sentiment"
+          />
+          {preview && (
+            <div className="space-y-1 text-sm text-gray-700">
+              <p>
+                Built-in ({getLanguageName(preview.language)}): <span className="font-medium">{preview.builtIn.label}</span>{' '}
+                <span className="text-gray-500">({preview.builtIn.compound})</span>
+              </p>
+              <p>
+                With custom terms: <span className="font-medium">{preview.custom.label}</span>{' '}
+                <span className="text-gray-500">({preview.custom.compound})</span>
+              </p>
+              {preview.topics.length > 0 && (
+                <p>Custom topics: {preview.topics.join(', ')}</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <Button variant="outline" onClick={handleRescore} disabled={rescoring || saving || hasUnsavedChanges}>
+              <ArrowPathIcon className={`h-4 w-4 mr-2 ${rescoring ? 'animate-spin' : ''}`} />
+              {rescoring ? 'Re-scoring...' : 'Re-score Existing Feedback'}
+            </Button>
+            {hasUnsavedChanges && (
+              <span className="text-xs text-gray-500">Save the lexicon before re-scoring</span>
+            )}
+          </div>
+          <Button onClick={handleSave} disabled={saving || !hasUnsavedChanges}>
+            {saving ? 'Saving...' : 'Save Sentiment Lexicon'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,142 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase/client'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { format } from 'date-fns'
+
+const getSentimentColor = (sentiment) => {
+  switch (sentiment) {
+    case 'positive': return 'bg-green-100 text-green-800'
+    case 'negative': return 'bg-red-100 text-red-800'
+    default: return 'bg-gray-100 text-gray-800'
+  }
+}
+
+const share = (count, total) => (total ? Math.round((count / total) * 100) : 0)
+
+export default function TopicClusters({ projectId }) {
+  const [data, setData] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [expanded, setExpanded] = useState(null)
+
+  useEffect(() => {
+    if (projectId) loadThemes()
+  }, [projectId])
+
+  const loadThemes = async (refresh = false) => {
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) throw new Error('No session found')
+
+      const response = await fetch(`/api/projects/${projectId}/topics${refresh ? '?refresh=true' : ''}`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.error || 'Failed to load themes')
+      }
+
+      setData(await response.json())
+    } catch (err) {
+      console.error('Error loading themes:', err)
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  if (!projectId) return null
+
+  const themes = data?.themes || []
+  const newThemes = themes.filter(theme => theme.isNew)
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              Emerging Themes
+              {newThemes.length > 0 && (
+                <Badge className="bg-teal-100 text-teal-800 text-xs">
+                  {newThemes.length} new this week
+                </Badge>
+              )}
+            </CardTitle>
+            <CardDescription>
+              Themes discovered by grouping similar feedback, with their size, sentiment and typical quotes
+              {data?.refreshedAt && ` • updated ${format(new Date(data.refreshedAt), 'MMM d, HH:mm')}`}
+              {data?.refreshing && ' • updating in the background'}
+            </CardDescription>
+          </div>
+          <Button variant="outline" size="sm" onClick={() => loadThemes(true)} disabled={isLoading}>
+            {isLoading ? 'Analyzing...' : 'Refresh'}
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {!error && !isLoading && themes.length === 0 && (
+          <p className="text-sm text-muted-foreground">
+            Not enough similar feedback to form themes yet.
+          </p>
+        )}
+
+        <div className="space-y-3">
+          {themes.map(theme => (
+            <div key={theme.id} className="rounded-md border p-4 space-y-2">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <button
+                  type="button"
+                  onClick={() => setExpanded(expanded === theme.id ? null : theme.id)}
+                  className="flex items-center gap-2 text-left font-medium text-gray-900"
+                >
+                  {theme.label}
+                  {theme.isNew && (
+                    <Badge className="bg-teal-100 text-teal-800 text-xs">
+                      🆕 New this week
+                    </Badge>
+                  )}
+                </button>
+                <div className="flex items-center gap-2 text-xs">
+                  <Badge variant="outline">{theme.size} feedback</Badge>
+                  <Badge className={getSentimentColor('positive')}>{share(theme.sentiment.positive, theme.size)}% positive</Badge>
+                  <Badge className={getSentimentColor('negative')}>{share(theme.sentiment.negative, theme.size)}% negative</Badge>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-1">
+                {theme.keywords.map(keyword => (
+                  <Badge key={keyword} variant="secondary" className="text-xs">{keyword}</Badge>
+                ))}
+              </div>
+              {expanded === theme.id && (
+                <div className="space-y-2 pt-2">
+                  {theme.quotes.map(quote => (
+                    <blockquote key={quote.feedbackId} className="border-l-2 border-gray-200 pl-3 text-sm text-gray-700">
+                      &ldquo;{quote.content}&rdquo;
+                      <Badge className={`ml-2 text-xs ${getSentimentColor(quote.sentimentLabel)}`}>{quote.sentimentLabel}</Badge>
+                    </blockquote>
+                  ))}
+                  <p className="text-xs text-muted-foreground">
+                    First seen {format(new Date(theme.firstSeenAt), 'MMM d, yyyy')}
+                  </p>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,100 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '@/lib/supabase/client'
+import { DEFAULT_CATEGORIES, LEGACY_CATEGORIES_STORAGE_KEY, toCategoryOptions } from '@/lib/categories'
+
+/**
+ * Move custom categories saved in localStorage (before categories were stored per project)
+ * into the project. Runs once; the localStorage entry is removed after a successful import.
+ */
+async function migrateLocalCategories(projectId, headers) {
+  let legacyCategories = []
+  try {
+    legacyCategories = JSON.parse(localStorage.getItem(LEGACY_CATEGORIES_STORAGE_KEY) || '[]')
+  } catch (error) {
+    console.warn('Error reading legacy custom categories:', error)
+  }
+
+  if (!Array.isArray(legacyCategories) || legacyCategories.length === 0) {
+    localStorage.removeItem(LEGACY_CATEGORIES_STORAGE_KEY)
+    return null
+  }
+
+  const response = await fetch(`/api/projects/${projectId}/categories`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ categories: legacyCategories })
+  })
+
+  if (!response.ok) {
+    throw new Error('Failed to migrate custom categories')
+  }
+
+  const result = await response.json()
+  localStorage.removeItem(LEGACY_CATEGORIES_STORAGE_KEY)
+  console.log(`📦 Migrated ${result.imported} custom categories to project ${projectId}`)
+  return result.categories
+}
+
+/**
+ * Load the categories of a project
+ * @param {string} projectId - Project ID (the default categories are returned while there is none)
+ * @returns {Object} { categories, categoryOptions, loading, error, refetch }
+ */
+export function useProjectCategories(projectId) {
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES)
+  const [loading, setLoading] = useState(!!projectId)
+  const [error, setError] = useState(null)
+
+  const refetch = useCallback(async () => {
+    if (!projectId) {
+      setCategories(DEFAULT_CATEGORIES)
+      setLoading(false)
+      return
+    }
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) throw new Error('No session found')
+
+      const headers = { 'Authorization': `Bearer ${session.access_token}` }
+
+      const migrated = await migrateLocalCategories(projectId, headers)
+      if (migrated) {
+        setCategories(migrated)
+        return
+      }
+
+      const response = await fetch(`/api/projects/${projectId}/categories`, { headers })
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.error || 'Failed to load categories')
+      }
+
+      setCategories(await response.json())
+    } catch (err) {
+      console.error('Error loading project categories:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [projectId])
+
+  useEffect(() => {
+    refetch()
+  }, [refetch])
+
+  return {
+    categories,
+    categoryOptions: toCategoryOptions(categories),
+    loading,
+    error,
+    refetch
+  }
+}
+
+export default useProjectCategories
@@ -0,0 +1,81 @@
+/**
+ * AIProvider - Base class for the text generation backends used by the AI layer
+ * Adapters implement generateText(); prompt building and response validation stay in lib/geminiAI.js
+ */
+export class AIProvider {
+  constructor(config = {}) {
+    this.config = config
+    this.name = 'base'
+
+    // Whether requests count against the shared per-minute rate limit
+    this.rateLimited = true
+  }
+
+  /**
+   * Check whether the provider is configured and can serve requests
+   * @returns {boolean} True if available
+   */
+  isAvailable() {
+    return false
+  }
+
+  /**
+   * Get the model identifier used for requests
+   * @returns {string} Model name
+   */
+  getModelName() {
+    return this.config.model || 'unknown'
+  }
+
+  /**
+   * Generate a text completion for a prompt
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Request options
+   * @param {string} options.task - Task identifier ('categorize', 'batch_categorize', 'business_insights', 'predictive_insights', 'recommendations', 'translate')
+   * @param {Object} options.context - Structured task input (used by the mock provider)
+   * @returns {Promise<string>} Raw model output
+   */
+  async generateText(prompt, options = {}) {
+    throw new Error(`generateText() is not implemented by the ${this.name} provider`)
+  }
+
+  /**
+   * Check whether the provider can compute text embeddings
+   * @returns {boolean} True if embedTexts() is supported and available
+   */
+  supportsEmbeddings() {
+    return false
+  }
+
+  /**
+   * Get the model identifier used for embeddings
+   * @returns {string|null} Embedding model name
+   */
+  getEmbeddingModelName() {
+    return null
+  }
+
+  /**
+   * Compute embedding vectors for texts
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} One vector per text, in input order
+   */
+  async embedTexts(texts) {
+    throw new Error(`embedTexts() is not implemented by the ${this.name} provider`)
+  }
+
+  /**
+   * Describe the provider for health checks and classification metadata
+   * @returns {Object} Provider description
+   */
+  describe() {
+    return {
+      name: this.name,
+      model: this.getModelName(),
+      available: this.isAvailable(),
+      rateLimited: this.rateLimited
+    }
+  }
+}
+
+export default AIProvider
@@ -0,0 +1,69 @@
+import { GoogleGenerativeAI } from '@google/generative-ai'
+import { AIProvider } from './AIProvider.js'
+
+/**
+ * GeminiProvider - Google Gemini adapter
+ */
+export class GeminiProvider extends AIProvider {
+  constructor(config = {}) {
+    super(config)
+    this.name = 'gemini'
+    this.client = null
+
+    const apiKey = config.apiKey || GeminiProvider.getEnvironmentApiKey()
+    if (apiKey && apiKey.trim() !== '' && apiKey !== 'your_gemini_api_key_here') {
+      this.client = new GoogleGenerativeAI(apiKey)
+    }
+  }
+
+  /**
+   * Read the Gemini API key for the current runtime
+   * @returns {string|undefined} API key
+   */
+  static getEnvironmentApiKey() {
+    return typeof window === 'undefined'
+      ? process.env.GOOGLE_GEMINI_API_KEY  // Server-side
+      : process.env.NEXT_PUBLIC_GOOGLE_GEMINI_API_KEY  // Client-side
+  }
+
+  isAvailable() {
+    return !!this.client
+  }
+
+  getModelName() {
+    return this.config.model || process.env.GEMINI_MODEL || 'gemini-1.5-flash'
+  }
+
+  async generateText(prompt) {
+    if (!this.client) {
+      throw new Error('Gemini AI service not initialized')
+    }
+
+    const model = this.client.getGenerativeModel({ model: this.getModelName() })
+    const result = await model.generateContent(prompt)
+    const response = await result.response
+    return response.text()
+  }
+
+  supportsEmbeddings() {
+    return !!this.client
+  }
+
+  getEmbeddingModelName() {
+    return this.config.embeddingModel || process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004'
+  }
+
+  async embedTexts(texts) {
+    if (!this.client) {
+      throw new Error('Gemini AI service not initialized')
+    }
+
+    const model = this.client.getGenerativeModel({ model: this.getEmbeddingModelName() })
+    const result = await model.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+    })
+    return result.embeddings.map(embedding => embedding.values)
+  }
+}
+
+export default GeminiProvider
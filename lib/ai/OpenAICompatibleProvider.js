@@ -0,0 +1,126 @@
+import { AIProvider } from './AIProvider.js'
+
+// Environment variable holding the API key of each adapter (never taken from project settings)
+const API_KEY_ENV = {
+  openai: 'OPENAI_API_KEY',
+  ollama: 'OLLAMA_API_KEY'
+}
+
+/**
+ * OpenAICompatibleProvider - Adapter for any server implementing the OpenAI chat completions API
+ * Covers OpenAI itself as well as local llama.cpp and Ollama servers
+ */
+export class OpenAICompatibleProvider extends AIProvider {
+  constructor(config = {}) {
+    super(config)
+    this.name = config.name || 'openai'
+
+    this.options = {
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+      temperature: 0.2,
+      timeout: 60000, // 60 seconds
+      requiresApiKey: true,
+      ...config
+    }
+
+    // API keys are never stored in project settings
+    const apiKeyEnv = API_KEY_ENV[this.name] || API_KEY_ENV.openai
+    this.apiKey = typeof window === 'undefined' ? process.env[apiKeyEnv] : undefined
+
+    // Self-hosted servers have no quota to protect
+    this.rateLimited = this.options.requiresApiKey
+  }
+
+  isAvailable() {
+    if (typeof window !== 'undefined') {
+      return false // Server-side only, keys must not reach the browser
+    }
+    return !!this.options.baseUrl && (!this.options.requiresApiKey || !!this.apiKey)
+  }
+
+  getModelName() {
+    return this.options.model
+  }
+
+  async generateText(prompt) {
+    if (!this.isAvailable()) {
+      throw new Error(`${this.name} provider is not configured`)
+    }
+
+    const headers = { 'Content-Type': 'application/json' }
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`
+    }
+
+    const response = await fetch(`${this.options.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.options.model,
+        temperature: this.options.temperature,
+        messages: [{ role: 'user', content: prompt }]
+      }),
+      signal: AbortSignal.timeout(this.options.timeout)
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '')
+      throw new Error(`${this.name} request failed (${response.status}): ${errorText.slice(0, 200)}`)
+    }
+
+    const data = await response.json()
+    const text = data.choices?.[0]?.message?.content
+
+    if (typeof text !== 'string') {
+      throw new Error(`Empty completion returned by ${this.name} provider`)
+    }
+
+    return text
+  }
+
+  supportsEmbeddings() {
+    return this.isAvailable() && !!this.options.embeddingModel
+  }
+
+  getEmbeddingModelName() {
+    return this.options.embeddingModel
+  }
+
+  async embedTexts(texts) {
+    if (!this.supportsEmbeddings()) {
+      throw new Error(`${this.name} provider is not configured for embeddings`)
+    }
+
+    const headers = { 'Content-Type': 'application/json' }
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`
+    }
+
+    const response = await fetch(`${this.options.baseUrl.replace(/\/$/, '')}/embeddings`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.options.embeddingModel,
+        input: texts
+      }),
+      signal: AbortSignal.timeout(this.options.timeout)
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '')
+      throw new Error(`${this.name} embedding request failed (${response.status}): ${errorText.slice(0, 200)}`)
+    }
+
+    const data = await response.json()
+    if (!Array.isArray(data.data) || data.data.length !== texts.length) {
+      throw new Error(`Unexpected embedding response from ${this.name} provider`)
+    }
+
+    // Results carry their input index; don't rely on the order
+    return [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding)
+  }
+}
+
+export default OpenAICompatibleProvider
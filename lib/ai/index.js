@@ -0,0 +1,157 @@
+import { AIProvider } from './AIProvider.js'
+import { GeminiProvider } from './GeminiProvider.js'
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js'
+import { MockProvider } from './MockProvider.js'
+
+/**
+ * AI provider registry
+ * Providers are selected per project through Project.settings.aiProvider:
+ *   { type: 'gemini' | 'openai' | 'ollama' | 'mock', model, embeddingModel, baseUrl, temperature, requiresApiKey }
+ * and fall back to the AI_PROVIDER environment variable (default: gemini)
+ * API keys always come from server-defined environment variables. A project's baseUrl must be one of the
+ * servers configured in the environment (OPENAI_BASE_URL, OLLAMA_BASE_URL, AI_ALLOWED_BASE_URLS), since
+ * requests to it carry the server's API key.
+ */
+
+export const AI_PROVIDER_TYPES = [
+  { value: 'gemini', label: 'Google Gemini' },
+  { value: 'openai', label: 'OpenAI-compatible API' },
+  { value: 'ollama', label: 'Ollama / llama.cpp (local server)' },
+  { value: 'mock', label: 'Mock (deterministic, for testing)' }
+]
+
+// Settings that may be read from project settings (secrets are never accepted here)
+const ALLOWED_SETTINGS = ['type', 'model', 'embeddingModel', 'baseUrl', 'temperature', 'requiresApiKey']
+
+// Provider instances, keyed by their normalized settings
+const providerCache = new Map()
+
+const normalizeUrl = url => String(url).trim().replace(/\/+$/, '')
+
+/**
+ * Server URLs a project may point its provider at
+ * @returns {Array<string>} Normalized base URLs
+ */
+export function getAllowedBaseUrls() {
+  return [
+    process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+    ...(process.env.AI_ALLOWED_BASE_URLS || '').split(',')
+  ]
+    .filter(url => url && url.trim())
+    .map(normalizeUrl)
+}
+
+/**
+ * Whether a project may use a base URL
+ * @param {string} baseUrl - Base URL from project settings
+ * @returns {boolean} True when the environment allows it
+ */
+export function isAllowedBaseUrl(baseUrl) {
+  return getAllowedBaseUrls().includes(normalizeUrl(baseUrl))
+}
+
+/**
+ * Normalize provider settings, dropping unknown keys and base URLs the environment doesn't allow
+ * @param {Object} settings - Raw provider settings
+ * @returns {Object} Normalized settings
+ */
+function normalizeSettings(settings = {}) {
+  const normalized = {}
+  ALLOWED_SETTINGS.forEach(key => {
+    if (settings[key] !== undefined && settings[key] !== null && settings[key] !== '') {
+      normalized[key] = settings[key]
+    }
+  })
+
+  if (normalized.baseUrl !== undefined) {
+    if (isAllowedBaseUrl(normalized.baseUrl)) {
+      normalized.baseUrl = normalizeUrl(normalized.baseUrl)
+    } else {
+      console.warn(`AI provider base URL "${normalized.baseUrl}" is not allowed, using the server default`)
+      delete normalized.baseUrl
+    }
+  }
+
+  normalized.type = (normalized.type || process.env.AI_PROVIDER || 'gemini').toLowerCase()
+  return normalized
+}
+
+/**
+ * Create a provider instance for the given settings
+ * @param {Object} settings - Provider settings
+ * @returns {AIProvider} Provider instance
+ */
+export function createAIProvider(settings = {}) {
+  const { type, ...config } = normalizeSettings(settings)
+
+  switch (type) {
+    case 'mock':
+      return new MockProvider(config)
+
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        name: 'openai',
+        ...config
+      })
+
+    case 'ollama':
+      return new OpenAICompatibleProvider({
+        name: 'ollama',
+        baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+        model: process.env.OLLAMA_MODEL || 'llama3.1',
+        embeddingModel: process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text',
+        requiresApiKey: false,
+        ...config
+      })
+
+    case 'gemini':
+      return new GeminiProvider(config)
+
+    default:
+      console.warn(`Unknown AI provider "${type}", using Gemini`)
+      return new GeminiProvider(config)
+  }
+}
+
+/**
+ * Get a cached provider for the given settings
+ * @param {Object} settings - Provider settings
+ * @returns {AIProvider} Provider instance
+ */
+export function getAIProvider(settings = {}) {
+  const normalized = normalizeSettings(settings)
+  const cacheKey = JSON.stringify(normalized)
+
+  if (!providerCache.has(cacheKey)) {
+    providerCache.set(cacheKey, createAIProvider(normalized))
+  }
+
+  return providerCache.get(cacheKey)
+}
+
+/**
+ * Get the provider configured for a project
+ * @param {Object} project - Project record (uses project.settings.aiProvider)
+ * @returns {AIProvider} Provider instance
+ */
+export function getProjectAIProvider(project) {
+  return getAIProvider(project?.settings?.aiProvider || {})
+}
+
+/**
+ * Get the environment-wide default provider
+ * @returns {AIProvider} Provider instance
+ */
+export function getDefaultAIProvider() {
+  return getAIProvider({})
+}
+
+/**
+ * Drop cached providers so environment changes are picked up
+ */
+export function resetAIProviders() {
+  providerCache.clear()
+}
+
+export { AIProvider, GeminiProvider, OpenAICompatibleProvider, MockProvider }
@@ -0,0 +1,31 @@
+import { getProjectAIProvider } from './index.js'
+import { getFewShotExamplePool } from '../classificationCorrections.js'
+import { categoryService } from '../services/CategoryService.js'
+import { getProjectRules } from '../categorizationRules.js'
+import { getProjectRedactionSettings } from '../piiRedaction.js'
+import { getProjectLanguageSettings } from '../languageDetection.js'
+import { getProjectSentimentLexicon } from '../customLexicon.js'
+
+/**
+ * Build the options passed to the categorization functions for a project (server-side only)
+ * @param {Object|null} project - Project record
+ * @returns {Promise<Object>} { provider, categories, fewShotExamples, rules, redaction, language, sentimentLexicon }
+ */
+export async function getProjectAIOptions(project) {
+  const [categories, fewShotExamples] = await Promise.all([
+    categoryService.getClassifierCategories(project),
+    project ? getFewShotExamplePool(project.id) : []
+  ])
+
+  return {
+    provider: getProjectAIProvider(project),
+    categories,
+    fewShotExamples,
+    rules: getProjectRules(project),
+    redaction: getProjectRedactionSettings(project),
+    language: getProjectLanguageSettings(project),
+    sentimentLexicon: getProjectSentimentLexicon(project)
+  }
+}
+
+export default getProjectAIOptions
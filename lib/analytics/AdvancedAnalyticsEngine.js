@@ -1,6 +1,7 @@
 import { TrendAnalyzer } from './TrendAnalyzer.js'
 import { StatisticalAnalyzer } from './StatisticalAnalyzer.js'
 import { PredictiveInsights } from './PredictiveInsights.js'
+import { getCategoryRollupMap, getCategoryPathName } from '../categories.js'
 import { initializeGeminiAI, generateBusinessInsights, generatePredictiveInsights as generateAIPredictiveInsights, generateFeedbackRecommendations } from '../geminiAI.js'
 
 /**
@@ -41,7 +42,9 @@ export class AdvancedAnalyticsEngine {
   /**
    * Generate comprehensive analytics for feedback data
    * @param {Array} feedback - Raw feedback data
-   * @param {Object} options - Analysis options
+   * @param {Object} options - Analysis options ({ timeRange, categories, categoryLevel })
+   * @param {Array} options.categories - Project category records, needed to roll categories up the tree
+   * @param {number|null} options.categoryLevel - Tree level to aggregate categories at (0 = top level, null = as classified)
    * @returns {Object} Comprehensive analytics results
    */
   async generateComprehensiveAnalytics(feedback, options = {}) {
@@ -71,7 +74,7 @@ export class AdvancedAnalyticsEngine {
       this.performanceMetrics.cacheMisses++
 
       // Core Analytics
-      const coreAnalytics = await this.generateCoreAnalytics(validatedData)
+      const coreAnalytics = await this.generateCoreAnalytics(validatedData, options)
       
       // Statistical Analysis
       const statisticalAnalysis = this.options.analysisDepth !== 'basic' 
@@ -140,9 +143,12 @@ export class AdvancedAnalyticsEngine {
   /**
    * Generate core analytics (enhanced version of existing analytics)
    * @param {Array} feedback - Validated feedback data
+   * @param {Object} options - Analysis options ({ categories, categoryLevel })
    * @returns {Object} Core analytics
    */
-  async generateCoreAnalytics(feedback) {
+  async generateCoreAnalytics(feedback, options = {}) {
+    const categoryOptions = { categories: options.categories, level: options.categoryLevel }
+
     const analytics = {
       // Basic metrics
       totalFeedback: feedback.length,
@@ -153,8 +159,8 @@ export class AdvancedAnalyticsEngine {
       sentimentMetrics: this.calculateSentimentMetrics(feedback),
       
       // Category analysis
-      categoryDistribution: this.analyzeCategoryDistribution(feedback),
-      categoryMetrics: this.calculateCategoryMetrics(feedback),
+      categoryDistribution: this.analyzeCategoryDistribution(feedback, categoryOptions),
+      categoryMetrics: this.calculateCategoryMetrics(feedback, categoryOptions),
       
       // Source analysis
       sourceDistribution: this.analyzeSourceDistribution(feedback),
@@ -879,8 +885,9 @@ export class AdvancedAnalyticsEngine {
    */
   generateCacheKey(feedback, options) {
     const dataHash = this.hashData(feedback)
-    const optionsHash = JSON.stringify(options)
-    return `analytics_${dataHash}_${btoa(optionsHash).slice(0, 10)}`
+    // Hash the whole options object, a prefix would not tell category levels apart
+    const optionsHash = this.hashData([options])
+    return `analytics_${dataHash}_${optionsHash}`
   }
 
   /**
@@ -951,38 +958,60 @@ export class AdvancedAnalyticsEngine {
    * @param {Array} feedback - Feedback data
    * @returns {Object} Category distribution
    */
-  analyzeCategoryDistribution(feedback) {
+  analyzeCategoryDistribution(feedback, options = {}) {
     const distribution = {}
+    const resolveCategory = this.createCategoryResolver(options)
     
     feedback.forEach(item => {
-      const category = item.category || 'uncategorized'
+      const category = resolveCategory(item)
       distribution[category] = (distribution[category] || 0) + 1
     })
     
     return distribution
   }
 
+  /**
+   * Create a function returning the category key of a feedback item at a tree level
+   * @param {Object} options - { categories, level } (level 0 = top level, null = category as classified)
+   * @returns {Function} item => category key
+   */
+  createCategoryResolver({ categories, level = null } = {}) {
+    if (!Array.isArray(categories) || categories.length === 0 || level === null || level === undefined) {
+      return item => item.category || 'uncategorized'
+    }
+
+    const rollup = getCategoryRollupMap(categories, level)
+    return item => {
+      const category = item.category || 'uncategorized'
+      return rollup.get(category) || category
+    }
+  }
+
   /**
    * Calculate category metrics
    * @param {Array} feedback - Feedback data
+   * @param {Object} options - { categories, level } to aggregate at a level of the category tree
    * @returns {Object} Category metrics
    */
-  calculateCategoryMetrics(feedback) {
+  calculateCategoryMetrics(feedback, options = {}) {
     const categoryData = {}
+    const resolveCategory = this.createCategoryResolver(options)
     
     feedback.forEach(item => {
-      const category = item.category || 'uncategorized'
+      const category = resolveCategory(item)
       if (!categoryData[category]) {
         categoryData[category] = {
           count: 0,
           sentimentScores: [],
           sources: new Set(),
+          subcategories: new Set(),
           avgConfidence: 0,
           totalConfidence: 0
         }
       }
       
       categoryData[category].count++
+      categoryData[category].subcategories.add(item.category || 'uncategorized')
       
       const score = parseFloat(item.sentimentScore || item.sentiment_score || 0)
       if (!isNaN(score)) {
@@ -1008,6 +1037,9 @@ export class AdvancedAnalyticsEngine {
       data.avgConfidence = data.count > 0 ? data.totalConfidence / data.count : 0
       data.sourceCount = data.sources.size
       data.sources = Array.from(data.sources)
+      // Categories as classified that were rolled up into this one
+      data.subcategories = Array.from(data.subcategories).filter(sub => sub !== category)
+      data.path = getCategoryPathName(category, options.categories || [])
     })
     
     return categoryData
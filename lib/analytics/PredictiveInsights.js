@@ -1,5 +1,73 @@
 import { format, addDays, addMonths, differenceInDays } from 'date-fns'
 
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Smoothing parameters tried when fitting Holt's method. Small trend smoothing keeps day-to-day noise
+// from being read as a trend.
+const HOLT_ALPHA_GRID = [0.05, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9]
+const HOLT_BETA_GRID = [0.01, 0.02, 0.05, 0.1, 0.2, 0.3, 0.5]
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits
+
+const clampUnit = value => Math.min(1, Math.max(0, value))
+
+// Sentiment scores are on a 0-1 scale
+const clampSentiment = clampUnit
+
+// Days compared by the volume (last week vs forecast) and sentiment (last 30 vs previous 30 days) risk assessors
+const RISK_WINDOW_DAYS = { volume: 7, sentiment: 30 }
+
+// Weights of the risk categories in the overall risk score
+const RISK_WEIGHTS = {
+  sentiment: 0.3,
+  volume: 0.25,
+  stability: 0.15,
+  concentration: 0.15,
+  quality: 0.15
+}
+
+// 5% critical value of the sup-F statistic for a break in intercept and slope with 15% trimming (Andrews, 1993)
+const TREND_BREAK_CRITICAL_F = 5.85
+
+// Days projected by the scenarios and covered by what-if analysis
+const SCENARIO_HORIZON_DAYS = 30
+
+// Confidence level of the stress test bound (its unfavourable end is the 1st or 99th percentile)
+const SCENARIO_STRESS_LEVEL = 0.98
+
+const SENSITIVITY_CONFIG = {
+  volumeChange: 0.3,
+  sentimentChange: 0.1,
+  maxCategories: 8,
+  // Fewer feedback entries in the last 30 days than this and what-if analysis uses all feedback
+  minWindowFeedback: 20
+}
+
+const RISK_MITIGATIONS = {
+  volume_above_forecast: 'Check releases, outages and campaigns from the last week and add triage capacity until volume returns to forecast',
+  volume_spike: 'Review the feedback of the spike days for a shared cause (incident, release, campaign) and respond to it directly',
+  rising_negative_share: 'Review the negative feedback of the last 30 days by category and assign owners to the top recurring issues',
+  high_negative_share: 'Prioritize the most frequent negative themes and follow up with affected customers',
+  sentiment_forecast_negative: 'Act on the categories with declining sentiment before the forecast period and re-check the forecast weekly',
+  category_concentration: 'Split the dominant category into more specific categories or dedicate an owner to it',
+  negative_concentration: 'Escalate the category driving most negative feedback to its product owner with the representative feedback',
+  trend_break: 'Find what changed around the break date (release, pricing, channel) and confirm whether the new trend is expected',
+  volatile_volume: 'Smooth intake (scheduled surveys, consistent collection channels) so trends and forecasts are reliable',
+  missing_date: 'Set the feedback date on import so time-based analysis and forecasts include these entries',
+  missing_sentiment: 'Re-run analysis on feedback without a sentiment score',
+  missing_category: 'Re-categorize uncategorized feedback, or add categorization rules for the common cases',
+  missing_categoryConfidence: 'Review low-confidence categorizations; corrections improve future categorization',
+  missing_source: 'Record the source of imported feedback to compare channels'
+}
+
+const RISK_MONITORING = {
+  volume: { metric: 'Daily feedback volume against forecast', threshold: 'Above the upper forecast bound', frequency: 'daily' },
+  sentiment: { metric: 'Share of negative feedback (30-day window)', threshold: 'Significant rise or above 40%', frequency: 'weekly' },
+  concentration: { metric: 'Category concentration (HHI) of all and of negative feedback', threshold: 'Top category above 50%', frequency: 'weekly' },
+  stability: { metric: 'Volume and sentiment trend breaks', threshold: `sup-F above ${TREND_BREAK_CRITICAL_F}`, frequency: 'weekly' },
+  quality: { metric: 'Share of feedback with missing fields', threshold: 'Above 5% per field', frequency: 'monthly' }
+}
+
 /**
  * PredictiveInsights - Specialized component for predictive analytics
  * Provides sentiment forecasting, volume predictions, risk assessment, and opportunity identification
@@ -13,12 +81,20 @@ export class PredictiveInsights {
       seasonalityLookback: 30, // Days to look back for seasonal patterns
       volatilityWeight: 0.3, // Weight for volatility in risk calculations
       trendWeight: 0.7, // Weight for trend in predictions
+      negativeSentimentThreshold: 0.4, // Forecast sentiment below this is a risk
+      positiveSentimentThreshold: 0.6, // Forecast sentiment above this is an opportunity
+      sentimentChangeThreshold: 0.02, // 30-day change below this counts as a stable trend
+      sentimentBacktestOrigins: 14, // Forecast origins replayed to measure forecast accuracy
+      sentimentBacktestHorizon: 7, // Days forecast from each backtest origin
       ...options
     }
 
     // Predictive models cache
     this.modelsCache = new Map()
     this.cacheExpiry = 30 * 60 * 1000 // 30 minutes
+
+    // Fitted sentiment models per time series, shared by the forecasts, key predictions and confidence metrics
+    this.sentimentModels = new WeakMap()
   }
 
   /**
@@ -80,7 +156,7 @@ export class PredictiveInsights {
         confidenceMetrics: this.calculatePredictionConfidence(timeSeriesData, trendAnalysis),
         
         // Scenario analysis
-        scenarioAnalysis: this.performScenarioAnalysis(timeSeriesData, trendAnalysis),
+        scenarioAnalysis: this.performScenarioAnalysis(feedback, timeSeriesData, trendAnalysis),
         
         // Key predictions summary
         keyPredictions: this.generateKeyPredictions(feedback, timeSeriesData, trendAnalysis)
@@ -159,44 +235,41 @@ export class PredictiveInsights {
    * @returns {Object} Sentiment forecasts
    */
   generateSentimentForecasts(timeSeriesData, feedback) {
-    const sentimentData = timeSeriesData.map(d => d.avgSentiment).filter(s => s > 0)
-    
-    if (sentimentData.length < this.options.minHistoricalData) {
+    const sentimentModel = this.getSentimentModel(timeSeriesData)
+
+    if (!sentimentModel) {
       return {
         available: false,
         reason: 'insufficient_sentiment_data',
         minRequired: this.options.minHistoricalData,
-        available: sentimentData.length
+        dataPoints: timeSeriesData.filter(d => d.sentimentScores.length > 0).length
       }
     }
 
+    const { model, backtest } = sentimentModel
+
     // Sentiment trend forecast
-    const trendForecast = this.forecastSentimentTrend(sentimentData)
+    const trendForecast = this.forecastSentimentTrend(model, backtest)
     
     // Sentiment volatility forecast
-    const volatilityForecast = this.forecastSentimentVolatility(sentimentData)
+    const volatilityForecast = this.forecastSentimentVolatility(model)
     
     // Category-specific sentiment forecasts
     const categoryForecasts = this.forecastCategorySentiment(feedback, timeSeriesData)
     
-    // Generate forecast periods
-    const forecastPeriods = [7, 30, 60, 90]
-    
     return {
       available: true,
+      method: 'holt_linear',
       overall: {
+        current: round(model.level),
         trend: trendForecast,
         volatility: volatilityForecast,
-        forecasts: forecastPeriods.map(days => ({
-          period: `${days}_days`,
-          predicted: this.extrapolateSentiment(sentimentData, days),
-          confidence: this.calculateSentimentConfidence(sentimentData, days),
-          range: this.calculateSentimentRange(sentimentData, days)
-        }))
+        forecasts: this.buildSentimentForecasts(model, backtest, [7, 30, 60, 90]),
+        backtest
       },
       byCategory: categoryForecasts,
-      riskFactors: this.identifySentimentRisks(sentimentData, trendForecast),
-      opportunities: this.identifySentimentOpportunities(sentimentData, trendForecast)
+      riskFactors: this.identifySentimentRisks(model, trendForecast),
+      opportunities: this.identifySentimentForecastOpportunities(model, trendForecast)
     }
   }
 
@@ -247,31 +320,37 @@ export class PredictiveInsights {
   performRiskAssessment(feedback, timeSeriesData, trendAnalysis) {
     const riskFactors = []
     const riskScores = {}
+    const assessments = {}
     
     // Volume risk assessment
     const volumeRisk = this.assessVolumeRisk(timeSeriesData, trendAnalysis)
     riskFactors.push(...volumeRisk.factors)
     riskScores.volume = volumeRisk.score
+    assessments.volume = volumeRisk
     
     // Sentiment risk assessment
     const sentimentRisk = this.assessSentimentRisk(feedback, timeSeriesData)
     riskFactors.push(...sentimentRisk.factors)
     riskScores.sentiment = sentimentRisk.score
+    assessments.sentiment = sentimentRisk
     
     // Category concentration risk
     const concentrationRisk = this.assessConcentrationRisk(feedback)
     riskFactors.push(...concentrationRisk.factors)
     riskScores.concentration = concentrationRisk.score
+    assessments.concentration = concentrationRisk
     
     // Trend stability risk
-    const stabilityRisk = this.assessTrendStabilityRisk(trendAnalysis)
+    const stabilityRisk = this.assessTrendStabilityRisk(trendAnalysis, timeSeriesData)
     riskFactors.push(...stabilityRisk.factors)
     riskScores.stability = stabilityRisk.score
+    assessments.stability = stabilityRisk
     
     // Data quality risk
     const qualityRisk = this.assessDataQualityRisk(feedback)
     riskFactors.push(...qualityRisk.factors)
     riskScores.quality = qualityRisk.score
+    assessments.quality = qualityRisk
     
     // Calculate overall risk score
     const overallRiskScore = this.calculateOverallRiskScore(riskScores)
@@ -280,7 +359,7 @@ export class PredictiveInsights {
       overallRisk: {
         score: overallRiskScore,
         level: this.interpretRiskLevel(overallRiskScore),
-        confidence: this.calculateRiskConfidence(riskScores)
+        confidence: this.calculateRiskConfidence(assessments)
       },
       riskCategories: riskScores,
       riskFactors: riskFactors.sort((a, b) => b.severity - a.severity).slice(0, 10), // Top 10 risks
@@ -393,11 +472,15 @@ export class PredictiveInsights {
 
   /**
    * Perform scenario analysis
+   * Scenarios are read off the forecast intervals of the next 30 days: the baseline is the point forecast,
+   * optimistic and pessimistic are the favourable and unfavourable interval bounds, the stress test the
+   * unfavourable bound at 98% confidence.
+   * @param {Array} feedback - Feedback data
    * @param {Array} timeSeriesData - Time series data
    * @param {Object} trendAnalysis - Trend analysis results
    * @returns {Object} Scenario analysis
    */
-  performScenarioAnalysis(timeSeriesData, trendAnalysis) {
+  performScenarioAnalysis(feedback, timeSeriesData, trendAnalysis) {
     const baselineScenario = this.generateBaselineScenario(timeSeriesData, trendAnalysis)
     const optimisticScenario = this.generateOptimisticScenario(timeSeriesData, trendAnalysis)
     const pessimisticScenario = this.generatePessimisticScenario(timeSeriesData, trendAnalysis)
@@ -416,7 +499,7 @@ export class PredictiveInsights {
         { scenario: optimisticScenario, probability: 0.25 },
         { scenario: pessimisticScenario, probability: 0.25 }
       ]),
-      sensitivityAnalysis: this.performSensitivityAnalysis(timeSeriesData, trendAnalysis)
+      sensitivityAnalysis: this.performSensitivityAnalysis(feedback, timeSeriesData)
     }
   }
 
@@ -451,7 +534,7 @@ export class PredictiveInsights {
         prediction: `Customer sentiment likely to ${sentimentTrend.direction}`,
         confidence: sentimentTrend.confidence,
         impact: 'high',
-        timeline: '60 days'
+        timeline: '30 days'
       })
     }
     
@@ -698,11 +781,13 @@ export class PredictiveInsights {
           date: date,
           dateKey: dateKey,
           count: 0,
+          negativeCount: 0,
           sentimentScores: []
         }
       }
       
       dailyData[dateKey].count++
+      if (this.isNegativeFeedback(item)) dailyData[dateKey].negativeCount++
       
       const sentimentScore = parseFloat(item.sentimentScore || item.sentiment_score || 0)
       if (!isNaN(sentimentScore)) {
@@ -890,15 +975,468 @@ export class PredictiveInsights {
     return weeklyGrowthRate * (forecastPeriod / 7) // Scale by forecast period
   }
 
+  // Sentiment forecasting - Holt's linear exponential smoothing over daily mean sentiment
+
+  /**
+   * Daily mean sentiment over consecutive calendar days
+   * @param {Array} timeSeriesData - Time series data (see prepareTimeSeriesData)
+   * @returns {Object} { values, observed, lastDate } values are null on days without feedback
+   */
+  buildDailySentimentSeries(timeSeriesData) {
+    const days = timeSeriesData.filter(d => d.sentimentScores.length > 0)
+    const { values } = this.buildDailySeries(days, day => day.avgSentiment, null)
+
+    return { values, observed: days.length, lastDate: days.length > 0 ? days[days.length - 1].date : null }
+  }
+
+  /**
+   * Values of time series data over consecutive calendar days
+   * @param {Array} days - Time series data, sorted by date
+   * @param {Function} valueOf - Value of a day
+   * @param {*} missingValue - Value of days without data
+   * @returns {Object} { values, dateKeys }
+   */
+  buildDailySeries(days, valueOf, missingValue) {
+    if (days.length === 0) {
+      return { values: [], dateKeys: [] }
+    }
+
+    const dayIndex = dateKey => Math.round(Date.parse(`${dateKey}T00:00:00Z`) / DAY_MS)
+    const firstDay = dayIndex(days[0].dateKey)
+    const length = dayIndex(days[days.length - 1].dateKey) - firstDay + 1
+    const values = new Array(length).fill(missingValue)
+    const dateKeys = Array.from({ length }, (_, i) => format(new Date((firstDay + i) * DAY_MS), 'yyyy-MM-dd'))
+
+    days.forEach(day => {
+      values[dayIndex(day.dateKey) - firstDay] = valueOf(day)
+    })
+
+    return { values, dateKeys }
+  }
+
+  /**
+   * Fitted sentiment model and its backtest for a time series (null with too little sentiment history)
+   * @param {Array} timeSeriesData - Time series data
+   * @returns {Object|null} { series, model, backtest }
+   */
+  getSentimentModel(timeSeriesData) {
+    if (this.sentimentModels.has(timeSeriesData)) {
+      return this.sentimentModels.get(timeSeriesData)
+    }
+
+    const series = this.buildDailySentimentSeries(timeSeriesData)
+    const result = series.observed >= this.options.minHistoricalData
+      ? { series, model: this.fitHoltModel(series.values), backtest: this.backtestSentimentModel(series.values) }
+      : null
+
+    this.sentimentModels.set(timeSeriesData, result)
+    return result
+  }
+
+  /**
+   * Fit Holt's linear trend method, choosing the smoothing parameters with the lowest one-step-ahead error
+   * @param {Array} values - Daily values (null for missing days)
+   * @returns {Object} { alpha, beta, level, trend, residuals, residualStd }
+   */
+  fitHoltModel(values) {
+    let best = null
+
+    HOLT_ALPHA_GRID.forEach(alpha => {
+      HOLT_BETA_GRID.forEach(beta => {
+        const fit = this.runHoltSmoothing(values, alpha, beta)
+        if (!best || fit.sse < best.sse) best = fit
+      })
+    })
+
+    return best
+  }
+
+  /**
+   * Holt's linear exponential smoothing. Missing days advance the level by the trend without an update.
+   * @param {Array} values - Daily values (null for missing days)
+   * @param {number} alpha - Level smoothing (0-1)
+   * @param {number} beta - Trend smoothing (0-1)
+   * @returns {Object} { alpha, beta, level, trend, sse, residuals, residualStd }
+   */
+  runHoltSmoothing(values, alpha, beta) {
+    const observed = values
+      .map((value, index) => ({ value, index }))
+      .filter(point => point.value !== null)
+
+    // Start without a trend - the smoothing picks one up when the data has it, while a slope fitted to the
+    // first days would mostly be noise that small trend smoothing keeps for weeks
+    let level = observed[0].value
+    let trend = 0
+
+    const residuals = []
+    let sse = 0
+
+    for (let i = observed[0].index + 1; i < values.length; i++) {
+      const forecast = level + trend
+
+      if (values[i] === null) {
+        level = forecast
+        continue
+      }
+
+      const error = values[i] - forecast
+      residuals.push(error)
+      sse += error * error
+
+      const previousLevel = level
+      level = alpha * values[i] + (1 - alpha) * forecast
+      trend = beta * (level - previousLevel) + (1 - beta) * trend
+    }
+
+    return {
+      alpha,
+      beta,
+      level,
+      trend,
+      sse,
+      residuals,
+      residualStd: Math.sqrt(sse / Math.max(1, residuals.length - 2))
+    }
+  }
+
+  /**
+   * Point forecast and prediction interval of a Holt model
+   * Uses the forecast variance of the equivalent ETS(A,A,N) model at the configured confidence level.
+   * @param {Object} model - Fitted Holt model
+   * @param {number} days - Days ahead
+   * @param {Function} clamp - Bounds of the forecast values (the 0-1 sentiment scale by default)
+   * @param {number} level - Confidence level of the interval
+   * @returns {Object} { predicted, lower, upper, halfWidth }
+   */
+  forecastHolt(model, days, clamp = clampSentiment, level = this.options.confidenceLevel) {
+    const { alpha, residualStd } = model
+    // The state space form smooths the trend with alpha * beta
+    const beta = model.alpha * model.beta
+    const predicted = model.level + days * model.trend
+    const variance = residualStd * residualStd * (
+      1 + (days - 1) * (alpha * alpha + alpha * beta * days + beta * beta * days * (2 * days - 1) / 6)
+    )
+    const halfWidth = this.normalQuantile(0.5 + level / 2) * Math.sqrt(variance)
+
+    return {
+      predicted: clamp(predicted),
+      lower: clamp(predicted - halfWidth),
+      upper: clamp(predicted + halfWidth),
+      halfWidth
+    }
+  }
+
+  /**
+   * Forecast of the average over the next days, with its prediction interval
+   * The daily errors of one forecast path are correlated (a shock moves the level of every later day),
+   * so the interval is wider than averaging independent days but far narrower than a single day's.
+   * @param {Object} model - Fitted Holt model
+   * @param {number} days - Days averaged
+   * @param {Function} clamp - Bounds of the forecast values
+   * @param {number} level - Confidence level of the interval
+   * @returns {Object} { predicted, lower, upper, halfWidth }
+   */
+  forecastHoltAverage(model, days, clamp = clampSentiment, level = this.options.confidenceLevel) {
+    const { alpha, residualStd } = model
+    const beta = model.alpha * model.beta
+    const predicted = model.level + model.trend * (days + 1) / 2
+
+    // Each day's error reaches the later days of the average through the level and the trend
+    let weightSquares = 0
+    for (let day = 1; day <= days; day++) {
+      const remaining = days - day
+      const weight = 1 + alpha * remaining + beta * remaining * (remaining + 1) / 2
+      weightSquares += weight * weight
+    }
+    const halfWidth = this.normalQuantile(0.5 + level / 2) * residualStd * Math.sqrt(weightSquares) / days
+
+    return {
+      predicted: clamp(predicted),
+      lower: clamp(predicted - halfWidth),
+      upper: clamp(predicted + halfWidth),
+      halfWidth
+    }
+  }
+
+  /**
+   * Rolling-origin backtest: refit on the history before each of the last origins and compare the
+   * forecasts of the following days with what happened
+   * @param {Array} values - Daily values (null for missing days)
+   * @returns {Object} { origins, forecasts, mae, naiveMae, skill, coverage }
+   *   skill compares the error with repeating the last observed value, coverage is the share of actual
+   *   values inside the prediction intervals
+   */
+  backtestSentimentModel(values) {
+    const { sentimentBacktestOrigins, sentimentBacktestHorizon } = this.options
+    const observedIndexes = values
+      .map((value, index) => value === null ? null : index)
+      .filter(index => index !== null)
+
+    // Keep at least a week of history before the first origin
+    const originCount = Math.min(sentimentBacktestOrigins, Math.floor(observedIndexes.length / 3))
+    const origins = originCount > 0 ? observedIndexes.slice(-originCount).filter(index => index >= 7) : []
+
+    let errorSum = 0
+    let naiveErrorSum = 0
+    let covered = 0
+    let forecasts = 0
+
+    origins.forEach(origin => {
+      const history = values.slice(0, origin)
+      if (history.every(value => value === null)) return
+
+      const model = this.fitHoltModel(history)
+      const lastObserved = history.filter(value => value !== null).pop()
+
+      for (let days = 1; days <= sentimentBacktestHorizon; days++) {
+        const actual = values[origin + days - 1]
+        if (actual === undefined || actual === null) continue
+
+        const forecast = this.forecastHolt(model, days)
+        errorSum += Math.abs(actual - forecast.predicted)
+        naiveErrorSum += Math.abs(actual - lastObserved)
+        if (actual >= forecast.lower && actual <= forecast.upper) covered++
+        forecasts++
+      }
+    })
+
+    if (forecasts === 0) {
+      return { origins: 0, forecasts: 0, mae: null, naiveMae: null, skill: null, coverage: null }
+    }
+
+    const mae = errorSum / forecasts
+    const naiveMae = naiveErrorSum / forecasts
+
+    return {
+      origins: origins.length,
+      forecasts,
+      mae: round(mae),
+      naiveMae: round(naiveMae),
+      skill: naiveMae > 0 ? round(1 - mae / naiveMae) : 0,
+      coverage: round(covered / forecasts)
+    }
+  }
+
+  /**
+   * Forecasts of a sentiment model for several horizons
+   * @param {Object} model - Fitted Holt model
+   * @param {Object} backtest - Backtest of the model
+   * @param {Array} periods - Days ahead
+   * @returns {Array} [{ period, predicted, confidence, range }]
+   */
+  buildSentimentForecasts(model, backtest, periods) {
+    return periods.map(days => ({
+      period: `${days}_days`,
+      predicted: this.extrapolateSentiment(model, days),
+      confidence: this.calculateSentimentConfidence(model, backtest, days),
+      range: this.calculateSentimentRange(model, days)
+    }))
+  }
+
+  /**
+   * Sentiment trend: direction and size of the change the model projects over the next 30 days
+   * @param {Object} model - Fitted Holt model
+   * @param {Object} backtest - Backtest of the model
+   * @returns {Object} Trend forecast
+   */
+  forecastSentimentTrend(model, backtest) {
+    const projectedChange = model.trend * 30
+    const threshold = this.options.sentimentChangeThreshold
+
+    return {
+      direction: projectedChange > threshold ? 'improving' : projectedChange < -threshold ? 'declining' : 'stable',
+      currentLevel: round(model.level),
+      slopePerWeek: round(model.trend * 7, 4),
+      projectedChange30Days: round(this.forecastHolt(model, 30).predicted - clampSentiment(model.level)),
+      confidence: this.calculateSentimentConfidence(model, backtest, 30),
+      method: 'holt_linear',
+      parameters: { alpha: model.alpha, beta: model.beta }
+    }
+  }
+
+  /**
+   * Sentiment volatility from the one-step-ahead forecast errors of the model
+   * @param {Object} model - Fitted Holt model
+   * @returns {Object} { level, dailyStdDev, direction, confidence }
+   */
+  forecastSentimentVolatility(model) {
+    const { residuals, residualStd } = model
+    const rms = values => Math.sqrt(values.reduce((sum, value) => sum + value * value, 0) / values.length)
+
+    // Compare the last two weeks with the rest of the history
+    const recent = residuals.slice(-14)
+    const earlier = residuals.slice(0, -14)
+    let direction = 'stable'
+    if (earlier.length >= 7 && rms(earlier) > 0) {
+      const ratio = rms(recent) / rms(earlier)
+      direction = ratio > 1.25 ? 'increasing' : ratio < 0.8 ? 'decreasing' : 'stable'
+    }
+
+    return {
+      level: residualStd < 0.05 ? 'low' : residualStd < 0.12 ? 'moderate' : 'high',
+      dailyStdDev: round(residualStd),
+      direction,
+      confidence: residuals.length > 0 ? round(1 - 1 / Math.sqrt(residuals.length), 2) : 0
+    }
+  }
+
+  /**
+   * Sentiment forecasts per category, for categories with enough days of feedback
+   * @param {Array} feedback - Feedback data
+   * @param {Array} timeSeriesData - Time series data of all feedback
+   * @returns {Object} Forecasts by category name
+   */
+  forecastCategorySentiment(feedback, timeSeriesData) {
+    const byCategory = {}
+    feedback.forEach(item => {
+      const category = item.category || 'uncategorized'
+      if (!byCategory[category]) byCategory[category] = []
+      byCategory[category].push(item)
+    })
+
+    const forecasts = {}
+    Object.entries(byCategory).forEach(([category, items]) => {
+      const sentimentModel = this.getSentimentModel(this.prepareTimeSeriesData(items))
+      if (!sentimentModel) return
+
+      const { series, model, backtest } = sentimentModel
+      const trend = this.forecastSentimentTrend(model, backtest)
+
+      forecasts[category] = {
+        dataPoints: series.observed,
+        feedbackCount: items.length,
+        current: round(model.level),
+        trend,
+        forecasts: this.buildSentimentForecasts(model, backtest, [7, 30]),
+        riskFactors: this.identifySentimentRisks(model, trend)
+      }
+    })
+
+    return forecasts
+  }
+
+  extrapolateSentiment(model, days) {
+    return round(this.forecastHolt(model, days).predicted)
+  }
+
+  /**
+   * Confidence of a sentiment forecast (0-1)
+   * How well the prediction intervals held in the backtest, times how narrow the interval is at this horizon
+   * (an interval spanning the whole sentiment scale says nothing).
+   * @param {Object} model - Fitted Holt model
+   * @param {Object} backtest - Backtest of the model
+   * @param {number} days - Days ahead
+   * @returns {number} Confidence
+   */
+  calculateSentimentConfidence(model, backtest, days) {
+    if (!backtest || backtest.forecasts === 0) return 0
+
+    const reliability = Math.min(1, backtest.coverage / this.options.confidenceLevel)
+    const precision = Math.max(0, 1 - this.forecastHolt(model, days).halfWidth / 0.5)
+    return round(reliability * precision, 2)
+  }
+
+  calculateSentimentRange(model, days) {
+    const { lower, upper } = this.forecastHolt(model, days)
+    return { min: round(lower), max: round(upper), level: this.options.confidenceLevel }
+  }
+
+  /**
+   * Risks in a sentiment forecast: a declining trend, and sentiment forecast (or possibly falling)
+   * below the negative threshold within 30 days
+   */
+  identifySentimentRisks(model, trendForecast) {
+    const risks = []
+    const forecast = this.forecastHolt(model, 30)
+    const { negativeSentimentThreshold } = this.options
+
+    if (trendForecast.direction === 'declining') {
+      risks.push({
+        type: 'declining_sentiment',
+        severity: trendForecast.projectedChange30Days < -0.05 && trendForecast.confidence > 0.5 ? 'high' : 'medium',
+        description: `Sentiment is forecast to fall from ${round(clampSentiment(model.level), 2)} to ${round(forecast.predicted, 2)} over the next 30 days`,
+        confidence: trendForecast.confidence
+      })
+    }
+
+    if (forecast.predicted < negativeSentimentThreshold) {
+      risks.push({
+        type: 'negative_sentiment',
+        severity: 'high',
+        description: `Sentiment is forecast to be ${round(forecast.predicted, 2)} in 30 days, below ${negativeSentimentThreshold}`,
+        confidence: trendForecast.confidence
+      })
+    } else if (forecast.lower < negativeSentimentThreshold) {
+      risks.push({
+        type: 'sentiment_downside',
+        severity: 'low',
+        description: `Sentiment could fall to ${round(forecast.lower, 2)} within 30 days (lower end of the forecast range)`,
+        confidence: trendForecast.confidence
+      })
+    }
+
+    return risks
+  }
+
+  /**
+   * Opportunities in a sentiment forecast: an improving trend, and sentiment forecast to stay positive
+   */
+  identifySentimentForecastOpportunities(model, trendForecast) {
+    const opportunities = []
+    const forecast = this.forecastHolt(model, 30)
+    const { positiveSentimentThreshold } = this.options
+
+    if (trendForecast.direction === 'improving') {
+      opportunities.push({
+        type: 'improving_sentiment',
+        description: `Sentiment is forecast to rise from ${round(clampSentiment(model.level), 2)} to ${round(forecast.predicted, 2)} over the next 30 days`,
+        confidence: trendForecast.confidence
+      })
+    }
+
+    if (forecast.lower > positiveSentimentThreshold) {
+      opportunities.push({
+        type: 'sustained_positive_sentiment',
+        description: `Sentiment is forecast to stay above ${positiveSentimentThreshold} for the next 30 days - a good time for reviews, referrals and case studies`,
+        confidence: trendForecast.confidence
+      })
+    }
+
+    return opportunities
+  }
+
+  /**
+   * Quantile of the standard normal distribution (Acklam's rational approximation)
+   * @param {number} p - Probability (0-1)
+   * @returns {number} z such that P(Z <= z) = p
+   */
+  normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628274631]
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572]
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783]
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416]
+    const low = 0.02425
+
+    if (p <= 0) return -Infinity
+    if (p >= 1) return Infinity
+
+    if (p < low) {
+      const q = Math.sqrt(-2 * Math.log(p))
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+    }
+
+    if (p > 1 - low) {
+      return -this.normalQuantile(1 - p)
+    }
+
+    const q = p - 0.5
+    const r = q * q
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+  }
+
   // Additional placeholder methods
-  forecastSentimentTrend(sentimentData) { return { direction: 'stable', confidence: 0.5 } }
-  forecastSentimentVolatility(sentimentData) { return { level: 'moderate', confidence: 0.5 } }
-  forecastCategorySentiment(feedback, timeSeriesData) { return {} }
-  extrapolateSentiment(sentimentData, days) { return 0.5 }
-  calculateSentimentConfidence(sentimentData, days) { return 0.5 }
-  calculateSentimentRange(sentimentData, days) { return { min: 0.3, max: 0.7 } }
-  identifySentimentRisks(sentimentData, trendForecast) { return [] }
-  identifySentimentOpportunities(sentimentData, trendForecast) { return [] }
   predictCategoryTrend(trend) { return { direction: 'stable', magnitude: 0 } }
   assessCategoryRisk(trend, category) { return 'low' }
   generateCategoryRecommendations(trend, category) { return [] }
@@ -907,18 +1445,534 @@ export class PredictiveInsights {
   generateCategoryInsights(categoryPredictions) { return [] }
   generateOverallCategoryRecommendations(categoryPredictions) { return [] }
   
-  // Risk assessment methods
-  assessVolumeRisk(timeSeriesData, trendAnalysis) { return { factors: [], score: 0.3 } }
-  assessSentimentRisk(feedback, timeSeriesData) { return { factors: [], score: 0.3 } }
-  assessConcentrationRisk(feedback) { return { factors: [], score: 0.3 } }
-  assessTrendStabilityRisk(trendAnalysis) { return { factors: [], score: 0.3 } }
-  assessDataQualityRisk(feedback) { return { factors: [], score: 0.3 } }
-  calculateOverallRiskScore(riskScores) { return 0.3 }
   interpretRiskLevel(score) { return score > 0.7 ? 'high' : score > 0.4 ? 'medium' : 'low' }
-  calculateRiskConfidence(riskScores) { return 0.7 }
-  generateRiskMitigation(riskFactors) { return [] }
-  generateRiskMonitoring(riskFactors) { return [] }
-  generateRiskAlerts(riskFactors, overallScore) { return [] }
+
+  // Risk assessment - each assessor returns { factors, score (0-1), assessed } where assessed is false when
+  // there was too little data to judge; factors are { type, category, severity (0-1), description, metrics }
+
+  /**
+   * Volume risk: the last week of feedback volume against a Holt forecast made from the weeks before
+   * @param {Array} timeSeriesData - Time series data
+   * @param {Object} trendAnalysis - Trend analysis results
+   * @returns {Object} Volume risk
+   */
+  assessVolumeRisk(timeSeriesData, trendAnalysis) {
+    const window = RISK_WINDOW_DAYS.volume
+    const { values, dateKeys } = this.buildDailySeries(timeSeriesData, day => day.count, 0)
+
+    if (values.length < this.options.minHistoricalData + window) {
+      return { factors: [], score: 0, assessed: false }
+    }
+
+    const model = this.fitHoltModel(values.slice(0, -window))
+    const nonNegative = value => Math.max(0, value)
+    const recent = values.slice(-window).map((actual, index) => ({
+      date: dateKeys[values.length - window + index],
+      actual,
+      forecast: this.forecastHolt(model, index + 1, nonNegative)
+    }))
+
+    const actualTotal = recent.reduce((sum, day) => sum + day.actual, 0)
+    const forecastTotal = recent.reduce((sum, day) => sum + day.forecast.predicted, 0)
+    const excess = forecastTotal > 0 ? (actualTotal - forecastTotal) / forecastTotal : 0
+    const spikes = recent
+      .filter(day => day.actual > day.forecast.upper)
+      .sort((a, b) => (b.actual - b.forecast.upper) - (a.actual - a.forecast.upper))
+
+    const score = clampUnit(Math.max(0, excess)) * 0.6 + (spikes.length / window) * 0.4
+    const factors = []
+
+    if (excess > 0.25) {
+      factors.push({
+        type: 'volume_above_forecast',
+        category: 'volume',
+        severity: round(clampUnit(excess), 2),
+        description: `${actualTotal} feedback entries in the last ${window} days, ${Math.round(excess * 100)}% more than the ${Math.round(forecastTotal)} forecast from the weeks before`,
+        metrics: { actual: actualTotal, forecast: round(forecastTotal, 1), excess: round(excess, 2) }
+      })
+    }
+
+    spikes.slice(0, 3).forEach(day => {
+      factors.push({
+        type: 'volume_spike',
+        category: 'volume',
+        severity: round(clampUnit((day.actual - day.forecast.upper) / Math.max(1, day.forecast.upper)), 2),
+        description: `${day.actual} feedback entries on ${day.date}, above the forecast range of ${Math.round(day.forecast.lower)}-${Math.round(day.forecast.upper)}`,
+        metrics: { date: day.date, actual: day.actual, expectedMax: round(day.forecast.upper, 1) }
+      })
+    })
+
+    return {
+      factors,
+      score: round(score, 2),
+      assessed: true,
+      metrics: { actual: actualTotal, forecast: round(forecastTotal, 1), spikeDays: spikes.length }
+    }
+  }
+
+  /**
+   * Sentiment risk: the share of negative feedback in the last 30 days against the 30 days before (two-proportion
+   * z-test), and where the sentiment forecast is heading
+   * @param {Array} feedback - Feedback data
+   * @param {Array} timeSeriesData - Time series data
+   * @returns {Object} Sentiment risk
+   */
+  assessSentimentRisk(feedback, timeSeriesData) {
+    const window = RISK_WINDOW_DAYS.sentiment
+    const dated = feedback
+      .map(item => ({ item, time: new Date(item.feedbackDate || item.feedback_date).getTime() }))
+      .filter(entry => !isNaN(entry.time))
+
+    if (dated.length === 0) {
+      return { factors: [], score: 0, assessed: false }
+    }
+
+    const latest = Math.max(...dated.map(entry => entry.time))
+    const recentStart = latest - window * DAY_MS
+    const previousStart = recentStart - window * DAY_MS
+    const recent = dated.filter(entry => entry.time > recentStart).map(entry => entry.item)
+    const previous = dated.filter(entry => entry.time > previousStart && entry.time <= recentStart).map(entry => entry.item)
+
+    const countNegative = items => items.filter(item => this.isNegativeFeedback(item)).length
+    const recentShare = recent.length > 0 ? countNegative(recent) / recent.length : 0
+    const previousShare = previous.length > 0 ? countNegative(previous) / previous.length : null
+    const change = previousShare === null ? 0 : recentShare - previousShare
+    const test = previousShare === null
+      ? null
+      : this.twoProportionZTest(countNegative(recent), recent.length, countNegative(previous), previous.length)
+    const significantRise = change > 0 && test !== null && test.pValue < 0.05
+
+    const factors = []
+    let score = clampUnit(recentShare / 0.5) * 0.5 + (significantRise ? clampUnit(change / 0.2) * 0.5 : 0)
+
+    if (significantRise) {
+      factors.push({
+        type: 'rising_negative_share',
+        category: 'sentiment',
+        severity: round(clampUnit(change / 0.2), 2),
+        description: `Negative feedback rose from ${Math.round(previousShare * 100)}% to ${Math.round(recentShare * 100)}% of feedback in the last ${window} days (${test.pValue < 0.001 ? 'p < 0.001' : `p = ${test.pValue.toFixed(3)}`})`,
+        metrics: { recentShare: round(recentShare), previousShare: round(previousShare), pValue: round(test.pValue, 4) }
+      })
+    } else if (recentShare > 0.4) {
+      factors.push({
+        type: 'high_negative_share',
+        category: 'sentiment',
+        severity: round(clampUnit(recentShare / 0.5) * 0.8, 2),
+        description: `${Math.round(recentShare * 100)}% of feedback in the last ${window} days is negative`,
+        metrics: { recentShare: round(recentShare), feedbackCount: recent.length }
+      })
+    }
+
+    // Where sentiment is heading
+    const sentimentModel = this.getSentimentModel(timeSeriesData)
+    if (sentimentModel) {
+      const { model, backtest } = sentimentModel
+      const trend = this.forecastSentimentTrend(model, backtest)
+      const forecast = this.forecastHolt(model, 30)
+
+      if (trend.direction === 'declining' && forecast.predicted < this.options.negativeSentimentThreshold) {
+        const severity = round(clampUnit(0.5 + trend.confidence * 0.5), 2)
+        score = Math.max(score, severity)
+        factors.push({
+          type: 'sentiment_forecast_negative',
+          category: 'sentiment',
+          severity,
+          description: `Average sentiment is forecast to fall to ${forecast.predicted.toFixed(2)} within 30 days`,
+          metrics: { current: round(clampSentiment(model.level)), forecast: round(forecast.predicted), confidence: trend.confidence }
+        })
+      }
+    }
+
+    return {
+      factors,
+      score: round(score, 2),
+      assessed: recent.length >= 10,
+      metrics: { recentShare: round(recentShare), previousShare: previousShare === null ? null : round(previousShare) }
+    }
+  }
+
+  /**
+   * Concentration risk: how much of the feedback (and of the negative feedback) falls into a few categories,
+   * measured with the Herfindahl-Hirschman index and the Gini coefficient of the category counts
+   * @param {Array} feedback - Feedback data
+   * @returns {Object} Concentration risk
+   */
+  assessConcentrationRisk(feedback) {
+    const countBy = items => items.reduce((counts, item) => {
+      const category = item.category || 'uncategorized'
+      counts[category] = (counts[category] || 0) + 1
+      return counts
+    }, {})
+
+    const overall = this.measureConcentration(countBy(feedback))
+    if (!overall) {
+      return { factors: [], score: 0, assessed: false }
+    }
+
+    const factors = []
+    if (overall.topShare > 0.5 && overall.categories > 1) {
+      factors.push({
+        type: 'category_concentration',
+        category: 'concentration',
+        severity: round(overall.normalizedHHI, 2),
+        description: `${Math.round(overall.topShare * 100)}% of feedback is in the "${overall.topCategory}" category (HHI ${overall.hhi.toFixed(2)})`,
+        metrics: overall
+      })
+    }
+
+    // One category driving most of the negative feedback is a sharper signal than overall volume
+    // (measured over all categories, so categories without negative feedback count as even shares of 0)
+    const negative = feedback.filter(item => this.isNegativeFeedback(item))
+    const negativeConcentration = negative.length >= 10
+      ? this.measureConcentration(countBy(negative), overall.categories)
+      : null
+    if (negativeConcentration && negativeConcentration.topShare > 0.5 && overall.categories > 1) {
+      factors.push({
+        type: 'negative_concentration',
+        category: 'concentration',
+        severity: round(negativeConcentration.normalizedHHI * 0.8, 2),
+        description: `${Math.round(negativeConcentration.topShare * 100)}% of negative feedback is about "${negativeConcentration.topCategory}"`,
+        metrics: negativeConcentration
+      })
+    }
+
+    const score = Math.max(overall.normalizedHHI, negativeConcentration ? negativeConcentration.normalizedHHI * 0.8 : 0)
+
+    return {
+      factors,
+      score: round(score, 2),
+      assessed: overall.categories > 1,
+      metrics: { hhi: overall.hhi, normalizedHHI: overall.normalizedHHI, gini: overall.gini }
+    }
+  }
+
+  /**
+   * Trend stability risk: breaks in the volume and sentiment trends, and how erratic daily volume is
+   * @param {Object} trendAnalysis - Trend analysis results
+   * @param {Array} timeSeriesData - Time series data
+   * @returns {Object} Trend stability risk
+   */
+  assessTrendStabilityRisk(trendAnalysis, timeSeriesData = []) {
+    const factors = []
+    const counts = this.buildDailySeries(timeSeriesData, day => day.count, 0)
+    const sentiment = this.buildDailySeries(timeSeriesData.filter(day => day.sentimentScores.length > 0), day => day.avgSentiment, null)
+
+    const breaks = [
+      { name: 'Feedback volume', series: counts, unit: 'entries/day', digits: 2 },
+      { name: 'Average sentiment', series: sentiment, unit: 'per week', digits: 3, scale: 7 }
+    ].map(({ name, series, unit, digits, scale = 1 }) => {
+      const trendBreak = this.detectTrendBreak(series.values)
+      if (!trendBreak?.significant) return null
+
+      const slope = value => `${value >= 0 ? '+' : ''}${(value * scale).toFixed(digits)}`
+      factors.push({
+        type: 'trend_break',
+        category: 'stability',
+        severity: round(clampUnit(trendBreak.fStatistic / (TREND_BREAK_CRITICAL_F * 4)), 2),
+        description: `${name} changed trend around ${series.dateKeys[trendBreak.index]}: from ${slope(trendBreak.slopeBefore)} to ${slope(trendBreak.slopeAfter)} ${unit}`,
+        metrics: { date: series.dateKeys[trendBreak.index], ...trendBreak }
+      })
+      return trendBreak
+    })
+
+    const volatility = trendAnalysis.volatility || {}
+    if (volatility.interpretation === 'high' || volatility.interpretation === 'very_high') {
+      factors.push({
+        type: 'volatile_volume',
+        category: 'stability',
+        severity: round(clampUnit(volatility.coefficient), 2),
+        description: `Daily feedback volume is ${volatility.interpretation.replace('_', ' ')}ly volatile (coefficient of variation ${volatility.coefficient})`,
+        metrics: { coefficientOfVariation: volatility.coefficient }
+      })
+    }
+
+    const breakScore = Math.max(0, ...breaks.filter(Boolean).map(b => clampUnit(b.fStatistic / (TREND_BREAK_CRITICAL_F * 4))))
+    const volatilityScore = clampUnit((volatility.coefficient || 0) / 1)
+
+    return {
+      factors,
+      score: round(Math.max(breakScore, volatilityScore * 0.7), 2),
+      assessed: counts.values.length >= this.options.minHistoricalData
+    }
+  }
+
+  /**
+   * Data quality risk: share of feedback with missing or unreliable fields
+   * @param {Array} feedback - Feedback data
+   * @returns {Object} Data quality risk
+   */
+  assessDataQualityRisk(feedback) {
+    if (feedback.length === 0) {
+      return { factors: [], score: 0, assessed: false }
+    }
+
+    const checks = [
+      {
+        field: 'date',
+        weight: 0.3,
+        label: 'has no feedback date',
+        isMissing: item => isNaN(new Date(item.feedbackDate || item.feedback_date).getTime())
+      },
+      {
+        field: 'sentiment',
+        weight: 0.25,
+        label: 'has no sentiment score',
+        isMissing: item => isNaN(parseFloat(item.sentimentScore ?? item.sentiment_score))
+      },
+      {
+        field: 'category',
+        weight: 0.25,
+        label: 'is not categorized',
+        isMissing: item => !item.category || item.category === 'general' || item.category === 'uncategorized'
+      },
+      {
+        field: 'categoryConfidence',
+        weight: 0.1,
+        label: 'was categorized with low confidence (below 50%)',
+        isMissing: item => {
+          const confidence = parseFloat(item.aiCategoryConfidence ?? item.ai_category_confidence)
+          return !isNaN(confidence) && confidence < 0.5
+        }
+      },
+      {
+        field: 'source',
+        weight: 0.1,
+        label: 'has no source',
+        isMissing: item => !item.source
+      }
+    ]
+
+    const factors = []
+    let weightedMissing = 0
+    const missingShares = {}
+
+    checks.forEach(check => {
+      const missing = feedback.filter(check.isMissing).length
+      const share = missing / feedback.length
+      missingShares[check.field] = round(share)
+      weightedMissing += check.weight * share
+
+      if (share > 0.05) {
+        factors.push({
+          type: `missing_${check.field}`,
+          category: 'quality',
+          severity: round(clampUnit(share * 2), 2),
+          description: `${Math.round(share * 100)}% of feedback (${missing} of ${feedback.length}) ${check.label}`,
+          metrics: { missing, share: round(share) }
+        })
+      }
+    })
+
+    return {
+      factors,
+      // Half of the data missing is the maximum risk
+      score: round(clampUnit(weightedMissing / 0.5), 2),
+      assessed: true,
+      metrics: missingShares
+    }
+  }
+
+  /**
+   * Weighted overall risk. A single severe risk is not averaged away: the score is at least 80% of the
+   * highest category score.
+   * @param {Object} riskScores - Scores by risk category
+   * @returns {number} Overall risk score (0-1)
+   */
+  calculateOverallRiskScore(riskScores) {
+    let weightedSum = 0
+    let weightSum = 0
+
+    Object.entries(RISK_WEIGHTS).forEach(([category, weight]) => {
+      if (riskScores[category] === undefined) return
+      weightedSum += riskScores[category] * weight
+      weightSum += weight
+    })
+
+    if (weightSum === 0) return 0
+
+    const highest = Math.max(...Object.values(riskScores))
+    return round(Math.max(weightedSum / weightSum, highest * 0.8), 2)
+  }
+
+  /**
+   * Confidence of the risk assessment: weighted share of the risk categories with enough data to assess
+   */
+  calculateRiskConfidence(assessments) {
+    const assessedWeight = Object.entries(RISK_WEIGHTS)
+      .filter(([category]) => assessments[category]?.assessed)
+      .reduce((sum, [, weight]) => sum + weight, 0)
+    const totalWeight = Object.values(RISK_WEIGHTS).reduce((sum, weight) => sum + weight, 0)
+    return round(assessedWeight / totalWeight, 2)
+  }
+
+  /**
+   * Mitigations for the risk factors found, most severe first (one per risk type)
+   */
+  generateRiskMitigation(riskFactors) {
+    const seen = new Set()
+
+    return [...riskFactors]
+      .sort((a, b) => b.severity - a.severity)
+      .filter(factor => {
+        if (seen.has(factor.type) || !RISK_MITIGATIONS[factor.type]) return false
+        seen.add(factor.type)
+        return true
+      })
+      .map(factor => ({
+        riskType: factor.type,
+        category: factor.category,
+        priority: factor.severity >= 0.7 ? 'high' : factor.severity >= 0.4 ? 'medium' : 'low',
+        action: RISK_MITIGATIONS[factor.type],
+        reason: factor.description
+      }))
+  }
+
+  /**
+   * Metrics to keep watching for the risk categories with factors
+   */
+  generateRiskMonitoring(riskFactors) {
+    const categories = [...new Set(riskFactors.map(factor => factor.category))]
+    return categories
+      .filter(category => RISK_MONITORING[category])
+      .map(category => ({ category, ...RISK_MONITORING[category] }))
+  }
+
+  /**
+   * Alerts for severe risk factors and for a high overall risk
+   */
+  generateRiskAlerts(riskFactors, overallScore) {
+    const alerts = riskFactors
+      .filter(factor => factor.severity >= 0.6)
+      .sort((a, b) => b.severity - a.severity)
+      .map(factor => ({
+        level: factor.severity >= 0.8 ? 'critical' : 'warning',
+        riskType: factor.type,
+        category: factor.category,
+        message: factor.description,
+        severity: factor.severity
+      }))
+
+    if (overallScore > 0.7) {
+      alerts.unshift({
+        level: 'critical',
+        riskType: 'overall',
+        category: 'overall',
+        message: `Overall feedback risk is high (${Math.round(overallScore * 100)}/100)`,
+        severity: overallScore
+      })
+    }
+
+    return alerts
+  }
+
+  /**
+   * Whether a feedback is negative: its sentiment label, else its score against the negative threshold
+   */
+  isNegativeFeedback(item) {
+    const label = item.sentimentLabel || item.sentiment_label
+    if (label) return label === 'negative'
+
+    const score = parseFloat(item.sentimentScore ?? item.sentiment_score)
+    return !isNaN(score) && score < this.options.negativeSentimentThreshold
+  }
+
+  /**
+   * Two-proportion z-test (pooled)
+   * @returns {Object|null} { z, pValue } two-sided, null when a sample is empty
+   */
+  twoProportionZTest(successes1, total1, successes2, total2) {
+    if (total1 === 0 || total2 === 0) return null
+
+    const pooled = (successes1 + successes2) / (total1 + total2)
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / total1 + 1 / total2))
+    if (standardError === 0) return { z: 0, pValue: 1 }
+
+    const z = (successes1 / total1 - successes2 / total2) / standardError
+    return { z: round(z), pValue: 2 * (1 - this.normalCdf(Math.abs(z))) }
+  }
+
+  /**
+   * Standard normal cumulative distribution (Zelen & Severo approximation, error below 1e-7)
+   */
+  normalCdf(z) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(z))
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI)
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))))
+    return z >= 0 ? 1 - tail : tail
+  }
+
+  /**
+   * Concentration of counts by category
+   * @param {Object} counts - Count by category
+   * @param {number} categoryCount - Number of categories, when some of them have no count
+   * @returns {Object|null} { categories, topCategory, topShare, hhi, normalizedHHI, gini }
+   */
+  measureConcentration(counts, categoryCount = Object.keys(counts).length) {
+    const entries = Object.entries(counts).sort((a, b) => b[1] - a[1])
+    const total = entries.reduce((sum, [, count]) => sum + count, 0)
+    if (total === 0) return null
+
+    const shares = entries.map(([, count]) => count / total)
+    const hhi = shares.reduce((sum, share) => sum + share * share, 0)
+    const n = Math.max(categoryCount, shares.length)
+
+    // Gini coefficient of the counts (categories without a count included), sorted ascending
+    const ascending = [...new Array(n - entries.length).fill(0), ...entries.map(([, count]) => count).reverse()]
+    const gini = n > 1
+      ? ascending.reduce((sum, count, i) => sum + (2 * (i + 1) - n - 1) * count, 0) / (n * total)
+      : 0
+
+    return {
+      categories: n,
+      topCategory: entries[0][0],
+      topShare: round(shares[0]),
+      hhi: round(hhi),
+      // 0 when spread evenly over the categories, 1 when all in one
+      normalizedHHI: n > 1 ? round((hhi - 1 / n) / (1 - 1 / n)) : 1,
+      gini: round(gini)
+    }
+  }
+
+  /**
+   * Most likely break in a linear trend (sup-F test over split points, 15% trimming)
+   * @param {Array} values - Daily values (null for missing days)
+   * @returns {Object|null} { index, fStatistic, significant, slopeBefore, slopeAfter }, null with too few points
+   */
+  detectTrendBreak(values) {
+    const points = values
+      .map((y, x) => ({ x, y }))
+      .filter(point => point.y !== null)
+    const n = points.length
+    const minSegment = Math.max(7, Math.ceil(n * 0.15))
+    if (n < minSegment * 2 + 1) return null
+
+    const fit = segment => {
+      const regression = this.calculateLinearRegression(segment.map(p => p.x), segment.map(p => p.y))
+      const sse = segment.reduce((sum, p) => sum + Math.pow(p.y - (regression.slope * p.x + regression.intercept), 2), 0)
+      return { slope: regression.slope, sse }
+    }
+
+    const full = fit(points)
+    let best = null
+
+    for (let split = minSegment; split <= n - minSegment; split++) {
+      const before = fit(points.slice(0, split))
+      const after = fit(points.slice(split))
+      const sse = before.sse + after.sse
+      if (!best || sse < best.sse) best = { split, sse, before, after }
+    }
+
+    // Chow F statistic for a change in intercept and slope
+    const fStatistic = best.sse > 0 ? ((full.sse - best.sse) / 2) / (best.sse / (n - 4)) : 0
+
+    return {
+      index: points[best.split].x,
+      fStatistic: round(fStatistic, 2),
+      significant: fStatistic > TREND_BREAK_CRITICAL_F,
+      slopeBefore: round(best.before.slope, 4),
+      slopeAfter: round(best.after.slope, 4)
+    }
+  }
 
   // Opportunity identification methods
   identifyVolumeOpportunities(timeSeriesData, trendAnalysis) { return [] }
@@ -944,21 +1998,323 @@ export class PredictiveInsights {
   assessDataQuality(timeSeriesData) { return 0.8 }
   assessTrendStability(trendAnalysis) { return 0.7 }
   assessVolatilityImpact(timeSeriesData) { return 0.6 }
-  estimateHistoricalAccuracy(timeSeriesData) { return 0.7 }
+  estimateHistoricalAccuracy(timeSeriesData) {
+    // How well the sentiment forecast intervals held up in the backtest
+    const backtest = this.getSentimentModel(timeSeriesData)?.backtest
+    if (!backtest || backtest.forecasts === 0) return 0.5
+    return Math.min(1, backtest.coverage / this.options.confidenceLevel)
+  }
   interpretConfidenceLevel(confidence) { return confidence > 0.8 ? 'high' : confidence > 0.5 ? 'medium' : 'low' }
   generateConfidenceRecommendations(confidence) { return [] }
 
-  generateBaselineScenario(timeSeriesData, trendAnalysis) { return { type: 'baseline' } }
-  generateOptimisticScenario(timeSeriesData, trendAnalysis) { return { type: 'optimistic' } }
-  generatePessimisticScenario(timeSeriesData, trendAnalysis) { return { type: 'pessimistic' } }
-  generateStressTestScenario(timeSeriesData, trendAnalysis) { return { type: 'stress_test' } }
-  compareScenarios(scenarios) { return {} }
-  calculateProbabilityWeightedOutcome(weightedScenarios) { return {} }
-  performSensitivityAnalysis(timeSeriesData, trendAnalysis) { return {} }
+  generateBaselineScenario(timeSeriesData, trendAnalysis) {
+    return this.projectScenario(timeSeriesData, 'baseline', 0)
+  }
+
+  generateOptimisticScenario(timeSeriesData, trendAnalysis) {
+    return this.projectScenario(timeSeriesData, 'optimistic', 1)
+  }
+
+  generatePessimisticScenario(timeSeriesData, trendAnalysis) {
+    return this.projectScenario(timeSeriesData, 'pessimistic', -1)
+  }
+
+  generateStressTestScenario(timeSeriesData, trendAnalysis) {
+    return this.projectScenario(timeSeriesData, 'stress_test', -1, SCENARIO_STRESS_LEVEL)
+  }
+
+  /**
+   * Outcomes of the next 30 days in a scenario
+   * Volume counts as workload, so more feedback is the unfavourable direction.
+   * @param {Array} timeSeriesData - Time series data
+   * @param {string} type - Scenario name
+   * @param {number} direction - 0 for the point forecast, 1 for the favourable bound, -1 for the unfavourable bound
+   * @param {number} level - Confidence level of the interval the bounds come from
+   * @returns {Object} { type, available, horizonDays, level, outcomes }
+   */
+  projectScenario(timeSeriesData, type, direction, level = this.options.confidenceLevel) {
+    const models = this.getScenarioModels(timeSeriesData)
+    if (!models) {
+      return { type, available: false, reason: 'insufficient_data' }
+    }
+
+    const horizon = SCENARIO_HORIZON_DAYS
+    const pick = (forecast, higherIsFavourable) => {
+      if (direction === 0) return forecast.predicted
+      return (direction > 0) === higherIsFavourable ? forecast.upper : forecast.lower
+    }
+    const nonNegative = value => Math.max(0, value)
+
+    const averageSentiment = pick(this.forecastHoltAverage(models.sentiment, horizon, clampSentiment, level), true)
+    const negativeShare = pick(this.forecastHoltAverage(models.negativeShare, horizon, clampUnit, level), false)
+    const expectedFeedback = horizon * pick(this.forecastHoltAverage(models.volume, horizon, nonNegative, level), false)
+
+    return {
+      type,
+      available: true,
+      horizonDays: horizon,
+      level: direction === 0 ? null : level,
+      outcomes: {
+        averageSentiment: round(averageSentiment),
+        negativeShare: round(negativeShare),
+        expectedFeedback: Math.round(expectedFeedback),
+        expectedNegative: Math.round(expectedFeedback * negativeShare)
+      }
+    }
+  }
+
+  /**
+   * Holt models of daily volume, mean sentiment and negative share (null with too little history)
+   */
+  getScenarioModels(timeSeriesData) {
+    const sentimentModel = this.getSentimentModel(timeSeriesData)
+    if (!sentimentModel) return null
+
+    const volume = this.buildDailySeries(timeSeriesData, day => day.count, 0)
+    const negativeShare = this.buildDailySeries(
+      timeSeriesData.filter(day => day.count > 0),
+      day => day.negativeCount / day.count,
+      null
+    )
+
+    return {
+      sentiment: sentimentModel.model,
+      volume: this.fitHoltModel(volume.values),
+      negativeShare: this.fitHoltModel(negativeShare.values)
+    }
+  }
+
+  /**
+   * Range of each outcome across scenarios, and the outcome with the widest range relative to the baseline
+   */
+  compareScenarios(scenarios) {
+    const available = scenarios.filter(scenario => scenario.available)
+    if (available.length === 0) return {}
+
+    const baseline = available.find(scenario => scenario.type === 'baseline') || available[0]
+    const metrics = {}
+
+    Object.keys(baseline.outcomes).forEach(metric => {
+      const values = available.map(scenario => scenario.outcomes[metric])
+      const min = Math.min(...values)
+      const max = Math.max(...values)
+      const reference = Math.abs(baseline.outcomes[metric])
+
+      metrics[metric] = {
+        min,
+        max,
+        spread: round(max - min),
+        relativeSpread: reference > 0 ? round((max - min) / reference) : null
+      }
+    })
+
+    const mostUncertain = Object.entries(metrics)
+      .filter(([, range]) => range.relativeSpread !== null)
+      .sort((a, b) => b[1].relativeSpread - a[1].relativeSpread)[0]
+
+    return { metrics, mostUncertain: mostUncertain ? mostUncertain[0] : null }
+  }
+
+  /**
+   * Expected outcomes over scenarios weighted by their probabilities
+   */
+  calculateProbabilityWeightedOutcome(weightedScenarios) {
+    const available = weightedScenarios.filter(({ scenario }) => scenario.available)
+    const totalProbability = available.reduce((sum, { probability }) => sum + probability, 0)
+    if (totalProbability === 0) return {}
+
+    const outcomes = {}
+    Object.keys(available[0].scenario.outcomes).forEach(metric => {
+      outcomes[metric] = round(available.reduce(
+        (sum, { scenario, probability }) => sum + scenario.outcomes[metric] * probability, 0
+      ) / totalProbability)
+    })
+
+    return {
+      outcomes,
+      probabilities: Object.fromEntries(available.map(({ scenario, probability }) => [scenario.type, probability]))
+    }
+  }
+
+  /**
+   * How overall sentiment and negative share respond to changes in each category: its volume
+   * 30% lower or higher, or its sentiment 0.1 higher
+   * @param {Array} feedback - Feedback data
+   * @param {Array} timeSeriesData - Time series data
+   * @returns {Object} { available, windowDays, changes, categories } categories sorted by influence
+   */
+  performSensitivityAnalysis(feedback, timeSeriesData) {
+    const { volumeChange, sentimentChange, maxCategories } = SENSITIVITY_CONFIG
+    const current = this.runWhatIfScenario(feedback)
+    if (!current.available) return { available: false }
+
+    const impact = adjustment => {
+      const { change } = this.runWhatIfScenario(feedback, [adjustment])
+      return { averageSentiment: change.averageSentiment, negativeShare: change.negativeShare }
+    }
+
+    const categories = current.categories.slice(0, maxCategories).map(({ category, count }) => {
+      const volumeDown = impact({ category, volumeChange: -volumeChange })
+      const volumeUp = impact({ category, volumeChange })
+      const sentimentUp = impact({ category, sentimentChange })
+
+      return {
+        category,
+        count,
+        volumeDown,
+        volumeUp,
+        sentimentUp,
+        // Largest swing of overall sentiment among the tested changes
+        influence: round(Math.max(
+          Math.abs(volumeDown.averageSentiment || 0),
+          Math.abs(volumeUp.averageSentiment || 0),
+          Math.abs(sentimentUp.averageSentiment || 0)
+        ))
+      }
+    })
+
+    return {
+      available: true,
+      windowDays: current.windowDays,
+      changes: { volumeChange, sentimentChange },
+      categories: categories.sort((a, b) => b.influence - a.influence)
+    }
+  }
+
+  /**
+   * What-if analysis: overall outcomes when the volume or sentiment of categories changes, e.g. "bug reports
+   * drop 30%" is { category: 'bug', volumeChange: -0.3 }
+   * Uses the feedback of the last 30 days (all feedback when that is too little). Negative share here counts
+   * sentiment scores below the negative threshold, so that sentiment changes can move it.
+   * @param {Array} feedback - Feedback data
+   * @param {Array} adjustments - [{ category, volumeChange, sentimentChange }] volumeChange as a fraction
+   *   (-0.3 = 30% fewer), sentimentChange in score points (0.1 = scores 0.1 higher)
+   * @returns {Object} { available, windowDays, baseline, adjusted, change, forecast, categories }
+   */
+  runWhatIfScenario(feedback, adjustments = []) {
+    const { items, windowDays } = this.getScenarioWindow(feedback)
+    if (items.length === 0) {
+      return { available: false, reason: 'no_data' }
+    }
+
+    const groups = {}
+    items.forEach(item => {
+      const category = item.category || 'uncategorized'
+      if (!groups[category]) groups[category] = { count: 0, scores: [] }
+      groups[category].count++
+
+      const score = parseFloat(item.sentimentScore ?? item.sentiment_score)
+      if (!isNaN(score)) groups[category].scores.push(score)
+    })
+
+    const threshold = this.options.negativeSentimentThreshold
+    const summarize = applyAdjustments => {
+      let volume = 0
+      let scoredWeight = 0
+      let sentimentSum = 0
+      let negativeWeight = 0
+
+      Object.entries(groups).forEach(([category, group]) => {
+        const adjustment = applyAdjustments ? adjustments.find(a => a.category === category) || {} : {}
+        const factor = Math.max(0, 1 + (adjustment.volumeChange || 0))
+        const shift = adjustment.sentimentChange || 0
+
+        volume += group.count * factor
+        group.scores.forEach(score => {
+          const adjustedScore = clampSentiment(score + shift)
+          sentimentSum += adjustedScore * factor
+          scoredWeight += factor
+          if (adjustedScore < threshold) negativeWeight += factor
+        })
+      })
+
+      return {
+        feedbackVolume: Math.round(volume),
+        averageSentiment: scoredWeight > 0 ? round(sentimentSum / scoredWeight) : null,
+        negativeShare: scoredWeight > 0 ? round(negativeWeight / scoredWeight) : null
+      }
+    }
+
+    const baseline = summarize(false)
+    const adjusted = summarize(true)
+    const difference = metric => baseline[metric] === null || adjusted[metric] === null
+      ? null
+      : round(adjusted[metric] - baseline[metric])
+
+    // Carry the change in average sentiment over to the 30-day sentiment forecast
+    let forecast = null
+    const sentimentModel = this.getSentimentModel(this.prepareTimeSeriesData(feedback))
+    if (sentimentModel && difference('averageSentiment') !== null) {
+      const predicted = this.forecastHolt(sentimentModel.model, SCENARIO_HORIZON_DAYS).predicted
+      forecast = {
+        horizonDays: SCENARIO_HORIZON_DAYS,
+        baseline: round(predicted),
+        adjusted: round(clampSentiment(predicted + difference('averageSentiment')))
+      }
+    }
+
+    return {
+      available: true,
+      windowDays,
+      baseline,
+      adjusted,
+      change: {
+        feedbackVolume: adjusted.feedbackVolume - baseline.feedbackVolume,
+        averageSentiment: difference('averageSentiment'),
+        negativeShare: difference('negativeShare')
+      },
+      forecast,
+      categories: Object.entries(groups)
+        .map(([category, group]) => ({
+          category,
+          count: group.count,
+          averageSentiment: group.scores.length > 0
+            ? round(group.scores.reduce((sum, score) => sum + score, 0) / group.scores.length)
+            : null
+        }))
+        .sort((a, b) => b.count - a.count)
+    }
+  }
+
+  /**
+   * Feedback of the 30 days up to the latest feedback, or all feedback when that window is too small
+   * @returns {Object} { items, windowDays }
+   */
+  getScenarioWindow(feedback) {
+    const dated = feedback
+      .map(item => ({ item, time: new Date(item.feedbackDate || item.feedback_date).getTime() }))
+      .filter(entry => !isNaN(entry.time))
+    if (dated.length === 0) return { items: [], windowDays: 0 }
+
+    const latest = Math.max(...dated.map(entry => entry.time))
+    const recent = dated.filter(entry => entry.time > latest - SCENARIO_HORIZON_DAYS * DAY_MS)
+    if (recent.length >= SENSITIVITY_CONFIG.minWindowFeedback) {
+      return { items: recent.map(entry => entry.item), windowDays: SCENARIO_HORIZON_DAYS }
+    }
+
+    const earliest = Math.min(...dated.map(entry => entry.time))
+    return {
+      items: dated.map(entry => entry.item),
+      windowDays: Math.round((latest - earliest) / DAY_MS) + 1
+    }
+  }
 
   // Key predictions methods
-  calculateCurrentSentiment(feedback) { return 0.5 }
-  predictSentimentDirection(timeSeriesData) { return { direction: 'stable', confidence: 0.5 } }
+  calculateCurrentSentiment(feedback) {
+    const scores = feedback
+      .map(item => parseFloat(item.sentimentScore ?? item.sentiment_score))
+      .filter(score => !isNaN(score))
+    return scores.length > 0 ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null
+  }
+
+  predictSentimentDirection(timeSeriesData) {
+    const sentimentModel = this.getSentimentModel(timeSeriesData)
+    if (!sentimentModel) return { direction: 'remain stable', confidence: 0 }
+
+    const trend = this.forecastSentimentTrend(sentimentModel.model, sentimentModel.backtest)
+    const directions = { improving: 'improve', declining: 'decline', stable: 'remain stable' }
+    return { direction: directions[trend.direction], confidence: trend.confidence }
+  }
   identifyEmergingCategoryTrends(feedback, trendAnalysis) { return [] }
   generateRiskPredictions(feedback, timeSeriesData, trendAnalysis) { return [] }
   generatePredictionsSummary(predictions) { return 'No significant trends detected' }
@@ -2,6 +2,134 @@
  * StatisticalAnalyzer - Specialized component for statistical analysis
  * Provides descriptive statistics, correlation analysis, distribution analysis, and significance testing
  */
+
+// Distribution functions behind the p-values (Numerical Recipes, ch. 6)
+
+// Lanczos approximation of the gamma function (g = 7)
+const LANCZOS_COEFFICIENTS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7
+]
+const MAX_ITERATIONS = 300
+const EPSILON = 1e-14
+const TINY = 1e-300
+
+function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x)
+
+  const shifted = x - 1
+  let sum = LANCZOS_COEFFICIENTS[0]
+  for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+    sum += LANCZOS_COEFFICIENTS[i] / (shifted + i)
+  }
+  const t = shifted + 7.5
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum)
+}
+
+// Continued fraction of the incomplete beta function (modified Lentz)
+function betaContinuedFraction(a, b, x) {
+  let c = 1
+  let d = 1 - (a + b) * x / (a + 1)
+  if (Math.abs(d) < TINY) d = TINY
+  d = 1 / d
+  let result = d
+
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m))
+    d = 1 + even * d
+    if (Math.abs(d) < TINY) d = TINY
+    c = 1 + even / c
+    if (Math.abs(c) < TINY) c = TINY
+    d = 1 / d
+    result *= d * c
+
+    const odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))
+    d = 1 + odd * d
+    if (Math.abs(d) < TINY) d = TINY
+    c = 1 + odd / c
+    if (Math.abs(c) < TINY) c = TINY
+    d = 1 / d
+    const delta = d * c
+    result *= delta
+
+    if (Math.abs(delta - 1) < EPSILON) break
+  }
+
+  return result
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0
+  if (x >= 1) return 1
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  )
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b
+}
+
+// Regularized lower incomplete gamma function P(a, x)
+function regularizedGammaP(a, x) {
+  if (x <= 0) return 0
+
+  const logFront = a * Math.log(x) - x - logGamma(a)
+
+  if (x < a + 1) {
+    // Series expansion
+    let term = 1 / a
+    let sum = term
+    for (let n = 1; n <= MAX_ITERATIONS; n++) {
+      term *= x / (a + n)
+      sum += term
+      if (Math.abs(term) < Math.abs(sum) * EPSILON) break
+    }
+    return sum * Math.exp(logFront)
+  }
+
+  // Continued fraction of the upper function (modified Lentz)
+  let b = x + 1 - a
+  let c = 1 / TINY
+  let d = 1 / b
+  let result = d
+  for (let n = 1; n <= MAX_ITERATIONS; n++) {
+    const an = -n * (n - a)
+    b += 2
+    d = an * d + b
+    if (Math.abs(d) < TINY) d = TINY
+    c = b + an / c
+    if (Math.abs(c) < TINY) c = TINY
+    d = 1 / d
+    const delta = d * c
+    result *= delta
+    if (Math.abs(delta - 1) < EPSILON) break
+  }
+  return 1 - Math.exp(logFront) * result
+}
+
+// Standard normal cumulative distribution, Φ(z) = (1 + P(1/2, z²/2)) / 2 for z >= 0
+function normalCdf(z) {
+  const half = regularizedGammaP(0.5, z * z / 2) / 2
+  return z >= 0 ? 0.5 + half : 0.5 - half
+}
+
+// Conventional thresholds of small, medium and large effects (Cohen, 1988)
+const EFFECT_SIZE_THRESHOLDS = {
+  cohensD: [0.2, 0.5, 0.8],
+  cohensH: [0.2, 0.5, 0.8],
+  etaSquared: [0.01, 0.06, 0.14],
+  cramersV: [0.1, 0.3, 0.5]
+}
+
+// Groups compared pairwise after a significant ANOVA (largest first)
+const MAX_POST_HOC_GROUPS = 10
+
+// Smallest samples whose means are compared at all
+const MIN_COMPARISON_SAMPLE = 5
+
 export class StatisticalAnalyzer {
   constructor(options = {}) {
     this.options = {
@@ -608,6 +736,17 @@ export class StatisticalAnalyzer {
       }
     })
 
+    // Sentiment label share confidence intervals
+    intervals.sentimentProportions = {}
+    if (feedback.length > 0) {
+      ['positive', 'negative', 'neutral'].forEach(label => {
+        intervals.sentimentProportions[label] = this.calculateProportionConfidenceInterval(
+          feedback.filter(f => (f.sentimentLabel || f.sentiment_label) === label).length,
+          feedback.length
+        )
+      })
+    }
+
     return intervals
   }
 
@@ -1118,9 +1257,812 @@ export class StatisticalAnalyzer {
     }
   }
 
+  // Hypothesis tests
+
+  /**
+   * One-sample t-test of the mean against a reference value
+   * @param {Array} values - Numerical values
+   * @param {number} testValue - Reference mean
+   * @returns {Object} { test, statistic, df, pValue, significant, mean, testValue, effectSize, interpretation }
+   */
+  performOneSampleTTest(values, testValue) {
+    const n = values.length
+    if (n < 2) {
+      return { test: 'one_sample_t', available: false, pValue: null, significant: false, reason: 'insufficient_data' }
+    }
+
+    const mean = this.calculateMean(values)
+    const stdDev = this.calculateStandardDeviation(values)
+    const df = n - 1
+    const t = stdDev > 0
+      ? (mean - testValue) / (stdDev / Math.sqrt(n))
+      : (mean === testValue ? 0 : Math.sign(mean - testValue) * Infinity)
+    const pValue = this.calculateTTestPValue(t, df)
+    const significant = pValue < this.options.significanceLevel
+
+    // Cohen's d: difference in standard deviations
+    const d = stdDev > 0 ? (mean - testValue) / stdDev : 0
+
+    return {
+      test: 'one_sample_t',
+      available: true,
+      statistic: t,
+      df,
+      pValue,
+      significant,
+      mean,
+      testValue,
+      effectSize: this.describeEffectSize('cohens_d', d, EFFECT_SIZE_THRESHOLDS.cohensD),
+      interpretation: significant
+        ? `Average sentiment (${mean.toFixed(3)}) is significantly ${mean > testValue ? 'above' : 'below'} ${testValue} (${this.formatPValue(pValue)})`
+        : `Average sentiment (${mean.toFixed(3)}) does not differ significantly from ${testValue} (${this.formatPValue(pValue)})`
+    }
+  }
+
+  /**
+   * Welch's t-test of two independent samples (no equal variance assumption)
+   * @param {Array} first - Values of the first sample
+   * @param {Array} second - Values of the second sample
+   * @returns {Object} { statistic, df, pValue, meanDifference, effectSize } (null with fewer than two values in a sample)
+   */
+  performWelchTTest(first, second) {
+    const n1 = first.length
+    const n2 = second.length
+    if (n1 < 2 || n2 < 2) return null
+
+    const mean1 = this.calculateMean(first)
+    const mean2 = this.calculateMean(second)
+    const variance1 = this.calculateVariance(first)
+    const variance2 = this.calculateVariance(second)
+    const meanDifference = mean1 - mean2
+
+    const se1 = variance1 / n1
+    const se2 = variance2 / n2
+    const standardError = Math.sqrt(se1 + se2)
+
+    let t
+    let df
+    if (standardError > 0) {
+      t = meanDifference / standardError
+      // Welch-Satterthwaite degrees of freedom
+      df = Math.pow(se1 + se2, 2) / (
+        (se1 > 0 ? se1 * se1 / (n1 - 1) : 0) + (se2 > 0 ? se2 * se2 / (n2 - 1) : 0)
+      )
+    } else {
+      t = meanDifference === 0 ? 0 : Math.sign(meanDifference) * Infinity
+      df = n1 + n2 - 2
+    }
+
+    // Cohen's d with the pooled standard deviation
+    const pooledStdDev = Math.sqrt(((n1 - 1) * variance1 + (n2 - 1) * variance2) / (n1 + n2 - 2))
+    const d = pooledStdDev > 0 ? meanDifference / pooledStdDev : 0
+
+    return {
+      statistic: t,
+      df,
+      pValue: this.calculateTTestPValue(t, df),
+      meanDifference,
+      effectSize: this.describeEffectSize('cohens_d', d, EFFECT_SIZE_THRESHOLDS.cohensD)
+    }
+  }
+
+  /**
+   * Sentiment scores of feedback grouped by a field
+   * @param {Array} feedback - Feedback data
+   * @param {Function} groupOf - Group name of a feedback item
+   * @returns {Object} Group name -> sentiment scores (groups without scores are left out)
+   */
+  groupSentimentScores(feedback, groupOf) {
+    const groups = {}
+
+    feedback.forEach(item => {
+      const score = parseFloat(item.sentimentScore || item.sentiment_score || 0)
+      if (isNaN(score) || score === 0) return
+
+      const group = groupOf(item)
+      if (!groups[group]) groups[group] = []
+      groups[group].push(score)
+    })
+
+    return groups
+  }
+
+  groupFeedbackByCategory(feedback) {
+    return this.groupSentimentScores(feedback, item => item.category || 'uncategorized')
+  }
+
+  groupFeedbackBySource(feedback) {
+    return this.groupSentimentScores(feedback, item => item.source || 'unknown')
+  }
+
+  /**
+   * One-way ANOVA of sentiment between groups, with pairwise comparisons when the groups differ
+   * Groups with fewer than two values are left out.
+   * @param {Object} groups - Group name -> values
+   * @param {string} variable - Name of the compared variable, for the interpretation
+   * @returns {Object} { test, statistic, df, pValue, significant, groupMeans, effectSize, comparisons, interpretation }
+   */
+  performANOVA(groups, variable = 'sentiment') {
+    const included = Object.entries(groups).filter(([, values]) => values.length >= 2)
+    const n = included.reduce((sum, [, values]) => sum + values.length, 0)
+    const k = included.length
+
+    if (k < 2 || n - k < 1) {
+      return { test: 'one_way_anova', available: false, pValue: null, significant: false, reason: 'insufficient_data' }
+    }
+
+    const grandMean = this.calculateMean(included.flatMap(([, values]) => values))
+    let betweenSS = 0
+    let withinSS = 0
+    const groupMeans = {}
+
+    included.forEach(([name, values]) => {
+      const mean = this.calculateMean(values)
+      groupMeans[name] = { mean, count: values.length }
+      betweenSS += values.length * Math.pow(mean - grandMean, 2)
+      withinSS += values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0)
+    })
+
+    const dfBetween = k - 1
+    const dfWithin = n - k
+    const withinMS = withinSS / dfWithin
+    const f = withinMS > 0
+      ? (betweenSS / dfBetween) / withinMS
+      : (betweenSS > 0 ? Infinity : 0)
+    const pValue = this.calculateFTestPValue(f, dfBetween, dfWithin)
+    const significant = pValue < this.options.significanceLevel
+
+    // Eta squared: share of the variance explained by the groups; omega squared corrects its upward bias
+    const totalSS = betweenSS + withinSS
+    const etaSquared = totalSS > 0 ? betweenSS / totalSS : 0
+    const omegaSquared = totalSS > 0
+      ? Math.max(0, (betweenSS - dfBetween * withinMS) / (totalSS + withinMS))
+      : 0
+
+    const comparisons = significant ? this.performPostHocComparisons(Object.fromEntries(included)) : []
+    const strongest = comparisons.find(comparison => comparison.significant)
+
+    let interpretation
+    if (!significant) {
+      interpretation = `No significant ${variable} difference between ${k} groups (${this.formatPValue(pValue)})`
+    } else if (strongest) {
+      const [higher, lower] = strongest.meanDifference > 0
+        ? [strongest.groups[0], strongest.groups[1]]
+        : [strongest.groups[1], strongest.groups[0]]
+      interpretation = `${variable.charAt(0).toUpperCase() + variable.slice(1)} differs significantly between ${strongest.groups[0]} and ${strongest.groups[1]} (${this.formatPValue(strongest.adjustedPValue)}), higher for ${higher} than ${lower}`
+    } else {
+      interpretation = `${variable.charAt(0).toUpperCase() + variable.slice(1)} differs significantly between groups (${this.formatPValue(pValue)}), but no single pair stands out`
+    }
+
+    return {
+      test: 'one_way_anova',
+      available: true,
+      statistic: f,
+      df: { between: dfBetween, within: dfWithin },
+      pValue,
+      significant,
+      groupMeans,
+      effectSize: {
+        ...this.describeEffectSize('eta_squared', etaSquared, EFFECT_SIZE_THRESHOLDS.etaSquared),
+        omegaSquared
+      },
+      comparisons,
+      interpretation
+    }
+  }
+
+  /**
+   * Pairwise Welch t-tests between groups, Holm-adjusted for the number of comparisons
+   * @param {Object} groups - Group name -> values
+   * @returns {Array} [{ groups, meanDifference, pValue, adjustedPValue, significant, effectSize }], most significant first
+   */
+  performPostHocComparisons(groups) {
+    const names = Object.keys(groups)
+      .sort((a, b) => groups[b].length - groups[a].length)
+      .slice(0, MAX_POST_HOC_GROUPS)
+
+    const comparisons = []
+    names.forEach((first, i) => {
+      names.slice(i + 1).forEach(second => {
+        const result = this.performWelchTTest(groups[first], groups[second])
+        if (result) {
+          comparisons.push({
+            groups: [first, second],
+            meanDifference: result.meanDifference,
+            pValue: result.pValue,
+            effectSize: result.effectSize
+          })
+        }
+      })
+    })
+
+    // Holm step-down: the i-th smallest p-value is multiplied by the number of remaining comparisons
+    comparisons.sort((a, b) => a.pValue - b.pValue)
+    let runningMax = 0
+    comparisons.forEach((comparison, index) => {
+      runningMax = Math.max(runningMax, Math.min(1, comparison.pValue * (comparisons.length - index)))
+      comparison.adjustedPValue = runningMax
+      comparison.significant = runningMax < this.options.significanceLevel
+    })
+
+    return comparisons
+  }
+
+  /**
+   * Contingency table of category by sentiment label
+   * Categories with fewer than 5 entries are left out, as their expected counts would be too small.
+   * @param {Array} feedback - Feedback data
+   * @returns {Object} { isValid, rows, columns, table }
+   */
+  prepareCategoryDataForChiSquare(feedback) {
+    const counts = {}
+    const labels = new Set()
+
+    feedback.forEach(item => {
+      const label = item.sentimentLabel || item.sentiment_label
+      if (!label) return
+
+      const category = item.category || 'uncategorized'
+      if (!counts[category]) counts[category] = {}
+      counts[category][label] = (counts[category][label] || 0) + 1
+      labels.add(label)
+    })
+
+    const rows = Object.keys(counts)
+      .filter(category => Object.values(counts[category]).reduce((sum, count) => sum + count, 0) >= 5)
+    const columns = [...labels].filter(label => rows.some(category => counts[category][label]))
+
+    return {
+      isValid: rows.length >= 2 && columns.length >= 2,
+      rows,
+      columns,
+      table: rows.map(category => columns.map(label => counts[category][label] || 0))
+    }
+  }
+
+  /**
+   * Pearson's chi-square test of independence
+   * @param {Object} data - { rows, columns, table } contingency table (rows: categories, columns: sentiment labels)
+   * @returns {Object} { test, statistic, df, pValue, significant, effectSize, lowExpectedShare, strongestAssociation, interpretation }
+   */
+  performChiSquareTest(data) {
+    const { rows, columns, table } = data
+    const rowTotals = table.map(row => row.reduce((sum, count) => sum + count, 0))
+    const columnTotals = columns.map((_, j) => table.reduce((sum, row) => sum + row[j], 0))
+    const total = rowTotals.reduce((sum, count) => sum + count, 0)
+
+    let statistic = 0
+    let lowExpectedCells = 0
+    let strongestAssociation = null
+
+    table.forEach((row, i) => {
+      row.forEach((observed, j) => {
+        const expected = rowTotals[i] * columnTotals[j] / total
+        if (expected < 5) lowExpectedCells++
+        statistic += Math.pow(observed - expected, 2) / expected
+
+        // Adjusted standardized residual: how far the cell is from independence, on the z scale
+        const residual = (observed - expected) / Math.sqrt(
+          expected * (1 - rowTotals[i] / total) * (1 - columnTotals[j] / total)
+        )
+        if (!strongestAssociation || Math.abs(residual) > Math.abs(strongestAssociation.residual)) {
+          strongestAssociation = { row: rows[i], column: columns[j], observed, expected, residual }
+        }
+      })
+    })
+
+    const df = (rows.length - 1) * (columns.length - 1)
+    const pValue = this.calculateChiSquarePValue(statistic, df)
+    const significant = pValue < this.options.significanceLevel
+    const lowExpectedShare = lowExpectedCells / (rows.length * columns.length)
+
+    // Cramér's V: strength of the association (0-1)
+    const cramersV = Math.sqrt(statistic / (total * Math.min(rows.length - 1, columns.length - 1)))
+
+    let interpretation = significant
+      ? `Sentiment depends significantly on category (${this.formatPValue(pValue)}): ${strongestAssociation.column} feedback is ${strongestAssociation.residual > 0 ? 'over' : 'under'}-represented in ${strongestAssociation.row}`
+      : `No significant association between category and sentiment (${this.formatPValue(pValue)})`
+    if (lowExpectedShare > 0.2) {
+      interpretation += '; more than 20% of expected counts are below 5, so the p-value is approximate'
+    }
+
+    return {
+      test: 'chi_square_independence',
+      available: true,
+      statistic,
+      df,
+      pValue,
+      significant,
+      sampleSize: total,
+      effectSize: this.describeEffectSize('cramers_v', cramersV, EFFECT_SIZE_THRESHOLDS.cramersV),
+      lowExpectedShare,
+      strongestAssociation,
+      interpretation
+    }
+  }
+
+  /**
+   * Kolmogorov-Smirnov test of normality with estimated mean and standard deviation
+   * Estimating the parameters from the sample makes the classic KS p-value far too large, so the
+   * p-value uses the Lilliefors distribution (Dallal-Wilkinson approximation, as in R's nortest).
+   * @param {Array} values - Numerical values
+   * @returns {Object} { test, statistic, pValue, significant, interpretation } significant means not normal
+   */
+  performKSTest(values) {
+    const n = values.length
+    const mean = this.calculateMean(values)
+    const stdDev = this.calculateStandardDeviation(values)
+
+    if (n < 5 || stdDev === 0) {
+      return { test: 'kolmogorov_smirnov_lilliefors', available: false, pValue: null, significant: false, reason: 'insufficient_data' }
+    }
+
+    const sorted = [...values].sort((a, b) => a - b)
+    let statistic = 0
+    sorted.forEach((value, i) => {
+      const cdf = normalCdf((value - mean) / stdDev)
+      statistic = Math.max(statistic, (i + 1) / n - cdf, cdf - i / n)
+    })
+
+    const pValue = this.calculateLillieforsPValue(statistic, n)
+    const significant = pValue < this.options.significanceLevel
+
+    return {
+      test: 'kolmogorov_smirnov_lilliefors',
+      available: true,
+      statistic,
+      pValue,
+      significant,
+      interpretation: significant
+        ? `Sentiment scores are not normally distributed (D = ${statistic.toFixed(3)}, ${this.formatPValue(pValue)})`
+        : `Sentiment scores are consistent with a normal distribution (D = ${statistic.toFixed(3)}, ${this.formatPValue(pValue)})`
+    }
+  }
+
+  /**
+   * P-value of the Lilliefors statistic (Dallal & Wilkinson, 1986)
+   */
+  calculateLillieforsPValue(statistic, n) {
+    const scaledD = n > 100 ? statistic * Math.pow(n / 100, 0.49) : statistic
+    const scaledN = Math.min(n, 100)
+
+    let pValue = Math.exp(
+      -7.01256 * scaledD * scaledD * (scaledN + 2.78019) +
+      2.99587 * scaledD * Math.sqrt(scaledN + 2.78019) -
+      0.122119 + 0.974598 / Math.sqrt(scaledN) + 1.67997 / scaledN
+    )
+
+    // The approximation only holds for small p-values, larger ones come from Stephens' modified statistic
+    if (pValue > 0.1) {
+      const k = (Math.sqrt(n) - 0.01 + 0.85 / Math.sqrt(n)) * statistic
+      if (k <= 0.302) {
+        pValue = 1
+      } else if (k <= 0.5) {
+        pValue = 2.76773 - 19.828315 * k + 80.709644 * k ** 2 - 138.55152 * k ** 3 + 81.218052 * k ** 4
+      } else if (k <= 0.9) {
+        pValue = -4.901232 + 40.662806 * k - 97.490286 * k ** 2 + 94.029866 * k ** 3 - 32.355711 * k ** 4
+      } else if (k <= 1.31) {
+        pValue = 6.198765 - 19.558097 * k + 23.186922 * k ** 2 - 12.024945 * k ** 3 + 2.334091 * k ** 4
+      } else {
+        pValue = 0
+      }
+    }
+
+    return Math.min(1, Math.max(0, pValue))
+  }
+
+  /**
+   * D'Agostino-Pearson omnibus test of normality, combining the skewness and kurtosis tests
+   * @param {Array} values - Numerical values (at least 20)
+   * @returns {Object} { test, statistic, pValue, isNormal, skewnessZ, kurtosisZ }
+   */
+  testNormality(values) {
+    const n = values.length
+    if (n < 20) {
+      return { test: 'dagostino_pearson', available: false, isNormal: null, pValue: null, reason: 'insufficient_data' }
+    }
+
+    const mean = this.calculateMean(values)
+    const m2 = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / n
+    if (m2 === 0) {
+      return { test: 'dagostino_pearson', available: false, isNormal: null, pValue: null, reason: 'no_variation' }
+    }
+    const m3 = values.reduce((sum, value) => sum + Math.pow(value - mean, 3), 0) / n
+    const m4 = values.reduce((sum, value) => sum + Math.pow(value - mean, 4), 0) / n
+
+    // Skewness test (D'Agostino, 1970)
+    const b1 = m3 / Math.pow(m2, 1.5)
+    const y = b1 * Math.sqrt((n + 1) * (n + 3) / (6 * (n - 2)))
+    const beta2 = 3 * (n * n + 27 * n - 70) * (n + 1) * (n + 3) / ((n - 2) * (n + 5) * (n + 7) * (n + 9))
+    const w2 = -1 + Math.sqrt(2 * (beta2 - 1))
+    const delta = 1 / Math.sqrt(Math.log(Math.sqrt(w2)))
+    const alpha = Math.sqrt(2 / (w2 - 1))
+    const skewnessZ = delta * Math.asinh(y / alpha)
+
+    // Kurtosis test (Anscombe & Glynn, 1983)
+    const b2 = m4 / (m2 * m2)
+    const expected = 3 * (n - 1) / (n + 1)
+    const variance = 24 * n * (n - 2) * (n - 3) / ((n + 1) * (n + 1) * (n + 3) * (n + 5))
+    const x = (b2 - expected) / Math.sqrt(variance)
+    const sqrtBeta1 = 6 * (n * n - 5 * n + 2) / ((n + 7) * (n + 9)) *
+      Math.sqrt(6 * (n + 3) * (n + 5) / (n * (n - 2) * (n - 3)))
+    const a = 6 + 8 / sqrtBeta1 * (2 / sqrtBeta1 + Math.sqrt(1 + 4 / (sqrtBeta1 * sqrtBeta1)))
+    const denominator = 1 + x * Math.sqrt(2 / (a - 4))
+    const term = Math.sign(denominator) * Math.cbrt((1 - 2 / a) / Math.abs(denominator))
+    const kurtosisZ = (1 - 2 / (9 * a) - term) / Math.sqrt(2 / (9 * a))
+
+    const statistic = skewnessZ * skewnessZ + kurtosisZ * kurtosisZ
+    const pValue = this.calculateChiSquarePValue(statistic, 2)
+
+    return {
+      test: 'dagostino_pearson',
+      available: true,
+      statistic,
+      pValue,
+      isNormal: pValue >= this.options.significanceLevel,
+      skewnessZ,
+      kurtosisZ
+    }
+  }
+
+  /**
+   * Equal-width histogram
+   * @param {Array} values - Numerical values
+   * @param {number} bins - Number of bins
+   * @returns {Object} { bins: [{ start, end }], frequencies, binWidth } the last bin includes its upper edge
+   */
+  createHistogram(values, bins) {
+    if (values.length === 0 || bins < 1) return { bins: [], frequencies: [], binWidth: 0 }
+
+    const min = Math.min(...values)
+    const max = Math.max(...values)
+    if (min === max) {
+      return { bins: [{ start: min, end: max }], frequencies: [values.length], binWidth: 0 }
+    }
+
+    const binWidth = (max - min) / bins
+    const frequencies = new Array(bins).fill(0)
+    values.forEach(value => {
+      frequencies[Math.min(bins - 1, Math.floor((value - min) / binWidth))]++
+    })
+
+    return {
+      bins: frequencies.map((_, i) => ({ start: min + i * binWidth, end: i === bins - 1 ? max : min + (i + 1) * binWidth })),
+      frequencies,
+      binWidth
+    }
+  }
+
+  // Period comparison
+
+  /**
+   * Compare two periods of feedback: volume (Poisson rate z-test), positive and negative shares
+   * (two-proportion z-tests) and mean sentiment (Welch's t-test, bootstrap for small samples)
+   * @param {Array} currentFeedback - Feedback of the current period
+   * @param {Array} previousFeedback - Feedback of the previous period of the same length
+   * @returns {Object} { volume, positiveShare, negativeShare, averageSentiment, confidenceIntervals, smallSample }
+   *   every comparison has { pValue, significant, sufficient } - sufficient is false when the samples are too
+   *   small to conclude anything, and significant is then always false; smallSample flags a period below the
+   *   minimum sample size, where results are approximate
+   */
+  comparePeriods(currentFeedback, previousFeedback) {
+    const sentimentScores = items => items
+      .map(f => parseFloat(f.sentimentScore || f.sentiment_score || 0))
+      .filter(score => !isNaN(score) && score !== 0)
+    const labelCount = (items, label) => items.filter(f => (f.sentimentLabel || f.sentiment_label) === label).length
+
+    const current = currentFeedback.length
+    const previous = previousFeedback.length
+
+    return {
+      volume: this.performPoissonRateTest(current, previous),
+      positiveShare: this.performTwoProportionZTest(
+        labelCount(currentFeedback, 'positive'), current,
+        labelCount(previousFeedback, 'positive'), previous
+      ),
+      negativeShare: this.performTwoProportionZTest(
+        labelCount(currentFeedback, 'negative'), current,
+        labelCount(previousFeedback, 'negative'), previous
+      ),
+      averageSentiment: this.compareMeans(sentimentScores(currentFeedback), sentimentScores(previousFeedback)),
+      confidenceIntervals: {
+        current: this.calculateConfidenceIntervals(currentFeedback),
+        previous: this.calculateConfidenceIntervals(previousFeedback)
+      },
+      smallSample: Math.min(current, previous) < this.options.minSampleSize
+    }
+  }
+
+  /**
+   * Two-proportion z-test with the pooled proportion
+   * The normal approximation needs at least 5 expected successes and failures in each sample.
+   * @returns {Object} { test, statistic, pValue, significant, sufficient, difference, effectSize }
+   */
+  performTwoProportionZTest(successes1, total1, successes2, total2) {
+    if (total1 === 0 || total2 === 0) {
+      return { test: 'two_proportion_z', pValue: null, significant: false, sufficient: false }
+    }
+
+    const p1 = successes1 / total1
+    const p2 = successes2 / total2
+    const pooled = (successes1 + successes2) / (total1 + total2)
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / total1 + 1 / total2))
+    const z = standardError > 0 ? (p1 - p2) / standardError : 0
+    const pValue = 2 * (1 - normalCdf(Math.abs(z)))
+
+    const sufficient = Math.min(total1, total2) * Math.min(pooled, 1 - pooled) >= 5
+
+    // Cohen's h: difference of arcsine-transformed proportions
+    const h = 2 * Math.asin(Math.sqrt(p1)) - 2 * Math.asin(Math.sqrt(p2))
+
+    return {
+      test: 'two_proportion_z',
+      statistic: z,
+      pValue,
+      significant: sufficient && pValue < this.options.significanceLevel,
+      sufficient,
+      difference: p1 - p2,
+      effectSize: this.describeEffectSize('cohens_h', h, EFFECT_SIZE_THRESHOLDS.cohensH)
+    }
+  }
+
+  /**
+   * Comparison of two event counts over periods, conditional on their total (normal approximation
+   * of the binomial test of the current period's share)
+   * @param {number} count1 - Events in the current period
+   * @param {number} count2 - Events in the previous period
+   * @param {number} exposureRatio - Length of the current period relative to the previous one
+   * @returns {Object} { test, statistic, pValue, significant, sufficient, rateRatio }
+   */
+  performPoissonRateTest(count1, count2, exposureRatio = 1) {
+    const total = count1 + count2
+    const expectedShare = exposureRatio / (1 + exposureRatio)
+    const sufficient = total * Math.min(expectedShare, 1 - expectedShare) >= 5
+
+    if (total === 0) {
+      return { test: 'poisson_rate_z', pValue: null, significant: false, sufficient: false }
+    }
+
+    const z = (count1 - total * expectedShare) / Math.sqrt(total * expectedShare * (1 - expectedShare))
+    const pValue = 2 * (1 - normalCdf(Math.abs(z)))
+
+    return {
+      test: 'poisson_rate_z',
+      statistic: z,
+      pValue,
+      significant: sufficient && pValue < this.options.significanceLevel,
+      sufficient,
+      rateRatio: count2 > 0 ? (count1 / count2) / exposureRatio : null
+    }
+  }
+
+  /**
+   * Difference of two means: Welch's t-test when both samples are large enough for the t approximation,
+   * a bootstrap test otherwise (sentiment scores are bounded and often skewed)
+   * @returns {Object} { test, pValue, significant, sufficient, meanDifference, confidenceInterval, effectSize }
+   */
+  compareMeans(first, second) {
+    const smallest = Math.min(first.length, second.length)
+    if (smallest < MIN_COMPARISON_SAMPLE) {
+      return { test: null, pValue: null, significant: false, sufficient: false }
+    }
+
+    if (smallest >= this.options.minSampleSize) {
+      const welch = this.performWelchTTest(first, second)
+      const critical = this.calculateTCriticalValue(welch.df)
+      const standardError = welch.statistic !== 0 && isFinite(welch.statistic)
+        ? Math.abs(welch.meanDifference / welch.statistic)
+        : 0
+
+      return {
+        test: 'welch_t',
+        statistic: welch.statistic,
+        df: welch.df,
+        pValue: welch.pValue,
+        significant: welch.pValue < this.options.significanceLevel,
+        sufficient: true,
+        meanDifference: welch.meanDifference,
+        confidenceInterval: {
+          lower: welch.meanDifference - critical * standardError,
+          upper: welch.meanDifference + critical * standardError,
+          level: this.options.confidenceLevel
+        },
+        effectSize: welch.effectSize
+      }
+    }
+
+    return { ...this.performBootstrapMeanTest(first, second), sufficient: true }
+  }
+
+  /**
+   * Bootstrap test of the difference of two means
+   * The p-value resamples both samples shifted to the pooled mean (Efron & Tibshirani, 1993, 16.4); the
+   * confidence interval is the percentile interval of the unshifted resamples. The random generator is
+   * seeded, so the same data always gives the same result.
+   * @param {Array} first - Values of the first sample
+   * @param {Array} second - Values of the second sample
+   * @param {number} iterations - Bootstrap resamples
+   * @returns {Object} { test, pValue, significant, meanDifference, confidenceInterval, effectSize, iterations }
+   */
+  performBootstrapMeanTest(first, second, iterations = 2000) {
+    let seed = 12345
+    const random = () => {
+      seed = (seed * 16807) % 2147483647
+      return seed / 2147483647
+    }
+    const resampleMean = (values, shift) => {
+      let sum = 0
+      for (let i = 0; i < values.length; i++) {
+        sum += values[Math.floor(random() * values.length)]
+      }
+      return sum / values.length + shift
+    }
+
+    const mean1 = this.calculateMean(first)
+    const mean2 = this.calculateMean(second)
+    const observed = mean1 - mean2
+    const pooledMean = this.calculateMean([...first, ...second])
+
+    let extreme = 0
+    const differences = []
+    for (let i = 0; i < iterations; i++) {
+      const nullDifference = resampleMean(first, pooledMean - mean1) - resampleMean(second, pooledMean - mean2)
+      if (Math.abs(nullDifference) >= Math.abs(observed)) extreme++
+      differences.push(resampleMean(first, 0) - resampleMean(second, 0))
+    }
+
+    differences.sort((a, b) => a - b)
+    const tail = (1 - this.options.confidenceLevel) / 2
+    const pValue = (extreme + 1) / (iterations + 1)
+
+    return {
+      test: 'bootstrap_mean_difference',
+      pValue,
+      significant: pValue < this.options.significanceLevel,
+      meanDifference: observed,
+      confidenceInterval: {
+        lower: this.calculatePercentile(differences, tail * 100),
+        upper: this.calculatePercentile(differences, (1 - tail) * 100),
+        level: this.options.confidenceLevel
+      },
+      effectSize: this.performWelchTTest(first, second).effectSize,
+      iterations
+    }
+  }
+
+  // Distribution functions
+
+  /**
+   * Two-sided p-value of a t statistic
+   * @param {number} t - t statistic
+   * @param {number} df - Degrees of freedom
+   * @returns {number} P-value
+   */
+  calculateTTestPValue(t, df) {
+    if (isNaN(t) || !(df > 0)) return 1
+    if (!isFinite(t)) return 0
+    return regularizedBeta(df / (df + t * t), df / 2, 0.5)
+  }
+
+  /**
+   * Upper-tail p-value of an F statistic
+   */
+  calculateFTestPValue(f, df1, df2) {
+    if (isNaN(f) || f <= 0) return 1
+    if (!isFinite(f)) return 0
+    return regularizedBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2)
+  }
+
+  /**
+   * Upper-tail p-value of a chi-square statistic
+   */
+  calculateChiSquarePValue(statistic, df) {
+    if (isNaN(statistic) || statistic <= 0) return 1
+    if (!isFinite(statistic)) return 0
+    return Math.max(0, 1 - regularizedGammaP(df / 2, statistic / 2))
+  }
+
+  /**
+   * Effect size with its conventional magnitude
+   * @param {string} measure - Name of the effect size
+   * @param {number} value - Effect size
+   * @param {Array} thresholds - Small, medium and large thresholds
+   * @returns {Object} { measure, value, magnitude }
+   */
+  describeEffectSize(measure, value, [small, medium, large]) {
+    const size = Math.abs(value)
+    const magnitude = size >= large ? 'large' : size >= medium ? 'medium' : size >= small ? 'small' : 'negligible'
+    return { measure, value, magnitude }
+  }
+
+  /**
+   * Confidence interval of a mean (t distribution)
+   * @param {Array} values - Numerical values
+   * @returns {Object} { mean, lower, upper, level, count }
+   */
+  calculateMeanConfidenceInterval(values) {
+    const n = values.length
+    const mean = this.calculateMean(values)
+    if (n < 2) {
+      return { mean, lower: null, upper: null, level: this.options.confidenceLevel, count: n }
+    }
+
+    const margin = this.calculateTCriticalValue(n - 1) * this.calculateStandardDeviation(values) / Math.sqrt(n)
+    return { mean, lower: mean - margin, upper: mean + margin, level: this.options.confidenceLevel, count: n }
+  }
+
+  calculateCategoryProportions(feedback) {
+    const counts = {}
+    feedback.forEach(item => {
+      const category = item.category || 'uncategorized'
+      counts[category] = (counts[category] || 0) + 1
+    })
+
+    return Object.fromEntries(Object.entries(counts).map(([category, count]) => [
+      category,
+      { count, proportion: count / feedback.length }
+    ]))
+  }
+
+  /**
+   * Wilson score interval of a proportion, which stays within 0-1 and holds up for small samples and
+   * proportions near 0 or 1
+   * @param {number} successes - Count of the outcome
+   * @param {number} total - Sample size
+   * @returns {Object} { proportion, lower, upper, level }
+   */
+  calculateProportionConfidenceInterval(successes, total) {
+    if (total === 0) {
+      return { proportion: null, lower: null, upper: null, level: this.options.confidenceLevel }
+    }
+
+    const z = this.calculateNormalCriticalValue()
+    const proportion = successes / total
+    const denominator = 1 + z * z / total
+    const center = (proportion + z * z / (2 * total)) / denominator
+    const margin = z * Math.sqrt(proportion * (1 - proportion) / total + z * z / (4 * total * total)) / denominator
+
+    return {
+      proportion,
+      lower: Math.max(0, center - margin),
+      upper: Math.min(1, center + margin),
+      level: this.options.confidenceLevel
+    }
+  }
+
+  /**
+   * Two-sided critical value of the t distribution at the confidence level
+   */
+  calculateTCriticalValue(df, confidenceLevel = this.options.confidenceLevel) {
+    return this.invertPValue(t => this.calculateTTestPValue(t, df), 1 - confidenceLevel)
+  }
+
+  /**
+   * Two-sided critical value of the standard normal distribution at the confidence level
+   */
+  calculateNormalCriticalValue(confidenceLevel = this.options.confidenceLevel) {
+    return this.invertPValue(z => 2 * (1 - normalCdf(z)), 1 - confidenceLevel)
+  }
+
+  // Statistic whose (decreasing) p-value equals the target, by bisection
+  invertPValue(pValueOf, target) {
+    let low = 0
+    let high = 1
+    while (pValueOf(high) > target && high < 1e6) high *= 2
+
+    for (let i = 0; i < 100 && high - low > 1e-10; i++) {
+      const middle = (low + high) / 2
+      if (pValueOf(middle) > target) low = middle
+      else high = middle
+    }
+    return (low + high) / 2
+  }
+
+  formatPValue(pValue) {
+    return pValue < 0.001 ? 'p<0.001' : `p=${pValue.toFixed(3)}`
+  }
+
   // Additional placeholder methods for comprehensive statistical analysis
-  testNormality(values) { return { isNormal: false, pValue: 0.5 } }
-  createHistogram(values, bins) { return { bins: [], frequencies: [] } }
   identifyDistributionType(values) { return 'unknown' }
   analyzeCategoryDistribution(feedback) { return {} }
   analyzeSourceDistribution(feedback) { return {} }
@@ -1131,23 +2073,12 @@ export class StatisticalAnalyzer {
   interpretCorrelationStrength(coefficient) { return 'moderate' }
   detectOutliersInVariable(values, name, originalData) { return { count: 0, outliers: [] } }
   summarizeOutliers(outlierAnalysis) { return 'No significant outliers detected' }
-  performOneSampleTTest(values, testValue) { return { pValue: 0.5, significant: false } }
-  groupFeedbackByCategory(feedback) { return {} }
-  groupFeedbackBySource(feedback) { return {} }
-  performANOVA(groups) { return { pValue: 0.5, significant: false } }
   calculateMAD(values) { return 0 }
   calculateTrimmedMean(values, proportion) { return this.calculateMean(values) }
   calculateWinsorizedMean(values, proportion) { return this.calculateMean(values) }
   calculateEntropyFromContinuous(values) { return 0 }
   calculateInformationContent(values) { return 0 }
   interpretMoments(values) { return 'normal' }
-  prepareCategoryDataForChiSquare(feedback) { return { isValid: false } }
-  performChiSquareTest(data) { return { pValue: 0.5, significant: false } }
-  performKSTest(values) { return { pValue: 0.5, significant: false } }
-  calculateMeanConfidenceInterval(values) { return { lower: 0, upper: 1 } }
-  calculateCategoryProportions(feedback) { return {} }
-  calculateProportionConfidenceInterval(successes, total) { return { lower: 0, upper: 1 } }
-  calculateTTestPValue(t, df) { return 0.5 }
 
   /**
    * Clear statistical cache
@@ -0,0 +1,189 @@
+/**
+ * Aspect-based sentiment
+ * "Delivery was late but the product is great" is one feedback with two opinions. The text is split
+ * into clauses (sentences, contrast words like "but" and commas), every aspect mentioned in a clause gets that
+ * clause's sentiment, and an aspect mentioned in several clauses gets their average.
+ * Aspects are the topics (built-in topic keywords and custom lexicon topics) and the categories whose
+ * keywords appear in the text. Stored in Feedback.aspects and aggregated in the category analytics.
+ */
+
+import { tokenize } from './languageDetection.js'
+import { getSentimentLexicon } from './sentimentLexicons.js'
+import { scoreSentiment, getSentimentLabel, compoundToScore } from './sentimentScorer.js'
+
+// Keywords of the built-in topics (English)
+export const TOPIC_KEYWORDS = {
+  'product': ['product', 'item', 'quality', 'design', 'feature'],
+  'service': ['service', 'support', 'help', 'staff', 'team'],
+  'delivery': ['delivery', 'shipping', 'arrived', 'package', 'fast', 'slow'],
+  'price': ['price', 'cost', 'expensive', 'cheap', 'value', 'money'],
+  'website': ['website', 'app', 'online', 'interface', 'login'],
+  'payment': ['payment', 'checkout', 'card', 'billing', 'transaction']
+}
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits
+
+/**
+ * Aspect definitions for a text's analysis
+ * Category keywords that carry sentiment themselves ("great", "broken") describe an aspect rather
+ * than name it, so they are left out - otherwise "Compliment" would be an aspect of every "great".
+ * @param {Object} options - { categories } classifier categories ({ id, keywords }), { customTerms } lexicon terms with a topic,
+ *   { lexicon } lookup structures used to recognize sentiment words
+ * @returns {Array} [{ aspect, type ('topic' | 'category'), keywords: string[] }]
+ */
+export function getAspectDefinitions({ categories = [], customTerms = null, lexicon = null } = {}) {
+  const sentimentWords = (lexicon || getSentimentLexicon('en')).valences
+
+  const definitions = Object.entries(TOPIC_KEYWORDS).map(([aspect, keywords]) => ({ aspect, type: 'topic', keywords }))
+
+  ;(customTerms || []).filter(term => term.topic).forEach(term => {
+    const topic = term.topic.trim().toLowerCase()
+    const existing = definitions.find(definition => definition.type === 'topic' && definition.aspect === topic)
+    if (existing) {
+      existing.keywords = [...existing.keywords, term.term.trim().toLowerCase()]
+    } else {
+      definitions.push({ aspect: topic, type: 'topic', keywords: [term.term.trim().toLowerCase()] })
+    }
+  })
+
+  categories.filter(category => category.isActive !== false && category.keywords).forEach(category => {
+    const keywords = category.keywords
+      .split(',')
+      .map(keyword => keyword.trim().toLowerCase())
+      .filter(keyword => keyword && !sentimentWords.has(keyword))
+    if (keywords.length > 0) {
+      definitions.push({ aspect: category.id, type: 'category', keywords })
+    }
+  })
+
+  return definitions
+}
+
+/**
+ * Split a text into clauses at sentence ends, semicolons, line breaks and contrast words
+ * @param {string} text - Text
+ * @param {Set} contrastWords - Contrast words of the lexicon
+ * @returns {string[]} Clauses
+ */
+export function splitClauses(text, contrastWords = new Set()) {
+  const contrast = [...contrastWords].map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')
+  const contrastPattern = contrast ? new RegExp(`(?<![\\p{L}])(?:${contrast})(?![\\p{L}])`, 'giu') : null
+
+  return (text || '')
+    .split(/[.!?;\n]+/)
+    .flatMap(sentence => (contrastPattern ? sentence.split(contrastPattern) : [sentence]))
+    .map(clause => clause.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Whether a clause mentions a keyword (single words by token, phrases like "money back" in sequence)
+ */
+function mentions(words, joined, keyword) {
+  return keyword.includes(' ') ? joined.includes(` ${keyword} `) : words.has(keyword)
+}
+
+/**
+ * Aspects a clause mentions
+ */
+function findAspects(clause, definitions) {
+  const tokens = tokenize(clause)
+  const words = new Set(tokens)
+  const joined = ` ${tokens.join(' ')} `
+  return definitions.filter(definition => definition.keywords.some(keyword => mentions(words, joined, keyword)))
+}
+
+/**
+ * Split a clause further at commas ("great price, terrible checkout"), keeping parts without an
+ * aspect with the next part ("fast, friendly support") or, at the end, with the previous one
+ */
+function splitAtCommas(clause, definitions) {
+  const parts = []
+  let pending = []
+
+  clause.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    pending.push(part)
+    if (findAspects(part, definitions).length > 0) {
+      parts.push(pending.join(', '))
+      pending = []
+    }
+  })
+
+  if (pending.length > 0) {
+    if (parts.length > 0) parts[parts.length - 1] += `, ${pending.join(', ')}`
+    else parts.push(pending.join(', '))
+  }
+  return parts
+}
+
+/**
+ * Sentiment of every aspect mentioned in a text
+ * @param {string} text - Text
+ * @param {Object} options - { definitions } from getAspectDefinitions, { language } lexicon language,
+ *   { lexicon } lookup structures to score with (see scoreSentiment)
+ * @returns {Array} [{ aspect, type, label, compound (-1..1), score (0-1), mentions }], most mentioned first
+ */
+export function extractAspectSentiments(text, { definitions = [], language = 'en', lexicon = null } = {}) {
+  const activeLexicon = lexicon || getSentimentLexicon(language) || getSentimentLexicon('en')
+  const found = new Map()
+
+  const clauses = splitClauses(text, activeLexicon.contrast).flatMap(clause => splitAtCommas(clause, definitions))
+
+  clauses.forEach(clause => {
+    const clauseAspects = findAspects(clause, definitions)
+    if (clauseAspects.length === 0) return
+
+    const { compound } = scoreSentiment(clause, { language, lexicon: activeLexicon })
+    clauseAspects.forEach(({ aspect, type }) => {
+      const key = `${type}:${aspect}`
+      const entry = found.get(key) || { aspect, type, compoundSum: 0, mentions: 0 }
+      entry.compoundSum += compound
+      entry.mentions++
+      found.set(key, entry)
+    })
+  })
+
+  return [...found.values()]
+    .map(({ aspect, type, compoundSum, mentions: count }) => {
+      const compound = compoundSum / count
+      return {
+        aspect,
+        type,
+        label: getSentimentLabel(compound),
+        compound: round(compound),
+        score: compoundToScore(compound),
+        mentions: count
+      }
+    })
+    .sort((a, b) => b.mentions - a.mentions)
+}
+
+/**
+ * Aspect-by-sentiment matrix of a set of feedback: how often each aspect was positive, neutral or negative
+ * @param {Array} feedback - Feedback records with `aspects`
+ * @returns {Array} [{ aspect, type, positive, neutral, negative, total, avgCompound, negativeShare }], most negative first
+ */
+export function buildAspectMatrix(feedback = []) {
+  const rows = new Map()
+
+  feedback.forEach(item => {
+    if (!Array.isArray(item.aspects)) return
+
+    item.aspects.forEach(({ aspect, type, label, compound }) => {
+      const key = `${type}:${aspect}`
+      const row = rows.get(key) || { aspect, type, positive: 0, neutral: 0, negative: 0, total: 0, compoundSum: 0 }
+      row[label] = (row[label] || 0) + 1
+      row.total++
+      row.compoundSum += Number(compound) || 0
+      rows.set(key, row)
+    })
+  })
+
+  return [...rows.values()]
+    .map(({ compoundSum, ...row }) => ({
+      ...row,
+      avgCompound: round(compoundSum / row.total, 2),
+      negativeShare: round(row.negative / row.total, 2)
+    }))
+    .sort((a, b) => b.negative - a.negative || b.negativeShare - a.negativeShare || b.total - a.total)
+}
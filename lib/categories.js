@@ -0,0 +1,228 @@
+/**
+ * Category helpers shared by the client components and the server-side categorization code
+ * Categories live in the Category table per project; `slug` is the value stored in Feedback.category
+ * Categories form a tree through `parentId` (e.g. Billing > Refunds). Feedback is classified to the
+ * leaf categories and rolled up to their ancestors for analytics.
+ */
+
+// Categories every project starts with
+export const DEFAULT_CATEGORIES = [
+  { slug: 'feature_request', name: 'Feature Request', description: 'Requests for new features or improvements', keywords: 'feature,add,request,suggestion,improve,enhancement', color: '#10B981' },
+  { slug: 'bug_report', name: 'Bug Report', description: 'Reports of technical issues, errors, or malfunctions', keywords: 'bug,error,broken,crash,issue,problem,not working,fails,glitch', color: '#EF4444' },
+  { slug: 'shipping_complaint', name: 'Shipping Complaint', description: 'Issues related to delivery, packaging, or shipping', keywords: 'delivery,shipping,arrived,package,late,delayed,damaged,lost', color: '#F59E0B' },
+  { slug: 'product_quality', name: 'Product Quality', description: 'Concerns about product quality, materials, or build', keywords: 'quality,material,build,durability,defective,cheap,flimsy', color: '#8B5CF6' },
+  { slug: 'customer_service', name: 'Customer Service', description: 'Feedback about customer support or service experience', keywords: 'service,support,staff,representative,help,rude,unhelpful,friendly', color: '#06B6D4' },
+  { slug: 'general_inquiry', name: 'General Inquiry', description: 'General questions or neutral feedback', keywords: 'question,inquiry,information,help,general', color: '#6B7280' },
+  { slug: 'refund_request', name: 'Refund Request', description: 'Requests for refunds, returns, or billing issues', keywords: 'refund,return,money back,cancel,charge,billing,payment', color: '#DC2626' },
+  { slug: 'compliment', name: 'Compliment', description: 'Positive feedback, praise, or compliments', keywords: 'great,excellent,amazing,love,perfect,awesome,fantastic,thank you', color: '#059669' }
+]
+
+// Key of the pre-database custom categories, migrated once by migrateLocalCategories
+export const LEGACY_CATEGORIES_STORAGE_KEY = 'feedbacksense_custom_categories'
+
+// Deepest level a category can be nested at (0 = top level)
+export const MAX_CATEGORY_DEPTH = 2
+
+// Separator used when showing the full path of a category
+export const CATEGORY_PATH_SEPARATOR = ' > '
+
+/**
+ * Turn a category name into the slug stored on feedback
+ * @param {string} name - Category name
+ * @returns {string} Slug (e.g. "Website Feedback" -> "website_feedback")
+ */
+export function slugifyCategoryName(name) {
+  return (name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '_')
+    .replace(/[^a-z0-9_]/g, '')
+    .replace(/^_+|_+$/g, '')
+}
+
+/**
+ * Convert a category record to the shape used by the classifiers
+ * @param {Object} category - Category record or default category
+ * @returns {Object} { id, name, description, keywords, color, isActive }
+ */
+export function toClassifierCategory(category) {
+  return {
+    id: category.slug,
+    name: category.name,
+    description: category.description || '',
+    keywords: category.keywords || '',
+    color: category.color,
+    isActive: category.isActive !== false
+  }
+}
+
+/**
+ * Default categories in classifier shape
+ * @returns {Array} Categories
+ */
+export function getDefaultClassifierCategories() {
+  return DEFAULT_CATEGORIES.map(toClassifierCategory)
+}
+
+/**
+ * Index category records by id and slug and compute each category's ancestors
+ * @param {Array} categories - Category records ({id, parentId, slug, ...})
+ * @returns {Object} { byId, bySlug, roots, ancestorsOf(category) root-first, childrenOf(id) }
+ */
+export function indexCategories(categories = []) {
+  const byId = new Map()
+  const bySlug = new Map()
+  const children = new Map()
+
+  categories.forEach(category => {
+    if (category.id) byId.set(category.id, category)
+    bySlug.set(category.slug, category)
+  })
+  categories.forEach(category => {
+    const parentKey = category.parentId && byId.has(category.parentId) ? category.parentId : null
+    if (!children.has(parentKey)) children.set(parentKey, [])
+    children.get(parentKey).push(category)
+  })
+
+  const ancestorsOf = category => {
+    const ancestors = []
+    const seen = new Set([category.id])
+    let parent = category.parentId ? byId.get(category.parentId) : null
+    while (parent && !seen.has(parent.id)) {
+      ancestors.unshift(parent)
+      seen.add(parent.id)
+      parent = parent.parentId ? byId.get(parent.parentId) : null
+    }
+    return ancestors
+  }
+
+  return {
+    byId,
+    bySlug,
+    roots: children.get(null) || [],
+    ancestorsOf,
+    childrenOf: id => (id && children.get(id)) || []
+  }
+}
+
+/**
+ * Flatten categories in tree order (each parent followed by its children) with their depth and path
+ * @param {Array} categories - Category records
+ * @returns {Array} Categories with depth, path (names, root-first), pathName and isLeaf
+ */
+export function flattenCategoryTree(categories = []) {
+  const index = indexCategories(categories)
+  const flattened = []
+
+  const visit = (category, path) => {
+    const namePath = [...path, category.name]
+    const children = index.childrenOf(category.id)
+    flattened.push({
+      ...category,
+      depth: path.length,
+      path: namePath,
+      pathName: namePath.join(CATEGORY_PATH_SEPARATOR),
+      isLeaf: children.length === 0
+    })
+    children.forEach(child => visit(child, namePath))
+  }
+
+  index.roots.forEach(root => visit(root, []))
+  return flattened
+}
+
+/**
+ * Depth of the deepest category (0 when the list is flat)
+ * @param {Array} categories - Category records
+ * @returns {number} Maximum depth
+ */
+export function getMaxCategoryDepth(categories = []) {
+  return flattenCategoryTree(categories).reduce((max, category) => Math.max(max, category.depth), 0)
+}
+
+/**
+ * Map every category slug to the slug of its ancestor at a tree level
+ * Categories shallower than the level map to themselves; unknown slugs are not in the map
+ * @param {Array} categories - Category records
+ * @param {number|null} level - Tree level to roll up to (0 = top level), null keeps the categories as classified
+ * @returns {Map} slug -> rolled-up slug
+ */
+export function getCategoryRollupMap(categories = [], level = null) {
+  const index = indexCategories(categories)
+  const rollup = new Map()
+
+  categories.forEach(category => {
+    const lineage = [...index.ancestorsOf(category), category]
+    const target = level === null || level === undefined
+      ? category
+      : lineage[Math.min(level, lineage.length - 1)]
+    rollup.set(category.slug, target.slug)
+  })
+
+  return rollup
+}
+
+/**
+ * Full path name of a category slug (e.g. "Billing > Refunds")
+ * @param {string} slug - Category slug
+ * @param {Array} categories - Category records
+ * @returns {string} Path name, or the formatted slug when the category is unknown
+ */
+export function getCategoryPathName(slug, categories = []) {
+  const index = indexCategories(categories)
+  const category = index.bySlug.get(slug)
+  if (!category) {
+    return formatCategoryName(slug)
+  }
+  return [...index.ancestorsOf(category), category].map(c => c.name).join(CATEGORY_PATH_SEPARATOR)
+}
+
+/**
+ * Categories the classifiers can assign: active leaves whose ancestors are all active
+ * Names carry the full path so the model sees where a subcategory belongs
+ * @param {Array} categories - Category records
+ * @returns {Array} Classifier categories
+ */
+export function toClassifierCategories(categories = []) {
+  const index = indexCategories(categories)
+
+  return flattenCategoryTree(categories)
+    .filter(category => {
+      if (category.isActive === false) return false
+      if (index.ancestorsOf(category).some(ancestor => ancestor.isActive === false)) return false
+      // A parent is only a target when none of its children are active
+      return index.childrenOf(category.id).every(child => child.isActive === false)
+    })
+    .map(category => {
+      const parent = category.parentId ? index.byId.get(category.parentId) : null
+      return {
+        ...toClassifierCategory(category),
+        name: category.pathName,
+        description: parent && category.description
+          ? `${category.description} (subcategory of ${parent.name})`
+          : category.description || ''
+      }
+    })
+}
+
+/**
+ * Build select options ({value, label}) from category records, in tree order with path labels
+ * @param {Array} categories - Category records
+ * @param {Object} options - { includeInactive }
+ * @returns {Array} Options
+ */
+export function toCategoryOptions(categories, { includeInactive = false } = {}) {
+  const source = Array.isArray(categories) && categories.length > 0 ? categories : DEFAULT_CATEGORIES
+  return flattenCategoryTree(source)
+    .filter(category => includeInactive || category.isActive !== false)
+    .map(category => ({ value: category.slug, label: category.pathName, depth: category.depth }))
+}
+
+/**
+ * Format a category slug for display when no record is available
+ * @param {string} category - Category slug
+ * @returns {string} Display name
+ */
+export function formatCategoryName(category) {
+  return category?.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) || 'Unknown'
+}
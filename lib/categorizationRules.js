@@ -0,0 +1,163 @@
+/**
+ * Categorization rules
+ * Deterministic per-project rules (stored in Project.settings.categorizationRules) that assign a
+ * category before the AI is called. Rules run in priority order (1 first) and the first match wins.
+ * Shared by the server-side analysis and the rule preview in the project settings.
+ */
+
+import { validateUserRegex, matchUserRegex } from './safeRegex.js'
+
+export const RULE_TYPES = [
+  { value: 'keyword', label: 'Contains keyword', placeholder: 'invoice #, receipt, billing statement' },
+  { value: 'regex', label: 'Matches regex', placeholder: 'invoice\\s*#\\s*\\d+' },
+  { value: 'source', label: 'Source is', placeholder: 'app_store, zendesk' }
+]
+
+// Confidence stored for rule classifications - a rule is a deliberate decision, not a guess
+export const RULE_CONFIDENCE = 1
+
+const splitList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean)
+
+/**
+ * Check a rule and return the first problem found
+ * @param {Object} rule - Rule ({ name, type, pattern, category, minLength })
+ * @returns {string|null} Error message, or null when the rule is valid
+ */
+export function validateRule(rule) {
+  if (!rule.name || !rule.name.trim()) return 'Rule name is required'
+  if (!RULE_TYPES.some(type => type.value === rule.type)) return `Unknown rule type: ${rule.type}`
+  if (!rule.pattern || !rule.pattern.trim()) return 'Rule pattern is required'
+  if (!rule.category) return 'Rule category is required'
+
+  if (rule.type === 'regex') {
+    const regexError = validateUserRegex(rule.pattern)
+    if (regexError) return regexError
+  }
+
+  if (rule.minLength !== undefined && rule.minLength !== null && rule.minLength !== '' &&
+      (!Number.isInteger(Number(rule.minLength)) || Number(rule.minLength) < 0)) {
+    return 'Minimum length must be a whole number'
+  }
+
+  return null
+}
+
+/**
+ * Normalize rules before saving: trimmed fields, ids and consecutive priorities in list order
+ * @param {Array} rules - Rules as edited
+ * @returns {Array} Rules
+ */
+export function normalizeRules(rules = []) {
+  return rules.map((rule, index) => ({
+    id: rule.id || `rule_${Date.now().toString(36)}_${index}`,
+    name: rule.name.trim(),
+    type: rule.type,
+    pattern: rule.pattern.trim(),
+    category: rule.category,
+    minLength: rule.minLength === '' || rule.minLength === null || rule.minLength === undefined
+      ? null
+      : Number(rule.minLength),
+    caseSensitive: !!rule.caseSensitive,
+    enabled: rule.enabled !== false,
+    priority: index + 1
+  }))
+}
+
+/**
+ * Enabled rules of a project in priority order
+ * @param {Object|null} project - Project record
+ * @returns {Array} Rules
+ */
+export function getProjectRules(project) {
+  const rules = project?.settings?.categorizationRules
+  if (!Array.isArray(rules)) return []
+
+  return rules
+    .filter(rule => rule && rule.enabled !== false && !validateRule(rule))
+    .sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity))
+}
+
+/**
+ * Test one rule against a text
+ * @returns {string|null} The matched text (keyword, regex match or source), or null
+ */
+function testRule(rule, text, source) {
+  if (rule.minLength && text.length < rule.minLength) return null
+
+  switch (rule.type) {
+    case 'keyword': {
+      const haystack = rule.caseSensitive ? text : text.toLowerCase()
+      return splitList(rule.pattern).find(keyword =>
+        haystack.includes(rule.caseSensitive ? keyword : keyword.toLowerCase())
+      ) || null
+    }
+    case 'regex': {
+      // Empty matches don't count (they would match every text); a rule that runs out of time doesn't match
+      try {
+        const match = matchUserRegex(new RegExp(rule.pattern, rule.caseSensitive ? '' : 'i'), text)
+        return match ? match[0] : null
+      } catch (error) {
+        if (error.code !== 'REGEX_TIMEOUT') throw error
+        return null
+      }
+    }
+    case 'source': {
+      if (!source) return null
+      const normalizedSource = source.trim().toLowerCase()
+      return splitList(rule.pattern).some(s => s.toLowerCase() === normalizedSource) ? source : null
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Find the first rule matching a feedback text
+ * @param {string} text - Feedback text
+ * @param {Array} rules - Rules in priority order (getProjectRules)
+ * @param {Object} context - { source, categories } - rules pointing at a category that is not in
+ *   `categories` (e.g. deactivated) are skipped
+ * @returns {Object|null} { rule, category, matched } or null
+ */
+export function matchCategorizationRule(text, rules = [], { source = null, categories = null } = {}) {
+  if (!text || rules.length === 0) return null
+
+  const allowed = Array.isArray(categories) ? new Set(categories.map(category => category.id)) : null
+
+  for (const rule of rules) {
+    if (allowed && !allowed.has(rule.category)) continue
+
+    const matched = testRule(rule, text, source)
+    if (matched !== null) {
+      return { rule, category: rule.category, matched }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Turn a rule match into the categorization result shape returned by categorizeFeedback
+ * @param {Object} match - Result of matchCategorizationRule
+ * @returns {Object} Categorization result
+ */
+export function toRuleCategorization(match) {
+  const { rule, category, matched } = match
+  return {
+    category,
+    confidence: RULE_CONFIDENCE,
+    reasoning: `Matched rule "${rule.name}" (${rule.type}: "${matched}")`,
+    keyIndicators: [matched],
+    method: 'rule',
+    provider: null,
+    rule: {
+      id: rule.id,
+      name: rule.name,
+      type: rule.type,
+      pattern: rule.pattern,
+      priority: rule.priority,
+      matched
+    },
+    timestamp: new Date().toISOString()
+  }
+}
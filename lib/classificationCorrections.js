@@ -0,0 +1,297 @@
+import { prisma } from './prisma.js'
+
+/**
+ * Classification corrections
+ * Every time a user overrides a category the AI picked, a ClassificationCorrection row is stored
+ * for the project. The rows drive the AI performance metrics (accuracy, confusion matrix, trend).
+ */
+
+// Only the start of the feedback text is kept with the correction
+const MAX_TEXT_LENGTH = 500
+
+/**
+ * Find the category the AI last assigned to a feedback item
+ * @param {Object} feedback - Feedback record (category, aiCategoryConfidence, classificationHistory, aiClassificationMeta)
+ * @returns {Object} { category, confidence, method }
+ */
+export function getLastAIPrediction(feedback) {
+  const history = Array.isArray(feedback.classificationHistory) ? feedback.classificationHistory : []
+  const lastAIEntry = [...history].reverse().find(entry => entry && entry.method !== 'manual_override')
+
+  if (lastAIEntry) {
+    return {
+      category: lastAIEntry.category,
+      confidence: lastAIEntry.confidence ?? null,
+      method: feedback.aiClassificationMeta?.aiClassification?.method || lastAIEntry.method || null
+    }
+  }
+
+  // No AI history - the stored category is the best guess unless it was set manually
+  return {
+    category: feedback.manualOverride ? null : feedback.category,
+    confidence: feedback.aiCategoryConfidence !== null && feedback.aiCategoryConfidence !== undefined
+      ? parseFloat(feedback.aiCategoryConfidence)
+      : null,
+    method: feedback.aiClassificationMeta?.aiClassification?.method || null
+  }
+}
+
+/**
+ * Build the correction row for a category override
+ * @param {Object} feedback - Feedback record before the change
+ * @param {string} newCategory - Category chosen by the user
+ * @param {Object} options - { userId, source }
+ * @returns {Object|null} Correction data, or null if the category did not change
+ */
+export function buildClassificationCorrection(feedback, newCategory, { userId, source = 'manual_edit' }) {
+  if (!newCategory || newCategory === feedback.category) {
+    return null
+  }
+
+  const prediction = getLastAIPrediction(feedback)
+
+  return {
+    projectId: feedback.projectId || null,
+    feedbackId: feedback.id,
+    userId: userId || feedback.userId,
+    feedbackText: (feedback.content || '').substring(0, MAX_TEXT_LENGTH),
+    aiPrediction: prediction.category,
+    userCorrection: newCategory,
+    aiConfidence: prediction.confidence,
+    aiMethod: prediction.method,
+    wasCorrect: prediction.category === newCategory,
+    source
+  }
+}
+
+/**
+ * Record category overrides for one or more feedback items
+ * Failures are logged and never block the category update itself
+ * @param {Array} feedbackItems - Feedback records before the change
+ * @param {string} newCategory - Category chosen by the user
+ * @param {Object} options - { userId, source }
+ * @returns {Promise<number>} Number of corrections recorded
+ */
+export async function recordClassificationCorrections(feedbackItems, newCategory, options) {
+  const corrections = feedbackItems
+    .map(feedback => buildClassificationCorrection(feedback, newCategory, options))
+    .filter(Boolean)
+
+  if (corrections.length === 0) {
+    return 0
+  }
+
+  try {
+    const result = await prisma.classificationCorrection.createMany({
+      data: corrections
+    })
+    return result.count
+  } catch (error) {
+    console.error('Error recording classification corrections:', error)
+    return 0
+  }
+}
+
+/**
+ * Load manually corrected feedback of a project as labeled few-shot examples
+ * @param {string} projectId - Project ID
+ * @param {Object} options - { limit } maximum number of examples (most recent first, default 200)
+ * @returns {Promise<Array>} Examples ({text, category, previousCategory})
+ */
+export async function getFewShotExamplePool(projectId, { limit = 200 } = {}) {
+  if (!projectId) {
+    return []
+  }
+
+  try {
+    const overridden = await prisma.feedback.findMany({
+      where: {
+        projectId,
+        manualOverride: true
+      },
+      select: {
+        content: true,
+        category: true,
+        classificationHistory: true
+      },
+      orderBy: { updatedAt: 'desc' },
+      take: limit
+    })
+
+    return overridden.map(feedback => {
+      const history = Array.isArray(feedback.classificationHistory) ? feedback.classificationHistory : []
+      const lastOverride = [...history].reverse().find(entry => entry?.method === 'manual_override')
+      const lastAIEntry = [...history].reverse().find(entry => entry && entry.method !== 'manual_override')
+
+      return {
+        text: feedback.content,
+        category: feedback.category,
+        previousCategory: lastOverride?.previousCategory || lastAIEntry?.category || null
+      }
+    })
+  } catch (error) {
+    console.error('Error loading few-shot examples:', error)
+    return []
+  }
+}
+
+/**
+ * Start of the ISO week (Monday) for a date, as YYYY-MM-DD
+ */
+function getWeekStart(date) {
+  const d = new Date(date)
+  d.setUTCHours(0, 0, 0, 0)
+  const day = d.getUTCDay() || 7
+  d.setUTCDate(d.getUTCDate() - day + 1)
+  return d.toISOString().split('T')[0]
+}
+
+/**
+ * Calculate AI performance metrics for a project
+ * Accuracy is the share of AI-classified feedback whose category was never corrected
+ * @param {Object} data - { corrections, classifiedFeedback }
+ * @param {Array} data.corrections - ClassificationCorrection rows
+ * @param {Array} data.classifiedFeedback - Feedback with an AI classification ({id, category, aiCategoryConfidence, createdAt})
+ * @param {Object} options - { weeks } number of weeks in the trend (default 12)
+ * @returns {Object} Performance metrics
+ */
+export function calculateCorrectionMetrics({ corrections = [], classifiedFeedback = [] }, { weeks = 12 } = {}) {
+  // Only the first override of each item says whether the AI was right
+  const firstCorrectionByFeedback = new Map()
+  corrections
+    .slice()
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .forEach(correction => {
+      const key = correction.feedbackId || correction.id
+      if (!firstCorrectionByFeedback.has(key)) {
+        firstCorrectionByFeedback.set(key, correction)
+      }
+    })
+
+  const correctedIds = new Set(
+    Array.from(firstCorrectionByFeedback.values())
+      .filter(correction => !correction.wasCorrect && correction.feedbackId)
+      .map(correction => correction.feedbackId)
+  )
+
+  const totalFeedback = classifiedFeedback.length
+  const incorrectPredictions = classifiedFeedback.filter(f => correctedIds.has(f.id)).length
+  const correctPredictions = totalFeedback - incorrectPredictions
+  const accuracy = totalFeedback > 0 ? correctPredictions / totalFeedback : 0
+
+  const confidences = classifiedFeedback
+    .map(f => parseFloat(f.aiCategoryConfidence))
+    .filter(value => !isNaN(value))
+  const averageConfidence = confidences.length > 0
+    ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+    : 0
+
+  // Confusion matrix: rows are AI predictions, columns are final (human) labels
+  const cells = {}
+  const labels = new Set()
+  const addCell = (predicted, actual) => {
+    if (!predicted || !actual) return
+    labels.add(predicted)
+    labels.add(actual)
+    cells[predicted] = cells[predicted] || {}
+    cells[predicted][actual] = (cells[predicted][actual] || 0) + 1
+  }
+
+  classifiedFeedback.forEach(f => {
+    if (!correctedIds.has(f.id)) {
+      addCell(f.category, f.category)
+    }
+  })
+  firstCorrectionByFeedback.forEach(correction => {
+    if (!correction.wasCorrect && correction.feedbackId && correctedIds.has(correction.feedbackId)) {
+      addCell(correction.aiPrediction, correction.userCorrection)
+    }
+  })
+
+  const sortedLabels = Array.from(labels).sort()
+  const confusionMatrix = {
+    labels: sortedLabels,
+    matrix: sortedLabels.map(predicted =>
+      sortedLabels.map(actual => cells[predicted]?.[actual] || 0)
+    )
+  }
+
+  // Per-category precision (how often an AI prediction of the category was kept)
+  const categoryAccuracy = {}
+  sortedLabels.forEach((category, index) => {
+    const predicted = confusionMatrix.matrix[index].reduce((sum, value) => sum + value, 0)
+    if (predicted > 0) {
+      categoryAccuracy[category] = {
+        predicted,
+        correct: confusionMatrix.matrix[index][index],
+        accuracy: confusionMatrix.matrix[index][index] / predicted
+      }
+    }
+  })
+
+  // Weekly trend of classified vs corrected items
+  const trendBuckets = {}
+  const now = new Date()
+  for (let i = weeks - 1; i >= 0; i--) {
+    const weekStart = getWeekStart(new Date(now.getTime() - i * 7 * 24 * 60 * 60 * 1000))
+    trendBuckets[weekStart] = { period: weekStart, classified: 0, corrected: 0 }
+  }
+  classifiedFeedback.forEach(f => {
+    const bucket = trendBuckets[getWeekStart(f.createdAt)]
+    if (bucket) {
+      bucket.classified++
+      if (correctedIds.has(f.id)) bucket.corrected++
+    }
+  })
+  const trend = Object.values(trendBuckets).map(bucket => ({
+    ...bucket,
+    accuracy: bucket.classified > 0 ? (bucket.classified - bucket.corrected) / bucket.classified : null
+  }))
+
+  const correctionSources = corrections.reduce((acc, correction) => {
+    acc[correction.source] = (acc[correction.source] || 0) + 1
+    return acc
+  }, {})
+
+  // Generate improvement suggestions
+  const improvementSuggestions = []
+  const incorrect = Array.from(firstCorrectionByFeedback.values()).filter(c => !c.wasCorrect)
+  const lowConfidenceIncorrect = incorrect.filter(c => c.aiConfidence !== null && parseFloat(c.aiConfidence) < 0.6).length
+  const highConfidenceIncorrect = incorrect.filter(c => c.aiConfidence !== null && parseFloat(c.aiConfidence) > 0.8).length
+
+  if (totalFeedback > 0 && lowConfidenceIncorrect > totalFeedback * 0.2) {
+    improvementSuggestions.push('Consider adding more specific keywords to category definitions')
+  }
+
+  if (totalFeedback > 0 && highConfidenceIncorrect > totalFeedback * 0.1) {
+    improvementSuggestions.push('Review category descriptions for potential overlaps')
+  }
+
+  if (totalFeedback > 0 && averageConfidence < 0.7) {
+    improvementSuggestions.push('Consider refining category keywords and descriptions')
+  }
+
+  const topConfusion = incorrect.reduce((acc, c) => {
+    const key = `${c.aiPrediction} → ${c.userCorrection}`
+    acc[key] = (acc[key] || 0) + 1
+    return acc
+  }, {})
+  const [mostConfused, mostConfusedCount] = Object.entries(topConfusion).sort((a, b) => b[1] - a[1])[0] || []
+  if (mostConfusedCount >= 3) {
+    improvementSuggestions.push(`Most frequent correction: ${mostConfused.replace(/_/g, ' ')} (${mostConfusedCount} times)`)
+  }
+
+  return {
+    totalFeedback,
+    totalCorrections: corrections.length,
+    accuracy,
+    averageConfidence,
+    correctPredictions,
+    incorrectPredictions,
+    confusionMatrix,
+    categoryAccuracy,
+    trend,
+    correctionSources,
+    improvementSuggestions
+  }
+}
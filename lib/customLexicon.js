@@ -0,0 +1,120 @@
+/**
+ * Per-project sentiment lexicons
+ * Domain words change meaning between products ("sick" in a game, "cheap" for a budget brand).
+ * Projects list extra terms in Project.settings.sentimentLexicon; their valences are added to (or
+ * replace) the built-in word list of the language, and terms with a topic tag the feedback with it.
+ * Shared by the server-side analysis and the preview in the project settings.
+ */
+
+import { tokenize } from './languageDetection.js'
+import { getSentimentLexicon, extendSentimentLexicon } from './sentimentLexicons.js'
+
+// Same scale as the built-in lexicons; 0 makes a built-in word neutral for the project
+export const MIN_TERM_VALENCE = -4
+export const MAX_TERM_VALENCE = 4
+
+// Merged lookup structures per terms list and language, so batches don't rebuild them per text
+const lexiconCache = new WeakMap()
+
+const termKey = term => `${(term.term || '').trim().toLowerCase()}:${term.language || ''}`
+
+/**
+ * Check a term ({ term, valence, topic, language }) and return the first problem found
+ * @param {Object} term - Term as edited
+ * @param {Array} existingTerms - Terms already in the lexicon, to catch duplicates
+ * @returns {string|null} Error message, or null when the term is valid
+ */
+export function validateLexiconTerm(term, existingTerms = []) {
+  if (!term.term || !term.term.trim()) return 'Term is required'
+  if (tokenize(term.term).length !== 1 || tokenize(term.term)[0] !== term.term.trim().toLowerCase()) {
+    return 'Terms must be a single word'
+  }
+
+  const valence = Number(term.valence)
+  if (term.valence === '' || term.valence === null || term.valence === undefined || !Number.isFinite(valence)) {
+    return 'Weight must be a number'
+  }
+  if (valence < MIN_TERM_VALENCE || valence > MAX_TERM_VALENCE) {
+    return `Weight must be between ${MIN_TERM_VALENCE} and ${MAX_TERM_VALENCE}`
+  }
+
+  if (existingTerms.some(existing => termKey(existing) === termKey(term))) {
+    return `"${term.term.trim()}" is already in the lexicon`
+  }
+
+  return null
+}
+
+/**
+ * Normalize terms before saving: lowercase words, numeric weights, empty topic / language as null
+ * @param {Array} terms - Terms as edited
+ * @returns {Array} Terms
+ */
+export function normalizeLexiconTerms(terms = []) {
+  return terms.map(term => ({
+    term: term.term.trim().toLowerCase(),
+    valence: Math.round(Number(term.valence) * 10) / 10,
+    topic: term.topic?.trim().toLowerCase() || null,
+    language: term.language || null
+  }))
+}
+
+/**
+ * Valid custom sentiment terms of a project
+ * @param {Object|null} project - Project record
+ * @returns {Array|null} Terms, or null when the project has none
+ */
+export function getProjectSentimentLexicon(project) {
+  const terms = project?.settings?.sentimentLexicon?.terms
+  if (!Array.isArray(terms)) return null
+
+  const validTerms = terms.filter((term, index) => term && !validateLexiconTerm(term, terms.slice(0, index)))
+  return validTerms.length > 0 ? validTerms : null
+}
+
+/**
+ * Lookup structures of a language with the custom terms applied
+ * @param {Array|null} terms - Custom terms (see getProjectSentimentLexicon)
+ * @param {string} language - Lexicon language
+ * @returns {Object|null} Lookup structures for scoreSentiment, or null when no term applies
+ */
+export function getCustomSentimentLexicon(terms, language) {
+  if (!terms?.length) return null
+
+  let byLanguage = lexiconCache.get(terms)
+  if (!byLanguage) {
+    byLanguage = new Map()
+    lexiconCache.set(terms, byLanguage)
+  }
+  if (byLanguage.has(language)) return byLanguage.get(language)
+
+  // Terms without a language apply to every language
+  const applicable = terms.filter(term => !term.language || term.language === language)
+  const lexicon = applicable.length > 0
+    ? extendSentimentLexicon(
+      getSentimentLexicon(language) || getSentimentLexicon('en'),
+      Object.fromEntries(applicable.map(term => [term.term.trim().toLowerCase(), Number(term.valence)]))
+    )
+    : null
+
+  byLanguage.set(language, lexicon)
+  return lexicon
+}
+
+/**
+ * Topics of the custom terms that appear in a text
+ * @param {string} text - Text
+ * @param {Array|null} terms - Custom terms
+ * @returns {string[]} Topics
+ */
+export function getCustomTopics(text, terms) {
+  const topicTerms = (terms || []).filter(term => term.topic)
+  if (topicTerms.length === 0) return []
+
+  const words = new Set(tokenize(text))
+  return [...new Set(
+    topicTerms
+      .filter(term => words.has(term.term.trim().toLowerCase()))
+      .map(term => term.topic.trim().toLowerCase())
+  )]
+}
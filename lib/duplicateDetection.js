@@ -0,0 +1,132 @@
+/**
+ * Near-duplicate detection
+ * Compares feedback embeddings (see lib/embeddings.js) by cosine similarity. Pairs above the
+ * threshold are duplicates, and duplicates of duplicates end up in one group, so the same
+ * complaint imported from email, chat and a survey forms a single group.
+ */
+
+// Similarity from which two feedback count as the same report (tuned for all-MiniLM-L6-v2)
+export const DEFAULT_DUPLICATE_THRESHOLD = 0.9
+
+export const MIN_DUPLICATE_THRESHOLD = 0.7
+
+/**
+ * Duplicate threshold of a project
+ * @param {Object|null} project - Project record (uses settings.duplicates.threshold)
+ * @returns {number} Threshold between MIN_DUPLICATE_THRESHOLD and 1
+ */
+export function getDuplicateThreshold(project) {
+  return normalizeThreshold(project?.settings?.duplicates?.threshold)
+}
+
+/**
+ * Clamp a threshold from user input, falling back to the default
+ * @param {*} value - Raw threshold
+ * @returns {number} Threshold
+ */
+export function normalizeThreshold(value) {
+  const threshold = Number(value)
+  if (value === null || value === undefined || value === '' || !Number.isFinite(threshold)) {
+    return DEFAULT_DUPLICATE_THRESHOLD
+  }
+  return Math.min(1, Math.max(MIN_DUPLICATE_THRESHOLD, threshold))
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a - Vector
+ * @param {number[]} b - Vector of the same length
+ * @returns {number} Similarity (-1..1), 0 for empty or mismatched vectors
+ */
+export function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return 0
+
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+const comparable = (a, b) => a.embeddingModel && a.embeddingModel === b.embeddingModel
+
+const round = value => Math.round(value * 1000) / 1000
+
+/**
+ * Feedback most similar to a feedback
+ * @param {Object} target - Feedback with { id, embedding, embeddingModel }
+ * @param {Array} candidates - Feedback with { id, embedding, embeddingModel, duplicateOfId }
+ * @param {Object} options - { threshold, limit }
+ * @returns {Array} [{ feedback, similarity }], most similar first; already merged items are left out
+ */
+export function findSimilarFeedback(target, candidates, { threshold = DEFAULT_DUPLICATE_THRESHOLD, limit = 10 } = {}) {
+  return candidates
+    .filter(candidate => candidate.id !== target.id && candidate.duplicateOfId !== target.id && comparable(candidate, target))
+    .map(candidate => ({ feedback: candidate, similarity: round(cosineSimilarity(target.embedding, candidate.embedding)) }))
+    .filter(match => match.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit)
+}
+
+const timeOf = item => new Date(item.feedbackDate || item.createdAt || 0).getTime()
+
+/**
+ * Pick the canonical feedback of a group: the one already holding merged duplicates, else the oldest
+ * @param {Array} items - Feedback of a group
+ * @returns {Object} Canonical feedback
+ */
+export function pickCanonical(items) {
+  return [...items].sort((a, b) =>
+    (b.duplicateCount || 0) - (a.duplicateCount || 0) || timeOf(a) - timeOf(b)
+  )[0]
+}
+
+/**
+ * Group near-duplicate feedback
+ * Compares every pair, so callers should cap the number of items (a few thousand at most).
+ * @param {Array} items - Feedback with { id, embedding, embeddingModel, feedbackDate, duplicateCount }
+ * @param {Object} options - { threshold }
+ * @returns {Array} [{ canonicalId, ids, size, minSimilarity, maxSimilarity }], largest groups first
+ */
+export function groupDuplicates(items, { threshold = DEFAULT_DUPLICATE_THRESHOLD } = {}) {
+  // Union-find over the pairs above the threshold
+  const parent = items.map((_, index) => index)
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])))
+  const links = []
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (!comparable(items[i], items[j])) continue
+      const similarity = cosineSimilarity(items[i].embedding, items[j].embedding)
+      if (similarity < threshold) continue
+      parent[find(i)] = find(j)
+      links.push({ i, j, similarity })
+    }
+  }
+
+  const groups = new Map()
+  items.forEach((item, index) => {
+    const root = find(index)
+    groups.set(root, [...(groups.get(root) || []), item])
+  })
+  const similarities = new Map()
+  links.forEach(({ i, similarity }) => {
+    const root = find(i)
+    similarities.set(root, [...(similarities.get(root) || []), similarity])
+  })
+
+  return [...groups.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([root, group]) => ({
+      canonicalId: pickCanonical(group).id,
+      ids: group.map(item => item.id),
+      size: group.length,
+      minSimilarity: round(Math.min(...similarities.get(root))),
+      maxSimilarity: round(Math.max(...similarities.get(root)))
+    }))
+    .sort((a, b) => b.size - a.size || b.maxSimilarity - a.maxSimilarity)
+}
@@ -0,0 +1,73 @@
+/**
+ * Feedback embeddings
+ * Vectors of Feedback.content used to find near-duplicates. The local embedding model runs first
+ * (no API cost, works air-gapped); the project's AI provider is used when it is unavailable.
+ * Vectors of different models can't be compared, so the model is stored next to every vector.
+ */
+
+import { embedWithLocalModel } from './localClassifier.js'
+import { getProjectAIProvider } from './ai/index.js'
+import { redactTexts, getProjectRedactionSettings } from './piiRedaction.js'
+
+export const EMBEDDING_CONFIG = {
+  // 'local' tries the local model first, 'provider' the project's AI provider first
+  preferred: process.env.EMBEDDING_SOURCE === 'provider' ? 'provider' : 'local',
+
+  // Longer texts are cut - the model only reads the beginning anyway
+  maxTextLength: 2000,
+
+  // Texts per model or API call
+  batchSize: 32
+}
+
+/**
+ * Embed texts with the project's AI provider
+ * Texts leave the server here, so they are redacted with the project's PII settings first
+ */
+async function embedWithProvider(texts, project) {
+  const provider = getProjectAIProvider(project)
+  if (!provider.supportsEmbeddings()) return null
+
+  const redaction = redactTexts(texts, getProjectRedactionSettings(project))
+
+  try {
+    return { vectors: await provider.embedTexts(redaction.texts), model: `${provider.name}:${provider.getEmbeddingModelName()}` }
+  } catch (error) {
+    console.error(`Embedding with the ${provider.name} provider failed:`, error)
+    return null
+  }
+}
+
+/**
+ * Compute embeddings of feedback texts
+ * @param {string[]} texts - Feedback texts
+ * @param {Object} options - { project } project whose AI provider is used when the local model is unavailable
+ * @returns {Promise<Object|null>} { vectors: number[][], model }, or null when no embedding source is available
+ */
+export async function embedFeedbackTexts(texts, { project = null } = {}) {
+  if (texts.length === 0) return { vectors: [], model: null }
+
+  const sources = EMBEDDING_CONFIG.preferred === 'provider'
+    ? [embedWithProvider, embedWithLocalModel]
+    : [embedWithLocalModel, embedWithProvider]
+  const inputs = texts.map(text => (text || '').slice(0, EMBEDDING_CONFIG.maxTextLength))
+
+  for (const embed of sources) {
+    const vectors = []
+    let model = null
+
+    for (let i = 0; i < inputs.length; i += EMBEDDING_CONFIG.batchSize) {
+      const result = await embed(inputs.slice(i, i + EMBEDDING_CONFIG.batchSize), project)
+      if (!result) break
+      vectors.push(...result.vectors)
+      model = result.model
+    }
+
+    if (vectors.length === inputs.length) {
+      return { vectors: vectors.map(vector => vector.map(value => Math.round(value * 1e6) / 1e6)), model }
+    }
+  }
+
+  console.warn('⚠️ No embedding source available (local model disabled and the AI provider has no embeddings)')
+  return null
+}
@@ -0,0 +1,178 @@
+/**
+ * Emotion and urgency detection for support triage
+ * Emotions (anger, frustration, confusion, joy, gratitude) are recognized from cue words, phrases
+ * and emoji; cues preceded by a negation ("not happy") don't count. Urgency combines signals that
+ * need a fast answer - churn threats, legal threats, safety issues, blocked customers and time
+ * pressure - with the emotions and sentiment of the text into a score between 0 and 1.
+ * Cues are English; other languages are analyzed on their English translation when there is one.
+ */
+
+import { tokenize } from './languageDetection.js'
+
+export const EMOTIONS = [
+  { value: 'anger', label: 'Anger', emoji: '😠' },
+  { value: 'frustration', label: 'Frustration', emoji: '😤' },
+  { value: 'confusion', label: 'Confusion', emoji: '😕' },
+  { value: 'joy', label: 'Joy', emoji: '😊' },
+  { value: 'gratitude', label: 'Gratitude', emoji: '🙏' }
+]
+
+export const URGENCY_LEVELS = [
+  { value: 'high', label: 'High', min: 0.6 },
+  { value: 'medium', label: 'Medium', min: 0.3 },
+  { value: 'low', label: 'Low', min: 0 }
+]
+
+// Words ending in * match as prefixes ("frustrat*" matches frustrated, frustrating)
+const EMOTION_CUES = {
+  anger: {
+    words: ['angry', 'furious', 'outraged', 'outrageous', 'livid', 'mad', 'hate', 'hated', 'disgust*', 'ridiculous', 'unacceptable', 'infuriat*', 'pissed', 'rage', 'scam', 'shameful', 'insult*'],
+    phrases: ['fed up', 'sick of', 'how dare', 'rip off', 'ripped off'],
+    emoji: ['😠', '😡', '🤬', '👿']
+  },
+  frustration: {
+    words: ['frustrat*', 'annoy*', 'tired', 'useless', 'keeps', 'waste', 'wasted', 'wasting', 'nightmare', 'hopeless', 'disappoint*', 'ugh'],
+    phrases: ['for the third time', 'over and over', 'still not', 'still waiting', 'no one', 'nobody responded', 'waste of time', 'every single time', 'not again', 'gave up'],
+    emoji: ['😤', '😩', '😫', '🙄', '😒']
+  },
+  confusion: {
+    words: ['confus*', 'unclear', 'puzzl*', 'baffl*', 'misleading', 'clueless'],
+    phrases: ["don't understand", 'do not understand', "can't figure", 'cannot figure', 'makes no sense', 'how do i', 'how can i', 'where is', 'where do i', 'what does', 'not sure how', 'not clear'],
+    emoji: ['😕', '🤔', '😵', '🤷']
+  },
+  joy: {
+    words: ['happy', 'love', 'loved', 'loving', 'delighted', 'excited', 'awesome', 'amazing', 'fantastic', 'wonderful', 'glad', 'thrilled', 'enjoy*', 'fun', 'yay', 'perfect'],
+    phrases: ['made my day', 'so good', 'works great', 'best ever'],
+    emoji: ['😀', '😃', '😄', '😁', '😊', '😍', '🥰', '🎉', '❤', '😂']
+  },
+  gratitude: {
+    words: ['thanks', 'thank', 'thx', 'grateful', 'appreciate*', 'kudos', 'cheers'],
+    phrases: ['thank you', 'shout out', 'shoutout', 'hats off'],
+    emoji: ['🙏', '👏', '🙌']
+  }
+}
+
+const NEGATIONS = new Set(['not', 'no', 'never', "isn't", "wasn't", "aren't", "don't", "doesn't", "didn't", 'hardly', 'without'])
+
+// Each signal type counts once, with its weight; weights combine like independent probabilities
+const URGENCY_SIGNALS = [
+  {
+    type: 'safety',
+    label: 'Safety issue',
+    weight: 0.7,
+    pattern: /\b(injur(?:y|ies|ed)|hurt (?:me|my|him|her|us|them|myself)|burn(?:ed|t|s)? (?:me|my|his|her)|caught fire|on fire|smok(?:e|ing) came|electric(?:al)? shock|explod\w*|chok(?:e|ed|ing) hazard|allergic reaction|hospital|unsafe|dangerous|hazard\w*|poison\w*|toxic|overheat\w*)\b/i
+  },
+  {
+    type: 'legal',
+    label: 'Legal threat',
+    weight: 0.6,
+    pattern: /\b(lawyers?|attorneys?|lawsuit|sue (?:you|your)|suing|legal action|take (?:you|this) to court|small claims|class action|consumer protection|better business bureau|bbb|report (?:you|this) to|regulator|ombudsman|chargeback|gdpr complaint)\b/i
+  },
+  {
+    type: 'churn',
+    label: 'Churn threat',
+    weight: 0.5,
+    pattern: /\b(cancel(?:l?ing)? (?:my |the |our )?(?:account|subscription|membership|plan|contract|service)|close my account|delete my account|unsubscribe|switch(?:ing)? to (?:a |another )?\w+|moving to (?:a |another )?competitor|(?:going|about) to (?:leave|cancel|switch|quit)|never (?:buy|order|use|shop)\w* (?:from you |here )?again|take my business elsewhere|looking for (?:an )?alternatives?|last chance|done with (?:you|this))\b/i
+  },
+  {
+    type: 'blocked',
+    label: 'Customer blocked',
+    weight: 0.35,
+    pattern: /\b((?:can'?t|cannot|unable to) (?:log ?in|sign ?in|access|pay|check ?out|use (?:it|the app|my account))|locked out|(?:site|app|service|system) (?:is )?down|outage|lost (?:all )?(?:my |our )?(?:data|files|work)|data loss|charged twice|double charged|hacked|security breach|fraud\w*|stolen)\b/i
+  },
+  {
+    type: 'time_pressure',
+    label: 'Time pressure',
+    weight: 0.25,
+    pattern: /\b(urgent\w*|asap|immediately|right now|emergency|as soon as possible|deadline)\b/i
+  }
+]
+
+const round = value => Math.round(value * 100) / 100
+
+const matchesWord = (word, cue) => (cue.endsWith('*') ? word.startsWith(cue.slice(0, -1)) : word === cue)
+
+/**
+ * Emotions expressed in a text
+ * @param {string} text - Text (English)
+ * @returns {Array} [{ emotion, score (0-1), cues: string[] }], strongest first
+ */
+export function detectEmotions(text) {
+  const words = tokenize(text)
+  const joined = ` ${words.join(' ')} `
+  const results = []
+
+  Object.entries(EMOTION_CUES).forEach(([emotion, { words: cueWords, phrases, emoji }]) => {
+    const cues = []
+
+    words.forEach((word, index) => {
+      if (!cueWords.some(cue => matchesWord(word, cue))) return
+      // "not happy" is not joy
+      if (words.slice(Math.max(0, index - 3), index).some(previous => NEGATIONS.has(previous))) return
+      cues.push(word)
+    })
+    phrases.forEach(phrase => {
+      if (joined.includes(` ${phrase} `)) cues.push(phrase)
+    })
+    emoji.forEach(symbol => {
+      if ((text || '').includes(symbol)) cues.push(symbol)
+    })
+
+    if (cues.length > 0) {
+      // One cue is a hint, several make it clear
+      results.push({ emotion, score: round(1 - Math.exp(-0.6 * cues.length)), cues: [...new Set(cues)] })
+    }
+  })
+
+  return results.sort((a, b) => b.score - a.score)
+}
+
+/**
+ * Urgency level of a score
+ * @param {number|null} score - Urgency score (0-1)
+ * @returns {string|null} 'high', 'medium' or 'low', null without a score
+ */
+export function getUrgencyLevel(score) {
+  if (score === null || score === undefined || score === '') return null
+  return URGENCY_LEVELS.find(level => Number(score) >= level.min).value
+}
+
+/**
+ * How urgently a feedback needs an answer
+ * @param {string} text - Text (English)
+ * @param {Object} context - { emotions } from detectEmotions, { compound } sentiment compound score
+ * @returns {Object} { score (0-1), level, signals: [{ type, label, match }] }
+ */
+export function detectUrgency(text, { emotions = [], compound = 0 } = {}) {
+  const signals = []
+  let remaining = 1
+  URGENCY_SIGNALS.forEach(({ type, label, weight, pattern }) => {
+    const match = (text || '').match(pattern)
+    if (!match) return
+    signals.push({ type, label, match: match[0] })
+    remaining *= 1 - weight
+  })
+
+  // Anger and strongly negative text raise the urgency of whatever else was found
+  const emotionBoost = emotions.reduce((sum, { emotion, score }) => {
+    if (emotion === 'anger') return sum + 0.15 * score
+    if (emotion === 'frustration') return sum + 0.1 * score
+    return sum
+  }, 0)
+  const sentimentBoost = compound < 0 ? 0.15 * Math.abs(compound) : 0
+
+  const score = round(Math.min(1, 1 - remaining + emotionBoost + sentimentBoost))
+  return { score, level: getUrgencyLevel(score), signals }
+}
+
+/**
+ * Priority suggested for new feedback
+ * @param {Object} analysis - { urgencyScore, sentimentLabel }
+ * @returns {string} 'high', 'medium' or 'low'
+ */
+export function suggestPriority({ urgencyScore = 0, sentimentLabel = 'neutral' } = {}) {
+  const level = getUrgencyLevel(urgencyScore || 0)
+  if (level === 'high') return 'high'
+  if (level === 'low' && sentimentLabel === 'positive') return 'low'
+  return 'medium'
+}
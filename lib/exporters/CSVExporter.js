@@ -538,7 +538,7 @@ export class CSVExporter {
           data.push({
             Category: 'Sentiment Forecast',
             Metric: `${forecast.period} Prediction`,
-            Value: `${forecast.predicted.toFixed(3)} (${forecast.confidence}% confidence)`
+            Value: `${forecast.predicted.toFixed(3)} (range ${forecast.range.min.toFixed(3)}-${forecast.range.max.toFixed(3)}, ${(forecast.confidence * 100).toFixed(1)}% confidence)`
           })
         })
       }
@@ -1287,17 +1287,23 @@ export class PuppeteerPDFReportGenerator {
       <h3 class="title-small spacing-tight">Predictions</h3>
       ${advancedAnalytics.predictive ? `
         <div class="text-center spacing-normal">
-          <div class="metric-value text-purple-600">${advancedAnalytics.predictive.nextPeriodSentiment?.predicted || 'N/A'}</div>
-          <div class="text-small text-gray-600">Next Period</div>
+          <div class="metric-value text-purple-600">${advancedAnalytics.predictive.sentimentForecasts?.overall?.forecasts?.[0]?.predicted?.toFixed(2) ?? 'N/A'}</div>
+          <div class="text-small text-gray-600">Sentiment in 7 Days</div>
         </div>
         <div class="text-body space-y-1">
+          ${advancedAnalytics.predictive.sentimentForecasts?.overall?.forecasts?.[0] ? `
+          <div class="flex justify-between">
+            <span>Range:</span>
+            <span class="font-semibold">${advancedAnalytics.predictive.sentimentForecasts.overall.forecasts[0].range.min.toFixed(2)} - ${advancedAnalytics.predictive.sentimentForecasts.overall.forecasts[0].range.max.toFixed(2)}</span>
+          </div>
+          ` : ''}
           <div class="flex justify-between">
             <span>Confidence:</span>
-            <span class="font-semibold">${((advancedAnalytics.predictive.confidence || 0) * 100).toFixed(0)}%</span>
+            <span class="font-semibold">${((advancedAnalytics.predictive.sentimentForecasts?.overall?.forecasts?.[0]?.confidence || 0) * 100).toFixed(0)}%</span>
           </div>
           <div class="flex justify-between">
             <span>Risk Level:</span>
-            <span class="font-semibold">${advancedAnalytics.predictive.riskAssessment?.overallRisk || 'Low'}</span>
+            <span class="font-semibold">${advancedAnalytics.predictive.riskAssessment?.overallRisk?.level || 'low'}</span>
           </div>
         </div>
       ` : `
@@ -1308,7 +1314,7 @@ export class PuppeteerPDFReportGenerator {
       
       <!-- Prediction visualization -->
       <div class="w-full bg-gray-200 rounded h-8 spacing-tight relative">
-        <div class="bg-purple-500 h-8 rounded" style="width: ${((advancedAnalytics.predictive?.confidence || 0.7) * 100)}%"></div>
+        <div class="bg-purple-500 h-8 rounded" style="width: ${((advancedAnalytics.predictive?.sentimentForecasts?.overall?.forecasts?.[0]?.confidence || 0) * 100)}%"></div>
         <div class="absolute inset-0 flex items-center justify-center text-xs text-white font-semibold">
           Prediction Confidence
         </div>
@@ -0,0 +1,143 @@
+/**
+ * Few-shot examples for categorization prompts
+ * Picks the past manually-corrected feedback items that are most similar to the texts being
+ * categorized so the model sees how this project labels comparable feedback.
+ * Similarity is TF-IDF cosine over word tokens, which needs no model and runs on either side.
+ */
+
+export const FEW_SHOT_CONFIG = {
+  maxExamplesPerText: 2,
+  maxExamplesPerPrompt: 8,
+  minSimilarity: 0.15,
+  maxExampleLength: 300
+}
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from', 'had', 'has', 'have',
+  'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their',
+  'them', 'there', 'they', 'this', 'to', 'too', 'very', 'was', 'we', 'were', 'what', 'when', 'which',
+  'will', 'with', 'would', 'you', 'your', 'just', 'can', 'do', 'did', 'not', 'no', 'all', 'am', 'also'
+])
+
+/**
+ * Split text into lowercase word tokens without stop words
+ * @param {string} text - Input text
+ * @returns {string[]} Tokens
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+}
+
+function termFrequencies(tokens) {
+  const counts = new Map()
+  tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1))
+  return counts
+}
+
+/**
+ * Build a TF-IDF index over the example pool
+ * @param {Array} pool - Labeled examples ({text, category, previousCategory})
+ * @returns {Object} Index with document vectors and idf lookup
+ */
+function buildIndex(pool) {
+  const documents = pool.map(example => termFrequencies(tokenize(example.text)))
+  const documentFrequency = new Map()
+  documents.forEach(terms => {
+    terms.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1))
+  })
+
+  const idf = term => Math.log((pool.length + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1
+
+  const toVector = terms => {
+    const vector = new Map()
+    let norm = 0
+    terms.forEach((count, term) => {
+      const weight = count * idf(term)
+      vector.set(term, weight)
+      norm += weight * weight
+    })
+    return { vector, norm: Math.sqrt(norm) }
+  }
+
+  return {
+    vectors: documents.map(toVector),
+    toVector
+  }
+}
+
+function cosine(a, b) {
+  if (a.norm === 0 || b.norm === 0) return 0
+  let dot = 0
+  const [small, large] = a.vector.size < b.vector.size ? [a.vector, b.vector] : [b.vector, a.vector]
+  small.forEach((weight, term) => {
+    if (large.has(term)) dot += weight * large.get(term)
+  })
+  return dot / (a.norm * b.norm)
+}
+
+/**
+ * Select the most similar labeled examples for a set of texts
+ * @param {string[]} texts - Texts about to be categorized
+ * @param {Array} pool - Labeled examples ({text, category, previousCategory})
+ * @param {Object} options - Overrides for FEW_SHOT_CONFIG
+ * @returns {Array} Selected examples with similarity, most similar first
+ */
+export function selectFewShotExamples(texts, pool, options = {}) {
+  if (!Array.isArray(pool) || pool.length === 0 || !Array.isArray(texts) || texts.length === 0) {
+    return []
+  }
+
+  const config = { ...FEW_SHOT_CONFIG, ...options }
+  const index = buildIndex(pool)
+  const selected = new Map()
+
+  texts.forEach(text => {
+    const query = index.toVector(termFrequencies(tokenize(text)))
+
+    index.vectors
+      .map((vector, i) => ({ i, similarity: cosine(query, vector) }))
+      .filter(match => match.similarity >= config.minSimilarity && pool[match.i].text !== text)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, config.maxExamplesPerText)
+      .forEach(match => {
+        const existing = selected.get(match.i)
+        if (!existing || existing.similarity < match.similarity) {
+          selected.set(match.i, { ...pool[match.i], similarity: match.similarity })
+        }
+      })
+  })
+
+  return Array.from(selected.values())
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, config.maxExamplesPerPrompt)
+}
+
+/**
+ * Format selected examples as a prompt section
+ * @param {Array} examples - Selected examples
+ * @returns {string} Prompt section, or an empty string when there are no examples
+ */
+export function formatFewShotExamples(examples) {
+  if (!examples || examples.length === 0) {
+    return ''
+  }
+
+  const lines = examples.map((example, index) => {
+    const text = example.text.length > FEW_SHOT_CONFIG.maxExampleLength
+      ? example.text.substring(0, FEW_SHOT_CONFIG.maxExampleLength) + '...'
+      : example.text
+    const correctionNote = example.previousCategory && example.previousCategory !== example.category
+      ? ` (previously misclassified as ${example.previousCategory})`
+      : ''
+    return `${index + 1}. "${text.replace(/"/g, '\\"')}" → ${example.category}${correctionNote}`
+  })
+
+  return `
+Labeled examples reviewed by this team (follow these labels for similar feedback):
+${lines.join('\n')}
+`
+}
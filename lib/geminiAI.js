@@ -1,10 +1,17 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
 import { BATCH_CONFIG, calculateOptimalBatchSize, logBatchStats } from './batchConfig.js';
+import { classifyWithLocalModel, batchClassifyWithLocalModel, translateWithLocalModel, getLocalClassifierStatus } from './localClassifier.js';
+import { getDefaultAIProvider, resetAIProviders, GeminiProvider } from './ai/index.js';
+import { selectFewShotExamples, formatFewShotExamples } from './fewShotExamples.js';
+import { getDefaultClassifierCategories } from './categories.js';
+import { redactText, redactTexts, mergeRedactionCounts, formatRedactionCounts } from './piiRedaction.js';
+import { getLanguageName } from './languageDetection.js';
+import { clusterFeedback } from './topicClustering.js';
 
 /**
- * Enhanced Gemini AI service for feedback categorization
- * Provides AI-powered categorization with custom categories support and improved confidence system
+ * Enhanced AI service for feedback categorization
+ * Provides AI-powered categorization with custom categories support and improved confidence system.
+ * Requests go through an AIProvider (see lib/ai) - Gemini by default, or the provider passed in options.provider
  */
 
 // Load environment variables (for standalone usage)
@@ -14,15 +21,26 @@ if (typeof process !== 'undefined' && process.env.NODE_ENV !== 'production') {
   dotenv.config({ path: '.env' });
 }
 
-// Initialize Gemini AI client
-let genAI;
-
+/**
+ * Initialize the default AI provider (selected with AI_PROVIDER, Gemini unless configured otherwise)
+ * @returns {boolean} True if the default provider is available
+ */
 export function initializeGeminiAI() {
   try {
-    // Try to get API key from both server and client-side environment variables
-    const apiKey = typeof window === 'undefined'
-      ? process.env.GOOGLE_GEMINI_API_KEY  // Server-side
-      : process.env.NEXT_PUBLIC_GOOGLE_GEMINI_API_KEY;  // Client-side
+    let provider = getDefaultAIProvider();
+
+    // Re-create the provider if it was cached before the environment was configured
+    if (!provider.isAvailable()) {
+      resetAIProviders();
+      provider = getDefaultAIProvider();
+    }
+
+    if (provider.name !== 'gemini') {
+      console.log(`🤖 Using ${provider.name} AI provider (${provider.getModelName()}), available: ${provider.isAvailable()}`);
+      return provider.isAvailable();
+    }
+
+    const apiKey = GeminiProvider.getEnvironmentApiKey();
     
     // Enhanced logging for debugging
     console.log('🔍 Gemini AI Initialization Debug:');
@@ -32,8 +50,7 @@ export function initializeGeminiAI() {
     console.log('- API key length:', apiKey ? apiKey.length : 0);
     console.log('- API key first 10 chars:', apiKey ? apiKey.substring(0, 10) + '...' : 'N/A');
     
-    if (apiKey && apiKey.trim() !== '' && apiKey !== 'your_gemini_api_key_here') {
-      genAI = new GoogleGenerativeAI(apiKey);
+    if (provider.isAvailable()) {
       console.log('✅ Gemini AI initialized successfully');
       return true;
     } else {
@@ -54,139 +71,57 @@ export function initializeGeminiAI() {
   }
 }
 
+/**
+ * Resolve the provider for a request
+ * @param {Object} options - Request options
+ * @param {Object} options.provider - AIProvider instance (e.g. from getProjectAIProvider); defaults to the environment provider
+ * @returns {Object} AIProvider instance
+ */
+function resolveProvider(options = {}) {
+  return options.provider || getDefaultAIProvider();
+}
+
 // Initialize on module load
 initializeGeminiAI();
 
-// Global user feedback tracking for AI improvement
-let userFeedbackHistory = [];
-
 /**
- * Get custom categories from localStorage or return default categories
- * @returns {Array} Array of category objects
+ * Pick labeled examples (past manual corrections) similar to the texts being categorized
+ * @param {string[]} texts - Texts about to be categorized
+ * @param {Object} options - Request options ({ fewShotExamples } example pool for the project)
+ * @param {Array} activeCategories - Active categories, examples for other categories are skipped
+ * @returns {Array} Selected examples
  */
-function getActiveCategories() {
-  const defaultCategories = [
-    { id: 'feature_request', name: 'Feature Request', description: 'Requests for new features or improvements', keywords: 'feature,add,request,suggestion,improve,enhancement' },
-    { id: 'bug_report', name: 'Bug Report', description: 'Reports of technical issues, errors, or malfunctions', keywords: 'bug,error,broken,crash,issue,problem,not working,fails,glitch' },
-    { id: 'shipping_complaint', name: 'Shipping Complaint', description: 'Issues related to delivery, packaging, or shipping', keywords: 'delivery,shipping,arrived,package,late,delayed,damaged,lost' },
-    { id: 'product_quality', name: 'Product Quality', description: 'Concerns about product quality, materials, or build', keywords: 'quality,material,build,durability,defective,cheap,flimsy' },
-    { id: 'customer_service', name: 'Customer Service', description: 'Feedback about customer support or service experience', keywords: 'service,support,staff,representative,help,rude,unhelpful,friendly' },
-    { id: 'general_inquiry', name: 'General Inquiry', description: 'General questions or neutral feedback', keywords: 'question,inquiry,information,help,general' },
-    { id: 'refund_request', name: 'Refund Request', description: 'Requests for refunds, returns, or billing issues', keywords: 'refund,return,money back,cancel,charge,billing,payment' },
-    { id: 'compliment', name: 'Compliment', description: 'Positive feedback, praise, or compliments', keywords: 'great,excellent,amazing,love,perfect,awesome,fantastic,thank you' }
-  ];
-
-  try {
-    if (typeof window !== 'undefined') {
-      const storedCategories = localStorage.getItem('feedbacksense_custom_categories');
-      const customCategories = storedCategories ? JSON.parse(storedCategories) : [];
-      const allCategories = [...defaultCategories, ...customCategories];
-      return allCategories.filter(cat => cat.isActive !== false);
-    }
-  } catch (error) {
-    console.warn('Error loading custom categories:', error);
-  }
-  
-  return defaultCategories;
+function getFewShotExamples(texts, options, activeCategories) {
+  const categoryIds = new Set(activeCategories.map(cat => cat.id));
+  const pool = (options.fewShotExamples || []).filter(example => categoryIds.has(example.category));
+  return selectFewShotExamples(texts, pool);
 }
 
 /**
- * Record user feedback for AI improvement
- * @param {string} feedbackText - Original feedback text
- * @param {string} aiPrediction - AI predicted category
- * @param {string} userCorrection - User corrected category (if different)
- * @param {number} aiConfidence - AI confidence score
+ * Mask PII in the texts of labeled examples before they go into a prompt
+ * @param {Array} examples - Selected examples
+ * @param {Object|null} redaction - Redaction settings (options.redaction)
+ * @returns {Object} { examples, counts }
  */
-export function recordUserFeedback(feedbackText, aiPrediction, userCorrection, aiConfidence) {
-  const feedbackEntry = {
-    timestamp: new Date().toISOString(),
-    text: feedbackText.substring(0, 200), // Store first 200 chars for privacy
-    aiPrediction,
-    userCorrection,
-    aiConfidence,
-    wasCorrect: aiPrediction === userCorrection
+function redactFewShotExamples(examples, redaction) {
+  const redacted = redactTexts(examples.map(example => example.text), redaction);
+  return {
+    examples: examples.map((example, index) => ({ ...example, text: redacted.texts[index] })),
+    counts: redacted.counts
   };
-  
-  userFeedbackHistory.push(feedbackEntry);
-  
-  // Keep only last 100 entries to manage memory
-  if (userFeedbackHistory.length > 100) {
-    userFeedbackHistory = userFeedbackHistory.slice(-100);
-  }
-  
-  // Store in localStorage for persistence
-  try {
-    if (typeof window !== 'undefined') {
-      localStorage.setItem('feedbacksense_ai_feedback_history', JSON.stringify(userFeedbackHistory));
-    }
-  } catch (error) {
-    console.warn('Error storing AI feedback history:', error);
-  }
 }
 
 /**
- * Load user feedback history from localStorage
+ * Get the active categories for a request
+ * @param {Object} options - Request options ({ categories } from the project's Category table)
+ * @returns {Array} Array of category objects ({id, name, description, keywords})
  */
-function loadUserFeedbackHistory() {
-  try {
-    if (typeof window !== 'undefined') {
-      const storedHistory = localStorage.getItem('feedbacksense_ai_feedback_history');
-      if (storedHistory) {
-        userFeedbackHistory = JSON.parse(storedHistory);
-      }
-    }
-  } catch (error) {
-    console.warn('Error loading AI feedback history:', error);
-    userFeedbackHistory = [];
-  }
-}
+function getActiveCategories(options = {}) {
+  const categories = Array.isArray(options.categories) && options.categories.length > 0
+    ? options.categories
+    : getDefaultClassifierCategories();
 
-// Load feedback history on initialization
-loadUserFeedbackHistory();
-
-/**
- * Get AI performance metrics
- * @returns {Object} Performance metrics
- */
-export function getAIPerformanceMetrics() {
-  if (userFeedbackHistory.length === 0) {
-    return {
-      totalFeedback: 0,
-      accuracy: 0,
-      averageConfidence: 0,
-      improvementSuggestions: []
-    };
-  }
-  
-  const totalFeedback = userFeedbackHistory.length;
-  const correctPredictions = userFeedbackHistory.filter(entry => entry.wasCorrect).length;
-  const accuracy = totalFeedback > 0 ? correctPredictions / totalFeedback : 0;
-  const averageConfidence = userFeedbackHistory.reduce((sum, entry) => sum + entry.aiConfidence, 0) / totalFeedback;
-  
-  // Generate improvement suggestions
-  const improvementSuggestions = [];
-  const lowConfidenceIncorrect = userFeedbackHistory.filter(entry => !entry.wasCorrect && entry.aiConfidence < 0.6).length;
-  const highConfidenceIncorrect = userFeedbackHistory.filter(entry => !entry.wasCorrect && entry.aiConfidence > 0.8).length;
-  
-  if (lowConfidenceIncorrect > totalFeedback * 0.2) {
-    improvementSuggestions.push('Consider adding more specific keywords to category definitions');
-  }
-  
-  if (highConfidenceIncorrect > totalFeedback * 0.1) {
-    improvementSuggestions.push('Review category descriptions for potential overlaps');
-  }
-  
-  if (averageConfidence < 0.7) {
-    improvementSuggestions.push('Consider refining category keywords and descriptions');
-  }
-  
-  return {
-    totalFeedback,
-    accuracy,
-    averageConfidence,
-    correctPredictions,
-    improvementSuggestions
-  };
+  return categories.filter(cat => cat.isActive !== false);
 }
 
 // Rate limiting configuration
@@ -197,9 +132,14 @@ const RATE_LIMIT = {
 
 /**
  * Check if we're within rate limits
+ * @param {Object} provider - Provider about to be called (self-hosted and mock providers are not limited)
  * @returns {boolean} True if within limits
  */
-function checkRateLimit() {
+function checkRateLimit(provider) {
+  if (provider && !provider.rateLimited) {
+    return true;
+  }
+
   const now = Date.now();
   const oneMinuteAgo = now - 60000;
   
@@ -217,16 +157,39 @@ function recordRequest() {
   RATE_LIMIT.requests.push(Date.now());
 }
 
+/**
+ * Requests still allowed in the current minute
+ */
+function getRemainingRequests() {
+  RATE_LIMIT.requests = RATE_LIMIT.requests.filter(time => time > Date.now() - 60000);
+  return Math.max(0, RATE_LIMIT.maxRequestsPerMinute - RATE_LIMIT.requests.length);
+}
+
+/**
+ * Wait until the rate limit allows another request, then record it
+ * @param {Object} provider - Provider about to be called
+ */
+async function waitForRequestSlot(provider) {
+  while (!checkRateLimit(provider)) {
+    const wait = RATE_LIMIT.requests[0] + 60000 - Date.now() + 100;
+    console.log(`⏳ Rate limit reached, waiting ${Math.ceil(wait / 1000)}s for the next request`);
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+  recordRequest();
+}
+
 /**
  * Enhanced fallback categorization using keyword-based approach with custom categories
  * @param {string} feedbackText - The feedback text to categorize
+ * @param {Object} options - Request options ({ categories })
  * @returns {Object} Categorization result
  */
-function fallbackCategorization(feedbackText) {
+function fallbackCategorization(feedbackText, options = {}) {
   const text = feedbackText.toLowerCase();
-  const activeCategories = getActiveCategories();
+  const activeCategories = getActiveCategories(options);
+  const defaultCategory = activeCategories.find(cat => cat.id === 'general_inquiry') || activeCategories[0];
   
-  let bestMatch = { category: 'general_inquiry', score: 0, matchedKeywords: [] };
+  let bestMatch = { category: defaultCategory.id, score: 0, matchedKeywords: [] };
   
   activeCategories.forEach(category => {
     if (category.keywords) {
@@ -279,62 +242,93 @@ function fallbackCategorization(feedbackText) {
     confidence: Math.round(confidence * 100) / 100,
     reasoning: bestMatch.score > 0
       ? `Keyword-based classification (fallback). Matched: ${bestMatch.matchedKeywords.join(', ')}`
-      : 'No specific keywords matched, defaulting to general inquiry',
+      : `No specific keywords matched, defaulting to ${defaultCategory.name}`,
     method: 'fallback_enhanced',
     matchedKeywords: bestMatch.matchedKeywords
   };
 }
 
 /**
- * Categorize feedback using Gemini AI
+ * Offline categorization used whenever Gemini can't be used:
+ * local transformer model first, keyword matching as the last resort
  * @param {string} feedbackText - The feedback text to categorize
+ * @param {Object} options - Request options ({ categories })
+ * @returns {Promise<Object>} Categorization result
+ */
+async function offlineCategorization(feedbackText, options = {}) {
+  const localResult = await classifyWithLocalModel(feedbackText, getActiveCategories(options));
+  return localResult || fallbackCategorization(feedbackText, options);
+}
+
+/**
+ * Batch version of offlineCategorization
+ * @param {string[]} batch - Array of feedback texts
+ * @param {Object} options - Request options ({ categories })
+ * @returns {Promise<Object[]>} Array of categorization results
+ */
+async function offlineBatchCategorization(batch, options = {}) {
+  const localResults = await batchClassifyWithLocalModel(batch, getActiveCategories(options));
+  return localResults || batch.map(text => fallbackCategorization(text, options));
+}
+
+/**
+ * Categorize feedback using the configured AI provider
+ * @param {string} feedbackText - The feedback text to categorize
+ * @param {Object} options - Request options ({ provider, categories, fewShotExamples, redaction })
  * @returns {Promise<Object>} Categorization result with category, confidence, and reasoning
  */
-export async function categorizeFeedback(feedbackText) {
+export async function categorizeFeedback(feedbackText, options = {}) {
   // Input validation
   if (!feedbackText || typeof feedbackText !== 'string' || feedbackText.trim().length === 0) {
     throw new Error('Invalid feedback text provided');
   }
   
-  // Check if Gemini AI is available
-  if (!genAI) {
-    console.warn('Gemini AI not available, using fallback categorization');
-    const fallbackResult = fallbackCategorization(feedbackText);
+  const provider = resolveProvider(options);
+
+  // Check if the AI provider is available
+  if (!provider.isAvailable()) {
+    console.warn(`${provider.name} AI provider not available, using offline categorization`);
+    const fallbackResult = await offlineCategorization(feedbackText, options);
     return {
       ...fallbackResult,
       isAIAvailable: false,
-      fallbackReason: 'Gemini AI service not initialized'
+      fallbackReason: `${provider.name} AI provider not initialized`
     };
   }
   
   // Check rate limits
-  if (!checkRateLimit()) {
-    console.warn('Rate limit exceeded, using fallback categorization');
-    return fallbackCategorization(feedbackText);
+  if (!checkRateLimit(provider)) {
+    console.warn('Rate limit exceeded, using offline categorization');
+    return offlineCategorization(feedbackText, options);
   }
   
   try {
     recordRequest();
     
-    const model = genAI.getGenerativeModel({ 
-      model: process.env.GEMINI_MODEL || 'gemini-1.5-flash' 
-    });
-    
     // Get active categories for dynamic prompting
-    const activeCategories = getActiveCategories();
+    const activeCategories = getActiveCategories(options);
     const categoryDescriptions = activeCategories.map(cat =>
       `- ${cat.id}: ${cat.description}${cat.keywords ? ` (Keywords: ${cat.keywords})` : ''}`
     ).join('\n');
     
     const validCategoryIds = activeCategories.map(cat => cat.id);
+    const fewShotExamples = getFewShotExamples([feedbackText], options, activeCategories);
+
+    // Only masked text leaves the server; the stored feedback keeps the original
+    const redaction = redactText(feedbackText, options.redaction);
+    const redactedExamples = redactFewShotExamples(fewShotExamples, options.redaction);
+    const redactedCounts = mergeRedactionCounts([redaction.counts, redactedExamples.counts]);
+    if (Object.keys(redactedCounts).length > 0) {
+      console.log(`🛡️ Masked PII before categorization: ${formatRedactionCounts(redactedCounts)}`);
+    }
 
     const prompt = `
 You are an AI assistant specialized in categorizing customer feedback with enhanced confidence scoring.
 
 Analyze the following feedback text and categorize it into one of these categories:
 ${categoryDescriptions}
-
-Feedback text: "${feedbackText}"
+${formatFewShotExamples(redactedExamples.examples)}
+Feedback text: "${redaction.text}"
 
 Consider these factors for confidence scoring:
 - How clearly the feedback matches category keywords and patterns
@@ -352,14 +346,15 @@ Respond with a JSON object containing:
 
 Be thorough in your analysis. Higher confidence (0.8+) should only be given when the categorization is very clear and unambiguous.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const text = await provider.generateText(prompt, {
+      task: 'categorize',
+      context: { text: redaction.text, categories: activeCategories }
+    });
     
     // Parse the JSON response
     const jsonMatch = text.match(/\{[\s\S]*\}/);
     if (!jsonMatch) {
-      throw new Error('Invalid response format from Gemini AI');
+      throw new Error(`Invalid response format from ${provider.name} AI provider`);
     }
     
     const parsed = JSON.parse(jsonMatch[0]);
@@ -382,14 +377,18 @@ Be thorough in your analysis. Higher confidence (0.8+) should only be given when
       reasoning: parsed.reasoning || 'AI-based categorization',
       keyIndicators: parsed.keyIndicators || [],
       method: 'ai_enhanced',
+      provider: provider.name,
+      model: provider.getModelName(),
+      fewShotExamples: fewShotExamples.length,
+      ...(options.redaction && { redactedEntities: redaction.counts }),
       timestamp: new Date().toISOString()
     };
     
   } catch (error) {
-    console.error('Gemini AI categorization failed:', error);
+    console.error(`${provider.name} AI categorization failed:`, error);
     
-    // Return fallback categorization on error
-    return fallbackCategorization(feedbackText);
+    // Return offline categorization on error
+    return offlineCategorization(feedbackText, options);
   }
 }
 
@@ -397,9 +396,10 @@ Be thorough in your analysis. Higher confidence (0.8+) should only be given when
  * Batch categorize multiple feedback texts (for cost efficiency)
  * @param {string[]} feedbackTexts - Array of feedback texts
  * @param {number} maxBatchSize - Maximum number of items per batch (default: from config)
+ * @param {Object} options - Request options ({ provider, categories, fewShotExamples, redaction })
  * @returns {Promise<Object[]>} Array of categorization results
  */
-export async function batchCategorizeFeedback(feedbackTexts, maxBatchSize = BATCH_CONFIG.DEFAULT_BATCH_SIZE) {
+export async function batchCategorizeFeedback(feedbackTexts, maxBatchSize = BATCH_CONFIG.DEFAULT_BATCH_SIZE, options = {}) {
   if (!Array.isArray(feedbackTexts) || feedbackTexts.length === 0) {
     throw new Error('Invalid feedback texts array provided');
   }
@@ -430,7 +430,7 @@ export async function batchCategorizeFeedback(feedbackTexts, maxBatchSize = BATC
     
     try {
       console.log(`Processing batch ${batchNumber}/${totalBatches} (${batch.length} items)...`);
-      const batchResults = await processBatch(batch);
+      const batchResults = await processBatch(batch, options);
       allResults.push(...batchResults);
       successfulBatches++;
       
@@ -442,11 +442,11 @@ export async function batchCategorizeFeedback(feedbackTexts, maxBatchSize = BATC
       console.log(`🔄 Falling back to individual processing for ${batch.length} items`);
       for (const text of batch) {
         try {
-          const result = await categorizeFeedback(text);
+          const result = await categorizeFeedback(text, options);
           allResults.push(result);
         } catch (individualError) {
           console.error(`Individual processing failed for text: ${text.substring(0, 50)}...`, individualError);
-          allResults.push(fallbackCategorization(text));
+          allResults.push(fallbackCategorization(text, options));
         }
       }
     }
@@ -475,41 +475,52 @@ export async function batchCategorizeFeedback(feedbackTexts, maxBatchSize = BATC
 }
 
 /**
- * Process a single batch of feedback texts with Gemini AI
+ * Process a single batch of feedback texts with the AI provider
  * @param {string[]} batch - Array of feedback texts (max 15 items)
+ * @param {Object} options - Request options ({ provider, categories, fewShotExamples, redaction })
  * @returns {Promise<Object[]>} Array of categorization results
  */
-async function processBatch(batch) {
-  // Check if Gemini AI is available
-  if (!genAI) {
-    console.warn('Gemini AI not available, using fallback categorization for batch');
-    return batch.map(text => fallbackCategorization(text));
+async function processBatch(batch, options = {}) {
+  const provider = resolveProvider(options);
+
+  // Check if the AI provider is available
+  if (!provider.isAvailable()) {
+    console.warn(`${provider.name} AI provider not available, using offline categorization for batch`);
+    return offlineBatchCategorization(batch, options);
   }
   
   // Check rate limits
-  if (!checkRateLimit()) {
-    console.warn('Rate limit exceeded, using fallback categorization for batch');
-    return batch.map(text => fallbackCategorization(text));
+  if (!checkRateLimit(provider)) {
+    console.warn('Rate limit exceeded, using offline categorization for batch');
+    return offlineBatchCategorization(batch, options);
   }
   
   try {
     recordRequest();
     
-    const model = genAI.getGenerativeModel({
-      model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
-    });
-    
-    // Create batch prompt
-    const batchPrompt = createBatchPrompt(batch);
+    // Create batch prompt with the most similar labeled examples
+    const batchActiveCategories = getActiveCategories(options);
+    const fewShotExamples = getFewShotExamples(batch, options, batchActiveCategories);
+
+    // Only masked text leaves the server; the stored feedback keeps the original
+    const redaction = redactTexts(batch, options.redaction);
+    const redactedExamples = redactFewShotExamples(fewShotExamples, options.redaction);
+    const redactedCounts = mergeRedactionCounts([redaction.counts, redactedExamples.counts]);
+    if (Object.keys(redactedCounts).length > 0) {
+      console.log(`🛡️ Masked PII in batch of ${batch.length}: ${formatRedactionCounts(redactedCounts)}`);
+    }
+
+    const batchPrompt = createBatchPrompt(redaction.texts, redactedExamples.examples, batchActiveCategories);
     
-    const result = await model.generateContent(batchPrompt);
-    const response = await result.response;
-    const text = response.text();
+    const text = await provider.generateText(batchPrompt, {
+      task: 'batch_categorize',
+      context: { texts: redaction.texts, categories: batchActiveCategories }
+    });
     
     // Parse the JSON response
     const jsonMatch = text.match(/\[[\s\S]*\]/);
     if (!jsonMatch) {
-      throw new Error('Invalid batch response format from Gemini AI');
+      throw new Error(`Invalid batch response format from ${provider.name} AI provider`);
     }
     
     const parsed = JSON.parse(jsonMatch[0]);
@@ -520,7 +531,6 @@ async function processBatch(batch) {
     }
     
     // Get valid categories dynamically for batch processing
-    const batchActiveCategories = getActiveCategories();
     const validCategories = batchActiveCategories.map(cat => cat.id);
     
     // Process and validate each result
@@ -528,7 +538,7 @@ async function processBatch(batch) {
       // Validate each item
       if (!validCategories.includes(item.category)) {
         console.warn(`Invalid category returned for item ${index + 1}: ${item.category}`);
-        return fallbackCategorization(batch[index]);
+        return fallbackCategorization(batch[index], options);
       }
       
       if (typeof item.confidence !== 'number' || item.confidence < 0 || item.confidence > 1) {
@@ -542,6 +552,10 @@ async function processBatch(batch) {
         reasoning: item.reasoning || 'AI-based batch categorization',
         keyIndicators: item.keyIndicators || [],
         method: 'ai_batch_enhanced',
+        provider: provider.name,
+        model: provider.getModelName(),
+        fewShotExamples: fewShotExamples.length,
+        ...(options.redaction && { redactedEntities: redaction.items[index].counts }),
         timestamp: new Date().toISOString()
       };
     });
@@ -557,15 +571,15 @@ async function processBatch(batch) {
 /**
  * Create a batch prompt for multiple feedback items
  * @param {string[]} batch - Array of feedback texts
+ * @param {Array} fewShotExamples - Labeled examples from past corrections to include
+ * @param {Array} activeCategoriesForBatch - Categories the items can be assigned to
  * @returns {string} Formatted batch prompt
  */
-function createBatchPrompt(batch) {
+function createBatchPrompt(batch, fewShotExamples = [], activeCategoriesForBatch = getActiveCategories()) {
   const feedbackItems = batch.map((text, index) =>
     `${index + 1}. "${text.replace(/"/g, '\\"')}"`
   ).join('\n');
   
-  // Get active categories for dynamic prompting
-  const activeCategoriesForBatch = getActiveCategories();
   const categoryDescriptions = activeCategoriesForBatch.map(cat =>
     `- ${cat.id}: ${cat.description}${cat.keywords ? ` (Keywords: ${cat.keywords})` : ''}`
   ).join('\n');
@@ -575,7 +589,7 @@ You are an AI assistant specialized in categorizing customer feedback with enhan
 
 Analyze and categorize the following ${batch.length} feedback items into one of these categories:
 ${categoryDescriptions}
-
+${formatFewShotExamples(fewShotExamples)}
 Feedback items to analyze:
 ${feedbackItems}
 
@@ -615,30 +629,117 @@ Example response format:
 Be thorough in your analysis. Higher confidence (0.8+) should only be given when categorization is very clear and unambiguous.`;
 }
 
+/**
+ * Translate feedback texts into a project's working language for analysis
+ * The AI provider is asked first, texts it could not translate go to a local translation model.
+ * Texts are redacted before they leave the server, so AI translations keep the PII placeholders.
+ * @param {Array} items - { text, language } per text, language is the detected source language
+ * @param {string} targetLanguage - Language code to translate to
+ * @param {Object} options - Request options ({ provider, redaction })
+ * @returns {Promise<Array>} { text, method ('ai' | 'local'), provider, model } per item in input order,
+ *   null where no translation was possible
+ */
+export async function translateTexts(items, targetLanguage, options = {}) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return [];
+  }
+
+  const provider = resolveProvider(options);
+  const results = items.map(() => null);
+
+  if (provider.isAvailable() && checkRateLimit(provider)) {
+    try {
+      recordRequest();
+
+      const redaction = redactTexts(items.map(item => item.text), options.redaction);
+      if (redaction.total > 0) {
+        console.log(`🛡️ Masked PII before translation: ${formatRedactionCounts(redaction.counts)}`);
+      }
+
+      const prompt = `
+Translate each customer feedback text below into ${getLanguageName(targetLanguage)}.
+Keep the meaning, tone and intensity of the original. Keep placeholders in square brackets (like [EMAIL]) unchanged.
+
+Texts:
+${redaction.texts.map((text, index) => `${index + 1}. (${getLanguageName(items[index].language)}) "${text}"`).join('\n')}
+
+Respond with a JSON array with one object per text, in the same order:
+[
+  { "index": 1, "translation": "translated text" }
+]`;
+
+      const text = await provider.generateText(prompt, {
+        task: 'translate',
+        context: {
+          texts: redaction.texts,
+          sourceLanguages: items.map(item => item.language),
+          targetLanguage
+        }
+      });
+
+      const jsonMatch = text.match(/\[[\s\S]*\]/);
+      if (!jsonMatch) {
+        throw new Error(`Invalid response format from ${provider.name} AI provider`);
+      }
+
+      JSON.parse(jsonMatch[0]).forEach(entry => {
+        const index = entry.index - 1;
+        if (index >= 0 && index < items.length && typeof entry.translation === 'string' && entry.translation.trim()) {
+          results[index] = {
+            text: entry.translation.trim(),
+            method: 'ai',
+            provider: provider.name,
+            model: provider.getModelName()
+          };
+        }
+      });
+    } catch (error) {
+      console.error(`${provider.name} AI translation failed:`, error);
+    }
+  }
+
+  // Local models work per language pair
+  const pendingByLanguage = new Map();
+  items.forEach((item, index) => {
+    if (results[index]) return;
+    pendingByLanguage.set(item.language, [...(pendingByLanguage.get(item.language) || []), index]);
+  });
+
+  for (const [language, indexes] of pendingByLanguage) {
+    const local = await translateWithLocalModel(indexes.map(index => items[index].text), language, targetLanguage);
+    if (!local) continue;
+
+    indexes.forEach((itemIndex, i) => {
+      results[itemIndex] = { text: local.translations[i], method: 'local', provider: null, model: local.model };
+    });
+  }
+
+  return results;
+}
+
 /**
  * Generate AI-powered business insights from analytics data
  * @param {Object} analyticsData - Processed analytics data
+ * @param {Object} options - Request options ({ provider })
  * @returns {Promise<Object>} AI-generated insights
  */
-export async function generateBusinessInsights(analyticsData) {
-  // Check if Gemini AI is available - if not, return professional fallback content
-  if (!genAI) {
-    console.warn('Gemini AI not available, generating professional fallback business insights');
+export async function generateBusinessInsights(analyticsData, options = {}) {
+  const provider = resolveProvider(options);
+
+  // Check if the AI provider is available - if not, return professional fallback content
+  if (!provider.isAvailable()) {
+    console.warn(`${provider.name} AI provider not available, generating professional fallback business insights`);
     return generateProfessionalFallbackBusinessInsights(analyticsData);
   }
 
   // Check rate limits - if exceeded, return professional fallback content
-  if (!checkRateLimit()) {
+  if (!checkRateLimit(provider)) {
     console.warn('Rate limit exceeded, generating professional fallback business insights');
     return generateProfessionalFallbackBusinessInsights(analyticsData);
   }
 
   try {
     recordRequest();
-    
-    const model = genAI.getGenerativeModel({
-      model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
-    });
 
     // Prepare analytics summary for AI analysis
     const analyticsSummary = prepareAnalyticsForAI(analyticsData);
@@ -687,14 +788,15 @@ Guidelines for analysis:
 
 Respond with valid JSON only.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const text = await provider.generateText(prompt, {
+      task: 'business_insights',
+      context: { analyticsData: analyticsSummary }
+    });
     
     // Parse the JSON response
     const jsonMatch = text.match(/\{[\s\S]*\}/);
     if (!jsonMatch) {
-      throw new Error('Invalid response format from Gemini AI for business insights');
+      throw new Error(`Invalid response format from ${provider.name} AI provider for business insights`);
     }
     
     const insights = JSON.parse(jsonMatch[0]);
@@ -715,11 +817,12 @@ Respond with valid JSON only.`;
     // Add metadata
     insights.generatedAt = new Date().toISOString();
     insights.method = 'ai_business_analysis';
+    insights.provider = provider.name;
     
     return insights;
     
   } catch (error) {
-    console.error('Gemini AI business insights generation failed:', error);
+    console.error(`${provider.name} AI business insights generation failed:`, error);
     
     // Return fallback insights
     return generateFallbackBusinessInsights(analyticsData, error.message);
@@ -730,20 +833,23 @@ Respond with valid JSON only.`;
  * Generate AI-powered predictive insights
  * @param {Object} trendData - Trend analysis data
  * @param {Object} statisticalData - Statistical analysis data
+ * @param {Object} options - Request options ({ provider })
  * @returns {Promise<Object>} AI-generated predictions
  */
-export async function generatePredictiveInsights(trendData, statisticalData) {
-  if (!genAI) {
-    console.warn('Gemini AI not available for predictive insights');
+export async function generatePredictiveInsights(trendData, statisticalData, options = {}) {
+  const provider = resolveProvider(options);
+
+  if (!provider.isAvailable()) {
+    console.warn(`${provider.name} AI provider not available for predictive insights`);
     return {
       predictions: [],
       confidence: 0,
       methodology: 'fallback',
-      error: 'Gemini AI service not initialized'
+      error: `${provider.name} AI provider not initialized`
     };
   }
 
-  if (!checkRateLimit()) {
+  if (!checkRateLimit(provider)) {
     console.warn('Rate limit exceeded for predictive insights generation');
     return {
       predictions: [],
@@ -755,10 +861,6 @@ export async function generatePredictiveInsights(trendData, statisticalData) {
 
   try {
     recordRequest();
-    
-    const model = genAI.getGenerativeModel({
-      model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
-    });
 
     const prompt = `
 You are a data scientist specializing in predictive analytics for customer feedback systems.
@@ -796,13 +898,14 @@ Focus on:
 
 Respond with valid JSON only.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const text = await provider.generateText(prompt, {
+      task: 'predictive_insights',
+      context: { trendData, statisticalData }
+    });
     
     const jsonMatch = text.match(/\{[\s\S]*\}/);
     if (!jsonMatch) {
-      throw new Error('Invalid response format from Gemini AI for predictive insights');
+      throw new Error(`Invalid response format from ${provider.name} AI provider for predictive insights`);
     }
     
     const predictions = JSON.parse(jsonMatch[0]);
@@ -811,7 +914,7 @@ Respond with valid JSON only.`;
     return predictions;
     
   } catch (error) {
-    console.error('Gemini AI predictive insights generation failed:', error);
+    console.error(`${provider.name} AI predictive insights generation failed:`, error);
     
     return {
       predictions: [{
@@ -832,20 +935,23 @@ Respond with valid JSON only.`;
 /**
  * Generate AI-powered recommendations for feedback management
  * @param {Object} analyticsData - Complete analytics data
+ * @param {Object} options - Request options ({ provider })
  * @returns {Promise<Object>} AI-generated recommendations
  */
-export async function generateFeedbackRecommendations(analyticsData) {
-  if (!genAI) {
-    console.warn('Gemini AI not available for feedback recommendations');
+export async function generateFeedbackRecommendations(analyticsData, options = {}) {
+  const provider = resolveProvider(options);
+
+  if (!provider.isAvailable()) {
+    console.warn(`${provider.name} AI provider not available for feedback recommendations`);
     return {
       recommendations: [],
       prioritization: [],
       implementationGuide: {},
-      error: 'Gemini AI service not initialized'
+      error: `${provider.name} AI provider not initialized`
     };
   }
 
-  if (!checkRateLimit()) {
+  if (!checkRateLimit(provider)) {
     console.warn('Rate limit exceeded for feedback recommendations generation');
     return {
       recommendations: [],
@@ -857,10 +963,6 @@ export async function generateFeedbackRecommendations(analyticsData) {
 
   try {
     recordRequest();
-    
-    const model = genAI.getGenerativeModel({
-      model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
-    });
 
     const prompt = `
 You are a customer experience consultant and feedback management expert.
@@ -904,13 +1006,14 @@ Focus on:
 
 Respond with valid JSON only.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const text = await provider.generateText(prompt, {
+      task: 'recommendations',
+      context: { analyticsData }
+    });
     
     const jsonMatch = text.match(/\{[\s\S]*\}/);
     if (!jsonMatch) {
-      throw new Error('Invalid response format from Gemini AI for recommendations');
+      throw new Error(`Invalid response format from ${provider.name} AI provider for recommendations`);
     }
     
     const recommendations = JSON.parse(jsonMatch[0]);
@@ -919,7 +1022,7 @@ Respond with valid JSON only.`;
     return recommendations;
     
   } catch (error) {
-    console.error('Gemini AI recommendations generation failed:', error);
+    console.error(`${provider.name} AI recommendations generation failed:`, error);
     
     return {
       recommendations: [{
@@ -948,6 +1051,284 @@ Respond with valid JSON only.`;
   }
 }
 
+// Map-reduce summarization of feedback sets
+const SUMMARY_CONFIG = {
+  chunkSize: 40,         // Feedback per map prompt
+  maxChunkSize: 120,     // Largest chunk, used when the rate limit leaves few requests
+  maxTextLength: 400,    // Characters of each feedback sent to the model
+  reduceFanIn: 8,        // Partial summaries combined per reduce prompt
+  maxThemes: 6,
+  quotesPerTheme: 3
+};
+
+const SUMMARY_FORMAT = `{
+  "overview": "2-3 sentences on what this feedback is about overall",
+  "themes": [
+    {
+      "title": "Short theme name",
+      "description": "One or two sentences on what customers say",
+      "mentions": 12,
+      "sentiment": "positive|negative|mixed|neutral",
+      "quotes": [3, 17]
+    }
+  ],
+  "suggestedActions": [
+    {
+      "title": "Short action",
+      "description": "What to do and why, based on the feedback",
+      "priority": "high|medium|low"
+    }
+  ]
+}`;
+
+/**
+ * Parse and validate a summary returned by the model
+ * @param {string} text - Model response
+ * @param {Set<number>} validQuotes - Feedback numbers the summary may quote
+ * @returns {Object} { overview, themes, suggestedActions } with quotes as feedback numbers
+ */
+function parseSummaryResponse(text, validQuotes) {
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('Invalid response format for feedback summary');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  if (!Array.isArray(parsed.themes)) {
+    throw new Error('Missing themes in feedback summary');
+  }
+
+  return {
+    overview: typeof parsed.overview === 'string' ? parsed.overview : '',
+    themes: parsed.themes
+      .filter(theme => theme && theme.title)
+      .slice(0, SUMMARY_CONFIG.maxThemes)
+      .map(theme => ({
+        title: String(theme.title),
+        description: String(theme.description || ''),
+        mentions: Math.max(0, Math.round(Number(theme.mentions) || 0)),
+        sentiment: ['positive', 'negative', 'mixed', 'neutral'].includes(theme.sentiment) ? theme.sentiment : 'mixed',
+        // Models sometimes invent numbers - only quotes of feedback that was actually sent are kept
+        quotes: [...new Set((theme.quotes || []).map(Number))]
+          .filter(number => validQuotes.has(number))
+          .slice(0, SUMMARY_CONFIG.quotesPerTheme)
+      })),
+    suggestedActions: (Array.isArray(parsed.suggestedActions) ? parsed.suggestedActions : [])
+      .filter(action => action && action.title)
+      .map(action => ({
+        title: String(action.title),
+        description: String(action.description || ''),
+        priority: ['high', 'medium', 'low'].includes(action.priority) ? action.priority : 'medium'
+      }))
+  };
+}
+
+/**
+ * Requests a map-reduce summary of a number of chunks makes (map prompts plus reduce prompts)
+ */
+function countSummaryRequests(chunkCount) {
+  return chunkCount + (chunkCount > 1 ? Math.ceil((chunkCount - 1) / (SUMMARY_CONFIG.reduceFanIn - 1)) : 0);
+}
+
+/**
+ * Chunk size of a summary: the default, or larger chunks (up to maxChunkSize) when the requests of the
+ * default size would not fit in what is left of the provider's rate limit
+ */
+function getSummaryChunkSize(itemCount, provider) {
+  if (!provider.rateLimited) {
+    return SUMMARY_CONFIG.chunkSize;
+  }
+
+  const budget = Math.max(1, getRemainingRequests());
+  for (let size = SUMMARY_CONFIG.chunkSize; size < SUMMARY_CONFIG.maxChunkSize; size++) {
+    if (countSummaryRequests(Math.ceil(itemCount / size)) <= budget) {
+      return size;
+    }
+  }
+  return SUMMARY_CONFIG.maxChunkSize;
+}
+
+/**
+ * Map step: summarize one chunk of feedback
+ * @param {Array} chunk - { number, text, sentimentLabel, category } entries
+ */
+async function summarizeFeedbackChunk(provider, chunk) {
+  const prompt = `
+You are a product analyst summarizing customer feedback for a product manager.
+Read the numbered feedback below and summarize it.
+
+Feedback:
+${chunk.map(entry => `[${entry.number}] (${entry.sentimentLabel}, ${entry.category}) ${entry.text}`).join('\n')}
+
+Respond in JSON format:
+${SUMMARY_FORMAT}
+
+Guidelines:
+- Group the feedback into at most ${SUMMARY_CONFIG.maxThemes} themes, largest first
+- "mentions" is the number of feedback entries about the theme
+- "quotes" lists the numbers of up to ${SUMMARY_CONFIG.quotesPerTheme} feedback entries that best represent the theme
+- Suggested actions must follow from the feedback, not from general best practices
+
+Respond with valid JSON only.`;
+
+  const text = await provider.generateText(prompt, {
+    task: 'summarize_feedback',
+    context: { items: chunk }
+  });
+
+  return parseSummaryResponse(text, new Set(chunk.map(entry => entry.number)));
+}
+
+/**
+ * Reduce step: combine partial summaries into one
+ * @param {Array} summaries - Partial summaries (see parseSummaryResponse)
+ * @param {Map<number, Object>} entries - Feedback entries by number, for the quote texts
+ */
+async function combineFeedbackSummaries(provider, summaries, entries) {
+  const partials = summaries.map((summary, index) => ({
+    part: index + 1,
+    overview: summary.overview,
+    themes: summary.themes.map(theme => ({
+      ...theme,
+      quotes: theme.quotes.map(number => `[${number}] ${entries.get(number).text.slice(0, 150)}`)
+    })),
+    suggestedActions: summary.suggestedActions
+  }));
+
+  const prompt = `
+You are a product analyst. The summaries below each cover a different part of one set of customer feedback.
+Combine them into a single summary of the whole set.
+
+Partial summaries:
+${JSON.stringify(partials, null, 2)}
+
+Respond in JSON format:
+${SUMMARY_FORMAT}
+
+Guidelines:
+- Merge themes that are about the same issue and add up their mentions
+- Keep at most ${SUMMARY_CONFIG.maxThemes} themes, largest first
+- "quotes" lists feedback numbers taken from the partial summaries (the numbers in brackets)
+- Merge duplicate suggested actions and keep the most important ones
+
+Respond with valid JSON only.`;
+
+  const text = await provider.generateText(prompt, {
+    task: 'combine_feedback_summaries',
+    context: { summaries }
+  });
+
+  const quoted = new Set(summaries.flatMap(summary => summary.themes.flatMap(theme => theme.quotes)));
+  return parseSummaryResponse(text, quoted);
+}
+
+/**
+ * Summary built from the feedback itself (topic clustering), used when the AI provider can't be used
+ * @param {Array} items - Feedback ({ id, content, sentimentLabel, sentimentScore, feedbackDate })
+ * @returns {Object} Summary (see summarizeFeedbackSet)
+ */
+function generateExtractiveSummary(items, reason) {
+  const { themes } = clusterFeedback(items);
+  const negative = items.filter(item => item.sentimentLabel === 'negative').length;
+  const topNegative = themes.find(theme => theme.sentiment.negative > theme.size / 2);
+
+  return {
+    overview: `${items.length} feedback entries, ${Math.round((negative / items.length) * 100)}% negative.` +
+      (themes.length > 0 ? ` Most discussed: ${themes.slice(0, 3).map(theme => theme.label).join(', ')}.` : ''),
+    themes: themes.slice(0, SUMMARY_CONFIG.maxThemes).map(theme => ({
+      title: theme.label,
+      description: `Feedback mentioning ${theme.keywords.join(', ')}`,
+      mentions: theme.size,
+      sentiment: theme.sentiment.negative > theme.size / 2 ? 'negative'
+        : theme.sentiment.positive > theme.size / 2 ? 'positive' : 'mixed',
+      quotes: theme.quotes.map(quote => quote.feedbackId)
+    })),
+    suggestedActions: topNegative ? [{
+      title: `Review "${topNegative.label}" feedback`,
+      description: `${topNegative.sentiment.negative} of ${topNegative.size} feedback entries about this theme are negative.`,
+      priority: 'high'
+    }] : [],
+    method: 'extractive',
+    error: reason
+  };
+}
+
+/**
+ * Summarize a set of feedback into themes, representative quotes and suggested actions
+ * Large sets are summarized in chunks whose summaries are then combined (map-reduce). Chunks grow to fit
+ * the rate limit, and requests that still don't fit wait for the next free slot.
+ * @param {Array} items - Feedback ({ id, content, translatedContent, sentimentLabel, sentimentScore, category, feedbackDate })
+ * @param {Object} options - Request options ({ provider, redaction })
+ * @returns {Promise<Object>} { overview, themes: [{ title, description, mentions, sentiment, quotes: [feedbackId] }],
+ *   suggestedActions: [{ title, description, priority }], method, provider, chunks, generatedAt }
+ */
+export async function summarizeFeedbackSet(items, options = {}) {
+  const provider = resolveProvider(options);
+  const generatedAt = new Date().toISOString();
+
+  if (items.length === 0) {
+    return { overview: 'No feedback to summarize.', themes: [], suggestedActions: [], method: 'empty', chunks: 0, generatedAt };
+  }
+
+  if (!provider.isAvailable()) {
+    console.warn(`${provider.name} AI provider not available, summarizing feedback extractively`);
+    return { ...generateExtractiveSummary(items, `${provider.name} AI provider not initialized`), chunks: 0, generatedAt };
+  }
+
+  const redacted = redactTexts(
+    items.map(item => (item.translatedContent || item.content).slice(0, SUMMARY_CONFIG.maxTextLength)),
+    options.redaction
+  );
+  const entries = items.map((item, index) => ({
+    number: index + 1,
+    text: redacted.texts[index],
+    sentimentLabel: item.sentimentLabel,
+    category: item.category
+  }));
+  const byNumber = new Map(entries.map(entry => [entry.number, entry]));
+
+  const chunkSize = getSummaryChunkSize(entries.length, provider);
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += chunkSize) {
+    chunks.push(entries.slice(i, i + chunkSize));
+  }
+
+  try {
+    let summaries = [];
+    for (const chunk of chunks) {
+      await waitForRequestSlot(provider);
+      summaries.push(await summarizeFeedbackChunk(provider, chunk));
+    }
+
+    while (summaries.length > 1) {
+      const combined = [];
+      for (let i = 0; i < summaries.length; i += SUMMARY_CONFIG.reduceFanIn) {
+        const group = summaries.slice(i, i + SUMMARY_CONFIG.reduceFanIn);
+        if (group.length === 1) {
+          combined.push(group[0]);
+          continue;
+        }
+        await waitForRequestSlot(provider);
+        combined.push(await combineFeedbackSummaries(provider, group, byNumber));
+      }
+      summaries = combined;
+    }
+
+    const [summary] = summaries;
+    return {
+      ...summary,
+      themes: summary.themes.map(theme => ({ ...theme, quotes: theme.quotes.map(number => items[number - 1].id) })),
+      method: chunks.length > 1 ? 'ai_map_reduce' : 'ai',
+      provider: provider.name,
+      chunks: chunks.length,
+      generatedAt
+    };
+  } catch (error) {
+    console.error(`${provider.name} AI feedback summarization failed:`, error);
+    return { ...generateExtractiveSummary(items, error.message), chunks: chunks.length, generatedAt };
+  }
+}
+
 /**
  * Prepare analytics data for AI analysis
  * @param {Object} analyticsData - Raw analytics data
@@ -1239,11 +1620,13 @@ export function getUsageStats() {
   const now = Date.now();
   const oneMinuteAgo = now - 60000;
   const recentRequests = RATE_LIMIT.requests.filter(time => time > oneMinuteAgo);
+  const provider = getDefaultAIProvider();
   
   return {
     requestsInLastMinute: recentRequests.length,
     remainingRequests: Math.max(0, RATE_LIMIT.maxRequestsPerMinute - recentRequests.length),
-    isGeminiAvailable: !!genAI
+    isGeminiAvailable: provider.name === 'gemini' && provider.isAvailable(),
+    provider: provider.name
   };
 }
 
@@ -1252,16 +1635,22 @@ export function getUsageStats() {
  * @returns {Object} Service health information
  */
 export function getAIServiceHealth() {
+  const localModel = getLocalClassifierStatus();
+  const provider = getDefaultAIProvider();
+  const isAvailable = provider.isAvailable();
+
   return {
-    isInitialized: !!genAI,
+    isInitialized: isAvailable,
     apiKeyConfigured: !!(process.env.GOOGLE_GEMINI_API_KEY && process.env.GOOGLE_GEMINI_API_KEY !== 'your_gemini_api_key_here'),
+    provider: provider.describe(),
     rateLimitStatus: getUsageStats(),
     lastError: null, // Could be enhanced to track last error
+    localModel,
     capabilities: {
-      categorization: !!genAI,
-      businessInsights: !!genAI,
-      predictiveAnalysis: !!genAI,
-      recommendations: !!genAI
+      categorization: isAvailable || localModel.enabled,
+      businessInsights: isAvailable,
+      predictiveAnalysis: isAvailable,
+      recommendations: isAvailable
     }
   };
 }
@@ -0,0 +1,146 @@
+/**
+ * Language detection for feedback
+ * Dependency-free so it runs on the server and in the browser (CSV import): non-Latin scripts are
+ * recognized by their Unicode script, Latin-script languages by counting common function words.
+ * Also holds the per-project language settings (Project.settings.language).
+ */
+
+export const UNKNOWN_LANGUAGE = 'und'
+
+export const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'de', name: 'German' },
+  { code: 'fr', name: 'French' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'it', name: 'Italian' },
+  { code: 'nl', name: 'Dutch' },
+  { code: 'ru', name: 'Russian' },
+  { code: 'el', name: 'Greek' },
+  { code: 'ar', name: 'Arabic' },
+  { code: 'he', name: 'Hebrew' },
+  { code: 'hi', name: 'Hindi' },
+  { code: 'zh', name: 'Chinese' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'ko', name: 'Korean' }
+]
+
+export const DEFAULT_LANGUAGE_SETTINGS = {
+  workingLanguage: 'en',
+  translate: false
+}
+
+// Scripts used by a single language in our supported set. Han is shared by Chinese and
+// Japanese, so kana decides between the two.
+const SCRIPTS = [
+  { language: 'ru', pattern: /\p{Script=Cyrillic}/gu },
+  { language: 'el', pattern: /\p{Script=Greek}/gu },
+  { language: 'ar', pattern: /\p{Script=Arabic}/gu },
+  { language: 'he', pattern: /\p{Script=Hebrew}/gu },
+  { language: 'hi', pattern: /\p{Script=Devanagari}/gu },
+  { language: 'ko', pattern: /\p{Script=Hangul}/gu },
+  { language: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+  { language: 'zh', pattern: /\p{Script=Han}/gu }
+]
+
+// Frequent function words; overlaps between languages are settled by the counts
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'was', 'it', 'this', 'that', 'with', 'for', 'not', 'you', 'very', 'but', 'have', 'of', 'to', 'my', 'i', 'in', "it's", "don't", "can't"],
+  es: ['el', 'la', 'los', 'las', 'es', 'muy', 'pero', 'con', 'para', 'por', 'que', 'una', 'del', 'mi', 'no', 'y', 'está', 'son', 'lo', 'me', 'en', 'un', 'al', 'su'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'sehr', 'mit', 'ich', 'ein', 'eine', 'aber', 'für', 'auf', 'es', 'zu', 'mein', 'war', 'sind', 'den', 'dem', 'wir', 'auch', 'kein'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'très', 'pas', 'avec', 'pour', 'une', 'des', 'je', 'mais', 'ce', 'du', 'que', 'mon', 'sont', 'il', "c'est", 'un', 'en', 'au', 'ne'],
+  pt: ['o', 'os', 'as', 'é', 'muito', 'não', 'com', 'para', 'uma', 'mas', 'do', 'da', 'que', 'meu', 'está', 'são', 'em', 'um', 'por', 'foi', 'no', 'na'],
+  it: ['il', 'lo', 'gli', 'è', 'molto', 'non', 'con', 'per', 'una', 'ma', 'che', 'del', 'della', 'mio', 'sono', 'di', 'un', 'questo', 'ho', 'nel'],
+  nl: ['de', 'het', 'en', 'is', 'niet', 'zeer', 'heel', 'met', 'voor', 'een', 'maar', 'ik', 'van', 'mijn', 'zijn', 'op', 'dat', 'te', 'er', 'wel']
+}
+
+// Letters that only (or mostly) appear in one of the Latin-script languages
+const DIACRITIC_HINTS = [
+  { language: 'es', pattern: /[ñ¿¡]/g },
+  { language: 'de', pattern: /[ßäöü]/g },
+  { language: 'fr', pattern: /[çœêèëîû]/g },
+  { language: 'pt', pattern: /[ãõ]/g }
+]
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+)
+
+const round = value => Math.round(value * 100) / 100
+
+/**
+ * Split a text into lowercase words in any script
+ * @param {string} text - Text
+ * @returns {string[]} Words
+ */
+export function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu) || []
+}
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Feedback text
+ * @returns {Object} { language (ISO 639-1 code, 'und' when unknown), confidence (0-1), method ('script' | 'stopwords' | null) }
+ */
+export function detectLanguage(text) {
+  const letters = (text || '').match(/\p{L}/gu) || []
+  if (letters.length === 0) {
+    return { language: UNKNOWN_LANGUAGE, confidence: 0, method: null }
+  }
+
+  // Non-Latin scripts identify the language on their own
+  for (const { language, pattern } of SCRIPTS) {
+    const count = (text.match(pattern) || []).length
+    if (count / letters.length >= 0.3 || (language === 'ja' && count > 0)) {
+      return { language, confidence: round(Math.min(0.5 + count / letters.length, 0.99)), method: 'script' }
+    }
+  }
+
+  const words = tokenize(text)
+  const lowerText = text.toLowerCase()
+  const scores = {}
+
+  Object.entries(STOPWORD_SETS).forEach(([language, stopwords]) => {
+    scores[language] = words.filter(word => stopwords.has(word)).length
+  })
+  DIACRITIC_HINTS.forEach(({ language, pattern }) => {
+    scores[language] += (lowerText.match(pattern) || []).length
+  })
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1])
+  const [bestLanguage, bestScore] = ranked[0]
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0)
+
+  if (bestScore === 0 || bestScore === ranked[1][1]) {
+    return { language: UNKNOWN_LANGUAGE, confidence: 0, method: null }
+  }
+
+  // Share of the evidence, discounted while there is little of it
+  const confidence = (bestScore / total) * Math.min(1, bestScore / 3)
+  return { language: bestLanguage, confidence: round(Math.min(confidence, 0.99)), method: 'stopwords' }
+}
+
+/**
+ * Display name of a language code
+ * @param {string} code - Language code
+ * @returns {string} Name (e.g. 'Spanish'), 'Unknown' for 'und', or the code itself
+ */
+export function getLanguageName(code) {
+  if (!code || code === UNKNOWN_LANGUAGE) return 'Unknown'
+  return LANGUAGES.find(language => language.code === code)?.name || code
+}
+
+/**
+ * Language settings of a project
+ * @param {Object|null} project - Project record
+ * @returns {Object} { workingLanguage, translate }
+ */
+export function getProjectLanguageSettings(project) {
+  const settings = project?.settings?.language || {}
+  return {
+    workingLanguage: LANGUAGES.some(language => language.code === settings.workingLanguage)
+      ? settings.workingLanguage
+      : DEFAULT_LANGUAGE_SETTINGS.workingLanguage,
+    translate: settings.translate === true
+  }
+}
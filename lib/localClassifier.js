@@ -0,0 +1,385 @@
+/**
+ * Local categorization model powered by @xenova/transformers
+ * Runs on CPU without any external API so air-gapped installs and Gemini quota outages
+ * still get real classifications instead of the keyword fallback
+ */
+
+// Local model configuration
+export const LOCAL_MODEL_CONFIG = {
+  // 'embedding' compares feedback and category embeddings, 'zero-shot' runs an NLI classifier
+  strategy: process.env.LOCAL_AI_STRATEGY || 'embedding',
+  embeddingModel: process.env.LOCAL_AI_EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2',
+  zeroShotModel: process.env.LOCAL_AI_ZERO_SHOT_MODEL || 'Xenova/mobilebert-uncased-mnli',
+
+  // Directory with pre-downloaded models (required for air-gapped installs)
+  modelPath: process.env.LOCAL_AI_MODEL_PATH || null,
+  allowRemoteModels: process.env.LOCAL_AI_ALLOW_REMOTE_MODELS !== 'false',
+
+  // How long a request waits for a model that is still loading; a download goes on in the background
+  loadWaitMs: Number(process.env.LOCAL_AI_LOAD_WAIT_MS) || 5000,
+
+  // Wait before loading a model again after it failed, doubled after every further failure
+  retryDelayMs: 60 * 1000,
+  maxRetryDelayMs: 60 * 60 * 1000,
+
+  // Softmax temperature applied to cosine similarities (lower = sharper distribution)
+  similarityTemperature: 0.05,
+
+  // Local results never claim more certainty than this
+  maxConfidence: 0.9,
+
+  zeroShotHypothesis: 'This customer feedback is about {}.',
+
+  // Translation models per language pair, {source} and {target} are replaced by language codes
+  translationModel: process.env.LOCAL_AI_TRANSLATION_MODEL || 'Xenova/opus-mt-{source}-{target}'
+};
+
+// Loaded pipelines, keyed by task + model
+const pipelineCache = new Map();
+
+// Category embeddings, keyed by the text used to describe the category
+const categoryEmbeddingCache = new Map();
+
+// Failed loads, keyed by task + model: { message, failures, retryAt, disablesClassifier }
+const loadFailures = new Map();
+
+/**
+ * Failed load that currently switches off the local classifier, if any
+ */
+function getDisablingFailure(now = Date.now()) {
+  return [...loadFailures.values()].find(failure => failure.disablesClassifier && now < failure.retryAt) || null;
+}
+
+/**
+ * Check whether the local classifier can be used in this environment
+ * A model that failed to load switches it off until its retry time (see LOCAL_MODEL_CONFIG.retryDelayMs).
+ * @returns {boolean} True when enabled and running server-side
+ */
+export function isLocalClassifierEnabled() {
+  if (typeof window !== 'undefined') {
+    return false; // Models are only loaded on the server
+  }
+  return process.env.LOCAL_AI_ENABLED !== 'false' && !getDisablingFailure();
+}
+
+/**
+ * Remember a failed load and when to try again
+ */
+function recordLoadFailure(cacheKey, error, disablesClassifier) {
+  const failures = (loadFailures.get(cacheKey)?.failures || 0) + 1;
+  const delay = Math.min(LOCAL_MODEL_CONFIG.retryDelayMs * 2 ** (failures - 1), LOCAL_MODEL_CONFIG.maxRetryDelayMs);
+  loadFailures.set(cacheKey, { message: error.message, failures, retryAt: Date.now() + delay, disablesClassifier });
+  console.warn(`⚠️ Retrying ${cacheKey} in ${Math.round(delay / 1000)}s`);
+}
+
+/**
+ * Lazily load a transformers.js pipeline
+ * Requests wait at most LOCAL_MODEL_CONFIG.loadWaitMs; a model still loading (e.g. downloading) after that
+ * is ready for later requests. Failed loads are retried after a backoff.
+ * @param {string} task - Pipeline task ('feature-extraction', 'zero-shot-classification' or 'translation')
+ * @param {string} model - Model identifier
+ * @param {Object} options - { disableOnError } - whether a load failure disables the local classifier
+ * @returns {Promise<Function|null>} Pipeline function, or null if it could not be loaded (yet)
+ */
+async function loadPipeline(task, model, { disableOnError = true } = {}) {
+  const cacheKey = `${task}:${model}`;
+
+  if (Date.now() < (loadFailures.get(cacheKey)?.retryAt || 0)) {
+    return null;
+  }
+
+  if (!pipelineCache.has(cacheKey)) {
+    pipelineCache.set(cacheKey, (async () => {
+      const { pipeline, env } = await import('@xenova/transformers');
+
+      if (LOCAL_MODEL_CONFIG.modelPath) {
+        env.localModelPath = LOCAL_MODEL_CONFIG.modelPath;
+      }
+      env.allowRemoteModels = LOCAL_MODEL_CONFIG.allowRemoteModels;
+
+      console.log(`🧠 Loading local ${task} model: ${model}`);
+      const loaded = await pipeline(task, model, { quantized: true });
+      console.log(`✅ Local model ready: ${model}`);
+      loadFailures.delete(cacheKey);
+      return loaded;
+    })().catch(error => {
+      console.error(`❌ Failed to load local model ${model}:`, error);
+      pipelineCache.delete(cacheKey);
+      recordLoadFailure(cacheKey, error, disableOnError);
+      return null;
+    }));
+  }
+
+  let timer;
+  const stillLoading = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), LOCAL_MODEL_CONFIG.loadWaitMs);
+  });
+  const loaded = await Promise.race([pipelineCache.get(cacheKey), stillLoading]);
+  clearTimeout(timer);
+
+  if (!loaded && pipelineCache.has(cacheKey)) {
+    console.log(`⏳ Local model ${model} is still loading, not waiting for it`);
+  }
+  return loaded;
+}
+
+/**
+ * Build the text used to represent a category for the local model
+ * @param {Object} category - Category with name, description and keywords
+ * @returns {string} Category description text
+ */
+function describeCategory(category) {
+  const parts = [category.name || category.id];
+  if (category.description) {
+    parts.push(category.description);
+  }
+  if (category.keywords) {
+    parts.push(`Keywords: ${category.keywords}`);
+  }
+  return parts.join('. ');
+}
+
+/**
+ * Embed a list of texts with the configured embedding model
+ * @param {Function} extractor - Feature extraction pipeline
+ * @param {string[]} texts - Texts to embed
+ * @returns {Promise<number[][]>} Normalized embedding vectors
+ */
+async function embedTexts(extractor, texts) {
+  const output = await extractor(texts, { pooling: 'mean', normalize: true });
+  return output.tolist();
+}
+
+/**
+ * Get (cached) embeddings for the active categories
+ * @param {Function} extractor - Feature extraction pipeline
+ * @param {Array} categories - Active categories
+ * @returns {Promise<number[][]>} One embedding per category
+ */
+async function getCategoryEmbeddings(extractor, categories) {
+  const descriptions = categories.map(describeCategory);
+  const missing = descriptions.filter(text => !categoryEmbeddingCache.has(text));
+
+  if (missing.length > 0) {
+    const vectors = await embedTexts(extractor, missing);
+    missing.forEach((text, index) => categoryEmbeddingCache.set(text, vectors[index]));
+  }
+
+  return descriptions.map(text => categoryEmbeddingCache.get(text));
+}
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function softmax(values, temperature) {
+  const max = Math.max(...values);
+  const exps = values.map(value => Math.exp((value - max) / temperature));
+  const total = exps.reduce((sum, value) => sum + value, 0);
+  return exps.map(value => value / total);
+}
+
+/**
+ * Turn per-category scores into the standard categorization result shape
+ * @param {Array} categories - Active categories
+ * @param {number[]} probabilities - Probability per category
+ * @param {Object} details - Extra details for the reasoning text
+ * @returns {Object} Categorization result
+ */
+function buildResult(categories, probabilities, { method, model, rawScores }) {
+  const ranked = probabilities
+    .map((probability, index) => ({ index, probability }))
+    .sort((a, b) => b.probability - a.probability);
+
+  const best = ranked[0];
+  const runnerUp = ranked[1];
+  const bestCategory = categories[best.index];
+
+  const scoreLabel = method === 'local_embedding' ? 'similarity' : 'score';
+  let reasoning = `Local model classification (${model}). Closest match: ${bestCategory.name || bestCategory.id} (${scoreLabel} ${rawScores[best.index].toFixed(2)})`;
+  if (runnerUp) {
+    const runnerUpCategory = categories[runnerUp.index];
+    reasoning += `, runner-up: ${runnerUpCategory.name || runnerUpCategory.id} (${scoreLabel} ${rawScores[runnerUp.index].toFixed(2)})`;
+  }
+
+  const confidence = Math.min(best.probability, LOCAL_MODEL_CONFIG.maxConfidence);
+
+  return {
+    category: bestCategory.id,
+    confidence: Math.round(confidence * 100) / 100,
+    reasoning,
+    keyIndicators: [],
+    method,
+    model,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Classify feedback texts by embedding similarity to the category descriptions
+ * @param {string[]} texts - Feedback texts
+ * @param {Array} categories - Active categories
+ * @returns {Promise<Object[]|null>} Results, or null if the model is unavailable
+ */
+async function classifyByEmbedding(texts, categories) {
+  const model = LOCAL_MODEL_CONFIG.embeddingModel;
+  const extractor = await loadPipeline('feature-extraction', model);
+  if (!extractor) return null;
+
+  const categoryVectors = await getCategoryEmbeddings(extractor, categories);
+  const textVectors = await embedTexts(extractor, texts);
+
+  return textVectors.map(vector => {
+    const similarities = categoryVectors.map(categoryVector => dotProduct(vector, categoryVector));
+    const probabilities = softmax(similarities, LOCAL_MODEL_CONFIG.similarityTemperature);
+    return buildResult(categories, probabilities, {
+      method: 'local_embedding',
+      model,
+      rawScores: similarities
+    });
+  });
+}
+
+/**
+ * Classify feedback texts with a zero-shot NLI model
+ * @param {string[]} texts - Feedback texts
+ * @param {Array} categories - Active categories
+ * @returns {Promise<Object[]|null>} Results, or null if the model is unavailable
+ */
+async function classifyByZeroShot(texts, categories) {
+  const model = LOCAL_MODEL_CONFIG.zeroShotModel;
+  const classifier = await loadPipeline('zero-shot-classification', model);
+  if (!classifier) return null;
+
+  const labels = categories.map(describeCategory);
+  const results = [];
+
+  for (const text of texts) {
+    const output = await classifier(text, labels, {
+      hypothesis_template: LOCAL_MODEL_CONFIG.zeroShotHypothesis,
+      multi_label: false
+    });
+
+    // Output labels are sorted by score, map them back to category order
+    const scores = labels.map(label => output.scores[output.labels.indexOf(label)] || 0);
+    results.push(buildResult(categories, scores, {
+      method: 'local_zero_shot',
+      model,
+      rawScores: scores
+    }));
+  }
+
+  return results;
+}
+
+/**
+ * Embed feedback texts with the local embedding model
+ * @param {string[]} texts - Feedback texts
+ * @returns {Promise<Object|null>} { vectors: number[][] (normalized), model }, or null if the local model is unavailable
+ */
+export async function embedWithLocalModel(texts) {
+  if (!isLocalClassifierEnabled()) {
+    return null;
+  }
+
+  const model = LOCAL_MODEL_CONFIG.embeddingModel;
+  const extractor = await loadPipeline('feature-extraction', model);
+  if (!extractor) return null;
+
+  try {
+    return { vectors: await embedTexts(extractor, texts), model };
+  } catch (error) {
+    console.error('Local model embedding failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Classify multiple feedback texts with the local model
+ * @param {string[]} texts - Feedback texts
+ * @param {Array} categories - Active categories ({id, name, description, keywords})
+ * @returns {Promise<Object[]|null>} Results in input order, or null if the local model is unavailable
+ */
+export async function batchClassifyWithLocalModel(texts, categories) {
+  if (!isLocalClassifierEnabled() || !Array.isArray(categories) || categories.length === 0) {
+    return null;
+  }
+
+  try {
+    return LOCAL_MODEL_CONFIG.strategy === 'zero-shot'
+      ? await classifyByZeroShot(texts, categories)
+      : await classifyByEmbedding(texts, categories);
+  } catch (error) {
+    console.error('Local model classification failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Classify a single feedback text with the local model
+ * @param {string} text - Feedback text
+ * @param {Array} categories - Active categories ({id, name, description, keywords})
+ * @returns {Promise<Object|null>} Result with category, confidence and reasoning, or null if unavailable
+ */
+export async function classifyWithLocalModel(text, categories) {
+  const results = await batchClassifyWithLocalModel([text], categories);
+  return results ? results[0] : null;
+}
+
+/**
+ * Translate texts with a local translation model
+ * @param {string[]} texts - Texts in the source language
+ * @param {string} sourceLanguage - Language code of the texts
+ * @param {string} targetLanguage - Language code to translate to
+ * @returns {Promise<Object|null>} { translations, model }, or null if no model is available for the language pair
+ */
+export async function translateWithLocalModel(texts, sourceLanguage, targetLanguage) {
+  if (!isLocalClassifierEnabled()) {
+    return null;
+  }
+
+  const model = LOCAL_MODEL_CONFIG.translationModel
+    .replace('{source}', sourceLanguage)
+    .replace('{target}', targetLanguage);
+
+  try {
+    // Not every language pair has a model, which must not switch off local classification
+    const translator = await loadPipeline('translation', model, { disableOnError: false });
+    if (!translator) {
+      return null;
+    }
+
+    const translations = [];
+    for (const text of texts) {
+      const [output] = await translator(text);
+      translations.push(output.translation_text);
+    }
+    return { translations, model };
+  } catch (error) {
+    console.error(`Local translation ${sourceLanguage} → ${targetLanguage} failed:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get local classifier status for health reporting
+ * @returns {Object} Status information
+ */
+export function getLocalClassifierStatus() {
+  const failure = getDisablingFailure();
+  return {
+    enabled: isLocalClassifierEnabled(),
+    strategy: LOCAL_MODEL_CONFIG.strategy,
+    model: LOCAL_MODEL_CONFIG.strategy === 'zero-shot'
+      ? LOCAL_MODEL_CONFIG.zeroShotModel
+      : LOCAL_MODEL_CONFIG.embeddingModel,
+    loadedModels: Array.from(pipelineCache.keys()),
+    offlineOnly: !LOCAL_MODEL_CONFIG.allowRemoteModels,
+    lastError: failure?.message || null,
+    retryAt: failure ? new Date(failure.retryAt).toISOString() : null
+  };
+}
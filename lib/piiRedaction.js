@@ -0,0 +1,238 @@
+/**
+ * PII redaction for AI requests
+ * Feedback often contains emails, phone numbers or card fragments pasted into support tickets.
+ * When a project enables redaction (Project.settings.piiRedaction) these are replaced by placeholders
+ * like [EMAIL] in every text sent to an AI provider. The text stored in the database is never changed.
+ */
+
+import { validateUserRegex, replaceUserRegex, REGEX_LIMITS } from './safeRegex.js'
+
+export const PII_ENTITY_TYPES = [
+  { value: 'email', label: 'Email addresses', placeholder: '[EMAIL]' },
+  { value: 'credit_card', label: 'Credit card numbers', placeholder: '[CARD]' },
+  { value: 'iban', label: 'IBANs', placeholder: '[IBAN]' },
+  { value: 'phone', label: 'Phone numbers', placeholder: '[PHONE]' },
+  { value: 'address', label: 'Street addresses', placeholder: '[ADDRESS]' }
+]
+
+export const DEFAULT_PII_SETTINGS = {
+  enabled: false,
+  entities: PII_ENTITY_TYPES.map(type => type.value),
+  customPatterns: []
+}
+
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Square|Sq|Straße|Strasse|Weg|Rue'
+
+// Order matters: card numbers and IBANs are masked before phone numbers can match their digits
+const ENTITY_PATTERNS = {
+  email: [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi],
+  credit_card: [
+    // Full numbers are checked with the Luhn algorithm in isValidCardNumber
+    /\b\d(?:[ -]?\d){12,18}\b/g,
+    // Fragments such as "card ending in 4242" or "visa **** 4242"
+    /\b(?:card|visa|mastercard|amex|debit|credit)\b[\w\s*#:.-]{0,20}?(?:\*{2,}[\s-]?)?\d{4}\b/gi
+  ],
+  iban: [/\b[A-Z]{2}\d{2}(?:[ ]?[A-Z0-9]{4}){2,7}(?:[ ]?[A-Z0-9]{1,3})?\b/g],
+  phone: [/(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,4}\b|\+\d{8,15}\b/g],
+  address: [new RegExp(`\\b\\d{1,5}[A-Za-z]?\\s+(?:[A-Z][\\p{L}'-]+\\s+){1,3}(?:${STREET_SUFFIXES})\\b\\.?`, 'gu')]
+}
+
+const VALIDATORS = {
+  credit_card: (match) => {
+    if (/[a-z]/i.test(match)) return true // fragment pattern
+    return isValidCardNumber(match)
+  },
+  iban: isValidIban,
+  phone: (match) => {
+    // Dates have enough digits to look like a phone number
+    if (/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$|^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/.test(match)) return false
+    const digits = match.replace(/\D/g, '')
+    return digits.length >= 8 && digits.length <= 15
+  }
+}
+
+/**
+ * Luhn checksum of a card number
+ */
+function isValidCardNumber(value) {
+  const digits = value.replace(/\D/g, '')
+  if (digits.length < 13 || digits.length > 19) return false
+
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10)
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+/**
+ * ISO 13616 mod-97 checksum of an IBAN
+ */
+function isValidIban(value) {
+  const iban = value.replace(/\s/g, '').toUpperCase()
+  if (iban.length < 15 || iban.length > 34) return false
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4)
+  let remainder = 0
+  for (const char of rearranged) {
+    const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55)
+    for (const digit of code) {
+      remainder = (remainder * 10 + parseInt(digit, 10)) % 97
+    }
+  }
+  return remainder === 1
+}
+
+/**
+ * Redaction settings of a project
+ * @param {Object|null} project - Project record
+ * @returns {Object|null} { enabled, entities, customPatterns } or null when redaction is off
+ */
+export function getProjectRedactionSettings(project) {
+  const settings = project?.settings?.piiRedaction
+  if (!settings?.enabled) return null
+
+  return {
+    enabled: true,
+    entities: Array.isArray(settings.entities) ? settings.entities : DEFAULT_PII_SETTINGS.entities,
+    customPatterns: Array.isArray(settings.customPatterns) ? settings.customPatterns : []
+  }
+}
+
+/**
+ * Check a custom pattern ({ name, pattern })
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCustomPattern(customPattern) {
+  if (!customPattern.name || !customPattern.name.trim()) return 'Pattern name is required'
+  if (!customPattern.pattern) return 'Pattern is required'
+  return validateUserRegex(customPattern.pattern)
+}
+
+/**
+ * Split a text into parts of at most `size` characters, cut after whitespace where possible
+ * Custom patterns run on one part at a time, each run under the time limit of lib/safeRegex.js.
+ */
+function splitText(text, size) {
+  const parts = []
+  let start = 0
+
+  while (text.length - start > size) {
+    const lastSpace = text.slice(start, start + size).search(/\s\S*$/)
+    const end = start + (lastSpace > 0 ? lastSpace + 1 : size)
+    parts.push(text.slice(start, end))
+    start = end
+  }
+
+  parts.push(text.slice(start))
+  return parts
+}
+
+/**
+ * Replace PII in a text with placeholders
+ * @param {string} text - Text about to be sent to an AI provider
+ * @param {Object|null} settings - Redaction settings (getProjectRedactionSettings), null leaves the text as is
+ * @returns {Object} { text, counts: { [entityType]: number }, total }
+ */
+export function redactText(text, settings) {
+  if (!settings?.enabled || !text) {
+    return { text, counts: {}, total: 0 }
+  }
+
+  const counts = {}
+  let redacted = text
+
+  const mask = (type, pattern, placeholder, validate) => {
+    redacted = redacted.replace(pattern, (match) => {
+      if (validate && !validate(match)) return match
+      counts[type] = (counts[type] || 0) + 1
+      return placeholder
+    })
+  }
+
+  const countMatch = (type, placeholder) => {
+    counts[type] = (counts[type] || 0) + 1
+    return placeholder
+  }
+
+  // A part the pattern can't finish on in time may contain the PII, so none of it is sent
+  const maskCustom = (type, pattern, placeholder) => {
+    redacted = splitText(redacted, REGEX_LIMITS.maxTextLength)
+      .map(part => {
+        try {
+          return replaceUserRegex(pattern, part, () => countMatch(type, placeholder))
+        } catch (error) {
+          if (error.code !== 'REGEX_TIMEOUT') throw error
+          return countMatch(type, placeholder)
+        }
+      })
+      .join('')
+  }
+
+  // Custom patterns first so project-specific identifiers (e.g. account IDs) win over the built-in ones
+  settings.customPatterns.forEach(customPattern => {
+    const patternError = validateCustomPattern(customPattern)
+    if (patternError) {
+      console.warn(`⚠️ Skipping custom PII pattern "${customPattern.name}": ${patternError}`)
+      return
+    }
+    const name = customPattern.name.trim()
+    const placeholder = `[${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}]`
+    maskCustom(name, new RegExp(customPattern.pattern, 'g'), placeholder)
+  })
+
+  PII_ENTITY_TYPES
+    .filter(type => settings.entities.includes(type.value))
+    .forEach(type => {
+      ENTITY_PATTERNS[type.value].forEach(pattern => {
+        mask(type.value, pattern, type.placeholder, VALIDATORS[type.value])
+      })
+    })
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0)
+  return { text: redacted, counts, total }
+}
+
+/**
+ * Redact several texts and add up what was masked
+ * @param {string[]} texts - Texts
+ * @param {Object|null} settings - Redaction settings
+ * @returns {Object} { texts, items: per-text results, counts, total }
+ */
+export function redactTexts(texts, settings) {
+  const items = texts.map(text => redactText(text, settings))
+  return {
+    texts: items.map(item => item.text),
+    items,
+    counts: mergeRedactionCounts(items.map(item => item.counts)),
+    total: items.reduce((sum, item) => sum + item.total, 0)
+  }
+}
+
+/**
+ * Add up redaction counts
+ * @param {Object[]} countsList - Count objects ({ email: 2, ... })
+ * @returns {Object} Summed counts
+ */
+export function mergeRedactionCounts(countsList) {
+  return countsList.reduce((merged, counts) => {
+    Object.entries(counts || {}).forEach(([type, count]) => {
+      merged[type] = (merged[type] || 0) + count
+    })
+    return merged
+  }, {})
+}
+
+/**
+ * Human readable summary of redaction counts (e.g. "2 email, 1 phone")
+ */
+export function formatRedactionCounts(counts) {
+  return Object.entries(counts || {})
+    .map(([type, count]) => `${count} ${type.replace(/_/g, ' ')}`)
+    .join(', ')
+}
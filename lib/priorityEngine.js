@@ -0,0 +1,204 @@
+/**
+ * Priority engine
+ * Scores feedback from 0 to 100 out of six factors - sentiment, urgency, category, source, customer
+ * value and recurrence of similar issues - and maps the score to high / medium / low. Every factor
+ * reports the points it added or removed and why, so a priority can always be explained.
+ * Configured per project in Project.settings.priority; shared by the server and the settings preview.
+ */
+
+export const PRIORITY_FACTORS = [
+  { value: 'sentiment', label: 'Sentiment' },
+  { value: 'urgency', label: 'Urgency' },
+  { value: 'category', label: 'Category' },
+  { value: 'source', label: 'Source' },
+  { value: 'customerValue', label: 'Customer value' },
+  { value: 'recurrence', label: 'Recurring issue' }
+]
+
+// Score of feedback no factor says anything about - a plain medium
+const BASE_SCORE = 40
+
+// Points at full strength, before the project's factor weights
+const MAX_POINTS = {
+  negativeSentiment: 25,
+  positiveSentiment: 10,
+  urgency: 40,
+  customerValue: 20,
+  recurrence: 20
+}
+
+// Similar reports needed for the full recurrence points
+const RECURRENCE_SATURATION = 10
+
+export const DEFAULT_PRIORITY_SETTINGS = {
+  enabled: true,
+  factorWeights: Object.fromEntries(PRIORITY_FACTORS.map(factor => [factor.value, 1])),
+  categoryPoints: { bug_report: 10, refund_request: 10, shipping_complaint: 5, compliment: -10 },
+  sourcePoints: { phone: 15, email: 5, chat: 5, social: 5, survey: -5 },
+  highValueCustomer: 10000,
+  recurrenceWindowDays: 14,
+  thresholds: { high: 65, low: 35 }
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+const toNumber = (value, fallback = null) => {
+  const number = value === null || value === undefined || value === '' ? NaN : Number(value)
+  return Number.isFinite(number) ? number : fallback
+}
+
+const toPointsMap = (value, fallback) =>
+  value && typeof value === 'object'
+    ? Object.fromEntries(
+      Object.entries(value)
+        .map(([key, points]) => [key, clamp(toNumber(points, 0), -50, 50)])
+        .filter(([key]) => key)
+    )
+    : fallback
+
+/**
+ * Priority settings of a project, defaults filled in
+ * @param {Object|null} project - Project record
+ * @returns {Object} Settings (see DEFAULT_PRIORITY_SETTINGS)
+ */
+export function getProjectPrioritySettings(project) {
+  const settings = project?.settings?.priority || {}
+  const high = clamp(toNumber(settings.thresholds?.high, DEFAULT_PRIORITY_SETTINGS.thresholds.high), 1, 100)
+
+  return {
+    enabled: settings.enabled !== false,
+    factorWeights: Object.fromEntries(PRIORITY_FACTORS.map(({ value }) => [
+      value,
+      clamp(toNumber(settings.factorWeights?.[value], DEFAULT_PRIORITY_SETTINGS.factorWeights[value]), 0, 2)
+    ])),
+    categoryPoints: toPointsMap(settings.categoryPoints, DEFAULT_PRIORITY_SETTINGS.categoryPoints),
+    sourcePoints: toPointsMap(settings.sourcePoints, DEFAULT_PRIORITY_SETTINGS.sourcePoints),
+    highValueCustomer: Math.max(1, toNumber(settings.highValueCustomer, DEFAULT_PRIORITY_SETTINGS.highValueCustomer)),
+    recurrenceWindowDays: clamp(Math.round(toNumber(settings.recurrenceWindowDays, DEFAULT_PRIORITY_SETTINGS.recurrenceWindowDays)), 1, 90),
+    thresholds: {
+      high,
+      low: clamp(toNumber(settings.thresholds?.low, DEFAULT_PRIORITY_SETTINGS.thresholds.low), 0, high - 1)
+    }
+  }
+}
+
+/**
+ * Customer value from user input ("12,500", "$800", 40)
+ * @param {*} value - Raw value
+ * @returns {number|null} Non-negative value rounded to cents, null when missing or not a number
+ */
+export function parseCustomerValue(value) {
+  const number = toNumber(typeof value === 'string' ? value.replace(/[^\d.-]/g, '') : value)
+  return number === null || number < 0 ? null : Math.round(number * 100) / 100
+}
+
+/**
+ * Topics that identify an issue ('general' says nothing about it)
+ */
+const issueTopics = feedback => (Array.isArray(feedback.topics) ? feedback.topics : []).filter(topic => topic && topic !== 'general')
+
+/**
+ * Count other feedback about the same issue: same category, a shared topic, and dated within the window
+ * @param {Object} feedback - Feedback ({ id, category, topics, feedbackDate })
+ * @param {Array} candidates - Other feedback of the project
+ * @param {number} windowDays - Days before or after the feedback date
+ * @returns {number} Similar reports
+ */
+export function countSimilarFeedback(feedback, candidates, windowDays) {
+  const topics = issueTopics(feedback)
+  const date = new Date(feedback.feedbackDate || feedback.createdAt || Date.now()).getTime()
+  const windowMs = windowDays * 24 * 60 * 60 * 1000
+
+  return candidates.filter(candidate => {
+    if (candidate === feedback || (candidate.id && candidate.id === feedback.id)) return false
+    if (candidate.category !== feedback.category) return false
+    if (Math.abs(new Date(candidate.feedbackDate || candidate.createdAt).getTime() - date) > windowMs) return false
+    // Without topics the category alone has to do
+    return topics.length === 0 || issueTopics(candidate).some(topic => topics.includes(topic))
+  }).length
+}
+
+/**
+ * Compound sentiment (-1..1) of a feedback record
+ */
+function getCompound(feedback) {
+  const compound = toNumber(feedback.aiClassificationMeta?.sentimentAnalysis?.compound)
+  if (compound !== null) return compound
+  const score = toNumber(feedback.sentimentScore)
+  return score === null ? 0 : score * 2 - 1
+}
+
+const round = value => Math.round(value * 10) / 10
+
+/**
+ * Score the priority of a feedback
+ * @param {Object} feedback - Feedback ({ sentimentLabel, sentimentScore, urgencyScore, category, source, customerValue,
+ *   aiClassificationMeta })
+ * @param {Object} settings - Priority settings (see getProjectPrioritySettings)
+ * @param {Object} context - { similarCount } similar reports (see countSimilarFeedback)
+ * @returns {Object} { priority, score (0-100), factors: [{ factor, label, points, detail }], explanation }
+ */
+export function scorePriority(feedback, settings = getProjectPrioritySettings(null), { similarCount = 0 } = {}) {
+  const factors = []
+  const add = (factor, points, detail) => {
+    const weighted = round(points * settings.factorWeights[factor])
+    if (weighted !== 0) {
+      factors.push({ factor, label: PRIORITY_FACTORS.find(f => f.value === factor).label, points: weighted, detail })
+    }
+  }
+
+  const compound = getCompound(feedback)
+  if (compound < 0) {
+    add('sentiment', -compound * MAX_POINTS.negativeSentiment, `Negative sentiment (${compound.toFixed(2)})`)
+  } else if (compound > 0) {
+    add('sentiment', -compound * MAX_POINTS.positiveSentiment, `Positive sentiment (+${compound.toFixed(2)})`)
+  }
+
+  const urgency = toNumber(feedback.urgencyScore, 0)
+  if (urgency > 0) {
+    const signals = feedback.aiClassificationMeta?.emotionAnalysis?.urgency?.signals || []
+    const reasons = signals.map(signal => signal.label.toLowerCase()).join(', ')
+    add('urgency', urgency * MAX_POINTS.urgency, `Urgency ${Math.round(urgency * 100)}%${reasons ? ` (${reasons})` : ''}`)
+  }
+
+  const categoryPoints = settings.categoryPoints[feedback.category]
+  if (categoryPoints) {
+    add('category', categoryPoints, `Category "${feedback.category}"`)
+  }
+
+  const sourcePoints = settings.sourcePoints[feedback.source]
+  if (sourcePoints) {
+    add('source', sourcePoints, `Source "${feedback.source}"`)
+  }
+
+  // Log scale: a customer worth a tenth of a high-value customer still counts for something
+  const customerValue = toNumber(feedback.customerValue, 0)
+  if (customerValue > 0) {
+    const share = Math.min(1, Math.log10(1 + customerValue) / Math.log10(1 + settings.highValueCustomer))
+    add('customerValue', share * MAX_POINTS.customerValue, `Customer value ${customerValue.toLocaleString('en-US')}`)
+  }
+
+  if (similarCount > 0) {
+    add(
+      'recurrence',
+      Math.min(similarCount, RECURRENCE_SATURATION) / RECURRENCE_SATURATION * MAX_POINTS.recurrence,
+      `${similarCount} similar report${similarCount === 1 ? '' : 's'} within ${settings.recurrenceWindowDays} days`
+    )
+  }
+
+  const score = Math.round(clamp(BASE_SCORE + factors.reduce((sum, factor) => sum + factor.points, 0), 0, 100))
+  const priority = score >= settings.thresholds.high ? 'high' : score < settings.thresholds.low ? 'low' : 'medium'
+  factors.sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+
+  return { priority, score, factors, explanation: explainPriority(priority, score, factors) }
+}
+
+/**
+ * One-line explanation of a priority, strongest factors first
+ * @returns {string} e.g. 'High (72): Urgency 60% (churn threat) (+24), Source "phone" (+15)'
+ */
+export function explainPriority(priority, score, factors) {
+  const label = `${priority.charAt(0).toUpperCase()}${priority.slice(1)} (${score})`
+  if (factors.length === 0) return `${label}: nothing raised or lowered the priority`
+  return `${label}: ${factors.map(factor => `${factor.detail} (${factor.points > 0 ? '+' : ''}${factor.points})`).join(', ')}`
+}
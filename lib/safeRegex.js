@@ -0,0 +1,265 @@
+/**
+ * User-supplied regular expressions
+ * Categorization rules and custom PII patterns are typed by users and run against every feedback text.
+ * Patterns with the usual shapes of catastrophic backtracking (ReDoS) are rejected when they are saved,
+ * but no static check catches every slow pattern, so on the server each run is also stopped after
+ * REGEX_LIMITS.timeoutMs. A pattern that ran out of time once is not run again until the next restart.
+ */
+
+import vm from 'vm'
+
+export const REGEX_LIMITS = {
+  // Longest pattern accepted
+  maxPatternLength: 200,
+
+  // Characters of a text a pattern runs against
+  maxTextLength: 10000,
+
+  // Time one match or replace may take on the server
+  timeoutMs: 100
+}
+
+// Brace quantifier at the start of a string: {2}, {2,} or {2,5}
+const BRACE_QUANTIFIER = /^\{(\d+)(,(\d*))?\}/
+
+// Group prefixes whose "?" is not a quantifier: (?: (?= (?! (?<= (?<! (?<name>
+const GROUP_PREFIX = /^\?(:|=|!|<=|<!|<[^>]*>)/
+
+// Characters that are no literal when unescaped
+const META_CHARACTERS = '.^$'
+
+// Characters tried to tell whether two neighbouring atoms can match the same character
+const SAMPLE_CHARACTERS = [
+  ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)),
+  '\t', '\n', '\u00a0', 'é', 'ß'
+]
+
+// Patterns that ran out of time, by source and flags
+const timedOutPatterns = new Set()
+
+// Context the server runs patterns in; its timeout interrupts a backtracking regex
+const sandbox = typeof window === 'undefined' ? vm.createContext({}) : null
+
+/**
+ * Create an error carrying a code, like the services do
+ */
+export function regexError(code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Quantifier at a position of a pattern
+ * @returns {Object|null} { length, repeated (can match more than once), unbounded } or null
+ */
+function readQuantifier(pattern, index) {
+  const char = pattern[index]
+  let quantifier = null
+
+  if (char === '*' || char === '+') {
+    quantifier = { length: 1, repeated: true, unbounded: true }
+  } else if (char === '?') {
+    quantifier = { length: 1, repeated: false, unbounded: false }
+  } else {
+    const brace = pattern.slice(index).match(BRACE_QUANTIFIER)
+    if (brace) {
+      const unbounded = brace[2] !== undefined && brace[3] === ''
+      const max = unbounded ? Infinity : Number(brace[3] || brace[1])
+      quantifier = { length: brace[0].length, repeated: max > 1, unbounded }
+    }
+  }
+
+  // Lazy quantifiers (*?, +?) backtrack the same way
+  if (quantifier && pattern[index + quantifier.length] === '?') quantifier.length++
+  return quantifier
+}
+
+/**
+ * Whether two single-character atoms (regex sources like "\\d", "[a-z]" or "x") can match the same character
+ * Groups have no single-character source and are assumed to overlap with everything.
+ */
+function canOverlap(first, second) {
+  if (!first || !second) return true
+  try {
+    const a = new RegExp(`^(?:${first})$`, 'i')
+    const b = new RegExp(`^(?:${second})$`, 'i')
+    return SAMPLE_CHARACTERS.some(char => a.test(char) && b.test(char))
+  } catch {
+    return true
+  }
+}
+
+/**
+ * Whether the alternatives of a group are plain literals starting with different characters,
+ * so a repetition of the group can't match the same text in two ways
+ */
+function hasDistinctLiteralBranches(group) {
+  const firsts = group.branches.map(branch => branch?.[0]?.toLowerCase())
+  return !group.nestedAlternation &&
+    firsts.every(Boolean) &&
+    new Set(firsts).size === firsts.length
+}
+
+/**
+ * Find the shapes of catastrophic backtracking in a pattern
+ * - a repeated group containing a quantifier: (a+)+, (\w?\s*)*
+ * - a repeated group whose alternatives can match the same text: (a|a)*, (\w|\d)+
+ * - unbounded repetitions of overlapping atoms next to each other: \w*\w*, \w+\d*
+ * @param {string} pattern - Valid regex source
+ * @returns {string|null} What is wrong, or null when none was found
+ */
+export function findBacktrackingRisk(pattern) {
+  // lastUnbounded: the previous atom of the group if it was repeated without limit (its source, or true for a group)
+  const newGroup = () => ({ quantified: false, nestedAlternation: false, branches: [''], lastUnbounded: null })
+  const groups = [newGroup()]
+
+  // Called after every atom (character, escape, class or group) with the position following it
+  const endAtom = (atomEnd, { literal = null, source = null, group = null } = {}) => {
+    const parent = groups[groups.length - 1]
+    const quantifier = readQuantifier(pattern, atomEnd)
+
+    if (group && quantifier?.repeated) {
+      if (group.quantified) {
+        return { error: 'Regex repeats a group that contains a repetition (like (a+)+), which can make matching hang - simplify it' }
+      }
+      if (group.branches.length > 1 || group.nestedAlternation) {
+        if (!hasDistinctLiteralBranches(group)) {
+          return { error: 'Regex repeats alternatives that can match the same text (like (a|a)*), which can make matching hang - use plain words with different first letters' }
+        }
+      }
+    }
+    if (quantifier?.unbounded && parent.lastUnbounded &&
+        canOverlap(parent.lastUnbounded === true ? null : parent.lastUnbounded, source)) {
+      return { error: 'Regex has unlimited repetitions next to each other (like \\w*\\w*), which can make matching hang - limit them, e.g. {0,50}' }
+    }
+
+    if (group) {
+      parent.quantified = parent.quantified || group.quantified
+      parent.nestedAlternation = parent.nestedAlternation || group.nestedAlternation || group.branches.length > 1
+    }
+    if (quantifier) parent.quantified = true
+    parent.lastUnbounded = quantifier?.unbounded ? (source || true) : null
+
+    const branch = parent.branches.length - 1
+    parent.branches[branch] = literal !== null && !quantifier && parent.branches[branch] !== null
+      ? parent.branches[branch] + literal
+      : null
+
+    return { next: atomEnd + (quantifier ? quantifier.length : 0) - 1 }
+  }
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    let result = null
+
+    if (char === '\\') {
+      // Escaped punctuation is a literal, letters and digits are classes, anchors or references
+      const escaped = pattern[i + 1]
+      const length = escaped === 'u' ? 6 : escaped === 'x' ? 4 : 2
+      const source = pattern.slice(i, i + length)
+      result = endAtom(i + length, { literal: /[a-z0-9]/i.test(escaped) ? null : escaped, source })
+    } else if (char === '[') {
+      // Character classes hold no quantifiers
+      let end = i + 1
+      while (end < pattern.length && pattern[end] !== ']') {
+        if (pattern[end] === '\\') end++
+        end++
+      }
+      result = endAtom(end + 1, { source: pattern.slice(i, end + 1) })
+    } else if (char === '(') {
+      groups.push(newGroup())
+      const prefix = pattern.slice(i + 1).match(GROUP_PREFIX)
+      if (prefix) i += prefix[0].length
+    } else if (char === ')') {
+      result = endAtom(i + 1, { group: groups.pop() })
+    } else if (char === '|') {
+      const group = groups[groups.length - 1]
+      group.branches.push('')
+      group.lastUnbounded = null
+    } else {
+      result = endAtom(i + 1, {
+        literal: META_CHARACTERS.includes(char) ? null : char,
+        source: char === '.' ? '.' : `\\${char}`.replace(/^\\([a-z0-9])$/i, '$1')
+      })
+    }
+
+    if (result?.error) return result.error
+    if (result) i = result.next
+  }
+
+  return null
+}
+
+/**
+ * Check a user regex before it is saved or run
+ * @param {string} pattern - Regex source
+ * @returns {string|null} Error message, or null when the pattern is valid and safe to run
+ */
+export function validateUserRegex(pattern) {
+  if (pattern.length > REGEX_LIMITS.maxPatternLength) {
+    return `Regex is too long (at most ${REGEX_LIMITS.maxPatternLength} characters)`
+  }
+
+  let regex
+  try {
+    regex = new RegExp(pattern)
+  } catch (error) {
+    return `Invalid regex: ${error.message}`
+  }
+
+  if (regex.test('')) {
+    return 'Regex matches empty text, so it would match everywhere - make it require at least one character'
+  }
+
+  return findBacktrackingRisk(pattern)
+}
+
+/**
+ * Run a regex operation, stopped after REGEX_LIMITS.timeoutMs on the server
+ * Browsers (the rule preview in the settings) run it directly - a slow pattern only blocks that tab.
+ * @param {RegExp} regex - User regex
+ * @param {Function} operation - Runs the regex and returns the result
+ * @returns {*} Result of the operation
+ * @throws {Error} code REGEX_TIMEOUT when the pattern ran, or earlier ran, out of time
+ */
+function runBounded(regex, operation) {
+  if (!sandbox) return operation()
+
+  const key = `${regex.flags}/${regex.source}`
+  if (timedOutPatterns.has(key)) {
+    throw regexError('REGEX_TIMEOUT', `Regex /${regex.source}/ ran out of time before and is skipped`)
+  }
+
+  sandbox.operation = operation
+  try {
+    return vm.runInContext('operation()', sandbox, { timeout: REGEX_LIMITS.timeoutMs })
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error
+    timedOutPatterns.add(key)
+    console.warn(`⚠️ Regex /${regex.source}/ took longer than ${REGEX_LIMITS.timeoutMs}ms and is skipped from now on`)
+    throw regexError('REGEX_TIMEOUT', `Regex /${regex.source}/ ran out of time`)
+  } finally {
+    sandbox.operation = null
+  }
+}
+
+/**
+ * First match of a user regex in the beginning (REGEX_LIMITS.maxTextLength) of a text
+ * @returns {Array|null} Match, or null when there is none or it is empty
+ * @throws {Error} code REGEX_TIMEOUT
+ */
+export function matchUserRegex(regex, text) {
+  const match = runBounded(regex, () => text.slice(0, REGEX_LIMITS.maxTextLength).match(regex))
+  return match && match[0] !== '' ? match : null
+}
+
+/**
+ * Replace the matches of a user regex (with the g flag) in a text of at most REGEX_LIMITS.maxTextLength
+ * characters; empty matches are left alone
+ * @param {Function} replacer - Called with each non-empty match, returns its replacement
+ * @throws {Error} code REGEX_TIMEOUT
+ */
+export function replaceUserRegex(regex, text, replacer) {
+  return runBounded(regex, () => text.replace(regex, match => (match === '' ? match : replacer(match))))
+}
@@ -0,0 +1,113 @@
+/**
+ * Search query grammar
+ * Simple queries match a text; advanced queries combine terms with AND (&&), OR (||) and NOT (!), and
+ * "quoted phrases" stay one term. AND binds tighter than OR: "login AND slow OR crash" means
+ * (login AND slow) OR crash. Shared by the search bar (evaluated in the browser) and the full-text
+ * search endpoint (evaluated in SQL). They read the grammar the same way but match differently: the
+ * browser looks for the text inside the content, SQL for stemmed words in content, translation and
+ * notes ("crash" finds "crashes", "log" doesn't find "login"), so results can differ.
+ */
+
+/**
+ * Parse a search query
+ * @param {string} query - Query typed in the search bar
+ * @param {string} mode - 'simple' or 'advanced'
+ * @returns {Object|null} { type: 'simple', term } or { type: 'advanced', terms: [{ term, operator, negated }] },
+ *   null for an empty query
+ */
+export function parseSearchQuery(query, mode = 'simple') {
+  if (!query || !query.trim()) return null
+
+  if (mode !== 'advanced') {
+    return {
+      type: 'simple',
+      term: query.trim(),
+      originalQuery: query
+    }
+  }
+
+  const terms = []
+  let currentTerm = ''
+  let currentOperator = 'AND'
+  let isNegated = false
+
+  const pushTerm = () => {
+    if (currentTerm) {
+      terms.push({
+        term: currentTerm.replace(/"/g, ''),
+        operator: currentOperator,
+        negated: isNegated
+      })
+      currentTerm = ''
+      isNegated = false
+    }
+  }
+
+  // Split by spaces but preserve quoted strings
+  const tokens = query.match(/(?:[^\s"]+|"[^"]*")+/g) || []
+
+  tokens.forEach(token => {
+    const keyword = token.toLowerCase()
+
+    if (keyword === 'and' || keyword === '&&') {
+      pushTerm()
+      currentOperator = 'AND'
+    } else if (keyword === 'or' || keyword === '||') {
+      pushTerm()
+      currentOperator = 'OR'
+    } else if (keyword === 'not' || keyword === '!') {
+      pushTerm()
+      isNegated = true
+    } else {
+      if (currentTerm) currentTerm += ' '
+      currentTerm += token // Use original case for the term
+    }
+  })
+
+  pushTerm()
+
+  return {
+    type: 'advanced',
+    terms: terms.filter(term => term.term.trim()),
+    originalQuery: query
+  }
+}
+
+/**
+ * Terms of an advanced query as alternatives of terms that must all match
+ * @param {Array} terms - Parsed terms ({ term, operator, negated })
+ * @returns {Array<Array>} Groups - a text matches when every term of at least one group matches
+ */
+export function groupSearchTerms(terms) {
+  const groups = []
+  terms.forEach((term, index) => {
+    if (index === 0 || term.operator === 'OR') {
+      groups.push([term])
+    } else {
+      groups[groups.length - 1].push(term)
+    }
+  })
+  return groups
+}
+
+/**
+ * Whether a text matches a parsed query (case-insensitive substring matching)
+ * @param {string} text - Feedback content
+ * @param {Object|null} parsedQuery - Result of parseSearchQuery
+ * @returns {boolean} True when it matches (always for an empty query)
+ */
+export function matchesSearchQuery(text, parsedQuery) {
+  if (!parsedQuery) return true
+
+  const content = (text || '').toLowerCase()
+
+  if (parsedQuery.type === 'simple') {
+    return content.includes(parsedQuery.term.toLowerCase())
+  }
+
+  if (parsedQuery.terms.length === 0) return true
+
+  return groupSearchTerms(parsedQuery.terms).some(group =>
+    group.every(term => content.includes(term.term.toLowerCase()) !== term.negated)
+  )
+}
@@ -0,0 +1,88 @@
+/**
+ * Semantic search
+ * Ranks feedback against a search query by meaning (cosine similarity of the query embedding and the
+ * stored feedback embeddings, see lib/embeddings.js), by keywords, or by a blend of both. Semantic
+ * matching finds "password reset email never arrives" for "can't log in"; the keyword score keeps exact
+ * matches (product names, error codes) on top.
+ */
+
+import { tokenize } from './fewShotExamples.js'
+import { cosineSimilarity } from './duplicateDetection.js'
+
+export const SEARCH_MODES = ['keyword', 'semantic', 'hybrid']
+
+export const SEARCH_CONFIG = {
+  // Share of the semantic score in hybrid ranking (the rest is the keyword score)
+  semanticWeight: 0.6,
+
+  // Similarity below which feedback is not considered related to the query (tuned for all-MiniLM-L6-v2)
+  minSemanticSimilarity: 0.35,
+
+  defaultLimit: 50,
+  maxLimit: 200
+}
+
+/**
+ * Search mode from user input, hybrid unless a valid mode is given
+ */
+export function normalizeSearchMode(mode) {
+  return SEARCH_MODES.includes(mode) ? mode : 'hybrid'
+}
+
+/**
+ * Keyword score of a text: share of the query words it contains, with a bonus for the exact phrase
+ * @param {string} text - Feedback text
+ * @param {string} query - Search query
+ * @returns {number} Score (0-1)
+ */
+export function keywordScore(text, query) {
+  const content = (text || '').toLowerCase()
+  const phrase = query.trim().toLowerCase()
+  if (!phrase) return 0
+
+  const queryTokens = [...new Set(tokenize(query))]
+  if (queryTokens.length === 0) return content.includes(phrase) ? 1 : 0
+
+  const contentTokens = new Set(tokenize(text))
+  // Prefix matches count, so "crash" finds "crashes" and "crashing"
+  const matched = queryTokens.filter(token =>
+    contentTokens.has(token) || [...contentTokens].some(word => word.startsWith(token))
+  ).length
+
+  const coverage = matched / queryTokens.length
+  return content.includes(phrase) ? Math.min(1, 0.8 + coverage * 0.2) : coverage * 0.8
+}
+
+const round = value => Math.round(value * 1000) / 1000
+
+/**
+ * Rank feedback against a query
+ * @param {Array} items - Feedback ({ id, content, translatedContent, embedding, embeddingModel })
+ * @param {Object} query - { text, vector, model } the query and its embedding (vector is null without one)
+ * @param {Object} options - { mode, limit }
+ * @returns {Array} [{ feedback, score, keywordScore, semanticScore }], best match first
+ */
+export function rankFeedback(items, query, { mode = 'hybrid', limit = SEARCH_CONFIG.defaultLimit } = {}) {
+  const { semanticWeight, minSemanticSimilarity } = SEARCH_CONFIG
+
+  return items
+    .map(item => {
+      const keyword = Math.max(
+        keywordScore(item.content, query.text),
+        item.translatedContent ? keywordScore(item.translatedContent, query.text) : 0
+      )
+      const similarity = query.vector && item.embeddingModel === query.model
+        ? Math.max(0, cosineSimilarity(query.vector, item.embedding))
+        : 0
+      const semantic = similarity >= minSemanticSimilarity ? similarity : 0
+
+      const score = mode === 'keyword' ? keyword
+        : mode === 'semantic' ? semantic
+          : semanticWeight * semantic + (1 - semanticWeight) * keyword
+
+      return { feedback: item, score: round(score), keywordScore: round(keyword), semanticScore: round(similarity) }
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+}
@@ -1,108 +1,255 @@
 // Enhanced sentiment analysis with AI-powered categorization
-// Combines traditional keyword matching with Gemini AI categorization
+// Combines rule-based lexicon sentiment with Gemini AI categorization
 
-import { categorizeFeedback, initializeGeminiAI } from './geminiAI.js';
+import { categorizeFeedback, initializeGeminiAI, translateTexts } from './geminiAI.js';
 import { BATCH_CONFIG, getBatchConfig } from './batchConfig.js';
+import { matchCategorizationRule, toRuleCategorization } from './categorizationRules.js';
+import { mergeRedactionCounts, formatRedactionCounts } from './piiRedaction.js';
+import { detectLanguage, UNKNOWN_LANGUAGE } from './languageDetection.js';
+import { getSentimentLexicon } from './sentimentLexicons.js';
+import { scoreSentiment } from './sentimentScorer.js';
+import { getCustomSentimentLexicon, getCustomTopics } from './customLexicon.js';
+import { TOPIC_KEYWORDS, getAspectDefinitions, extractAspectSentiments } from './aspectSentiment.js';
+import { getDefaultClassifierCategories } from './categories.js';
+import { detectEmotions, detectUrgency, suggestPriority } from './emotionDetection.js';
 
-const positiveWords = [
-  'amazing', 'awesome', 'excellent', 'fantastic', 'great', 'good', 'love', 'perfect',
-  'wonderful', 'best', 'outstanding', 'brilliant', 'satisfied', 'happy', 'pleased',
-  'impressed', 'recommend', 'helpful', 'fast', 'quick', 'easy', 'smooth', 'efficient'
-]
+/**
+ * Rule-based sentiment (see lib/sentimentScorer.js) in the language of the text
+ * @param {string} text - Feedback text
+ * @param {Object} options - { language } detected language code (detected here when omitted),
+ *   { translation } ({ text, language }) used when there is no lexicon for the language,
+ *   { sentimentLexicon } custom project terms (see getProjectSentimentLexicon),
+ *   { categories } classifier categories whose keywords name aspects (default categories when omitted)
+ * @returns {Promise<Object>} { score (0-1), compound (-1..1), label, confidence, topics, aspects, emotions, urgency,
+ *   language, lexiconLanguage, positiveCount, negativeCount, matches }
+ */
+export async function analyzeSentiment(text, options = {}) {
+  const language = options.language || detectLanguage(text).language
+  const translation = options.translation?.text ? options.translation : null
 
-const negativeWords = [
-  'terrible', 'awful', 'bad', 'worst', 'hate', 'horrible', 'disgusting', 'disappointing',
-  'frustrated', 'angry', 'annoyed', 'slow', 'difficult', 'hard', 'confusing', 'broken',
-  'useless', 'poor', 'expensive', 'overpriced', 'delayed', 'late', 'rude', 'unhelpful'
-]
+  // Feedback in a language without a lexicon is scored on its translation when there is one,
+  // otherwise with the English lexicon
+  let analyzedText = text
+  let lexiconLanguage = getSentimentLexicon(language) ? language : 'en'
+  if (!getSentimentLexicon(language) && translation && getSentimentLexicon(translation.language)) {
+    analyzedText = translation.text
+    lexiconLanguage = translation.language
+  }
 
-export async function analyzeSentiment(text) {
-  const words = text.toLowerCase().split(/\s+/)
-  
-  let positiveScore = 0
-  let negativeScore = 0
+  const lexicon = getCustomSentimentLexicon(options.sentimentLexicon, lexiconLanguage)
+  const result = scoreSentiment(analyzedText, { language: lexiconLanguage, lexicon })
   
-  words.forEach(word => {
-    if (positiveWords.includes(word)) {
-      positiveScore++
-    }
-    if (negativeWords.includes(word)) {
-      negativeScore++
-    }
+  // Topic keywords are English, so an English translation gives better topics than the original.
+  // Custom terms are looked up in both, they may be written in either language.
+  const englishText = translation?.language === 'en' ? translation.text : null
+  const topics = extractTopics(englishText || text, {
+    customTerms: options.sentimentLexicon,
+    customText: translation ? `${text} ${translation.text}` : text
   })
-  
-  // Calculate overall sentiment
-  const totalSentimentWords = positiveScore + negativeScore
-  let score = 0
-  let label = 'neutral'
-  
-  if (totalSentimentWords > 0) {
-    // Calculate ratio of positive vs total sentiment words
-    score = positiveScore / totalSentimentWords
-    
-    if (score >= 0.6) {
-      label = 'positive'
-    } else if (score <= 0.4) {
-      label = 'negative'
-    }
-  } else {
-    // Default neutral score
-    score = 0.5
-  }
-  
-  // Score is already normalized to 0-1 range
-  const normalizedScore = score
-  
-  // Extract basic topics/keywords
-  const topics = extractTopics(text)
+
+  // Aspects come from the same (English where possible) text, scored clause by clause
+  const aspectLanguage = englishText ? 'en' : lexiconLanguage
+  const aspectLexicon = getCustomSentimentLexicon(options.sentimentLexicon, aspectLanguage) || getSentimentLexicon(aspectLanguage)
+  const aspects = extractAspectSentiments(englishText || analyzedText, {
+    definitions: getAspectDefinitions({
+      categories: Array.isArray(options.categories) && options.categories.length > 0
+        ? options.categories
+        : getDefaultClassifierCategories(),
+      customTerms: options.sentimentLexicon,
+      lexicon: aspectLexicon
+    }),
+    language: aspectLanguage,
+    lexicon: aspectLexicon
+  })
+
+  // Emotion and urgency cues are English as well
+  const emotions = detectEmotions(englishText || text)
+  const urgency = detectUrgency(englishText || text, { emotions, compound: result.compound })
   
   return {
-    score: normalizedScore,
-    label,
-    confidence: totalSentimentWords > 0 ? Math.min(totalSentimentWords * 0.2, 1) : 0.1,
-    topics
+    score: result.score,
+    compound: result.compound,
+    label: result.label,
+    confidence: result.confidence,
+    topics,
+    aspects,
+    emotions,
+    urgency,
+    language,
+    lexiconLanguage,
+    positiveCount: result.positiveCount,
+    negativeCount: result.negativeCount,
+    matches: result.matches
   }
 }
 
-function extractTopics(text) {
-  const topicKeywords = {
-    'product': ['product', 'item', 'quality', 'design', 'feature'],
-    'service': ['service', 'support', 'help', 'staff', 'team'],
-    'delivery': ['delivery', 'shipping', 'arrived', 'package', 'fast', 'slow'],
-    'price': ['price', 'cost', 'expensive', 'cheap', 'value', 'money'],
-    'website': ['website', 'app', 'online', 'interface', 'login'],
-    'payment': ['payment', 'checkout', 'card', 'billing', 'transaction']
-  }
-  
+/**
+ * Topics mentioned in a text
+ * @param {string} text - Text matched against the built-in (English) topic keywords
+ * @param {Object} options - { customTerms } project terms with a topic, { customText } text they are matched against
+ * @returns {string[]} Topics, ['general'] when none was found
+ */
+function extractTopics(text, { customTerms = null, customText = text } = {}) {
   const topics = []
   const words = text.toLowerCase().split(/\s+/)
   
-  Object.entries(topicKeywords).forEach(([topic, keywords]) => {
+  Object.entries(TOPIC_KEYWORDS).forEach(([topic, keywords]) => {
     if (keywords.some(keyword => words.includes(keyword))) {
       topics.push(topic)
     }
   })
+
+  getCustomTopics(customText, customTerms).forEach(topic => {
+    if (!topics.includes(topic)) topics.push(topic)
+  })
   
   return topics.length > 0 ? topics : ['general']
 }
 
+/**
+ * Build the classification method label stored in classificationMeta
+ * @param {Object} aiResult - Categorization result
+ * @param {string} suffix - Suffix for batch classifications
+ * @returns {string} Method label (e.g. 'gemini_ai', 'ollama_ai_batch', 'local_embedding')
+ */
+function getClassificationMethod(aiResult, suffix = '') {
+  if (aiResult.method === 'rule' || aiResult.method?.startsWith('local_')) {
+    return aiResult.method
+  }
+  return `${aiResult.provider || 'gemini'}_ai${suffix}`
+}
+
+/**
+ * Detect the language of each text and translate the ones not in the project's working language
+ * @param {string[]} texts - Feedback texts
+ * @param {Object} options - Analysis options ({ provider, redaction, language: { workingLanguage, translate } })
+ * @returns {Promise<Object[]>} { detection, translation } per text, translation is null when not translated
+ */
+async function detectAndTranslate(texts, options = {}) {
+  const detections = texts.map(text => detectLanguage(text));
+  const translations = texts.map(() => null);
+  const settings = options.language;
+
+  if (settings?.translate) {
+    const pending = detections
+      .map((detection, index) => index)
+      .filter(index => ![UNKNOWN_LANGUAGE, settings.workingLanguage].includes(detections[index].language));
+
+    if (pending.length > 0) {
+      try {
+        const translated = await translateTexts(
+          pending.map(index => ({ text: texts[index], language: detections[index].language })),
+          settings.workingLanguage,
+          options
+        );
+        pending.forEach((textIndex, i) => {
+          if (translated[i]) {
+            translations[textIndex] = { ...translated[i], language: settings.workingLanguage };
+          }
+        });
+      } catch (error) {
+        console.error('Translation failed, analyzing the original texts:', error);
+      }
+    }
+  }
+
+  return detections.map((detection, index) => ({ detection, translation: translations[index] }));
+}
+
+/**
+ * Language fields of an analysis result (stored on Feedback)
+ */
+function getLanguageFields({ detection, translation }) {
+  return {
+    language: detection.language,
+    languageConfidence: detection.confidence,
+    translatedContent: translation?.text || null,
+    translationLanguage: translation?.language || null
+  };
+}
+
+/**
+ * Emotion and urgency fields of an analysis result (stored on Feedback, except the suggested priority)
+ */
+function getEmotionFields(sentimentResult) {
+  return {
+    emotions: sentimentResult.emotions.map(({ emotion }) => emotion),
+    urgencyScore: sentimentResult.urgency.score,
+    suggestedPriority: suggestPriority({
+      urgencyScore: sentimentResult.urgency.score,
+      sentimentLabel: sentimentResult.label
+    })
+  };
+}
+
+/**
+ * Emotion and urgency details stored in classificationMeta
+ */
+function getEmotionMeta(sentimentResult) {
+  return {
+    emotionAnalysis: {
+      method: 'cue_rules',
+      emotions: sentimentResult.emotions,
+      urgency: sentimentResult.urgency
+    }
+  };
+}
+
+/**
+ * Language metadata stored in classificationMeta
+ */
+function getLanguageMeta({ detection, translation }, sentimentResult) {
+  return {
+    languageDetection: {
+      language: detection.language,
+      confidence: detection.confidence,
+      method: detection.method,
+      sentimentLexicon: sentimentResult.lexiconLanguage
+    },
+    ...(translation && {
+      translation: {
+        language: translation.language,
+        method: translation.method,
+        provider: translation.provider,
+        model: translation.model
+      }
+    })
+  };
+}
+
 /**
  * Enhanced analysis combining sentiment analysis with AI categorization
  * @param {string} text - The feedback text to analyze
+ * @param {Object} options - Analysis options ({ provider, categories, fewShotExamples, rules, redaction, language, sentimentLexicon } - see getProjectAIOptions,
+ *   plus the feedback `source` for source rules)
  * @returns {Promise<Object>} Combined analysis result
  */
-export async function analyzeAndCategorizeFeedback(text) {
+export async function analyzeAndCategorizeFeedback(text, options = {}) {
   try {
-    // Initialize Gemini AI if not already done
-    const isAIInitialized = initializeGeminiAI();
+    // Initialize the default AI provider if no project provider was given
+    const isAIInitialized = options.provider ? options.provider.isAvailable() : initializeGeminiAI();
     if (!isAIInitialized) {
       console.warn('AI service not available, using fallback analysis');
     }
 
+    // Project rules decide deterministic cases without calling the AI
+    const ruleMatch = matchCategorizationRule(text, options.rules, {
+      source: options.source,
+      categories: options.categories
+    });
+
+    // Language first: sentiment uses the word list of the detected language, or the translation
+    const [languageResult] = await detectAndTranslate([text], options);
+
     // Run sentiment analysis and AI categorization in parallel
     const [sentimentResult, aiResult] = await Promise.all([
-      analyzeSentiment(text),
-      categorizeFeedback(text)
+      analyzeSentiment(text, {
+        language: languageResult.detection.language,
+        translation: languageResult.translation,
+        sentimentLexicon: options.sentimentLexicon,
+        categories: options.categories
+      }),
+      ruleMatch ? toRuleCategorization(ruleMatch) : categorizeFeedback(text, options)
     ]);
 
     // Create comprehensive analysis result
@@ -112,6 +259,9 @@ export async function analyzeAndCategorizeFeedback(text) {
       sentimentLabel: sentimentResult.label,
       sentimentConfidence: sentimentResult.confidence,
       topics: sentimentResult.topics,
+      aspects: sentimentResult.aspects,
+      ...getLanguageFields(languageResult),
+      ...getEmotionFields(sentimentResult),
       
       // AI categorization results
       aiCategory: aiResult.category,
@@ -126,17 +276,24 @@ export async function analyzeAndCategorizeFeedback(text) {
     // Create classification metadata for database storage
     const classificationMeta = {
       sentimentAnalysis: {
-        method: 'keyword_based',
-        positiveWords: sentimentResult.topics.includes('compliment') ? 1 : 0,
-        negativeWords: sentimentResult.topics.includes('complaint') ? 1 : 0,
+        method: 'lexicon_rules',
+        compound: sentimentResult.compound,
+        positiveWords: sentimentResult.positiveCount,
+        negativeWords: sentimentResult.negativeCount,
         confidence: sentimentResult.confidence
       },
       aiClassification: {
-        method: 'gemini_ai',
-        model: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+        method: getClassificationMethod(aiResult),
+        provider: aiResult.provider || null,
+        model: aiResult.rule ? null : aiResult.model || process.env.GEMINI_MODEL || 'gemini-1.5-flash',
         reasoning: aiResult.reasoning,
-        confidence: aiResult.confidence
+        confidence: aiResult.confidence,
+        fewShotExamples: aiResult.fewShotExamples || 0,
+        ...(aiResult.rule && { rule: aiResult.rule }),
+        ...(aiResult.redactedEntities && { redactedEntities: aiResult.redactedEntities })
       },
+      ...getLanguageMeta(languageResult, sentimentResult),
+      ...getEmotionMeta(sentimentResult),
       timestamp: new Date().toISOString()
     };
 
@@ -145,7 +302,7 @@ export async function analyzeAndCategorizeFeedback(text) {
       timestamp: new Date().toISOString(),
       category: aiResult.category,
       confidence: aiResult.confidence,
-      method: 'ai_classification',
+      method: aiResult.rule ? 'rule_classification' : 'ai_classification',
       reasoning: aiResult.reasoning
     };
 
@@ -159,13 +316,21 @@ export async function analyzeAndCategorizeFeedback(text) {
     console.error('Enhanced analysis failed:', error);
     
     // Fallback to basic sentiment analysis only
-    const sentimentResult = await analyzeSentiment(text);
+    const languageResult = { detection: detectLanguage(text), translation: null };
+    const sentimentResult = await analyzeSentiment(text, {
+      language: languageResult.detection.language,
+      sentimentLexicon: options.sentimentLexicon,
+      categories: options.categories
+    });
     
     return {
       sentimentScore: sentimentResult.score,
       sentimentLabel: sentimentResult.label,
       sentimentConfidence: sentimentResult.confidence,
       topics: sentimentResult.topics,
+      aspects: sentimentResult.aspects,
+      ...getLanguageFields(languageResult),
+      ...getEmotionFields(sentimentResult),
       
       // Fallback AI results
       aiCategory: 'general_inquiry',
@@ -174,7 +339,7 @@ export async function analyzeAndCategorizeFeedback(text) {
       
       classificationMeta: {
         sentimentAnalysis: {
-          method: 'keyword_based',
+          method: 'lexicon_rules',
           confidence: sentimentResult.confidence
         },
         aiClassification: {
@@ -205,9 +370,12 @@ export async function analyzeAndCategorizeFeedback(text) {
  * @param {string[]} texts - Array of feedback texts to analyze
  * @param {number} maxBatchSize - Maximum number of items per batch (default: from config)
  * @param {Function} onProgress - Optional progress callback function
+ * @param {Object} options - Analysis options ({ provider, categories, rules, redaction, language }, plus `sources` - the source of each
+ *   text, in the same order, for source rules)
  * @returns {Promise<Object[]>} Array of analysis results
+ * Progress updates include `maskedEntities` (PII masked in the last batch, by type) and `totalMaskedEntities`
  */
-export async function batchAnalyzeAndCategorizeFeedback(texts, maxBatchSize = BATCH_CONFIG.DEFAULT_BATCH_SIZE, onProgress = null) {
+export async function batchAnalyzeAndCategorizeFeedback(texts, maxBatchSize = BATCH_CONFIG.DEFAULT_BATCH_SIZE, onProgress = null, options = {}) {
   if (!Array.isArray(texts) || texts.length === 0) {
     throw new Error('Invalid texts array provided');
   }
@@ -217,23 +385,52 @@ export async function batchAnalyzeAndCategorizeFeedback(texts, maxBatchSize = BA
   
   const results = [];
   let processed = 0;
+  let totalMaskedEntities = {};
   
   // Process in chunks
   for (let i = 0; i < texts.length; i += maxBatchSize) {
     const batch = texts.slice(i, i + maxBatchSize);
     
     try {
+      // Detect languages and translate where the project asks for it
+      const languageResults = await detectAndTranslate(batch, options);
+
       // Run sentiment analysis for all items in batch (this is fast)
-      const sentimentPromises = batch.map(text => analyzeSentiment(text));
+      const sentimentPromises = batch.map((text, index) => analyzeSentiment(text, {
+        language: languageResults[index].detection.language,
+        translation: languageResults[index].translation,
+        sentimentLexicon: options.sentimentLexicon,
+        categories: options.categories
+      }));
       const sentimentResults = await Promise.all(sentimentPromises);
       
-      // Run AI categorization for the batch (this is the slow part)
-      const aiResults = await batchCategorizeFeedback(batch, maxBatchSize);
+      // Rules decide what they can, only the rest goes to the AI (this is the slow part)
+      const ruleMatches = batch.map((text, index) => matchCategorizationRule(text, options.rules, {
+        source: options.sources?.[i + index],
+        categories: options.categories
+      }));
+      const aiTexts = batch.filter((text, index) => !ruleMatches[index]);
+      const batchAIResults = aiTexts.length > 0
+        ? await batchCategorizeFeedback(aiTexts, maxBatchSize, options)
+        : [];
+
+      let aiIndex = 0;
+      const aiResults = ruleMatches.map(match =>
+        match ? toRuleCategorization(match) : batchAIResults[aiIndex++]
+      );
+
+      // Report how much PII was masked before this batch went to the AI
+      const maskedEntities = mergeRedactionCounts(aiResults.map(aiResult => aiResult.redactedEntities));
+      totalMaskedEntities = mergeRedactionCounts([totalMaskedEntities, maskedEntities]);
+      if (Object.keys(maskedEntities).length > 0) {
+        console.log(`🛡️ Batch ${Math.floor(i / maxBatchSize) + 1}: masked ${formatRedactionCounts(maskedEntities)}`);
+      }
       
       // Combine results
       const batchResults = batch.map((text, index) => {
         const sentimentResult = sentimentResults[index];
         const aiResult = aiResults[index];
+        const languageResult = languageResults[index];
         
         const analysisResult = {
           // Sentiment analysis results
@@ -241,6 +438,9 @@ export async function batchAnalyzeAndCategorizeFeedback(texts, maxBatchSize = BA
           sentimentLabel: sentimentResult.label,
           sentimentConfidence: sentimentResult.confidence,
           topics: sentimentResult.topics,
+          aspects: sentimentResult.aspects,
+          ...getLanguageFields(languageResult),
+          ...getEmotionFields(sentimentResult),
           
           // AI categorization results
           aiCategory: aiResult.category,
@@ -255,18 +455,25 @@ export async function batchAnalyzeAndCategorizeFeedback(texts, maxBatchSize = BA
         // Create classification metadata for database storage
         const classificationMeta = {
           sentimentAnalysis: {
-            method: 'keyword_based',
-            positiveWords: sentimentResult.topics.includes('compliment') ? 1 : 0,
-            negativeWords: sentimentResult.topics.includes('complaint') ? 1 : 0,
+            method: 'lexicon_rules',
+            compound: sentimentResult.compound,
+            positiveWords: sentimentResult.positiveCount,
+            negativeWords: sentimentResult.negativeCount,
             confidence: sentimentResult.confidence
           },
           aiClassification: {
-            method: 'gemini_ai_batch',
-            model: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+            method: getClassificationMethod(aiResult, '_batch'),
+            provider: aiResult.provider || null,
+            model: aiResult.rule ? null : aiResult.model || process.env.GEMINI_MODEL || 'gemini-1.5-flash',
             reasoning: aiResult.reasoning,
             confidence: aiResult.confidence,
-            batchSize: batch.length
+            fewShotExamples: aiResult.fewShotExamples || 0,
+            batchSize: batch.length,
+            ...(aiResult.rule && { rule: aiResult.rule }),
+            ...(aiResult.redactedEntities && { redactedEntities: aiResult.redactedEntities })
           },
+          ...getLanguageMeta(languageResult, sentimentResult),
+          ...getEmotionMeta(sentimentResult),
           timestamp: new Date().toISOString()
         };
 
@@ -275,7 +482,7 @@ export async function batchAnalyzeAndCategorizeFeedback(texts, maxBatchSize = BA
           timestamp: new Date().toISOString(),
           category: aiResult.category,
           confidence: aiResult.confidence,
-          method: 'ai_batch_classification',
+          method: aiResult.rule ? 'rule_classification' : 'ai_batch_classification',
           reasoning: aiResult.reasoning
         };
 
@@ -296,7 +503,9 @@ export async function batchAnalyzeAndCategorizeFeedback(texts, maxBatchSize = BA
           total: texts.length,
           percentage: Math.round((processed / texts.length) * 100),
           batchesCompleted: Math.floor(i / maxBatchSize) + 1,
-          totalBatches: Math.ceil(texts.length / maxBatchSize)
+          totalBatches: Math.ceil(texts.length / maxBatchSize),
+          maskedEntities,
+          totalMaskedEntities
         });
       }
       
@@ -304,27 +513,35 @@ export async function batchAnalyzeAndCategorizeFeedback(texts, maxBatchSize = BA
       console.error(`Batch analysis failed for batch starting at index ${i}:`, error);
       
       // Fallback to individual processing for this batch
-      for (const text of batch) {
+      for (const [index, text] of batch.entries()) {
         try {
-          const result = await analyzeAndCategorizeFeedback(text);
+          const result = await analyzeAndCategorizeFeedback(text, { ...options, source: options.sources?.[i + index] });
           results.push(result);
           processed++;
         } catch (individualError) {
           console.error(`Individual analysis failed for text: ${text.substring(0, 50)}...`, individualError);
           
           // Create fallback result
-          const sentimentResult = await analyzeSentiment(text);
+          const languageResult = { detection: detectLanguage(text), translation: null };
+          const sentimentResult = await analyzeSentiment(text, {
+            language: languageResult.detection.language,
+            sentimentLexicon: options.sentimentLexicon,
+            categories: options.categories
+          });
           results.push({
             sentimentScore: sentimentResult.score,
             sentimentLabel: sentimentResult.label,
             sentimentConfidence: sentimentResult.confidence,
             topics: sentimentResult.topics,
+            aspects: sentimentResult.aspects,
+            ...getLanguageFields(languageResult),
+            ...getEmotionFields(sentimentResult),
             aiCategory: 'general_inquiry',
             aiCategoryConfidence: 0.3,
             aiReasoning: 'Fallback classification due to analysis failure',
             classificationMeta: {
               sentimentAnalysis: {
-                method: 'keyword_based',
+                method: 'lexicon_rules',
                 confidence: sentimentResult.confidence
               },
               aiClassification: {
@@ -365,15 +582,60 @@ export async function batchAnalyzeAndCategorizeFeedback(texts, maxBatchSize = BA
   return results;
 }
 
+/**
+ * Score the sentiment of stored feedback again, without detection, translation or AI calls
+ * Used after a project changes its sentiment lexicon.
+ * @param {Object} feedback - Feedback record ({ content, language, translatedContent, translationLanguage, aiClassificationMeta })
+ * @param {Object} options - { sentimentLexicon } custom project terms, { categories } classifier categories for aspects
+ * @returns {Promise<Object>} Feedback fields to update ({ sentimentScore, sentimentLabel, topics, aspects, emotions, urgencyScore,
+ *   aiClassificationMeta })
+ */
+export async function rescoreFeedbackSentiment(feedback, options = {}) {
+  const sentimentResult = await analyzeSentiment(feedback.content, {
+    language: feedback.language || undefined,
+    translation: feedback.translatedContent
+      ? { text: feedback.translatedContent, language: feedback.translationLanguage }
+      : null,
+    sentimentLexicon: options.sentimentLexicon,
+    categories: options.categories
+  });
+
+  const meta = feedback.aiClassificationMeta && typeof feedback.aiClassificationMeta === 'object'
+    ? feedback.aiClassificationMeta
+    : {};
+
+  return {
+    sentimentScore: sentimentResult.score,
+    sentimentLabel: sentimentResult.label,
+    topics: sentimentResult.topics,
+    aspects: sentimentResult.aspects,
+    emotions: sentimentResult.emotions.map(({ emotion }) => emotion),
+    urgencyScore: sentimentResult.urgency.score,
+    aiClassificationMeta: {
+      ...meta,
+      ...getEmotionMeta(sentimentResult),
+      sentimentAnalysis: {
+        method: 'lexicon_rules',
+        compound: sentimentResult.compound,
+        positiveWords: sentimentResult.positiveCount,
+        negativeWords: sentimentResult.negativeCount,
+        confidence: sentimentResult.confidence,
+        rescoredAt: new Date().toISOString()
+      }
+    }
+  };
+}
+
 /**
  * Re-analyze existing feedback with AI categorization
  * @param {string} text - The feedback text to re-analyze
  * @param {Array} existingHistory - Existing classification history
+ * @param {Object} options - Analysis options ({ provider })
  * @returns {Promise<Object>} Re-analysis result
  */
-export async function reanalyzeFeedback(text, existingHistory = []) {
+export async function reanalyzeFeedback(text, existingHistory = [], options = {}) {
   try {
-    const result = await analyzeAndCategorizeFeedback(text);
+    const result = await analyzeAndCategorizeFeedback(text, options);
     
     // Add previous classifications to history
     const updatedHistory = [
@@ -394,12 +656,13 @@ export async function reanalyzeFeedback(text, existingHistory = []) {
 
 /**
  * Batch re-analyze multiple feedback items
- * @param {Array} feedbackItems - Array of feedback objects with {id, content, classificationHistory}
+ * @param {Array} feedbackItems - Array of feedback objects with {id, content, source, classificationHistory}
  * @param {number} maxBatchSize - Maximum number of items per batch (default: 15)
  * @param {Function} onProgress - Optional progress callback function
+ * @param {Object} options - Analysis options ({ provider })
  * @returns {Promise<Object[]>} Array of re-analysis results with updated history
  */
-export async function batchReanalyzeFeedback(feedbackItems, maxBatchSize = 15, onProgress = null) {
+export async function batchReanalyzeFeedback(feedbackItems, maxBatchSize = 15, onProgress = null, options = {}) {
   if (!Array.isArray(feedbackItems) || feedbackItems.length === 0) {
     throw new Error('Invalid feedback items array provided');
   }
@@ -408,7 +671,10 @@ export async function batchReanalyzeFeedback(feedbackItems, maxBatchSize = 15, o
   const texts = feedbackItems.map(item => item.content);
   
   // Perform batch analysis
-  const analysisResults = await batchAnalyzeAndCategorizeFeedback(texts, maxBatchSize, onProgress);
+  const analysisResults = await batchAnalyzeAndCategorizeFeedback(texts, maxBatchSize, onProgress, {
+    ...options,
+    sources: feedbackItems.map(item => item.source)
+  });
   
   // Combine with existing history
   const results = feedbackItems.map((item, index) => {
@@ -0,0 +1,193 @@
+/**
+ * Sentiment lexicons per language for the rule-based scorer (lib/sentimentScorer.js)
+ * Valences follow the VADER scale: -4 (extremely negative) to +4 (extremely positive).
+ * Words are lowercase single tokens; common inflections are listed explicitly because no stemming
+ * is applied. Boosters scale the next sentiment word up (positive) or down (negative), negations
+ * flip it, and contrast words ("but") shift the weight to the clause after them.
+ */
+
+// Default scalar of a booster / diminisher, as in VADER
+export const BOOSTER_INCREMENT = 0.293
+
+const INCR = BOOSTER_INCREMENT
+const DECR = -BOOSTER_INCREMENT
+
+/**
+ * Give every word in a list the same valence
+ */
+const weighted = (words, valence) => Object.fromEntries(words.map(word => [word, valence]))
+
+export const SENTIMENT_LEXICONS = {
+  en: {
+    valences: {
+      ...weighted(['outstanding', 'fantastic', 'excellent', 'amazing', 'awesome', 'brilliant', 'superb', 'perfect', 'wonderful', 'love', 'loved', 'loving', 'best', 'exceptional', 'flawless'], 3.1),
+      ...weighted(['great', 'delighted', 'impressed', 'impressive', 'happy', 'glad', 'enjoy', 'enjoyed', 'recommend', 'recommended', 'beautiful', 'pleased', 'thank', 'thanks'], 2.4),
+      ...weighted(['good', 'nice', 'helpful', 'satisfied', 'useful', 'reliable', 'smooth', 'efficient', 'friendly', 'works', 'fixed', 'resolved', 'intuitive', 'improved', 'better'], 1.8),
+      ...weighted(['fast', 'quick', 'easy', 'simple', 'clean', 'fine', 'ok', 'okay', 'decent', 'fair'], 1.2),
+      ...weighted(['terrible', 'awful', 'horrible', 'worst', 'hate', 'hated', 'disgusting', 'useless', 'garbage', 'scam', 'unacceptable', 'pathetic', 'furious', 'outraged'], -3.1),
+      ...weighted(['bad', 'disappointing', 'disappointed', 'frustrated', 'frustrating', 'angry', 'annoyed', 'annoying', 'broken', 'damaged', 'rude', 'unhelpful', 'poor', 'worse', 'crash', 'crashes', 'crashed', 'crashing', 'fails', 'failed', 'fail'], -2.2),
+      ...weighted(['slow', 'difficult', 'hard', 'confusing', 'confused', 'expensive', 'overpriced', 'delayed', 'late', 'bug', 'buggy', 'bugs', 'error', 'errors', 'problem', 'problems', 'issue', 'issues', 'missing', 'wrong', 'unclear'], -1.5),
+      ...weighted(['meh', 'mediocre', 'lacking', 'limited', 'clunky', 'outdated'], -1.1)
+    },
+    negations: ['not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'nowhere', 'without', 'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'wont', 'nope', 'rarely', 'seldom'],
+    boosters: {
+      ...weighted(['absolutely', 'completely', 'deeply', 'enormously', 'entirely', 'especially', 'exceptionally', 'extremely', 'fully', 'greatly', 'highly', 'hugely', 'incredibly', 'intensely', 'particularly', 'really', 'remarkably', 'so', 'substantially', 'thoroughly', 'totally', 'tremendously', 'truly', 'unbelievably', 'utterly', 'very', 'super', 'too', 'most', 'more'], INCR),
+      ...weighted(['almost', 'barely', 'hardly', 'kinda', 'less', 'little', 'marginally', 'occasionally', 'partly', 'scarcely', 'slightly', 'somewhat', 'sorta', 'bit'], DECR)
+    },
+    contrast: ['but', 'however', 'although', 'though']
+  },
+  es: {
+    valences: {
+      ...weighted(['excelente', 'increíble', 'fantástico', 'fantástica', 'perfecto', 'perfecta', 'encanta', 'encantó', 'maravilloso', 'maravillosa', 'mejor', 'genial'], 3.1),
+      ...weighted(['bueno', 'buena', 'buenos', 'buenas', 'satisfecho', 'satisfecha', 'feliz', 'contento', 'contenta', 'recomiendo', 'gracias'], 2.2),
+      ...weighted(['útil', 'rápido', 'rápida', 'fácil', 'eficiente', 'amable', 'bien'], 1.5),
+      ...weighted(['terrible', 'horrible', 'peor', 'odio', 'pésimo', 'pésima', 'inútil', 'estafa'], -3.1),
+      ...weighted(['malo', 'mala', 'malos', 'malas', 'decepcionante', 'decepcionado', 'decepcionada', 'frustrado', 'frustrada', 'enojado', 'enojada', 'roto', 'rota', 'grosero', 'grosera', 'falla', 'fallo', 'mal'], -2.2),
+      ...weighted(['lento', 'lenta', 'difícil', 'confuso', 'confusa', 'caro', 'cara', 'retraso', 'tarde', 'error', 'problema', 'problemas'], -1.5)
+    },
+    negations: ['no', 'nunca', 'jamás', 'nada', 'ni', 'sin', 'tampoco', 'ningún', 'ninguna', 'ninguno'],
+    boosters: {
+      ...weighted(['muy', 'realmente', 'totalmente', 'extremadamente', 'increíblemente', 'súper', 'super', 'demasiado', 'completamente', 'absolutamente', 'tan', 'más'], INCR),
+      ...weighted(['poco', 'algo', 'ligeramente', 'apenas', 'casi'], DECR)
+    },
+    contrast: ['pero', 'aunque']
+  },
+  de: {
+    valences: {
+      ...weighted(['ausgezeichnet', 'großartig', 'fantastisch', 'perfekt', 'liebe', 'wunderbar', 'beste', 'besten', 'hervorragend', 'genial'], 3.1),
+      ...weighted(['toll', 'tolle', 'toller', 'super', 'zufrieden', 'glücklich', 'empfehlen', 'empfehle', 'danke'], 2.4),
+      ...weighted(['gut', 'gute', 'guter', 'gutes', 'hilfreich', 'freundlich', 'effizient', 'besser'], 1.8),
+      ...weighted(['schnell', 'schnelle', 'einfach', 'okay'], 1.2),
+      ...weighted(['schrecklich', 'furchtbar', 'hasse', 'nutzlos', 'katastrophe', 'katastrophal', 'unverschämt'], -3.1),
+      ...weighted(['schlecht', 'schlechte', 'schlechter', 'schlechtester', 'enttäuschend', 'enttäuscht', 'frustriert', 'verärgert', 'ärgerlich', 'kaputt', 'defekt', 'unfreundlich', 'mangelhaft', 'abstürze', 'absturz'], -2.2),
+      ...weighted(['langsam', 'langsame', 'schwierig', 'kompliziert', 'verwirrend', 'teuer', 'überteuert', 'verspätet', 'spät', 'fehler', 'problem', 'probleme'], -1.5)
+    },
+    negations: ['nicht', 'kein', 'keine', 'keinen', 'keiner', 'keinem', 'nie', 'niemals', 'nichts', 'ohne', 'weder'],
+    boosters: {
+      ...weighted(['sehr', 'wirklich', 'total', 'extrem', 'absolut', 'echt', 'völlig', 'ziemlich', 'unglaublich', 'besonders', 'so', 'zu', 'richtig'], INCR),
+      ...weighted(['etwas', 'kaum', 'leicht', 'bisschen', 'wenig', 'fast'], DECR)
+    },
+    contrast: ['aber', 'jedoch', 'obwohl']
+  },
+  fr: {
+    valences: {
+      ...weighted(['excellent', 'excellente', 'génial', 'géniale', 'incroyable', 'fantastique', 'parfait', 'parfaite', 'adore', 'merveilleux', 'merveilleuse', 'meilleur', 'meilleure'], 3.1),
+      ...weighted(['bon', 'bonne', 'super', 'satisfait', 'satisfaite', 'content', 'contente', 'heureux', 'heureuse', 'recommande', 'merci'], 2.2),
+      ...weighted(['bien', 'utile', 'rapide', 'facile', 'efficace', 'aimable'], 1.5),
+      ...weighted(['terrible', 'horrible', 'pire', 'déteste', 'nul', 'nulle', 'inutile', 'arnaque', 'catastrophique'], -3.1),
+      ...weighted(['mauvais', 'mauvaise', 'décevant', 'décevante', 'déçu', 'déçue', 'frustré', 'frustrée', 'énervé', 'énervée', 'cassé', 'cassée', 'impoli', 'panne'], -2.2),
+      ...weighted(['lent', 'lente', 'difficile', 'compliqué', 'compliquée', 'confus', 'cher', 'chère', 'retard', 'erreur', 'problème', 'problèmes', 'bug'], -1.5)
+    },
+    negations: ['pas', 'jamais', 'rien', 'aucun', 'aucune', 'sans', 'ni', 'personne'],
+    boosters: {
+      ...weighted(['très', 'vraiment', 'totalement', 'extrêmement', 'absolument', 'tellement', 'trop', 'complètement', 'incroyablement'], INCR),
+      ...weighted(['peu', 'légèrement', 'plutôt', 'presque', 'assez'], DECR)
+    },
+    contrast: ['mais', 'cependant', 'pourtant']
+  },
+  pt: {
+    valences: {
+      ...weighted(['excelente', 'incrível', 'fantástico', 'fantástica', 'perfeito', 'perfeita', 'adoro', 'amei', 'maravilhoso', 'maravilhosa', 'melhor', 'ótimo', 'ótima'], 3.1),
+      ...weighted(['bom', 'boa', 'satisfeito', 'satisfeita', 'feliz', 'recomendo', 'obrigado', 'obrigada'], 2.2),
+      ...weighted(['útil', 'rápido', 'rápida', 'fácil', 'eficiente', 'gentil', 'bem'], 1.5),
+      ...weighted(['terrível', 'horrível', 'pior', 'odeio', 'péssimo', 'péssima', 'inútil', 'golpe'], -3.1),
+      ...weighted(['ruim', 'mau', 'má', 'decepcionante', 'decepcionado', 'decepcionada', 'frustrado', 'frustrada', 'irritado', 'irritada', 'quebrado', 'quebrada', 'grosseiro', 'falha'], -2.2),
+      ...weighted(['lento', 'lenta', 'difícil', 'confuso', 'confusa', 'caro', 'cara', 'atrasado', 'atraso', 'erro', 'problema', 'problemas'], -1.5)
+    },
+    negations: ['não', 'nunca', 'jamais', 'nada', 'nem', 'sem', 'nenhum', 'nenhuma'],
+    boosters: {
+      ...weighted(['muito', 'realmente', 'totalmente', 'extremamente', 'super', 'bastante', 'completamente', 'absolutamente', 'tão', 'demais', 'mais'], INCR),
+      ...weighted(['pouco', 'levemente', 'ligeiramente', 'quase'], DECR)
+    },
+    contrast: ['mas', 'porém', 'embora']
+  },
+  it: {
+    valences: {
+      ...weighted(['eccellente', 'fantastico', 'fantastica', 'perfetto', 'perfetta', 'adoro', 'meraviglioso', 'meravigliosa', 'migliore', 'ottimo', 'ottima', 'splendido'], 3.1),
+      ...weighted(['buono', 'buona', 'soddisfatto', 'soddisfatta', 'felice', 'contento', 'contenta', 'consiglio', 'grazie'], 2.2),
+      ...weighted(['bene', 'utile', 'veloce', 'rapido', 'facile', 'efficiente', 'gentile'], 1.5),
+      ...weighted(['terribile', 'orribile', 'odio', 'pessimo', 'pessima', 'inutile', 'truffa', 'peggiore'], -3.1),
+      ...weighted(['cattivo', 'cattiva', 'deludente', 'deluso', 'delusa', 'frustrato', 'frustrata', 'arrabbiato', 'arrabbiata', 'rotto', 'rotta', 'scortese', 'male'], -2.2),
+      ...weighted(['lento', 'lenta', 'difficile', 'confuso', 'confusa', 'caro', 'cara', 'costoso', 'ritardo', 'errore', 'problema', 'problemi'], -1.5)
+    },
+    negations: ['non', 'mai', 'niente', 'nulla', 'né', 'senza', 'nessuno', 'nessuna'],
+    boosters: {
+      ...weighted(['molto', 'davvero', 'veramente', 'totalmente', 'estremamente', 'troppo', 'assolutamente', 'completamente', 'così', 'più'], INCR),
+      ...weighted(['poco', 'leggermente', 'abbastanza', 'quasi'], DECR)
+    },
+    contrast: ['ma', 'però', 'tuttavia']
+  },
+  nl: {
+    valences: {
+      ...weighted(['uitstekend', 'geweldig', 'fantastisch', 'perfect', 'prachtig', 'beste', 'top'], 3.1),
+      ...weighted(['goed', 'goede', 'super', 'tevreden', 'blij', 'aanrader', 'aanbevelen', 'bedankt'], 2.2),
+      ...weighted(['behulpzaam', 'nuttig', 'snel', 'snelle', 'makkelijk', 'eenvoudig', 'efficiënt', 'vriendelijk', 'prima'], 1.5),
+      ...weighted(['verschrikkelijk', 'vreselijk', 'slechtste', 'haat', 'nutteloos', 'waardeloos', 'oplichting'], -3.1),
+      ...weighted(['slecht', 'slechte', 'teleurstellend', 'teleurgesteld', 'gefrustreerd', 'boos', 'kapot', 'onbeleefd'], -2.2),
+      ...weighted(['traag', 'langzaam', 'moeilijk', 'verwarrend', 'duur', 'vertraagd', 'fout', 'probleem', 'problemen'], -1.5)
+    },
+    negations: ['niet', 'geen', 'nooit', 'niets', 'zonder', 'noch'],
+    boosters: {
+      ...weighted(['zeer', 'heel', 'echt', 'erg', 'totaal', 'extreem', 'ontzettend', 'enorm', 'zo', 'te'], INCR),
+      ...weighted(['beetje', 'nauwelijks', 'enigszins', 'bijna'], DECR)
+    },
+    contrast: ['maar', 'echter', 'hoewel']
+  }
+}
+
+// Emoji and emoticons score the same in every language
+export const EMOJI_VALENCES = {
+  '😀': 2.2, '😃': 2.2, '😄': 2.2, '😁': 2.2, '😊': 2.2, '🙂': 1.2, '😍': 3, '🥰': 3, '😻': 2.6,
+  '❤': 3, '💕': 2.6, '💯': 2, '👍': 2, '👏': 2, '🙌': 2, '🎉': 2, '⭐': 1.5, '🚀': 1.5, '😂': 1.6,
+  '😐': -0.3, '😕': -1.2, '🙁': -1.5, '☹': -2, '😒': -1.5, '😞': -2, '😢': -2.2, '😭': -2.5,
+  '😩': -2, '😫': -2, '😤': -2, '😠': -2.5, '😡': -3, '🤬': -3, '🤮': -3, '👎': -2, '💔': -2.5
+}
+
+export const EMOTICON_VALENCES = {
+  ':)': 2, ':-)': 2, '(:': 2, '=)': 1.8, ':]': 1.8, ':d': 2.5, ':-d': 2.5, 'xd': 1.8, ';)': 1.5,
+  ';-)': 1.5, '<3': 3, ':p': 1, ':-p': 1,
+  ':(': -2, ':-(': -2, '):': -2, '=(': -1.8, ":'(": -2.5, '>:(': -2.8, ':/': -1, ':-/': -1,
+  ':\\': -1, ':|': -0.5, '</3': -2.5
+}
+
+const toLexiconSets = lexicon => ({
+  valences: new Map(Object.entries(lexicon.valences)),
+  negations: new Set(lexicon.negations),
+  boosters: new Map(Object.entries(lexicon.boosters)),
+  contrast: new Set(lexicon.contrast)
+})
+
+const LEXICON_SETS = Object.fromEntries(
+  Object.entries(SENTIMENT_LEXICONS).map(([language, lexicon]) => [language, toLexiconSets(lexicon)])
+)
+
+/**
+ * Lookup structures of a language
+ * @param {string} language - Language code
+ * @returns {Object|null} { valences: Map, negations: Set, boosters: Map, contrast: Set } or null when
+ *   there is no lexicon for the language
+ */
+export function getSentimentLexicon(language) {
+  return LEXICON_SETS[language] || null
+}
+
+/**
+ * Languages with a sentiment lexicon
+ * @returns {string[]} Language codes
+ */
+export function getLexiconLanguages() {
+  return Object.keys(SENTIMENT_LEXICONS)
+}
+
+/**
+ * Copy of a lexicon with extra word valences (added, or replacing the built-in ones)
+ * @param {Object} lexicon - Lookup structures (see getSentimentLexicon)
+ * @param {Object} valences - { word: valence }
+ * @returns {Object} Lookup structures
+ */
+export function extendSentimentLexicon(lexicon, valences) {
+  return {
+    ...lexicon,
+    valences: new Map([...lexicon.valences, ...Object.entries(valences)])
+  }
+}
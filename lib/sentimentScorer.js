@@ -0,0 +1,186 @@
+/**
+ * Rule-based sentiment scorer (VADER-style)
+ * Scores a text with the lexicon of its language: word valences are adjusted for boosters
+ * ("very"), negations ("not good"), ALL CAPS emphasis and contrast ("…, but"), emoji and
+ * emoticons count as words, and exclamation marks strengthen the result. The sum is normalized
+ * into a compound score between -1 and 1 (Hutto & Gilbert, 2014).
+ */
+
+import { getSentimentLexicon, EMOJI_VALENCES, EMOTICON_VALENCES } from './sentimentLexicons.js'
+
+// Empirically derived constants of the VADER paper
+const CAPS_INCREMENT = 0.733
+const NEGATION_SCALAR = -0.74
+const EXCLAMATION_INCREMENT = 0.292
+const QUESTION_INCREMENT = 0.18
+const NORMALIZATION_ALPHA = 15
+
+// Boosters and negations reach this many tokens ahead, boosters lose strength with distance
+const WINDOW = 3
+const BOOSTER_DECAY = [1, 0.95, 0.9]
+
+// Sentiment before a contrast word counts half, after it one and a half times
+const CONTRAST_BEFORE = 0.5
+const CONTRAST_AFTER = 1.5
+
+// Compound scores within ±NEUTRAL_THRESHOLD are neutral
+export const NEUTRAL_THRESHOLD = 0.05
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const EMOTICON_ALTERNATION = Object.keys(EMOTICON_VALENCES)
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegExp)
+  .join('|')
+
+// Emoticons only count as standalone tokens so URLs ("https://") and times don't match
+const TOKEN_PATTERN = new RegExp(
+  `(?<emoticon>(?<=^|\\s)(?:${EMOTICON_ALTERNATION})(?=$|[\\s.,!?]))|(?<emoji>\\p{Extended_Pictographic})|(?<word>[\\p{L}\\p{N}]+(?:'[\\p{L}]+)*)`,
+  'giu'
+)
+
+const CLAUSE_BOUNDARY = /[.,;:!?]/
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits
+
+/**
+ * Split a text into sentiment tokens
+ * @param {string} text - Text
+ * @returns {Array} { text, lower, type ('word' | 'emoji' | 'emoticon'), boundaryBefore }
+ */
+export function tokenizeForSentiment(text) {
+  const normalized = (text || '').replace(/[’‘]/g, "'")
+  const tokens = []
+  let lastEnd = 0
+
+  for (const match of normalized.matchAll(TOKEN_PATTERN)) {
+    const value = match[0]
+    const type = Object.keys(match.groups).find(group => match.groups[group] !== undefined)
+
+    tokens.push({
+      text: value,
+      lower: value.toLowerCase(),
+      type,
+      // Punctuation between two tokens ends the reach of boosters and negations
+      boundaryBefore: CLAUSE_BOUNDARY.test(normalized.slice(lastEnd, match.index))
+    })
+    lastEnd = match.index + value.length
+  }
+
+  return tokens
+}
+
+const isAllCaps = token =>
+  token.type === 'word' && token.text.length > 1 && /\p{Lu}/u.test(token.text) && token.text === token.text.toUpperCase()
+
+function getValence(token, lexicon) {
+  if (token.type === 'emoji') return EMOJI_VALENCES[token.text] || 0
+  if (token.type === 'emoticon') return EMOTICON_VALENCES[token.lower] || 0
+  return lexicon.valences.get(token.lower) || 0
+}
+
+const isNegation = (token, lexicon) => lexicon.negations.has(token.lower) || token.lower.endsWith("n't")
+
+/**
+ * Tokens before `index` that can modify it (same clause, at most WINDOW tokens away), nearest first
+ */
+function getModifierTokens(tokens, index) {
+  const modifiers = []
+  for (let j = index; j > 0 && modifiers.length < WINDOW; j--) {
+    if (tokens[j].boundaryBefore) break
+    modifiers.push(tokens[j - 1])
+  }
+  return modifiers
+}
+
+/**
+ * Compound score (-1..1) mapped to the 0..1 range of Feedback.sentimentScore
+ * @param {number} compound - Compound score
+ * @returns {number} Score with two decimals
+ */
+export function compoundToScore(compound) {
+  return round((compound + 1) / 2)
+}
+
+/**
+ * Sentiment label of a compound score
+ * @param {number} compound - Compound score
+ * @returns {string} 'positive', 'negative' or 'neutral'
+ */
+export function getSentimentLabel(compound) {
+  if (compound >= NEUTRAL_THRESHOLD) return 'positive'
+  if (compound <= -NEUTRAL_THRESHOLD) return 'negative'
+  return 'neutral'
+}
+
+/**
+ * Score the sentiment of a text
+ * @param {string} text - Text
+ * @param {Object} options - { language } lexicon language (English when there is no lexicon for it),
+ *   or { lexicon } lookup structures to use instead (see getSentimentLexicon)
+ * @returns {Object} { compound, score (0-1), label, confidence, matches: [{ token, valence }], positiveCount, negativeCount }
+ */
+export function scoreSentiment(text, { language = 'en', lexicon = null } = {}) {
+  const activeLexicon = lexicon || getSentimentLexicon(language) || getSentimentLexicon('en')
+  const tokens = tokenizeForSentiment(text)
+
+  // ALL CAPS only stands out when the rest of the text is not shouting too
+  const words = tokens.filter(token => token.type === 'word')
+  const capsDifferential = words.some(isAllCaps) && words.some(token => !isAllCaps(token))
+
+  const contrastIndex = tokens.findIndex(token => activeLexicon.contrast.has(token.lower))
+  const matches = []
+  let sum = 0
+
+  tokens.forEach((token, index) => {
+    const base = getValence(token, activeLexicon)
+    if (!base) return
+
+    const direction = Math.sign(base)
+    let valence = base
+
+    if (capsDifferential && isAllCaps(token)) {
+      valence += direction * CAPS_INCREMENT
+    }
+
+    const modifiers = getModifierTokens(tokens, index)
+    modifiers.forEach((modifier, distance) => {
+      const scalar = activeLexicon.boosters.get(modifier.lower)
+      if (!scalar) return
+      const emphasis = capsDifferential && isAllCaps(modifier) ? Math.sign(scalar) * CAPS_INCREMENT : 0
+      valence += direction * (scalar + emphasis) * BOOSTER_DECAY[distance]
+    })
+
+    if (modifiers.some(modifier => isNegation(modifier, activeLexicon))) {
+      valence *= NEGATION_SCALAR
+    }
+
+    if (contrastIndex >= 0 && index !== contrastIndex) {
+      valence *= index < contrastIndex ? CONTRAST_BEFORE : CONTRAST_AFTER
+    }
+
+    matches.push({ token: token.text, valence: round(valence, 3) })
+    sum += valence
+  })
+
+  // Exclamation marks (up to 4) and repeated question marks emphasize whatever was said
+  if (sum !== 0) {
+    const exclamations = Math.min(((text || '').match(/!/g) || []).length, 4)
+    const questions = ((text || '').match(/\?/g) || []).length
+    const questionEmphasis = questions > 1 ? (questions <= 3 ? questions * QUESTION_INCREMENT : 0.96) : 0
+    sum += Math.sign(sum) * (exclamations * EXCLAMATION_INCREMENT + questionEmphasis)
+  }
+
+  const compound = Math.max(-1, Math.min(1, sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA)))
+
+  return {
+    compound: round(compound, 4),
+    score: compoundToScore(compound),
+    label: getSentimentLabel(compound),
+    // Stronger and better supported results are more certain; no sentiment words at all is a guess
+    confidence: matches.length > 0 ? round(Math.min(1, Math.abs(compound) + matches.length * 0.1)) : 0.1,
+    matches,
+    positiveCount: matches.filter(match => match.valence > 0).length,
+    negativeCount: matches.filter(match => match.valence < 0).length
+  }
+}
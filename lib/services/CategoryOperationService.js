@@ -0,0 +1,630 @@
+import { prisma } from '../prisma.js';
+import { slugifyCategoryName, indexCategories, flattenCategoryTree, toClassifierCategory } from '../categories.js';
+import { batchCategorizeFeedback } from '../geminiAI.js';
+import { getProjectAIOptions } from '../ai/projectAIOptions.js';
+import CategoryService, { categoryError } from './CategoryService.js';
+
+export const CATEGORY_OPERATION_TYPES = {
+  RENAME: 'rename',
+  MERGE: 'merge',
+  SPLIT: 'split'
+};
+
+// classificationHistory methods written for each operation
+const HISTORY_METHODS = {
+  rename: 'category_rename',
+  merge: 'category_merge',
+  split: 'category_split'
+};
+const UNDO_METHOD = 'category_operation_undo';
+
+// Feedback rows updated per transaction
+const UPDATE_CHUNK_SIZE = 100;
+
+// Result methods of a model; keyword fallback results are not used to split a category
+const CLASSIFIER_METHODS = new Set(['ai_enhanced', 'ai_batch_enhanced', 'local_embedding', 'local_zero_shot']);
+
+// Rename, merge and undo change categories and their feedback in one transaction, which can be large
+const OPERATION_TRANSACTION_TIMEOUT = 60000;
+
+const toNumberOrNull = value => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Category Operation Service - Rename, merge and split categories together with their feedback
+ * Every feedback change is appended to classificationHistory with the operation ID, which is what
+ * undoOperation uses to put feedback back. Only the most recent operation of a project can be undone.
+ * Rename and merge also point categorization rules and classification corrections at the new slug.
+ */
+class CategoryOperationService {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient;
+    this.categoryService = new CategoryService(prismaClient);
+  }
+
+  /**
+   * List recent operations of a project
+   * @param {string} projectId - Project ID
+   * @param {Object} options - { limit } (default 20)
+   * @returns {Promise<Array>} Operations, newest first
+   */
+  async listOperations(projectId, { limit = 20 } = {}) {
+    return this.prisma.categoryOperation.findMany({
+      where: { projectId },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Rename a category: its slug follows the new name and all feedback is rewritten to the new slug
+   * @param {Object} project - Project record
+   * @param {string} userId - User performing the operation
+   * @param {Object} params - { categoryId, name }
+   * @returns {Promise<Object>} Operation record
+   */
+  async renameCategory(project, userId, { categoryId, name }) {
+    const category = await this.categoryService.getCategory(project.id, categoryId);
+    const newName = (name || '').trim();
+    const newSlug = slugifyCategoryName(newName);
+
+    if (!newName || !newSlug) {
+      throw categoryError('CATEGORY_INVALID', 'Category name must contain letters or numbers');
+    }
+    if (newName === category.name && newSlug === category.slug) {
+      throw categoryError('CATEGORY_INVALID', 'The category already has this name');
+    }
+
+    const conflict = await this.prisma.category.findFirst({
+      where: {
+        projectId: project.id,
+        id: { not: categoryId },
+        OR: [{ slug: newSlug }, { name: newName }]
+      }
+    });
+    if (conflict) {
+      throw categoryError('CATEGORY_CONFLICT', `Category "${conflict.name}" already exists, merge into it instead`);
+    }
+
+    return this.prisma.$transaction(async (tx) => {
+      await tx.category.update({
+        where: { id: categoryId },
+        data: { name: newName, slug: newSlug }
+      });
+
+      const references = await this.rewriteCategoryReferences(tx, project.id, new Map([[category.slug, newSlug]]));
+
+      const operation = await tx.categoryOperation.create({
+        data: {
+          projectId: project.id,
+          userId,
+          type: CATEGORY_OPERATION_TYPES.RENAME,
+          details: {
+            categoryId,
+            from: { name: category.name, slug: category.slug },
+            to: { name: newName, slug: newSlug },
+            references
+          }
+        }
+      });
+
+      const feedback = await this.findFeedback(project.id, [category.slug], tx);
+      const affectedCount = await this.applyFeedbackChanges(operation, feedback.map(item => ({
+        feedback: item,
+        category: newSlug,
+        reasoning: `Category "${category.name}" renamed to "${newName}"`
+      })), tx);
+
+      return this.setAffectedCount(operation, affectedCount, tx);
+    }, { timeout: OPERATION_TRANSACTION_TIMEOUT });
+  }
+
+  /**
+   * Merge categories into a target: feedback moves to the target, subcategories are moved under it
+   * and the source categories are deleted
+   * @param {Object} project - Project record
+   * @param {string} userId - User performing the operation
+   * @param {Object} params - { sourceIds, targetId }
+   * @returns {Promise<Object>} Operation record
+   */
+  async mergeCategories(project, userId, { sourceIds, targetId }) {
+    const uniqueSourceIds = [...new Set(sourceIds || [])].filter(id => id !== targetId);
+    if (uniqueSourceIds.length === 0) {
+      throw categoryError('CATEGORY_INVALID', 'Select at least one category to merge');
+    }
+
+    const target = await this.categoryService.getCategory(project.id, targetId);
+    const sources = await this.prisma.category.findMany({
+      where: { projectId: project.id, id: { in: uniqueSourceIds } }
+    });
+    if (sources.length !== uniqueSourceIds.length) {
+      throw categoryError('CATEGORY_NOT_FOUND', 'Category not found');
+    }
+
+    const sourceIdSet = new Set(uniqueSourceIds);
+    const allCategories = await this.prisma.category.findMany({ where: { projectId: project.id } });
+    const index = indexCategories(allCategories);
+
+    // The target must survive the merge, so it cannot sit below one of the merged categories
+    const sourceAncestor = index.ancestorsOf(target).find(ancestor => sourceIdSet.has(ancestor.id));
+    if (sourceAncestor) {
+      throw categoryError('CATEGORY_INVALID', `"${target.name}" is a subcategory of "${sourceAncestor.name}" and cannot be the merge target`);
+    }
+
+    const orphanedChildren = allCategories.filter(category =>
+      sourceIdSet.has(category.parentId) && !sourceIdSet.has(category.id)
+    );
+    for (const child of orphanedChildren) {
+      await this.categoryService.validateParent(project.id, child.id, targetId);
+    }
+
+    const sourceNames = new Map(sources.map(source => [source.slug, source.name]));
+
+    return this.prisma.$transaction(async (tx) => {
+      if (orphanedChildren.length > 0) {
+        await tx.category.updateMany({
+          where: { id: { in: orphanedChildren.map(child => child.id) } },
+          data: { parentId: targetId }
+        });
+      }
+
+      await tx.category.deleteMany({ where: { id: { in: uniqueSourceIds } } });
+
+      const references = await this.rewriteCategoryReferences(
+        tx,
+        project.id,
+        new Map(sources.map(source => [source.slug, target.slug]))
+      );
+
+      const operation = await tx.categoryOperation.create({
+        data: {
+          projectId: project.id,
+          userId,
+          type: CATEGORY_OPERATION_TYPES.MERGE,
+          details: {
+            target: { id: target.id, name: target.name, slug: target.slug },
+            // Full records so undo can recreate the categories with the same IDs
+            sources: sources.map(({ updatedAt, ...source }) => source),
+            reparented: orphanedChildren.map(child => ({ id: child.id, parentId: child.parentId })),
+            references
+          }
+        }
+      });
+
+      const feedback = await this.findFeedback(project.id, sources.map(source => source.slug), tx);
+      const affectedCount = await this.applyFeedbackChanges(operation, feedback.map(item => ({
+        feedback: item,
+        category: target.slug,
+        reasoning: `Category "${sourceNames.get(item.category)}" merged into "${target.name}"`
+      })), tx);
+
+      return this.setAffectedCount(operation, affectedCount, tx);
+    }, { timeout: OPERATION_TRANSACTION_TIMEOUT });
+  }
+
+  /**
+   * Split a category: its feedback is re-classified, restricted to the chosen target categories
+   * Feedback the model could not classify stays in the source. Targets created for the split are
+   * removed again when it fails.
+   * @param {Object} project - Project record
+   * @param {string} userId - User performing the operation
+   * @param {Object} params - Split parameters
+   * @param {string} params.sourceId - Category to split
+   * @param {string[]} params.targetIds - Existing target categories
+   * @param {Array} params.newTargets - Targets to create next to the source ({ name, description, keywords })
+   * @param {boolean} params.deactivateSource - Stop classifying into the source afterwards (default true)
+   * @returns {Promise<Object>} Operation record
+   */
+  async splitCategory(project, userId, { sourceId, targetIds = [], newTargets = [], deactivateSource = true }) {
+    const source = await this.categoryService.getCategory(project.id, sourceId);
+    const existingTargetIds = [...new Set(targetIds)].filter(id => id !== sourceId);
+
+    const existingTargets = await this.prisma.category.findMany({
+      where: { projectId: project.id, id: { in: existingTargetIds } }
+    });
+    if (existingTargets.length !== existingTargetIds.length) {
+      throw categoryError('CATEGORY_NOT_FOUND', 'Category not found');
+    }
+    if (existingTargets.length + newTargets.length < 2) {
+      throw categoryError('CATEGORY_INVALID', 'Split a category into at least two categories');
+    }
+
+    const createdTargets = [];
+    let split;
+    try {
+      for (const newTarget of newTargets) {
+        createdTargets.push(await this.categoryService.createCategory(project.id, project.userId, {
+          ...newTarget,
+          parentId: source.parentId
+        }));
+      }
+
+      split = await this.classifySplit(project, userId, source, [...existingTargets, ...createdTargets], createdTargets, deactivateSource);
+    } catch (error) {
+      if (createdTargets.length > 0) {
+        await this.prisma.category.deleteMany({ where: { id: { in: createdTargets.map(target => target.id) } } })
+          .catch(cleanupError => console.error('Error removing categories created for a failed split:', cleanupError));
+      }
+      throw error;
+    }
+
+    const { operation, feedback, results, targets } = split;
+    const targetNames = new Map(targets.map(target => [target.slug, target.name]));
+    const affectedCount = await this.applyFeedbackChanges(operation, feedback
+      .map((item, index) => ({
+        feedback: item,
+        category: results[index]?.category,
+        confidence: results[index]?.confidence,
+        manualOverride: false,
+        reasoning: `Category "${source.name}" split, re-classified as "${targetNames.get(results[index]?.category)}"`
+      }))
+      .filter((change, index) => CLASSIFIER_METHODS.has(results[index]?.method) && targetNames.has(change.category)));
+
+    return this.setAffectedCount(operation, affectedCount);
+  }
+
+  /**
+   * Classify the feedback of a split source into its targets and record the operation
+   * @returns {Promise<Object>} { operation, feedback, results, targets }
+   */
+  async classifySplit(project, userId, source, targets, createdTargets, deactivateSource) {
+    const sourceId = source.id;
+
+    // Path names give the model the context of subcategories
+    const allCategories = await this.prisma.category.findMany({ where: { projectId: project.id } });
+    const index = indexCategories(allCategories);
+    const tree = flattenCategoryTree(allCategories);
+    const classifierTargets = targets.map(target => ({
+      ...toClassifierCategory(target),
+      name: tree.find(category => category.id === target.id)?.pathName || target.name
+    }));
+
+    // A source that holds one of the targets must stay active, or the target would be excluded too
+    const targetIsDescendant = targets.some(target =>
+      index.ancestorsOf(index.byId.get(target.id) || target).some(ancestor => ancestor.id === sourceId)
+    );
+    const deactivatedSource = deactivateSource && source.isActive && !targetIsDescendant;
+
+    const feedback = (await this.findFeedback(project.id, [source.slug]))
+      .filter(item => item.content && item.content.trim().length > 0);
+
+    let results = [];
+    if (feedback.length > 0) {
+      const aiOptions = await getProjectAIOptions(project);
+      results = await batchCategorizeFeedback(
+        feedback.map(item => item.content),
+        undefined,
+        { ...aiOptions, categories: classifierTargets }
+      );
+
+      // Keyword fallback would put everything it can't match into the first target
+      if (!results.some(result => CLASSIFIER_METHODS.has(result?.method))) {
+        throw categoryError('CATEGORY_UNAVAILABLE', 'The AI provider could not classify the feedback, try the split again later');
+      }
+    }
+
+    const operation = await this.prisma.$transaction(async (tx) => {
+      if (deactivatedSource) {
+        await tx.category.update({ where: { id: sourceId }, data: { isActive: false } });
+      }
+
+      return tx.categoryOperation.create({
+        data: {
+          projectId: project.id,
+          userId,
+          type: CATEGORY_OPERATION_TYPES.SPLIT,
+          details: {
+            source: { id: source.id, name: source.name, slug: source.slug },
+            targets: targets.map(target => ({ id: target.id, name: target.name, slug: target.slug })),
+            createdTargetIds: createdTargets.map(target => target.id),
+            deactivatedSource
+          }
+        }
+      });
+    });
+
+    return { operation, feedback, results, targets };
+  }
+
+  /**
+   * Undo the most recent operation of a project
+   * Feedback changed again after the operation keeps its current category
+   * @param {Object} project - Project record
+   * @param {string} userId - User performing the undo
+   * @param {string} operationId - Operation ID
+   * @returns {Promise<Object>} { operation, revertedCount, skippedCount }
+   */
+  async undoOperation(project, userId, operationId) {
+    const operation = await this.prisma.categoryOperation.findFirst({
+      where: { id: operationId, projectId: project.id }
+    });
+    if (!operation) {
+      throw categoryError('CATEGORY_NOT_FOUND', 'Category operation not found');
+    }
+    if (operation.status !== 'applied') {
+      throw categoryError('CATEGORY_INVALID', 'This operation has already been undone');
+    }
+
+    const latest = await this.prisma.categoryOperation.findFirst({
+      where: { projectId: project.id, status: 'applied' },
+      orderBy: { createdAt: 'desc' }
+    });
+    if (latest.id !== operation.id) {
+      throw categoryError('CATEGORY_INVALID', 'Only the most recent category operation can be undone');
+    }
+
+    const { details } = operation;
+
+    if (operation.type === CATEGORY_OPERATION_TYPES.RENAME) {
+      const conflict = await this.prisma.category.findFirst({
+        where: { projectId: project.id, id: { not: details.categoryId }, slug: details.from.slug }
+      });
+      if (conflict) {
+        throw categoryError('CATEGORY_CONFLICT', `Category "${conflict.name}" now uses the previous name`);
+      }
+    }
+
+    const { revertedCount, skippedCount } = await this.prisma.$transaction(async (tx) => {
+      let resultSlugs = [];
+
+      if (operation.type === CATEGORY_OPERATION_TYPES.RENAME) {
+        await tx.category.update({
+          where: { id: details.categoryId },
+          data: { name: details.from.name, slug: details.from.slug }
+        });
+        resultSlugs = [details.to.slug];
+      } else if (operation.type === CATEGORY_OPERATION_TYPES.MERGE) {
+        await tx.category.createMany({
+          data: details.sources
+        });
+        for (const child of details.reparented) {
+          await tx.category.updateMany({
+            where: { id: child.id, projectId: project.id },
+            data: { parentId: child.parentId }
+          });
+        }
+        resultSlugs = [details.target.slug];
+      } else if (operation.type === CATEGORY_OPERATION_TYPES.SPLIT) {
+        resultSlugs = details.targets.map(target => target.slug);
+      }
+
+      // Operations recorded before references were rewritten have none to restore
+      if (details.references) {
+        await this.restoreCategoryReferences(tx, project.id, details.references);
+      }
+
+      return this.revertFeedbackChanges(project.id, operation, resultSlugs, tx);
+    }, { timeout: OPERATION_TRANSACTION_TIMEOUT });
+
+    if (operation.type === CATEGORY_OPERATION_TYPES.SPLIT) {
+      if (details.deactivatedSource) {
+        await this.prisma.category.update({ where: { id: details.source.id }, data: { isActive: true } });
+      }
+      // Targets created by the split go away unless something else uses them by now
+      for (const targetId of details.createdTargetIds) {
+        try {
+          await this.categoryService.deleteCategory(project.id, targetId);
+        } catch (error) {
+          console.warn(`Keeping category ${targetId} created by the split:`, error.message);
+        }
+      }
+    }
+
+    const undone = await this.prisma.categoryOperation.update({
+      where: { id: operation.id },
+      data: { status: 'undone', undoneAt: new Date() }
+    });
+
+    return { operation: undone, revertedCount, skippedCount };
+  }
+
+  /**
+   * Point categorization rules and classification corrections of a project at new category slugs
+   * @param {Object} tx - Transaction client
+   * @param {string} projectId - Project ID
+   * @param {Map} slugMap - Old slug -> new slug
+   * @returns {Promise<Object>} { rules: [{ id, from, to }], corrections: [{ id, aiPrediction, userCorrection }] }
+   *   previous values, stored on the operation for undo
+   */
+  async rewriteCategoryReferences(tx, projectId, slugMap) {
+    const { settings } = await tx.project.findUnique({ where: { id: projectId }, select: { settings: true } });
+    const rules = Array.isArray(settings?.categorizationRules) ? settings.categorizationRules : [];
+    const rewrittenRules = rules
+      .filter(rule => rule && slugMap.has(rule.category))
+      .map(rule => ({ id: rule.id, from: rule.category, to: slugMap.get(rule.category) }));
+
+    if (rewrittenRules.length > 0) {
+      await tx.project.update({
+        where: { id: projectId },
+        data: {
+          settings: {
+            ...settings,
+            categorizationRules: rules.map(rule =>
+              rule && slugMap.has(rule.category) ? { ...rule, category: slugMap.get(rule.category) } : rule
+            )
+          }
+        }
+      });
+    }
+
+    const oldSlugs = [...slugMap.keys()];
+    const corrections = await tx.classificationCorrection.findMany({
+      where: { projectId, OR: [{ aiPrediction: { in: oldSlugs } }, { userCorrection: { in: oldSlugs } }] },
+      select: { id: true, aiPrediction: true, userCorrection: true }
+    });
+
+    for (const [from, to] of slugMap) {
+      await tx.classificationCorrection.updateMany({ where: { projectId, aiPrediction: from }, data: { aiPrediction: to } });
+      await tx.classificationCorrection.updateMany({ where: { projectId, userCorrection: from }, data: { userCorrection: to } });
+    }
+
+    return { rules: rewrittenRules, corrections };
+  }
+
+  /**
+   * Undo rewriteCategoryReferences
+   * Rules pointed at another category since the operation keep their current category
+   * @param {Object} tx - Transaction client
+   * @param {string} projectId - Project ID
+   * @param {Object} references - Previous values returned by rewriteCategoryReferences
+   */
+  async restoreCategoryReferences(tx, projectId, references) {
+    if (references.rules.length > 0) {
+      const { settings } = await tx.project.findUnique({ where: { id: projectId }, select: { settings: true } });
+      const rewritten = new Map(references.rules.map(rule => [rule.id, rule]));
+
+      if (Array.isArray(settings?.categorizationRules)) {
+        await tx.project.update({
+          where: { id: projectId },
+          data: {
+            settings: {
+              ...settings,
+              categorizationRules: settings.categorizationRules.map(rule =>
+                rule && rewritten.get(rule.id)?.to === rule.category
+                  ? { ...rule, category: rewritten.get(rule.id).from }
+                  : rule
+              )
+            }
+          }
+        });
+      }
+    }
+
+    for (const { id, aiPrediction, userCorrection } of references.corrections) {
+      await tx.classificationCorrection.updateMany({
+        where: { id, projectId },
+        data: { aiPrediction, userCorrection }
+      });
+    }
+  }
+
+  /**
+   * Feedback of a project in the given categories
+   */
+  async findFeedback(projectId, slugs, client = this.prisma) {
+    return client.feedback.findMany({
+      where: { projectId, category: { in: slugs } },
+      select: {
+        id: true,
+        content: true,
+        category: true,
+        aiCategoryConfidence: true,
+        manualOverride: true,
+        classificationHistory: true
+      }
+    });
+  }
+
+  /**
+   * Apply category changes to feedback and append them to classificationHistory
+   * @param {Object} operation - Operation record
+   * @param {Array} changes - { feedback, category, reasoning, confidence?, manualOverride? }
+   * @param {Object|null} tx - Transaction to run the updates in (default: chunked transactions)
+   * @returns {Promise<number>} Number of feedback items changed
+   */
+  async applyFeedbackChanges(operation, changes, tx = null) {
+    const method = HISTORY_METHODS[operation.type];
+    const updates = changes
+      .filter(change => change.category && change.category !== change.feedback.category)
+      .map(({ feedback, category, reasoning, confidence, manualOverride }) => {
+        const history = Array.isArray(feedback.classificationHistory) ? feedback.classificationHistory : [];
+        const previousConfidence = toNumberOrNull(feedback.aiCategoryConfidence);
+
+        const data = {
+          category,
+          classificationHistory: [...history, {
+            timestamp: new Date().toISOString(),
+            category,
+            confidence: confidence ?? previousConfidence,
+            method,
+            reasoning,
+            previousCategory: feedback.category,
+            previousConfidence,
+            previousManualOverride: feedback.manualOverride,
+            operationId: operation.id
+          }]
+        };
+        if (confidence !== undefined) data.aiCategoryConfidence = confidence;
+        if (manualOverride !== undefined) data.manualOverride = manualOverride;
+
+        return { id: feedback.id, data };
+      });
+
+    await this.runUpdates(updates, tx);
+    return updates.length;
+  }
+
+  /**
+   * Put feedback changed by an operation back into its previous category
+   * @returns {Promise<Object>} { revertedCount, skippedCount }
+   */
+  async revertFeedbackChanges(projectId, operation, resultSlugs, tx = null) {
+    const feedback = await this.findFeedback(projectId, resultSlugs, tx || this.prisma);
+    let skippedCount = 0;
+
+    const updates = [];
+    feedback.forEach(item => {
+      const history = Array.isArray(item.classificationHistory) ? item.classificationHistory : [];
+      const operationEntry = [...history].reverse().find(entry => entry?.operationId === operation.id);
+      if (!operationEntry) {
+        return;
+      }
+
+      // Changed again since the operation - keep the newer category
+      if (history[history.length - 1] !== operationEntry || item.category !== operationEntry.category) {
+        skippedCount++;
+        return;
+      }
+
+      updates.push({
+        id: item.id,
+        data: {
+          category: operationEntry.previousCategory,
+          aiCategoryConfidence: operationEntry.previousConfidence,
+          manualOverride: operationEntry.previousManualOverride ?? item.manualOverride,
+          classificationHistory: [...history, {
+            timestamp: new Date().toISOString(),
+            category: operationEntry.previousCategory,
+            confidence: operationEntry.previousConfidence,
+            method: UNDO_METHOD,
+            reasoning: `Undo of category ${operation.type}`,
+            previousCategory: item.category,
+            operationId: operation.id
+          }]
+        }
+      });
+    });
+
+    await this.runUpdates(updates, tx);
+    return { revertedCount: updates.length, skippedCount };
+  }
+
+  /**
+   * Run feedback updates in the given transaction, or in chunked transactions
+   */
+  async runUpdates(updates, tx = null) {
+    if (tx) {
+      for (const { id, data } of updates) {
+        await tx.feedback.update({ where: { id }, data });
+      }
+      return;
+    }
+
+    for (let i = 0; i < updates.length; i += UPDATE_CHUNK_SIZE) {
+      const chunk = updates.slice(i, i + UPDATE_CHUNK_SIZE);
+      await this.prisma.$transaction(
+        chunk.map(({ id, data }) => this.prisma.feedback.update({ where: { id }, data }))
+      );
+    }
+  }
+
+  async setAffectedCount(operation, affectedCount, client = this.prisma) {
+    return client.categoryOperation.update({
+      where: { id: operation.id },
+      data: { affectedCount }
+    });
+  }
+}
+
+export const categoryOperationService = new CategoryOperationService();
+
+export default CategoryOperationService;
@@ -0,0 +1,362 @@
+import { prisma } from '../prisma.js';
+import {
+  DEFAULT_CATEGORIES,
+  MAX_CATEGORY_DEPTH,
+  slugifyCategoryName,
+  indexCategories,
+  toClassifierCategories,
+  getDefaultClassifierCategories
+} from '../categories.js';
+
+const EDITABLE_FIELDS = ['name', 'description', 'keywords', 'color', 'isActive', 'sortOrder', 'parentId'];
+
+/**
+ * Create an error carrying a code the API routes map to an HTTP status
+ */
+export function categoryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Category Service - Project categories used for display and AI classification
+ */
+class CategoryService {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient;
+  }
+
+  /**
+   * Seed the default categories for a project that has none yet
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Owner of the project
+   * @returns {Promise<number>} Number of categories created
+   */
+  async ensureDefaultCategories(projectId, userId) {
+    const count = await this.prisma.category.count({ where: { projectId } });
+    if (count > 0) {
+      return 0;
+    }
+
+    const result = await this.prisma.category.createMany({
+      data: DEFAULT_CATEGORIES.map((category, index) => ({
+        ...category,
+        userId,
+        projectId,
+        isDefault: true,
+        isActive: true,
+        sortOrder: index
+      })),
+      skipDuplicates: true
+    });
+
+    return result.count;
+  }
+
+  /**
+   * List the categories of a project (seeding defaults on first use)
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Owner of the project
+   * @param {Object} options - { includeInactive } (default true)
+   * @returns {Promise<Array>} Category records
+   */
+  async listCategories(projectId, userId, { includeInactive = true } = {}) {
+    await this.ensureDefaultCategories(projectId, userId);
+
+    return this.prisma.category.findMany({
+      where: {
+        projectId,
+        ...(includeInactive ? {} : { isActive: true })
+      },
+      orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }]
+    });
+  }
+
+  /**
+   * Categories of a project the classifiers can assign (active leaves of the tree)
+   * Falls back to the defaults when there is no project or the database is unavailable
+   * @param {Object|null} project - Project record
+   * @returns {Promise<Array>} Classifier categories ({id, name, description, keywords})
+   */
+  async getClassifierCategories(project) {
+    if (!project) {
+      return getDefaultClassifierCategories();
+    }
+
+    try {
+      // Inactive categories are needed to tell whether a parent still has active children
+      const categories = toClassifierCategories(await this.listCategories(project.id, project.userId));
+      return categories.length > 0 ? categories : getDefaultClassifierCategories();
+    } catch (error) {
+      console.error('Error loading project categories, using defaults:', error);
+      return getDefaultClassifierCategories();
+    }
+  }
+
+  /**
+   * Validate and normalize category input
+   * @param {Object} data - Raw input
+   * @param {boolean} partial - Allow missing name (updates)
+   * @returns {Object} Normalized data
+   */
+  normalizeInput(data, partial = false) {
+    const normalized = {};
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        normalized[field] = data[field];
+      }
+    });
+
+    if (normalized.name !== undefined || !partial) {
+      if (typeof normalized.name !== 'string' || normalized.name.trim().length === 0) {
+        throw categoryError('CATEGORY_INVALID', 'Category name is required');
+      }
+      normalized.name = normalized.name.trim();
+    }
+
+    if (normalized.description !== undefined) {
+      normalized.description = normalized.description?.trim() || null;
+    }
+
+    if (normalized.keywords !== undefined) {
+      // Store keywords as a clean comma-separated list
+      const keywords = Array.isArray(normalized.keywords)
+        ? normalized.keywords
+        : (normalized.keywords || '').split(',');
+      normalized.keywords = keywords.map(k => k.trim()).filter(Boolean).join(',') || null;
+    }
+
+    if (normalized.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(normalized.color)) {
+      throw categoryError('CATEGORY_INVALID', 'Color must be a hex value like #3B82F6');
+    }
+
+    if (normalized.isActive !== undefined) {
+      normalized.isActive = !!normalized.isActive;
+    }
+
+    if (normalized.sortOrder !== undefined) {
+      normalized.sortOrder = parseInt(normalized.sortOrder) || 0;
+    }
+
+    if (normalized.parentId !== undefined) {
+      normalized.parentId = normalized.parentId || null;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Create a category in a project
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Owner of the project
+   * @param {Object} data - { name, description, keywords, color, isActive, parentId }
+   * @returns {Promise<Object>} Created category
+   */
+  async createCategory(projectId, userId, data) {
+    await this.ensureDefaultCategories(projectId, userId);
+
+    const normalized = this.normalizeInput(data);
+    await this.validateParent(projectId, null, normalized.parentId);
+    const slug = slugifyCategoryName(data.slug || normalized.name);
+    if (!slug) {
+      throw categoryError('CATEGORY_INVALID', 'Category name must contain letters or numbers');
+    }
+
+    const existing = await this.prisma.category.findFirst({
+      where: {
+        projectId,
+        OR: [{ slug }, { name: normalized.name }]
+      }
+    });
+    if (existing) {
+      throw categoryError('CATEGORY_CONFLICT', `Category "${existing.name}" already exists`);
+    }
+
+    const maxOrder = await this.prisma.category.aggregate({
+      where: { projectId },
+      _max: { sortOrder: true }
+    });
+
+    return this.prisma.category.create({
+      data: {
+        sortOrder: (maxOrder._max.sortOrder ?? -1) + 1,
+        ...normalized,
+        slug,
+        userId,
+        projectId,
+        isDefault: false
+      }
+    });
+  }
+
+  /**
+   * Update a category (the slug stays the same, so feedback keeps pointing at it)
+   * @param {string} projectId - Project ID
+   * @param {string} categoryId - Category ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated category
+   */
+  async updateCategory(projectId, categoryId, data) {
+    const category = await this.getCategory(projectId, categoryId);
+    const normalized = this.normalizeInput(data, true);
+
+    if (normalized.parentId !== undefined && normalized.parentId !== category.parentId) {
+      await this.validateParent(projectId, categoryId, normalized.parentId);
+    }
+
+    if (normalized.name && normalized.name !== category.name) {
+      const conflict = await this.prisma.category.findFirst({
+        where: { projectId, name: normalized.name, id: { not: categoryId } }
+      });
+      if (conflict) {
+        throw categoryError('CATEGORY_CONFLICT', `Category "${normalized.name}" already exists`);
+      }
+    }
+
+    return this.prisma.category.update({
+      where: { id: categoryId },
+      data: normalized
+    });
+  }
+
+  /**
+   * Delete a custom category
+   * @param {string} projectId - Project ID
+   * @param {string} categoryId - Category ID
+   * @returns {Promise<Object>} Deleted category
+   */
+  async deleteCategory(projectId, categoryId) {
+    const category = await this.getCategory(projectId, categoryId);
+
+    if (category.isDefault) {
+      throw categoryError('CATEGORY_INVALID', 'Default categories cannot be deleted, deactivate them instead');
+    }
+
+    const childCount = await this.prisma.category.count({ where: { parentId: categoryId } });
+    if (childCount > 0) {
+      throw categoryError('CATEGORY_INVALID', 'Move or delete the subcategories of this category first');
+    }
+
+    // Deleting would orphan the feedback, merging moves it to another category
+    const feedbackCount = await this.prisma.feedback.count({ where: { projectId, category: category.slug } });
+    if (feedbackCount > 0) {
+      throw categoryError('CATEGORY_INVALID', `${feedbackCount} feedback items use this category, merge it into another category instead`);
+    }
+
+    return this.prisma.category.delete({ where: { id: categoryId } });
+  }
+
+  /**
+   * Import categories (used by the one-time localStorage migration and JSON import)
+   * Categories whose slug or name already exists in the project are skipped.
+   * Subcategories reference their parent with `parentSlug`; parents must come first.
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Owner of the project
+   * @param {Array} categories - Categories ({id|slug, name, description, keywords, color, isActive, parentSlug})
+   * @returns {Promise<Object>} { imported, skipped }
+   */
+  async importCategories(projectId, userId, categories) {
+    await this.ensureDefaultCategories(projectId, userId);
+
+    let imported = 0;
+    let skipped = 0;
+
+    for (const { id, parentId, parentSlug, ...category } of categories) {
+      try {
+        const parent = parentSlug
+          ? await this.prisma.category.findFirst({ where: { projectId, slug: parentSlug } })
+          : null;
+
+        await this.createCategory(projectId, userId, {
+          ...category,
+          parentId: parent?.id || null,
+          // Legacy localStorage categories used `id` for the slug
+          slug: category.slug || id
+        });
+        imported++;
+      } catch (error) {
+        if (error.code === 'CATEGORY_CONFLICT' || error.code === 'CATEGORY_INVALID') {
+          skipped++;
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    return { imported, skipped };
+  }
+
+  /**
+   * Check that a parent can hold the category: same project, no cycle, within MAX_CATEGORY_DEPTH
+   * @param {string} projectId - Project ID
+   * @param {string|null} categoryId - Category being moved (null when creating)
+   * @param {string|null} parentId - New parent ID
+   */
+  async validateParent(projectId, categoryId, parentId) {
+    if (!parentId) {
+      return;
+    }
+
+    const categories = await this.prisma.category.findMany({
+      where: { projectId },
+      select: { id: true, parentId: true, slug: true, name: true }
+    });
+    const index = indexCategories(categories);
+    const parent = index.byId.get(parentId);
+
+    if (!parent) {
+      throw categoryError('CATEGORY_INVALID', 'Parent category not found in this project');
+    }
+
+    const lineage = [...index.ancestorsOf(parent), parent];
+    if (categoryId && lineage.some(category => category.id === categoryId)) {
+      throw categoryError('CATEGORY_INVALID', 'A category cannot be moved under itself or one of its subcategories');
+    }
+
+    // Depth of the deepest subtree below the category being moved
+    const subtreeDepth = id => {
+      const children = index.childrenOf(id);
+      return children.length === 0 ? 0 : 1 + Math.max(...children.map(child => subtreeDepth(child.id)));
+    };
+    const depth = lineage.length + (categoryId ? subtreeDepth(categoryId) : 0);
+    if (depth > MAX_CATEGORY_DEPTH) {
+      throw categoryError('CATEGORY_INVALID', `Categories can be nested at most ${MAX_CATEGORY_DEPTH + 1} levels deep`);
+    }
+  }
+
+  /**
+   * Get a category of a project or throw CATEGORY_NOT_FOUND
+   */
+  async getCategory(projectId, categoryId) {
+    const category = await this.prisma.category.findFirst({
+      where: { id: categoryId, projectId }
+    });
+
+    if (!category) {
+      throw categoryError('CATEGORY_NOT_FOUND', 'Category not found');
+    }
+
+    return category;
+  }
+}
+
+/**
+ * Map CategoryService error codes to HTTP status codes
+ * @param {Error} error - Error thrown by the service
+ * @returns {number|null} Status code, or null for unexpected errors
+ */
+export function getCategoryErrorStatus(error) {
+  switch (error.code) {
+    case 'CATEGORY_INVALID': return 400;
+    case 'CATEGORY_NOT_FOUND': return 404;
+    case 'CATEGORY_CONFLICT': return 409;
+    case 'CATEGORY_UNAVAILABLE': return 503;
+    default: return null;
+  }
+}
+
+export const categoryService = new CategoryService();
+
+export default CategoryService;
@@ -0,0 +1,361 @@
+import { prisma } from '../prisma.js';
+import { embedFeedbackTexts } from '../embeddings.js';
+import {
+  getDuplicateThreshold,
+  findSimilarFeedback,
+  groupDuplicates,
+  pickCanonical
+} from '../duplicateDetection.js';
+
+// Feedback embedded per call, so a large backlog is worked off over several requests
+const EMBEDDING_BATCH_LIMIT = 200;
+
+// Background embedding runs per project ID, so only one runs per project at a time
+const backfills = new Map();
+
+// Most recent feedback compared when grouping a whole project (pairwise comparison)
+const MAX_GROUPING_ITEMS = 2000;
+
+const CANDIDATE_FIELDS = {
+  id: true,
+  content: true,
+  source: true,
+  category: true,
+  sentimentLabel: true,
+  feedbackDate: true,
+  createdAt: true,
+  duplicateOfId: true,
+  duplicateCount: true,
+  embedding: true,
+  embeddingModel: true
+};
+
+/**
+ * Create an error carrying a code the API routes map to an HTTP status
+ */
+export function duplicateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Drop the embedding from feedback returned to clients
+ */
+const withoutEmbedding = ({ embedding, embeddingModel, ...feedback }) => feedback;
+
+/**
+ * Duplicate Service - Embeddings, near-duplicate search and merging of feedback
+ */
+class DuplicateService {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient;
+  }
+
+  /**
+   * Compute and store embeddings of feedback
+   * @param {Array} feedback - Feedback records ({ id, content })
+   * @param {Object|null} project - Project whose AI provider is the fallback embedding source
+   * @returns {Promise<number>} Number of feedback embedded (0 when no embedding source is available)
+   */
+  async embedFeedback(feedback, project = null) {
+    if (feedback.length === 0) {
+      return 0;
+    }
+
+    const result = await embedFeedbackTexts(feedback.map(item => item.content), { project });
+    if (!result) {
+      return 0;
+    }
+
+    await this.prisma.$transaction(feedback.map((item, index) =>
+      this.prisma.feedback.update({
+        where: { id: item.id },
+        data: { embedding: result.vectors[index], embeddingModel: result.model }
+      })
+    ));
+
+    return feedback.length;
+  }
+
+  /**
+   * Embed project feedback that has no embedding yet (up to EMBEDDING_BATCH_LIMIT per call)
+   * @param {Object} project - Project record
+   * @returns {Promise<Object>} { embedded, remaining }
+   */
+  async ensureProjectEmbeddings(project) {
+    const missing = await this.prisma.feedback.findMany({
+      where: { projectId: project.id, embeddingModel: null },
+      select: { id: true, content: true },
+      orderBy: { createdAt: 'desc' },
+      take: EMBEDDING_BATCH_LIMIT
+    });
+
+    const embedded = await this.embedFeedback(missing, project);
+    const remaining = await this.countMissingEmbeddings(project.id);
+
+    return { embedded, remaining };
+  }
+
+  /**
+   * Number of project feedback without an embedding
+   */
+  async countMissingEmbeddings(projectId) {
+    return this.prisma.feedback.count({
+      where: { projectId, embeddingModel: null }
+    });
+  }
+
+  /**
+   * Start embedding missing project feedback in the background
+   * Results are computed from the feedback embedded so far.
+   * @returns {Promise<number>} Project feedback still without an embedding
+   */
+  async startBackfill(project) {
+    const remaining = await this.countMissingEmbeddings(project.id);
+    if (remaining > 0) {
+      this.backfillProjectEmbeddings(project);
+    }
+    return remaining;
+  }
+
+  /**
+   * Embed project feedback that has no embedding yet in the background
+   * Callers don't wait for it; a backfill already running for the project is reused.
+   * @param {Object} project - Project record
+   * @returns {Promise<Object>} The running backfill ({ embedded, remaining })
+   */
+  backfillProjectEmbeddings(project) {
+    if (!backfills.has(project.id)) {
+      const backfill = this.ensureProjectEmbeddings(project)
+        .catch(error => {
+          console.error(`Embedding feedback of project ${project.id} failed:`, error);
+          return { embedded: 0, remaining: null };
+        })
+        .finally(() => backfills.delete(project.id));
+      backfills.set(project.id, backfill);
+    }
+    return backfills.get(project.id);
+  }
+
+  /**
+   * Embedded, non-archived feedback of a project, most recent first
+   */
+  async getCandidates(projectId, take = MAX_GROUPING_ITEMS) {
+    return this.prisma.feedback.findMany({
+      where: { projectId, isArchived: false, embeddingModel: { not: null } },
+      select: CANDIDATE_FIELDS,
+      orderBy: { createdAt: 'desc' },
+      take
+    });
+  }
+
+  /**
+   * Possible duplicates of a feedback
+   * @param {string} feedbackId - Feedback ID
+   * @param {string} userId - Owner of the feedback
+   * @param {Object} options - { threshold } (defaults to the project setting), { limit }
+   * @returns {Promise<Object>} { matches: [{ feedback, similarity }], merged: feedback already merged into it, embedded,
+   *   pendingEmbeddings: project feedback still without an embedding, embedded in the background meanwhile }
+   */
+  async findPossibleDuplicates(feedbackId, userId, { threshold, limit = 10 } = {}) {
+    const feedback = await this.prisma.feedback.findFirst({
+      where: { id: feedbackId, userId },
+      select: { id: true, content: true, projectId: true, embeddingModel: true, project: true }
+    });
+
+    if (!feedback) {
+      throw duplicateError('DUPLICATE_NOT_FOUND', 'Feedback not found');
+    }
+
+    const merged = await this.prisma.feedback.findMany({
+      where: { duplicateOfId: feedbackId },
+      select: { id: true, content: true, source: true, feedbackDate: true, mergedAt: true },
+      orderBy: { mergedAt: 'desc' }
+    });
+
+    if (!feedback.projectId) {
+      return { matches: [], merged, embedded: false, pendingEmbeddings: 0 };
+    }
+
+    // Only the feedback itself is embedded right away, the rest of the project in the background
+    if (!feedback.embeddingModel) {
+      await this.embedFeedback([feedback], feedback.project);
+    }
+    const remaining = await this.startBackfill(feedback.project);
+
+    const target = await this.prisma.feedback.findUnique({ where: { id: feedbackId }, select: CANDIDATE_FIELDS });
+    if (!target.embeddingModel) {
+      return { matches: [], merged, embedded: false, pendingEmbeddings: remaining };
+    }
+
+    const candidates = await this.getCandidates(feedback.projectId);
+    const matches = findSimilarFeedback(target, candidates, { threshold: threshold ?? getDuplicateThreshold(feedback.project), limit })
+      .map(({ feedback: match, similarity }) => ({ feedback: withoutEmbedding(match), similarity }));
+
+    return { matches, merged, embedded: true, pendingEmbeddings: remaining };
+  }
+
+  /**
+   * Groups of near-duplicate feedback in a project
+   * Feedback without an embedding is embedded in the background and grouped on a later call.
+   * @param {Object} project - Project record
+   * @param {Object} options - { threshold } (defaults to the project setting)
+   * @returns {Promise<Object>} { groups: [{ canonicalId, ids, size, minSimilarity, maxSimilarity, items }], compared, pendingEmbeddings }
+   */
+  async findDuplicateGroups(project, { threshold } = {}) {
+    const remaining = await this.startBackfill(project);
+    // Already merged duplicates are represented by their canonical feedback
+    const candidates = (await this.getCandidates(project.id)).filter(item => !item.duplicateOfId);
+    const byId = new Map(candidates.map(item => [item.id, withoutEmbedding(item)]));
+
+    const groups = groupDuplicates(candidates, { threshold: threshold ?? getDuplicateThreshold(project) }).map(group => ({
+      ...group,
+      items: group.ids.map(id => byId.get(id))
+    }));
+
+    return { groups, compared: candidates.length, pendingEmbeddings: remaining };
+  }
+
+  /**
+   * Merge feedback into a canonical feedback
+   * Duplicates stay in place (so volume analytics keep counting every report), linked to the canonical
+   * feedback through duplicateOfId; the canonical feedback counts them in duplicateCount. Duplicates
+   * merged into one of the merged items move along to the canonical feedback; canonical feedback that
+   * loses merged items is recounted in the same transaction.
+   * @param {string|null} canonicalId - Canonical feedback ID (null picks the item holding most duplicates, else the oldest)
+   * @param {string[]} feedbackIds - Feedback to merge (may include the canonical ID)
+   * @param {string} userId - Owner of the feedback
+   * @returns {Promise<Object>} { canonicalId, merged, duplicateCount }
+   */
+  async mergeFeedback(canonicalId, feedbackIds, userId) {
+    const ids = [...new Set([...(canonicalId ? [canonicalId] : []), ...feedbackIds])];
+    const feedback = await this.prisma.feedback.findMany({
+      where: { id: { in: ids }, userId },
+      select: { id: true, projectId: true, feedbackDate: true, createdAt: true, duplicateOfId: true, duplicateCount: true, editHistory: true }
+    });
+
+    if (feedback.length !== ids.length) {
+      throw duplicateError('DUPLICATE_NOT_FOUND', 'Some feedback items not found or unauthorized');
+    }
+    if (ids.length < 2) {
+      throw duplicateError('DUPLICATE_INVALID', 'Select at least two feedback items to merge');
+    }
+    if (new Set(feedback.map(item => item.projectId)).size > 1) {
+      throw duplicateError('DUPLICATE_INVALID', 'Only feedback of the same project can be merged');
+    }
+
+    const unmerged = feedback.filter(item => !item.duplicateOfId);
+    const canonical = canonicalId
+      ? feedback.find(item => item.id === canonicalId)
+      : pickCanonical(unmerged.length > 0 ? unmerged : feedback);
+    if (canonical.duplicateOfId) {
+      throw duplicateError('DUPLICATE_INVALID', 'The canonical feedback is itself merged into another feedback');
+    }
+
+    const duplicateIds = ids.filter(id => id !== canonical.id);
+    // Canonical feedback outside the selection that loses some of the merged items
+    const previousCanonicalIds = [...new Set(feedback
+      .map(item => item.duplicateOfId)
+      .filter(id => id && id !== canonical.id && !duplicateIds.includes(id)))];
+    const now = new Date();
+
+    const duplicateCount = await this.prisma.$transaction(async (tx) => {
+      // Earlier duplicates of the merged items move to the canonical feedback
+      await tx.feedback.updateMany({
+        where: { duplicateOfId: { in: duplicateIds } },
+        data: { duplicateOfId: canonical.id }
+      });
+
+      await tx.feedback.updateMany({
+        where: { id: { in: duplicateIds } },
+        data: { duplicateOfId: canonical.id, duplicateCount: 0, mergedAt: now, lastEditedBy: userId, lastEditedAt: now }
+      });
+
+      for (const previousId of previousCanonicalIds) {
+        const previousCount = await tx.feedback.count({ where: { duplicateOfId: previousId } });
+        await tx.feedback.update({ where: { id: previousId }, data: { duplicateCount: previousCount } });
+      }
+
+      const count = await tx.feedback.count({ where: { duplicateOfId: canonical.id } });
+      const editHistory = Array.isArray(canonical.editHistory) ? canonical.editHistory : [];
+
+      await tx.feedback.update({
+        where: { id: canonical.id },
+        data: {
+          duplicateCount: count,
+          editHistory: [...editHistory, {
+            timestamp: now.toISOString(),
+            editedBy: userId,
+            changes: { duplicateCount: count },
+            previousValues: { duplicateCount: canonical.duplicateCount }
+          }],
+          lastEditedBy: userId,
+          lastEditedAt: now
+        }
+      });
+
+      return count;
+    });
+
+    console.log(`🔗 Merged ${duplicateIds.length} feedback into ${canonical.id} (${duplicateCount} duplicates)`);
+
+    return { canonicalId: canonical.id, merged: duplicateIds.length, duplicateCount };
+  }
+
+  /**
+   * Undo a merge: the feedback is no longer a duplicate
+   * @param {string} feedbackId - Merged feedback ID
+   * @param {string} userId - Owner of the feedback
+   * @returns {Promise<Object>} { canonicalId, duplicateCount }
+   */
+  async unmergeFeedback(feedbackId, userId) {
+    const feedback = await this.prisma.feedback.findFirst({
+      where: { id: feedbackId, userId },
+      select: { id: true, duplicateOfId: true }
+    });
+
+    if (!feedback) {
+      throw duplicateError('DUPLICATE_NOT_FOUND', 'Feedback not found');
+    }
+    if (!feedback.duplicateOfId) {
+      throw duplicateError('DUPLICATE_INVALID', 'Feedback is not merged into another feedback');
+    }
+
+    const now = new Date();
+
+    const duplicateCount = await this.prisma.$transaction(async (tx) => {
+      await tx.feedback.update({
+        where: { id: feedbackId },
+        data: { duplicateOfId: null, mergedAt: null, lastEditedBy: userId, lastEditedAt: now }
+      });
+
+      const count = await tx.feedback.count({ where: { duplicateOfId: feedback.duplicateOfId } });
+      await tx.feedback.update({
+        where: { id: feedback.duplicateOfId },
+        data: { duplicateCount: count }
+      });
+
+      return count;
+    });
+
+    return { canonicalId: feedback.duplicateOfId, duplicateCount };
+  }
+}
+
+/**
+ * Map DuplicateService error codes to HTTP status codes
+ * @param {Error} error - Error thrown by the service
+ * @returns {number|null} Status code, or null for unexpected errors
+ */
+export function getDuplicateErrorStatus(error) {
+  switch (error.code) {
+    case 'DUPLICATE_INVALID': return 400;
+    case 'DUPLICATE_NOT_FOUND': return 404;
+    default: return null;
+  }
+}
+
+export const duplicateService = new DuplicateService();
+
+export default DuplicateService;
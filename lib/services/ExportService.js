@@ -223,6 +223,7 @@ class ExportService {
     // Fetch data with related information
     const data = await prisma.feedback.findMany({
       where,
+      omit: { embedding: true },
       include: {
         notes: configuration.includeNotes ? {
           where: { isInternal: false }
@@ -0,0 +1,140 @@
+import { prisma } from '../prisma.js';
+import {
+  getProjectPrioritySettings,
+  countSimilarFeedback,
+  scorePriority
+} from '../priorityEngine.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields the priority engine reads
+const SCORING_FIELDS = {
+  id: true,
+  projectId: true,
+  category: true,
+  source: true,
+  topics: true,
+  feedbackDate: true,
+  sentimentScore: true,
+  urgencyScore: true,
+  customerValue: true,
+  aiClassificationMeta: true
+};
+
+/**
+ * Priority Service - Scores feedback priority with the project's priority settings
+ */
+class PriorityService {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient;
+  }
+
+  /**
+   * Project feedback dated within the recurrence window of the given feedback
+   * @param {string} projectId - Project ID
+   * @param {Array} items - Feedback being scored
+   * @param {number} windowDays - Recurrence window
+   * @returns {Promise<Array>} Feedback ({ id, category, topics, feedbackDate })
+   */
+  async getRecurrenceCandidates(projectId, items, windowDays) {
+    if (!projectId || items.length === 0) {
+      return [];
+    }
+
+    const times = items.map(item => new Date(item.feedbackDate || Date.now()).getTime());
+
+    return this.prisma.feedback.findMany({
+      where: {
+        projectId,
+        isArchived: false,
+        feedbackDate: {
+          gte: new Date(Math.min(...times) - windowDays * DAY_MS),
+          lte: new Date(Math.max(...times) + windowDays * DAY_MS)
+        }
+      },
+      select: { id: true, category: true, topics: true, feedbackDate: true }
+    });
+  }
+
+  /**
+   * Score the priority of feedback of one project
+   * Feedback scored together counts towards each other's recurrence, so a CSV import of twenty
+   * reports of the same outage raises them all.
+   * @param {Object|null} project - Project record (its settings.priority is used)
+   * @param {Array} items - Feedback data (saved or about to be created)
+   * @returns {Promise<Array|null>} Per item { priority, priorityScore, priorityFactors }, or null when the engine is disabled
+   */
+  async prioritizeFeedback(project, items) {
+    const settings = getProjectPrioritySettings(project);
+    if (!settings.enabled) {
+      return null;
+    }
+
+    const existing = await this.getRecurrenceCandidates(project?.id, items, settings.recurrenceWindowDays);
+    const savedIds = new Set(items.map(item => item.id).filter(Boolean));
+    const candidates = [...existing.filter(candidate => !savedIds.has(candidate.id)), ...items];
+
+    return items.map(item => {
+      const similarCount = countSimilarFeedback(item, candidates, settings.recurrenceWindowDays);
+      const { priority, score, factors } = scorePriority(item, settings, { similarCount });
+      return { priority, priorityScore: score, priorityFactors: factors };
+    });
+  }
+
+  /**
+   * Re-run the priority engine on saved feedback and store the results
+   * Feedback of projects with the engine disabled is left as it is.
+   * @param {string[]} feedbackIds - Feedback IDs
+   * @param {string} userId - Owner of the feedback
+   * @returns {Promise<Object>} { processed, skipped, changed }
+   */
+  async recalculatePriorities(feedbackIds, userId) {
+    const feedback = await this.prisma.feedback.findMany({
+      where: { id: { in: feedbackIds }, userId },
+      select: { ...SCORING_FIELDS, priority: true }
+    });
+
+    const byProject = new Map();
+    feedback.forEach(item => {
+      const group = byProject.get(item.projectId) || [];
+      group.push(item);
+      byProject.set(item.projectId, group);
+    });
+
+    const results = { processed: 0, skipped: 0, changed: 0 };
+
+    for (const [projectId, items] of byProject) {
+      const project = projectId
+        ? await this.prisma.project.findFirst({ where: { id: projectId, userId } })
+        : null;
+      const priorities = await this.prioritizeFeedback(project, items);
+
+      if (!priorities) {
+        results.skipped += items.length;
+        continue;
+      }
+
+      await this.prisma.$transaction(items.map((item, index) =>
+        this.prisma.feedback.update({
+          where: { id: item.id },
+          data: {
+            ...priorities[index],
+            lastEditedBy: userId,
+            lastEditedAt: new Date()
+          }
+        })
+      ));
+
+      results.processed += items.length;
+      results.changed += items.filter((item, index) => item.priority !== priorities[index].priority).length;
+    }
+
+    console.log(`🎯 Recalculated priority of ${results.processed} feedback (${results.changed} changed, ${results.skipped} skipped)`);
+
+    return results;
+  }
+}
+
+export const priorityService = new PriorityService();
+
+export default PriorityService;
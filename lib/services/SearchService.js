@@ -0,0 +1,241 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../prisma.js';
+import { embedFeedbackTexts } from '../embeddings.js';
+import { rankFeedback, SEARCH_CONFIG } from '../semanticSearch.js';
+import { groupSearchTerms } from '../searchQuery.js';
+import { tokenize } from '../fewShotExamples.js';
+import { duplicateService } from './DuplicateService.js';
+
+// Most recent feedback containing a query word, ranked per search
+const MAX_KEYWORD_CANDIDATES = 500;
+
+// Most recent feedback compared by meaning per search (embeddings are loaded for each of them)
+const MAX_SEMANTIC_CANDIDATES = 1000;
+
+const CANDIDATE_FIELDS = { id: true, content: true, translatedContent: true };
+const EMBEDDING_FIELDS = { ...CANDIDATE_FIELDS, embedding: true, embeddingModel: true };
+
+// Markers ts_headline puts around matches - control characters can't clash with feedback text
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" ... "`;
+
+/**
+ * Postgres tsquery of a parsed search query (see lib/searchQuery.js)
+ * Terms become phrase queries, so quoted phrases match their words in order; AND groups are
+ * combined with OR, as in the browser.
+ * @param {Object} parsedQuery - { type: 'simple', term } or { type: 'advanced', terms }
+ * @returns {Prisma.Sql} tsquery expression
+ */
+export function buildTsQuery(parsedQuery) {
+  if (parsedQuery.type === 'simple') {
+    return Prisma.sql`plainto_tsquery('english', ${parsedQuery.term})`;
+  }
+
+  const groups = groupSearchTerms(parsedQuery.terms).map(group => Prisma.sql`(${Prisma.join(
+    group.map(term => term.negated
+      ? Prisma.sql`!!phraseto_tsquery('english', ${term.term})`
+      : Prisma.sql`phraseto_tsquery('english', ${term.term})`),
+    ' && '
+  )})`);
+
+  return Prisma.join(groups, ' || ');
+}
+
+/**
+ * Prisma filter of feedback whose content or translation contains a word of the query
+ * Substring matches cover the prefix matches of keywordScore, so nothing with a keyword score is left out.
+ * @param {string} query - Search query
+ * @returns {Object} Prisma where clause
+ */
+export function buildKeywordFilter(query) {
+  const words = [...new Set(tokenize(query))];
+  const terms = words.length > 0 ? words : [query.trim()];
+
+  return {
+    OR: terms.flatMap(term => [
+      { content: { contains: term, mode: 'insensitive' } },
+      { translatedContent: { contains: term, mode: 'insensitive' } }
+    ])
+  };
+}
+
+/**
+ * Split a ts_headline snippet into plain and highlighted parts
+ * @param {string} snippet - Snippet with highlight markers
+ * @returns {Array} [{ text, highlight }]
+ */
+export function parseSnippet(snippet) {
+  const parts = [];
+  (snippet || '').split(HIGHLIGHT_START).forEach((chunk, index) => {
+    const [match, rest] = index === 0 ? [null, chunk] : chunk.split(HIGHLIGHT_STOP);
+    if (match) parts.push({ text: match, highlight: true });
+    if (rest) parts.push({ text: rest, highlight: false });
+  });
+  return parts;
+}
+
+/**
+ * Search Service - Keyword, semantic and hybrid search over stored feedback
+ */
+class SearchService {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient;
+  }
+
+  /**
+   * Search feedback
+   * Candidates are the most recent feedback containing a query word and, for semantic and hybrid searches,
+   * the most recent feedback with an embedding of the query's model; only those are loaded and ranked.
+   * Semantic and hybrid searches use the embeddings that exist and fall back to keywords when the query
+   * can't be embedded or no feedback has an embedding of the same model.
+   * @param {Object} where - Prisma filter of the feedback to search (ownership, project)
+   * @param {Object} options - { query, mode, limit, project } project whose AI provider may embed the query
+   *   and whose missing embeddings are computed in the background
+   * @param {Object} findOptions - Extra findMany options (include, omit) for the returned feedback
+   * @returns {Promise<Object>} { results: [{ feedback, score, keywordScore, semanticScore }], mode }
+   */
+  async searchFeedback(where, { query, mode = 'hybrid', limit = SEARCH_CONFIG.defaultLimit, project = null }, findOptions = {}) {
+    let effectiveMode = mode;
+    let queryVector = null;
+
+    if (mode !== 'keyword') {
+      if (project) {
+        duplicateService.backfillProjectEmbeddings(project);
+      }
+
+      const embedded = await embedFeedbackTexts([query], { project });
+      if (embedded) {
+        queryVector = { vector: embedded.vectors[0], model: embedded.model };
+      }
+    }
+
+    const keywordCandidates = await this.prisma.feedback.findMany({
+      where: { AND: [where, buildKeywordFilter(query)] },
+      select: queryVector ? EMBEDDING_FIELDS : CANDIDATE_FIELDS,
+      orderBy: { createdAt: 'desc' },
+      take: MAX_KEYWORD_CANDIDATES
+    });
+
+    let candidates = keywordCandidates;
+    if (queryVector) {
+      const keywordIds = new Set(keywordCandidates.map(item => item.id));
+      const semanticCandidates = await this.prisma.feedback.findMany({
+        where: { AND: [where, { embeddingModel: queryVector.model }] },
+        select: EMBEDDING_FIELDS,
+        orderBy: { createdAt: 'desc' },
+        take: MAX_SEMANTIC_CANDIDATES
+      });
+      candidates = [...keywordCandidates, ...semanticCandidates.filter(item => !keywordIds.has(item.id))];
+    }
+
+    if (!queryVector || !candidates.some(item => item.embeddingModel === queryVector.model)) {
+      if (mode !== 'keyword') {
+        console.warn('⚠️ Semantic search unavailable (no comparable embeddings), searching by keywords');
+      }
+      effectiveMode = 'keyword';
+    }
+
+    const ranked = rankFeedback(
+      candidates,
+      { text: query, vector: queryVector?.vector || null, model: queryVector?.model || null },
+      { mode: effectiveMode, limit }
+    );
+
+    const feedback = await this.prisma.feedback.findMany({
+      ...findOptions,
+      where: { id: { in: ranked.map(result => result.feedback.id) } }
+    });
+    const byId = new Map(feedback.map(item => [item.id, item]));
+
+    return {
+      results: ranked
+        .filter(result => byId.has(result.feedback.id))
+        .map(({ feedback: match, ...scores }) => ({ feedback: byId.get(match.id), ...scores })),
+      mode: effectiveMode
+    };
+  }
+
+  /**
+   * Full-text search in the database (feedback_search_vector: stemmed content, translation and notes)
+   * The snippet comes from the first field matching the query on its own (content, translation, notes),
+   * or from all of them when the match spans fields.
+   * @param {Object} filter - { userId, projectId, includeArchived }
+   * @param {Object} parsedQuery - Parsed query (see parseSearchQuery)
+   * @param {Object} options - { limit, offset }
+   * @param {Object} findOptions - Extra findMany options (include, omit) for the returned feedback
+   * @returns {Promise<Object>} { results: [{ feedback, rank, snippet: [{ text, highlight }], snippetField }], total }
+   */
+  async fullTextSearch({ userId, projectId = null, includeArchived = false }, parsedQuery, { limit = 50, offset = 0 } = {}, findOptions = {}) {
+    const search = Prisma.sql`search AS (SELECT ${buildTsQuery(parsedQuery)} AS query)`;
+    const matches = Prisma.sql`
+      f.user_id = ${userId}::uuid
+      ${projectId ? Prisma.sql`AND f.project_id = ${projectId}::uuid` : Prisma.empty}
+      ${includeArchived ? Prisma.empty : Prisma.sql`AND f.is_archived = false`}
+      AND f.search_vector @@ search.query
+    `;
+
+    const [rows, [{ total }]] = await Promise.all([
+      this.prisma.$queryRaw`
+        WITH ${search},
+        page AS (
+          SELECT f.id, f.created_at, f.content, f.translated_content,
+            ts_rank_cd(f.search_vector, search.query, 32) AS rank
+          FROM "feedback" f, search
+          WHERE ${matches}
+          ORDER BY rank DESC, f.created_at DESC
+          LIMIT ${limit} OFFSET ${offset}
+        ),
+        documents AS (
+          SELECT page.*, notes.text AS notes,
+            CASE
+              WHEN to_tsvector('english', page.content) @@ search.query THEN 'content'
+              WHEN to_tsvector('english', coalesce(page.translated_content, '')) @@ search.query THEN 'translatedContent'
+              WHEN to_tsvector('english', coalesce(notes.text, '')) @@ search.query THEN 'notes'
+              ELSE 'all'
+            END AS field
+          FROM page CROSS JOIN search
+          LEFT JOIN LATERAL (
+            SELECT string_agg(n.content, ' ') AS text FROM "feedback_notes" n WHERE n.feedback_id = page.id
+          ) notes ON true
+        )
+        SELECT d.id, d.rank, d.field,
+          ts_headline('english', CASE d.field
+            WHEN 'content' THEN d.content
+            WHEN 'translatedContent' THEN d.translated_content
+            WHEN 'notes' THEN d.notes
+            ELSE concat_ws(' ... ', d.content, d.translated_content, d.notes)
+          END, search.query, ${HEADLINE_OPTIONS}) AS snippet
+        FROM documents d, search
+        ORDER BY d.rank DESC, d.created_at DESC
+      `,
+      // Counted separately: a page past the last match has no rows to carry the total
+      this.prisma.$queryRaw`
+        WITH ${search}
+        SELECT count(*) AS total FROM "feedback" f, search WHERE ${matches}
+      `
+    ]);
+
+    const feedback = await this.prisma.feedback.findMany({
+      ...findOptions,
+      where: { id: { in: rows.map(row => row.id) } }
+    });
+    const byId = new Map(feedback.map(item => [item.id, item]));
+
+    return {
+      results: rows
+        .filter(row => byId.has(row.id))
+        .map(row => ({
+          feedback: byId.get(row.id),
+          rank: Math.round(Number(row.rank) * 1000) / 1000,
+          snippet: parseSnippet(row.snippet),
+          snippetField: row.field
+        })),
+      total: Number(total)
+    };
+  }
+}
+
+export const searchService = new SearchService();
+
+export default SearchService;
@@ -0,0 +1,195 @@
+import { createHash } from 'crypto';
+import { prisma } from '../prisma.js';
+import { summarizeFeedbackSet } from '../geminiAI.js';
+import { getProjectAIProvider } from '../ai/index.js';
+import { getProjectRedactionSettings } from '../piiRedaction.js';
+
+// Most recent feedback of a filter set that gets summarized
+const MAX_SUMMARY_ITEMS = 1000;
+
+// Filter settings that change the order of the list but not which feedback is in it
+const ORDER_ONLY_FILTERS = ['sortBy', 'sortOrder'];
+
+/**
+ * Create an error carrying a code the API routes map to an HTTP status
+ */
+export function summaryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Filters in a canonical form: no functions, no empty values, sorted keys and lists
+ */
+function normalizeFilters(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeFilters).sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .filter(key => !ORDER_ONLY_FILTERS.includes(key))
+        .map(key => [key, normalizeFilters(value[key])])
+        .filter(([, entry]) => entry !== undefined && entry !== null && entry !== '' &&
+          !(Array.isArray(entry) && entry.length === 0) &&
+          !(typeof entry === 'object' && !Array.isArray(entry) && Object.keys(entry).length === 0))
+    );
+  }
+  return typeof value === 'function' ? undefined : value;
+}
+
+/**
+ * Hash identifying a filter set, the same for filters that select the same feedback
+ * @param {Object} filters - Filters of the feedback list
+ * @param {string|null} projectId - Project the list belongs to
+ * @returns {string} SHA-256 hex digest
+ */
+export function getFilterHash(filters, projectId = null) {
+  return createHash('sha256')
+    .update(JSON.stringify({ projectId, filters: normalizeFilters(filters || {}) }))
+    .digest('hex');
+}
+
+/**
+ * Hash of the feedback a summary was made from - changes when feedback is added, removed or edited
+ */
+function getFeedbackHash(feedback) {
+  return createHash('sha256')
+    .update(feedback.map(item => `${item.id}:${new Date(item.updatedAt).getTime()}`).sort().join(','))
+    .digest('hex');
+}
+
+/**
+ * Summary Service - AI summaries of filtered feedback sets, cached per filter hash
+ */
+class SummaryService {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient;
+  }
+
+  /**
+   * Summarize the feedback selected by a filter set
+   * A cached summary is returned while the filters and the feedback they select are unchanged. The AI
+   * provider and redaction settings are those of the project the feedback belongs to, so feedback of
+   * several projects is rejected.
+   * @param {string} userId - Owner of the feedback
+   * @param {Object} request - { projectId, filters, feedbackIds } feedback currently shown with the filters
+   * @param {Object} options - { refresh } summarize again even when a cached summary is current
+   * @returns {Promise<Object>} { summary, filterHash, feedbackCount, summarizedCount, cached }
+   */
+  async summarizeFilteredFeedback(userId, { projectId = null, filters = {}, feedbackIds }, { refresh = false } = {}) {
+    if (!Array.isArray(feedbackIds) || feedbackIds.length === 0) {
+      throw summaryError('SUMMARY_INVALID', 'No feedback to summarize');
+    }
+
+    const feedback = await this.prisma.feedback.findMany({
+      where: { id: { in: feedbackIds }, userId, ...(projectId ? { projectId } : {}) },
+      select: {
+        id: true,
+        projectId: true,
+        content: true,
+        translatedContent: true,
+        category: true,
+        sentimentLabel: true,
+        sentimentScore: true,
+        feedbackDate: true,
+        updatedAt: true
+      },
+      orderBy: { feedbackDate: 'desc' }
+    });
+
+    if (feedback.length === 0) {
+      throw summaryError('SUMMARY_NOT_FOUND', 'Feedback not found or unauthorized');
+    }
+
+    // The list may come without a project (e.g. the dashboard), so the project is taken from the feedback
+    const projectIds = [...new Set(feedback.map(item => item.projectId))];
+    if (projectIds.length > 1) {
+      throw summaryError('SUMMARY_INVALID', 'The feedback belongs to several projects, select a project to summarize it');
+    }
+
+    let project = null;
+    if (projectIds[0]) {
+      project = await this.prisma.project.findFirst({ where: { id: projectIds[0], userId } });
+      if (!project) {
+        throw summaryError('SUMMARY_NOT_FOUND', 'Project not found or unauthorized');
+      }
+    }
+
+    const filterHash = getFilterHash(filters, project?.id || null);
+    const feedbackHash = getFeedbackHash(feedback);
+    const summarized = feedback.slice(0, MAX_SUMMARY_ITEMS);
+
+    const cached = await this.prisma.feedbackSummary.findUnique({
+      where: { userId_filterHash: { userId, filterHash } }
+    });
+
+    if (cached && cached.feedbackHash === feedbackHash && !refresh) {
+      return {
+        summary: cached.summary,
+        filterHash,
+        feedbackCount: feedback.length,
+        summarizedCount: summarized.length,
+        cached: true
+      };
+    }
+
+    const result = await summarizeFeedbackSet(summarized, {
+      provider: getProjectAIProvider(project),
+      redaction: getProjectRedactionSettings(project)
+    });
+
+    // Quotes link to their feedback; the text is kept so cached summaries render without a lookup
+    const byId = new Map(summarized.map(item => [item.id, item]));
+    const summary = {
+      ...result,
+      themes: result.themes.map(theme => ({
+        ...theme,
+        quotes: theme.quotes.map(id => byId.get(id)).filter(Boolean).map(item => ({
+          feedbackId: item.id,
+          content: item.content.length > 300 ? `${item.content.slice(0, 297)}...` : item.content,
+          sentimentLabel: item.sentimentLabel,
+          feedbackDate: item.feedbackDate
+        }))
+      }))
+    };
+
+    // Fallback summaries after an AI error are not cached, so the next request tries the AI again
+    if (!summary.error) {
+      await this.prisma.feedbackSummary.upsert({
+        where: { userId_filterHash: { userId, filterHash } },
+        create: { userId, projectId: project?.id || null, filterHash, filters: normalizeFilters(filters || {}), feedbackHash, feedbackCount: feedback.length, summary },
+        update: { feedbackHash, feedbackCount: feedback.length, summary }
+      });
+    }
+
+    console.log(`📝 Summarized ${summarized.length} feedback (${summary.method}, ${summary.chunks} chunks)`);
+
+    return {
+      summary,
+      filterHash,
+      feedbackCount: feedback.length,
+      summarizedCount: summarized.length,
+      cached: false
+    };
+  }
+}
+
+/**
+ * Map SummaryService error codes to HTTP status codes
+ * @param {Error} error - Error thrown by the service
+ * @returns {number|null} Status code, or null for unexpected errors
+ */
+export function getSummaryErrorStatus(error) {
+  switch (error.code) {
+    case 'SUMMARY_INVALID': return 400;
+    case 'SUMMARY_NOT_FOUND': return 404;
+    default: return null;
+  }
+}
+
+export const summaryService = new SummaryService();
+
+export default SummaryService;
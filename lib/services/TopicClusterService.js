@@ -0,0 +1,156 @@
+import { prisma } from '../prisma.js';
+import { duplicateService } from './DuplicateService.js';
+import { clusterFeedback, matchPreviousThemes, isNewTheme } from '../topicClustering.js';
+
+// Themes are recomputed when the stored ones are older than this
+const REFRESH_INTERVAL_HOURS = Number(process.env.TOPIC_REFRESH_HOURS) || 24;
+
+// Most recent feedback clustered per project (k-means runs for every candidate number of themes)
+const MAX_CLUSTER_ITEMS = 1000;
+
+// Running refreshes per project ID, so concurrent requests never replace the same snapshot twice
+const refreshes = new Map();
+
+/**
+ * Topic Cluster Service - Emerging themes of a project's feedback, stored as snapshots
+ * The time of the last refresh is kept in topic_cluster_snapshots, so a project with too little feedback
+ * for any theme isn't refreshed on every request.
+ */
+class TopicClusterService {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient;
+  }
+
+  /**
+   * Whether the themes of a project are due for a refresh
+   * @param {Object|null} snapshot - Last refresh of the project (topic_cluster_snapshots)
+   * @returns {boolean} True when it never ran or is older than the refresh interval
+   */
+  isStale(snapshot, now = new Date()) {
+    if (!snapshot) {
+      return true;
+    }
+    return now.getTime() - new Date(snapshot.refreshedAt).getTime() > REFRESH_INTERVAL_HOURS * 60 * 60 * 1000;
+  }
+
+  /**
+   * Recompute the themes of a project and replace the stored ones
+   * Themes matching a previous one keep its ID and first-seen date.
+   * @param {Object} project - Project record
+   * @returns {Promise<Object>} { method, clustered, unclustered, refreshedAt }
+   */
+  async refreshProjectClusters(project) {
+    // Embeddings give better themes; feedback without one yet falls back to TF-IDF for this refresh
+    await duplicateService.backfillProjectEmbeddings(project);
+
+    const feedback = await this.prisma.feedback.findMany({
+      where: { projectId: project.id, isArchived: false },
+      select: {
+        id: true,
+        content: true,
+        translatedContent: true,
+        sentimentLabel: true,
+        sentimentScore: true,
+        feedbackDate: true,
+        createdAt: true,
+        duplicateOfId: true,
+        embedding: true,
+        embeddingModel: true
+      },
+      orderBy: { feedbackDate: 'desc' },
+      take: MAX_CLUSTER_ITEMS
+    });
+
+    const previous = await this.prisma.topicCluster.findMany({ where: { projectId: project.id } });
+    const { method, themes, unclustered } = clusterFeedback(feedback);
+    const matched = matchPreviousThemes(themes, previous);
+    const refreshedAt = new Date();
+
+    await this.prisma.$transaction([
+      this.prisma.topicCluster.deleteMany({ where: { projectId: project.id } }),
+      this.prisma.topicCluster.createMany({
+        data: matched.map(theme => ({
+          ...(theme.previousId ? { id: theme.previousId } : {}),
+          projectId: project.id,
+          label: theme.label,
+          keywords: theme.keywords,
+          size: theme.size,
+          sentiment: theme.sentiment,
+          quotes: theme.quotes,
+          feedbackIds: theme.feedbackIds,
+          method,
+          firstSeenAt: theme.firstSeenAt,
+          refreshedAt
+        }))
+      }),
+      this.prisma.topicClusterSnapshot.upsert({
+        where: { projectId: project.id },
+        create: { projectId: project.id, method, clustered: feedback.length - unclustered, unclustered, refreshedAt },
+        update: { method, clustered: feedback.length - unclustered, unclustered, refreshedAt }
+      })
+    ]);
+
+    console.log(`🧩 Clustered ${feedback.length - unclustered}/${feedback.length} feedback of project ${project.id} into ${themes.length} themes (${method || 'too little feedback'})`);
+
+    return { method, clustered: feedback.length - unclustered, unclustered, refreshedAt };
+  }
+
+  /**
+   * Refresh the themes of a project unless a refresh is already running for it
+   * @param {Object} project - Project record
+   * @returns {Promise<Object|null>} The running refresh (null when it failed)
+   */
+  refreshOnce(project) {
+    if (!refreshes.has(project.id)) {
+      const running = this.refreshProjectClusters(project)
+        .catch(error => {
+          console.error(`Refreshing the themes of project ${project.id} failed:`, error);
+          return null;
+        })
+        .finally(() => refreshes.delete(project.id));
+      refreshes.set(project.id, running);
+    }
+    return refreshes.get(project.id);
+  }
+
+  /**
+   * Themes of a project
+   * Stale themes are returned as they are while a refresh runs in the background; the request waits
+   * only when asked to refresh or when themes were never computed for the project.
+   * @param {Object} project - Project record
+   * @param {Object} options - { refresh } recompute even when the stored themes are recent
+   * @returns {Promise<Object>} { themes: [{ ..., isNew }], refreshedAt, refreshed, refreshing }
+   */
+  async getProjectClusters(project, { refresh = false } = {}) {
+    const findClusters = () => this.prisma.topicCluster.findMany({
+      where: { projectId: project.id },
+      orderBy: { size: 'desc' }
+    });
+
+    const findSnapshot = () => this.prisma.topicClusterSnapshot.findUnique({ where: { projectId: project.id } });
+
+    let [clusters, snapshot] = await Promise.all([findClusters(), findSnapshot()]);
+    const stale = this.isStale(snapshot);
+    // Themes stored before snapshots existed are shown while they refresh
+    const refreshed = refresh || (!snapshot && clusters.length === 0);
+
+    if (refreshed) {
+      await this.refreshOnce(project);
+      [clusters, snapshot] = await Promise.all([findClusters(), findSnapshot()]);
+    } else if (stale) {
+      this.refreshOnce(project);
+    }
+
+    const now = new Date();
+    return {
+      themes: clusters.map(cluster => ({ ...cluster, isNew: isNewTheme(cluster, now) })),
+      refreshedAt: snapshot?.refreshedAt || clusters[0]?.refreshedAt || null,
+      refreshed,
+      refreshing: !refreshed && stale
+    };
+  }
+}
+
+export const topicClusterService = new TopicClusterService();
+
+export default TopicClusterService;
@@ -0,0 +1,328 @@
+/**
+ * Topic clustering
+ * Groups a project's feedback into themes without a predefined topic list: spherical k-means over the
+ * feedback embeddings (see lib/embeddings.js), or over TF-IDF vectors of words and word pairs when the
+ * feedback has no comparable embeddings. Themes are named after the terms that set them apart from the
+ * rest of the feedback (class-based TF-IDF) and come with representative quotes and their sentiment.
+ * Themes too small to matter are left out, like the noise points of HDBSCAN.
+ */
+
+import { tokenize } from './fewShotExamples.js'
+
+export const CLUSTERING_CONFIG = {
+  // Fewest feedback a theme needs
+  minClusterSize: 3,
+
+  // Most themes a project is split into
+  maxClusters: 12,
+
+  // Terms of the TF-IDF vectors (most frequent, appearing in 2+ feedback)
+  maxVocabulary: 300,
+
+  iterations: 30,
+  keywordsPerCluster: 5,
+  quotesPerCluster: 3,
+
+  // A theme is "new" while its feedback started arriving within this many days
+  newThemeDays: 7
+}
+
+/**
+ * Words and adjacent word pairs of a text
+ */
+export function extractTerms(text) {
+  const tokens = tokenize(text).filter(token => !/^\d+$/.test(token))
+  return [...tokens, ...tokens.slice(1).map((token, index) => `${tokens[index]} ${token}`)]
+}
+
+/**
+ * TF-IDF vectors of texts over their most frequent terms
+ * @param {string[][]} termLists - Terms per text (see extractTerms)
+ * @returns {Object} { vocabulary: string[], vectors: number[][] }
+ */
+export function buildTfidfVectors(termLists) {
+  const documentFrequency = new Map()
+  termLists.forEach(terms => new Set(terms).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)))
+
+  const vocabulary = [...documentFrequency.entries()]
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, CLUSTERING_CONFIG.maxVocabulary)
+    .map(([term]) => term)
+  const index = new Map(vocabulary.map((term, i) => [term, i]))
+  const idf = vocabulary.map(term => Math.log(termLists.length / documentFrequency.get(term)) + 1)
+
+  const vectors = termLists.map(terms => {
+    const vector = new Array(vocabulary.length).fill(0)
+    terms.forEach(term => {
+      if (index.has(term)) vector[index.get(term)] += 1
+    })
+    return vector.map((count, i) => count * idf[i])
+  })
+
+  return { vocabulary, vectors }
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0))
+  return norm ? vector.map(value => value / norm) : vector
+}
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0)
+
+// Small seeded PRNG, so the same feedback always gives the same themes
+function seededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Spherical k-means (cosine similarity) with k-means++ seeding
+ * @param {number[][]} vectors - Unit vectors
+ * @param {number} k - Number of clusters
+ * @returns {Object} { assignments: cluster index per vector, centroids, similarities: similarity to the own centroid }
+ */
+export function kMeans(vectors, k, { iterations = CLUSTERING_CONFIG.iterations, seed = 42 } = {}) {
+  const random = seededRandom(seed)
+  const centroids = [vectors[Math.floor(random() * vectors.length)]]
+
+  while (centroids.length < k) {
+    const distances = vectors.map(vector => Math.max(0, 1 - Math.max(...centroids.map(centroid => dot(vector, centroid)))))
+    const total = distances.reduce((sum, distance) => sum + distance, 0)
+    if (total === 0) break
+    let target = random() * total
+    const next = distances.findIndex(distance => (target -= distance) <= 0)
+    centroids.push(vectors[next === -1 ? vectors.length - 1 : next])
+  }
+
+  let assignments = []
+  let similarities = []
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const previous = assignments
+    assignments = []
+    similarities = []
+    vectors.forEach(vector => {
+      let best = 0
+      let bestSimilarity = -Infinity
+      centroids.forEach((centroid, c) => {
+        const similarity = dot(vector, centroid)
+        if (similarity > bestSimilarity) {
+          best = c
+          bestSimilarity = similarity
+        }
+      })
+      assignments.push(best)
+      similarities.push(bestSimilarity)
+    })
+
+    if (previous.length && previous.every((cluster, i) => cluster === assignments[i])) break
+
+    centroids.forEach((centroid, c) => {
+      const sum = new Array(centroid.length).fill(0)
+      vectors.forEach((vector, i) => {
+        if (assignments[i] === c) vector.forEach((value, d) => { sum[d] += value })
+      })
+      if (sum.some(value => value !== 0)) centroids[c] = normalize(sum)
+    })
+  }
+
+  return { assignments, centroids, similarities }
+}
+
+/**
+ * How well vectors fit their clusters: mean simplified silhouette (own centroid vs the nearest other one)
+ * Feedback in clusters too small to become a theme counts as unclustered (0), so splitting real themes
+ * into fragments doesn't pay off.
+ */
+function clusteringQuality(vectors, { assignments, centroids }) {
+  const sizes = centroids.map((_, c) => assignments.filter(cluster => cluster === c).length)
+  const scores = vectors.map((vector, i) => {
+    if (sizes[assignments[i]] < CLUSTERING_CONFIG.minClusterSize) return 0
+    const own = 1 - dot(vector, centroids[assignments[i]])
+    const other = Math.min(...centroids.filter((_, c) => c !== assignments[i]).map(centroid => 1 - dot(vector, centroid)))
+    const spread = Math.max(own, other)
+    return spread ? (other - own) / spread : 0
+  })
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length
+}
+
+/**
+ * Terms that set each cluster apart from the others (class-based TF-IDF)
+ * Word pairs outrank the single words they are made of.
+ */
+function clusterKeywords(termLists, memberLists) {
+  const clusterCounts = memberLists.map(members => {
+    const counts = new Map()
+    members.forEach(i => new Set(termLists[i]).forEach(term => counts.set(term, (counts.get(term) || 0) + 1)))
+    return counts
+  })
+  const totals = new Map()
+  clusterCounts.forEach(counts => counts.forEach((count, term) => totals.set(term, (totals.get(term) || 0) + count)))
+  const averageSize = memberLists.reduce((sum, members) => sum + members.length, 0) / memberLists.length
+
+  return clusterCounts.map((counts, c) => {
+    const ranked = [...counts.entries()]
+      .filter(([, count]) => count >= Math.min(2, memberLists[c].length))
+      .map(([term, count]) => ({
+        term,
+        score: (count / memberLists[c].length) * Math.log(1 + averageSize / totals.get(term)) * (term.includes(' ') ? 1.25 : 1)
+      }))
+      .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+
+    const keywords = []
+    ranked.forEach(({ term }) => {
+      if (keywords.length >= CLUSTERING_CONFIG.keywordsPerCluster) return
+      const words = term.split(' ')
+      if (keywords.some(keyword => keyword.split(' ').some(word => words.includes(word)))) return
+      keywords.push(term)
+    })
+    return keywords
+  })
+}
+
+/**
+ * Theme name out of its keywords, e.g. "Delivery delay / Refund"
+ */
+export function nameTheme(keywords) {
+  if (keywords.length === 0) return 'Miscellaneous'
+  return keywords.slice(0, 2).map(keyword => keyword.charAt(0).toUpperCase() + keyword.slice(1)).join(' / ')
+}
+
+/**
+ * Sentiment summary of feedback
+ * @returns {Object} { positive, negative, neutral, averageScore (0-1) }
+ */
+export function summarizeSentiment(items) {
+  const summary = { positive: 0, negative: 0, neutral: 0, averageScore: 0 }
+  items.forEach(item => {
+    const label = ['positive', 'negative'].includes(item.sentimentLabel) ? item.sentimentLabel : 'neutral'
+    summary[label]++
+    summary.averageScore += Number(item.sentimentScore ?? 0.5)
+  })
+  summary.averageScore = items.length ? Math.round((summary.averageScore / items.length) * 100) / 100 : 0
+  return summary
+}
+
+const timeOf = item => new Date(item.feedbackDate || item.createdAt || 0).getTime()
+
+/**
+ * Date by which a quarter of the feedback had arrived - when a theme started, ignoring a few older
+ * stragglers the clustering put into it
+ */
+export function themeStartDate(items) {
+  const times = items.map(timeOf).sort((a, b) => a - b)
+  return new Date(times[Math.floor((times.length - 1) * 0.25)])
+}
+
+/**
+ * Cluster feedback into themes
+ * @param {Array} items - Feedback ({ id, content, translatedContent, sentimentLabel, sentimentScore, feedbackDate,
+ *   duplicateOfId, embedding, embeddingModel })
+ * @returns {Object} { method ('embedding' | 'tfidf'), themes: [{ label, keywords, feedbackIds, size, sentiment,
+ *   quotes: [{ feedbackId, content, sentimentLabel }], startedAt }], unclustered }
+ */
+export function clusterFeedback(items) {
+  const { minClusterSize, maxClusters, quotesPerCluster } = CLUSTERING_CONFIG
+  const termLists = items.map(item => extractTerms(item.translatedContent || item.content))
+
+  if (items.length < minClusterSize * 2) {
+    return { method: null, themes: [], unclustered: items.length }
+  }
+
+  // Embeddings capture meaning beyond shared words, but only vectors of one model are comparable
+  const models = new Set(items.map(item => item.embeddingModel))
+  const useEmbeddings = models.size === 1 && !models.has(null) && !models.has(undefined) && items.every(item => Array.isArray(item.embedding))
+  const vectors = (useEmbeddings ? items.map(item => item.embedding) : buildTfidfVectors(termLists).vectors).map(normalize)
+
+  // Pick the number of themes that fits the feedback best
+  const largestK = Math.min(maxClusters, Math.floor(items.length / minClusterSize))
+  let best = null
+  for (let k = 2; k <= largestK; k++) {
+    const result = kMeans(vectors, k)
+    const quality = clusteringQuality(vectors, result)
+    if (!best || quality > best.quality) best = { ...result, quality }
+  }
+
+  const memberLists = best.centroids
+    .map((_, c) => items.map((_, i) => i).filter(i => best.assignments[i] === c))
+    .filter(members => members.length >= minClusterSize)
+  const keywordLists = clusterKeywords(termLists, memberLists)
+
+  const themes = memberLists.map((members, c) => {
+    const clusterItems = members.map(i => items[i])
+    // Closest to the centroid first; merged duplicates would only repeat their canonical feedback
+    const quotes = members
+      .filter(i => !items[i].duplicateOfId)
+      .sort((a, b) => best.similarities[b] - best.similarities[a])
+      .slice(0, quotesPerCluster)
+      .map(i => ({ feedbackId: items[i].id, content: items[i].content, sentimentLabel: items[i].sentimentLabel }))
+
+    return {
+      label: nameTheme(keywordLists[c]),
+      keywords: keywordLists[c],
+      feedbackIds: clusterItems.map(item => item.id),
+      size: clusterItems.length,
+      sentiment: summarizeSentiment(clusterItems),
+      quotes,
+      startedAt: themeStartDate(clusterItems)
+    }
+  }).sort((a, b) => b.size - a.size)
+
+  return {
+    method: useEmbeddings ? 'embedding' : 'tfidf',
+    themes,
+    unclustered: items.length - themes.reduce((sum, theme) => sum + theme.size, 0)
+  }
+}
+
+const jaccard = (a, b) => {
+  const setB = new Set(b)
+  const shared = a.filter(value => setB.has(value)).length
+  return shared / (new Set([...a, ...b]).size || 1)
+}
+
+/**
+ * Match freshly computed themes to the previous ones, so a theme keeps its identity and first-seen
+ * date across refreshes even when its name changes
+ * @param {Array} themes - New themes (see clusterFeedback)
+ * @param {Array} previous - Stored themes ({ id, keywords, feedbackIds, firstSeenAt })
+ * @returns {Array} New themes with { previousId, firstSeenAt }
+ */
+export function matchPreviousThemes(themes, previous) {
+  const available = [...previous]
+
+  return themes.map(theme => {
+    let match = null
+    let matchScore = 0
+    available.forEach(candidate => {
+      const score = Math.max(
+        jaccard(theme.feedbackIds, candidate.feedbackIds || []),
+        jaccard(theme.keywords, candidate.keywords || []) * 0.8
+      )
+      if (score > matchScore) {
+        match = candidate
+        matchScore = score
+      }
+    })
+
+    if (match && matchScore >= 0.3) {
+      available.splice(available.indexOf(match), 1)
+      const firstSeenAt = new Date(Math.min(new Date(match.firstSeenAt).getTime(), theme.startedAt.getTime()))
+      return { ...theme, previousId: match.id, firstSeenAt }
+    }
+    return { ...theme, previousId: null, firstSeenAt: theme.startedAt }
+  })
+}
+
+/**
+ * Whether a theme appeared within the last CLUSTERING_CONFIG.newThemeDays days
+ */
+export function isNewTheme(theme, now = new Date()) {
+  return now.getTime() - new Date(theme.firstSeenAt).getTime() <= CLUSTERING_CONFIG.newThemeDays * 24 * 60 * 60 * 1000
+}
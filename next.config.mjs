@@ -1,4 +1,7 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // Keep the local transformer models (and their native onnxruntime bindings) out of the server bundle
+  serverExternalPackages: ['@xenova/transformers'],
+};
 
 export default nextConfig;
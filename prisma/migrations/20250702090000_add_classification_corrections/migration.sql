@@ -0,0 +1,45 @@
+-- CreateTable
+CREATE TABLE "classification_corrections" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "project_id" UUID,
+    "feedback_id" UUID,
+    "user_id" UUID NOT NULL,
+    "feedback_text" TEXT NOT NULL,
+    "ai_prediction" TEXT,
+    "user_correction" TEXT NOT NULL,
+    "ai_confidence" DECIMAL(3,2),
+    "ai_method" TEXT,
+    "was_correct" BOOLEAN NOT NULL DEFAULT false,
+    "source" TEXT NOT NULL DEFAULT 'manual_edit',
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "classification_corrections_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "classification_corrections" ADD CONSTRAINT "classification_corrections_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "classification_corrections" ADD CONSTRAINT "classification_corrections_feedback_id_fkey" FOREIGN KEY ("feedback_id") REFERENCES "feedback"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "classification_corrections" ADD CONSTRAINT "classification_corrections_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "profiles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- CreateIndex
+CREATE INDEX "classification_corrections_project_id_idx" ON "classification_corrections"("project_id");
+CREATE INDEX "classification_corrections_project_id_created_at_idx" ON "classification_corrections"("project_id", "created_at");
+CREATE INDEX "classification_corrections_feedback_id_idx" ON "classification_corrections"("feedback_id");
+CREATE INDEX "classification_corrections_user_id_idx" ON "classification_corrections"("user_id");
+
+-- Backfill from manual overrides already recorded in classification history
+INSERT INTO "classification_corrections" ("project_id", "feedback_id", "user_id", "feedback_text", "ai_prediction", "user_correction", "was_correct", "source", "created_at")
+SELECT
+    f."project_id",
+    f."id",
+    f."user_id",
+    LEFT(f."content", 500),
+    entry->>'previousCategory',
+    entry->>'category',
+    false,
+    'history_backfill',
+    COALESCE((entry->>'timestamp')::timestamptz, f."updated_at")
+FROM "feedback" f,
+     jsonb_array_elements(CASE WHEN jsonb_typeof(f."classification_history") = 'array' THEN f."classification_history" ELSE '[]'::jsonb END) AS entry
+WHERE entry->>'method' = 'manual_override'
+  AND entry->>'category' IS NOT NULL;
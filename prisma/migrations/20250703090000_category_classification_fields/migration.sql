@@ -0,0 +1,29 @@
+-- Categories become the source of truth for AI classification
+ALTER TABLE "categories" ADD COLUMN "slug" TEXT;
+ALTER TABLE "categories" ADD COLUMN "description" TEXT;
+ALTER TABLE "categories" ADD COLUMN "keywords" TEXT;
+ALTER TABLE "categories" ADD COLUMN "is_active" BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "categories" ADD COLUMN "sort_order" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill slugs from names (the slug is the value stored in feedback.category)
+UPDATE "categories"
+SET "slug" = TRIM(BOTH '_' FROM REGEXP_REPLACE(REGEXP_REPLACE(LOWER(TRIM("name")), '\s+', '_', 'g'), '[^a-z0-9_]', '', 'g'))
+WHERE "slug" IS NULL;
+
+-- Names that slugify to nothing keep a unique fallback
+UPDATE "categories" SET "slug" = 'category_' || SUBSTRING("id"::text, 1, 8) WHERE "slug" = '';
+
+-- Different names that slugify to the same value get a numeric suffix
+UPDATE "categories" c
+SET "slug" = c."slug" || '_' || d.rn
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "project_id", "slug" ORDER BY "created_at") AS rn
+    FROM "categories"
+) d
+WHERE c."id" = d."id" AND d.rn > 1;
+
+ALTER TABLE "categories" ALTER COLUMN "slug" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "categories_project_id_slug_key" ON "categories"("project_id", "slug");
+CREATE INDEX "categories_project_id_is_active_idx" ON "categories"("project_id", "is_active");
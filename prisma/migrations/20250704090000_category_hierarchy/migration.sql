@@ -0,0 +1,8 @@
+-- Categories form a tree (e.g. Billing > Refunds); feedback keeps the leaf slug
+ALTER TABLE "categories" ADD COLUMN "parent_id" UUID;
+
+-- CreateIndex
+CREATE INDEX "categories_parent_id_idx" ON "categories"("parent_id");
+
+-- AddForeignKey
+ALTER TABLE "categories" ADD CONSTRAINT "categories_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "categories"("id") ON DELETE NO ACTION ON UPDATE CASCADE;
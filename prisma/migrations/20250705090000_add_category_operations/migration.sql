@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "category_operations" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "project_id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'applied',
+    "details" JSONB NOT NULL,
+    "affected_count" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "undone_at" TIMESTAMPTZ(6),
+
+    CONSTRAINT "category_operations_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "category_operations" ADD CONSTRAINT "category_operations_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "category_operations" ADD CONSTRAINT "category_operations_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "profiles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- CreateIndex
+CREATE INDEX "category_operations_project_id_created_at_idx" ON "category_operations"("project_id", "created_at");
+CREATE INDEX "category_operations_user_id_idx" ON "category_operations"("user_id");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "feedback" ADD COLUMN "language" TEXT,
+ADD COLUMN "language_confidence" DECIMAL(3,2),
+ADD COLUMN "translated_content" TEXT,
+ADD COLUMN "translation_language" TEXT;
+
+-- CreateIndex
+CREATE INDEX "feedback_project_id_language_idx" ON "feedback"("project_id", "language");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "feedback" ADD COLUMN "aspects" JSONB NOT NULL DEFAULT '[]';
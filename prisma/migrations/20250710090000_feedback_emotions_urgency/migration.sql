@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "feedback" ADD COLUMN "emotions" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "urgency_score" DECIMAL(3,2);
+
+-- CreateIndex
+CREATE INDEX "feedback_project_id_urgency_score_idx" ON "feedback"("project_id", "urgency_score");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "feedback" ADD COLUMN "customer_value" DECIMAL(12,2),
+ADD COLUMN "priority_score" INTEGER,
+ADD COLUMN "priority_factors" JSONB NOT NULL DEFAULT '[]';
+
+-- CreateIndex
+CREATE INDEX "feedback_project_id_priority_score_idx" ON "feedback"("project_id", "priority_score");
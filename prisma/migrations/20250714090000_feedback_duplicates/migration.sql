@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "feedback" ADD COLUMN "embedding" JSONB,
+ADD COLUMN "embedding_model" TEXT,
+ADD COLUMN "duplicate_of_id" UUID,
+ADD COLUMN "duplicate_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "merged_at" TIMESTAMPTZ(6);
+
+-- CreateIndex
+CREATE INDEX "feedback_duplicate_of_id_idx" ON "feedback"("duplicate_of_id");
+
+-- AddForeignKey
+ALTER TABLE "feedback" ADD CONSTRAINT "feedback_duplicate_of_id_fkey" FOREIGN KEY ("duplicate_of_id") REFERENCES "feedback"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "topic_clusters" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "project_id" UUID NOT NULL,
+    "label" TEXT NOT NULL,
+    "keywords" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "size" INTEGER NOT NULL DEFAULT 0,
+    "sentiment" JSONB NOT NULL DEFAULT '{}',
+    "quotes" JSONB NOT NULL DEFAULT '[]',
+    "feedback_ids" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "method" TEXT NOT NULL,
+    "first_seen_at" TIMESTAMPTZ(6) NOT NULL,
+    "refreshed_at" TIMESTAMPTZ(6) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "topic_clusters_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "topic_clusters" ADD CONSTRAINT "topic_clusters_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- CreateIndex
+CREATE INDEX "topic_clusters_project_id_size_idx" ON "topic_clusters"("project_id", "size");
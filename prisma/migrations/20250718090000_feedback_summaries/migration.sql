@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "feedback_summaries" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "user_id" UUID NOT NULL,
+    "project_id" UUID,
+    "filter_hash" TEXT NOT NULL,
+    "filters" JSONB NOT NULL DEFAULT '{}',
+    "feedback_hash" TEXT NOT NULL,
+    "feedback_count" INTEGER NOT NULL DEFAULT 0,
+    "summary" JSONB NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "feedback_summaries_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "feedback_summaries" ADD CONSTRAINT "feedback_summaries_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "profiles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "feedback_summaries" ADD CONSTRAINT "feedback_summaries_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "feedback_summaries_user_id_filter_hash_key" ON "feedback_summaries"("user_id", "filter_hash");
+CREATE INDEX "feedback_summaries_project_id_idx" ON "feedback_summaries"("project_id");
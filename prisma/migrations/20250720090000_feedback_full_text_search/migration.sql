@@ -0,0 +1,49 @@
+-- AlterTable
+ALTER TABLE "feedback" ADD COLUMN "search_vector" TSVECTOR;
+
+-- Search vector of a feedback: content (weight A), its translation (B) and the text of its notes (C)
+CREATE OR REPLACE FUNCTION feedback_search_vector(p_feedback_id UUID, p_content TEXT, p_translated_content TEXT)
+RETURNS TSVECTOR AS $$
+  SELECT setweight(to_tsvector('english', coalesce(p_content, '')), 'A')
+    || setweight(to_tsvector('english', coalesce(p_translated_content, '')), 'B')
+    || setweight(to_tsvector('english', coalesce(
+      (SELECT string_agg(n.content, ' ') FROM "feedback_notes" n WHERE n.feedback_id = p_feedback_id), ''
+    )), 'C')
+$$ LANGUAGE sql STABLE;
+
+-- Keep the vector current when the feedback text changes
+CREATE OR REPLACE FUNCTION feedback_search_vector_update() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector := feedback_search_vector(NEW.id, NEW.content, NEW.translated_content);
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER feedback_search_vector_update
+  BEFORE INSERT OR UPDATE OF content, translated_content ON "feedback"
+  FOR EACH ROW EXECUTE FUNCTION feedback_search_vector_update();
+
+-- ...and when one of its notes is added, edited or deleted
+CREATE OR REPLACE FUNCTION feedback_notes_search_vector_update() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE "feedback" SET search_vector = feedback_search_vector(id, content, translated_content)
+    WHERE id = OLD.feedback_id;
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    UPDATE "feedback" SET search_vector = feedback_search_vector(id, content, translated_content)
+    WHERE id = NEW.feedback_id;
+  END IF;
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER feedback_notes_search_vector_update
+  AFTER INSERT OR UPDATE OF content, feedback_id OR DELETE ON "feedback_notes"
+  FOR EACH ROW EXECUTE FUNCTION feedback_notes_search_vector_update();
+
+-- Backfill existing feedback
+UPDATE "feedback" SET search_vector = feedback_search_vector(id, content, translated_content);
+
+-- CreateIndex
+CREATE INDEX "feedback_search_vector_idx" ON "feedback" USING GIN ("search_vector");
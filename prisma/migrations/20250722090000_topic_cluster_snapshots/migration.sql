@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "topic_cluster_snapshots" (
+    "project_id" UUID NOT NULL,
+    "method" TEXT,
+    "clustered" INTEGER NOT NULL DEFAULT 0,
+    "unclustered" INTEGER NOT NULL DEFAULT 0,
+    "refreshed_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "topic_cluster_snapshots_pkey" PRIMARY KEY ("project_id")
+);
+
+-- AddForeignKey
+ALTER TABLE "topic_cluster_snapshots" ADD CONSTRAINT "topic_cluster_snapshots_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
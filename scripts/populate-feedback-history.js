@@ -1,12 +1,16 @@
 #!/usr/bin/env node
 
 /**
- * Script to populate userFeedbackHistory with test data for AI performance metrics
+ * Script to populate classification corrections with test data for AI performance metrics
+ * Usage: node scripts/populate-feedback-history.js <projectId>
  */
 
-import { recordUserFeedback, getAIPerformanceMetrics } from '../lib/geminiAI.js';
+import { PrismaClient } from '@prisma/client';
+import { calculateCorrectionMetrics } from '../lib/classificationCorrections.js';
 
-// Test data for user feedback history
+const prisma = new PrismaClient();
+
+// Test data for user corrections
 const testFeedbackHistory = [
   {
     text: 'The app crashes every time I open it - this is a critical bug!',
@@ -16,21 +20,21 @@ const testFeedbackHistory = [
   },
   {
     text: 'I would love to see a dark mode feature added to the app.',
-    aiPrediction: 'feature_request',
+    aiPrediction: 'general_inquiry',
     userCorrection: 'feature_request',
-    aiConfidence: 0.87,
+    aiConfidence: 0.57,
   },
   {
     text: 'My package arrived 3 days late and the box was damaged.',
-    aiPrediction: 'shipping_complaint',
+    aiPrediction: 'product_quality',
     userCorrection: 'shipping_complaint',
-    aiConfidence: 0.78,
+    aiConfidence: 0.68,
   },
   {
     text: 'Excellent customer service! Sarah was very helpful.',
-    aiPrediction: 'compliment',
+    aiPrediction: 'customer_service',
     userCorrection: 'compliment',
-    aiConfidence: 0.92,
+    aiConfidence: 0.82,
   },
   {
     text: 'The material quality seems cheap and flimsy.',
@@ -41,20 +45,46 @@ const testFeedbackHistory = [
 ];
 
 async function populateFeedbackHistory() {
-  console.log('Populating userFeedbackHistory with test data...');
-  for (const feedback of testFeedbackHistory) {
-    recordUserFeedback(
-      feedback.text,
-      feedback.aiPrediction,
-      feedback.userCorrection,
-      feedback.aiConfidence
-    );
+  const projectId = process.argv[2];
+  if (!projectId) {
+    console.error('Usage: node scripts/populate-feedback-history.js <projectId>');
+    process.exit(1);
+  }
+
+  const project = await prisma.project.findUnique({ where: { id: projectId } });
+  if (!project) {
+    console.error(`Project ${projectId} not found`);
+    process.exit(1);
   }
 
-  const metrics = getAIPerformanceMetrics();
+  console.log(`Populating classification corrections for project "${project.name}"...`);
+  await prisma.classificationCorrection.createMany({
+    data: testFeedbackHistory.map(feedback => ({
+      projectId,
+      userId: project.userId,
+      feedbackText: feedback.text,
+      aiPrediction: feedback.aiPrediction,
+      userCorrection: feedback.userCorrection,
+      aiConfidence: feedback.aiConfidence,
+      wasCorrect: feedback.aiPrediction === feedback.userCorrection,
+      source: 'test_data'
+    }))
+  });
+
+  const [corrections, classifiedFeedback] = await Promise.all([
+    prisma.classificationCorrection.findMany({ where: { projectId } }),
+    prisma.feedback.findMany({
+      where: { projectId, aiCategoryConfidence: { not: null } },
+      select: { id: true, category: true, aiCategoryConfidence: true, createdAt: true }
+    })
+  ]);
+
+  const metrics = calculateCorrectionMetrics({ corrections, classifiedFeedback });
   console.log('AI Performance Metrics:', metrics);
 }
 
-populateFeedbackHistory().catch((error) => {
-  console.error('Failed to populate feedback history:', error);
-});
\ No newline at end of file
+populateFeedbackHistory()
+  .catch((error) => {
+    console.error('Failed to populate feedback history:', error);
+  })
+  .finally(() => prisma.$disconnect());
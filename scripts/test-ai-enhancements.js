@@ -24,14 +24,14 @@ config({ path: join(projectRoot, '.env.local') });
 // Import enhanced modules
 import { 
   categorizeFeedback, 
-  batchCategorizeFeedback,
-  recordUserFeedback,
-  getAIPerformanceMetrics
+  batchCategorizeFeedback
 } from '../lib/geminiAI.js';
+import { calculateCorrectionMetrics } from '../lib/classificationCorrections.js';
 import { 
   analyzeAndCategorizeFeedback,
   batchAnalyzeAndCategorizeFeedback 
 } from '../lib/sentimentAnalysis.js';
+import { getDefaultClassifierCategories } from '../lib/categories.js';
 
 // Test data for various scenarios
 const testFeedback = [
@@ -209,12 +209,10 @@ class AIEnhancementsTestSuite {
     this.log('🎯 Testing Custom Category Integration...');
     
     try {
-      // Simulate adding a custom category
-      if (typeof window !== 'undefined') {
-        const existingCategories = JSON.parse(localStorage.getItem('feedbacksense_custom_categories') || '[]');
-        const updatedCategories = [...existingCategories, testCustomCategory];
-        localStorage.setItem('feedbacksense_custom_categories', JSON.stringify(updatedCategories));
-      }
+      // Project categories are passed to the categorization functions (see getProjectAIOptions)
+      const categoryOptions = {
+        categories: [...getDefaultClassifierCategories(), testCustomCategory]
+      };
       
       // Test with website-specific feedback
       const websiteFeedback = [
@@ -225,7 +223,7 @@ class AIEnhancementsTestSuite {
       
       for (const feedback of websiteFeedback) {
         try {
-          const result = await categorizeFeedback(feedback);
+          const result = await categorizeFeedback(feedback, categoryOptions);
           
           this.results.customCategoryTests.push({
             input: feedback,
@@ -272,33 +270,27 @@ class AIEnhancementsTestSuite {
     this.log('👤 Testing User Feedback Integration...');
     
     try {
-      // Simulate user corrections
-      const testCorrections = [
+      // Simulate AI classifications and one user correction
+      const classifiedFeedback = [
+        { id: 'fb_1', category: 'feature_request', aiCategoryConfidence: 0.7, createdAt: new Date() },
+        { id: 'fb_2', category: 'bug_report', aiCategoryConfidence: 0.9, createdAt: new Date() }
+      ];
+      const corrections = [
         {
-          text: 'This is a test feedback',
+          id: 'corr_1',
+          feedbackId: 'fb_1',
           aiPrediction: 'general_inquiry',
           userCorrection: 'feature_request',
-          confidence: 0.7
-        },
-        {
-          text: 'Another test feedback',
-          aiPrediction: 'bug_report',
-          userCorrection: 'bug_report',
-          confidence: 0.9
+          aiConfidence: 0.7,
+          wasCorrect: false,
+          source: 'edit_modal',
+          createdAt: new Date()
         }
       ];
       
-      for (const correction of testCorrections) {
-        recordUserFeedback(
-          correction.text,
-          correction.aiPrediction,
-          correction.userCorrection,
-          correction.confidence
-        );
-      }
-      
       // Get performance metrics
-      const metrics = getAIPerformanceMetrics();
+      const metrics = calculateCorrectionMetrics({ corrections, classifiedFeedback });
+      this.userFeedbackMetrics = metrics;
       
       this.log(`User feedback metrics:`);
       this.log(`  - Total feedback: ${metrics.totalFeedback}`);
@@ -321,7 +313,7 @@ class AIEnhancementsTestSuite {
     this.log('📊 Testing Performance Metrics...');
     
     try {
-      const metrics = getAIPerformanceMetrics();
+      const metrics = this.userFeedbackMetrics || calculateCorrectionMetrics({});
       
       this.results.performanceTests.push({
         totalFeedback: metrics.totalFeedback,
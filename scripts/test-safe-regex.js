@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Regression check for user-supplied regexes (categorization rules and custom PII patterns)
+ * Patterns known to backtrack catastrophically must be rejected when saved, and must still finish
+ * quickly when a stored one runs anyway. Exits with 1 on failures.
+ * Run with: node scripts/test-safe-regex.js
+ */
+
+import { validateUserRegex, matchUserRegex, REGEX_LIMITS } from '../lib/safeRegex.js';
+import { validateRule, matchCategorizationRule } from '../lib/categorizationRules.js';
+import { validateCustomPattern, redactText } from '../lib/piiRedaction.js';
+
+// Patterns that hang (or match everything) and must be rejected
+const UNSAFE_PATTERNS = [
+  '(a|a)*b',
+  '\\w*\\w*\\w*\\w*!',
+  '(a+)+$',
+  '(\\w?\\s*)*x',
+  '(\\w|\\d)+!',
+  '(?:ab|a)*c',
+  '[](a+)+]',
+  '\\d+\\w*x',
+  'x*',
+  '\\d*',
+  '(?:)',
+  'a'.repeat(REGEX_LIMITS.maxPatternLength + 1)
+];
+
+// Patterns people write for rules, which must stay valid
+const SAFE_PATTERNS = [
+  'invoice\\s*#\\s*\\d+',
+  'ACC-\\d{6}',
+  '(foo|bar)+',
+  '\\s*\\d+',
+  '(?<id>\\d+)-\\d+',
+  'refund(ed)?',
+  '[A-Z]{2}\\d{2}[A-Z0-9]{10,30}',
+  '.*crash.*'
+];
+
+const regexRule = pattern => ({ id: 'rule', name: 'Test rule', type: 'regex', pattern, category: 'bug', enabled: true, priority: 1 });
+
+/**
+ * Run a function and measure it
+ * @returns {Object} { result, error, ms }
+ */
+function timed(fn) {
+  const start = Date.now();
+  try {
+    return { result: fn(), error: null, ms: Date.now() - start };
+  } catch (error) {
+    return { result: null, error, ms: Date.now() - start };
+  }
+}
+
+function main() {
+  const checks = [];
+  const check = (description, passed, detail = '') => checks.push({ description, passed, detail });
+
+  UNSAFE_PATTERNS.forEach(pattern => {
+    const error = validateUserRegex(pattern);
+    check(`rejects /${pattern.slice(0, 40)}/`, error !== null);
+    check(`rule with /${pattern.slice(0, 40)}/ is invalid`, validateRule(regexRule(pattern)) !== null);
+  });
+
+  SAFE_PATTERNS.forEach(pattern => {
+    const error = validateUserRegex(pattern);
+    check(`accepts /${pattern}/`, error === null, error || '');
+  });
+
+  // Stored patterns from before the checks still run under the time limit
+  const catastrophic = [
+    [/(a|a)*b/, 'a'.repeat(30)],
+    [/\w*\w*\w*\w*!/, 'a'.repeat(300)]
+  ];
+  catastrophic.forEach(([regex, text]) => {
+    const first = timed(() => matchUserRegex(regex, text));
+    check(`/${regex.source}/ stops after the time limit`, first.error?.code === 'REGEX_TIMEOUT' && first.ms < 1000, `${first.ms}ms`);
+
+    const again = timed(() => matchUserRegex(regex, text));
+    check(`/${regex.source}/ is skipped after timing out`, again.error?.code === 'REGEX_TIMEOUT' && again.ms < 10, `${again.ms}ms`);
+  });
+
+  const hanging = timed(() => matchCategorizationRule('a'.repeat(REGEX_LIMITS.maxTextLength), [regexRule('(a|aa)*b')]));
+  check('a hanging rule does not match and returns quickly', hanging.result === null && !hanging.error && hanging.ms < 1000, `${hanging.ms}ms`);
+
+  // Empty matches
+  check('empty match is no match', matchUserRegex(/(?=l)/, 'hello') === null);
+  check('rule matching empty text does not match everything', matchCategorizationRule('hello', [regexRule('x*')]) === null);
+  check('regular rule still matches', matchCategorizationRule('see invoice # 1234', [regexRule('invoice\\s*#\\s*\\d+')])?.matched === 'invoice # 1234');
+
+  // Custom PII patterns
+  ['(a|a)*b', '\\d*', '\\w*\\w*!'].forEach(pattern => {
+    check(`PII pattern /${pattern}/ is invalid`, validateCustomPattern({ name: 'Test', pattern }) !== null);
+  });
+  const redactionSettings = pattern => ({ enabled: true, entities: [], customPatterns: [{ name: 'Account ID', pattern }] });
+
+  const emptyMatching = redactText('call me at 5', redactionSettings('\\d*'));
+  check('empty-matching PII pattern inserts no placeholders', emptyMatching.text === 'call me at 5' && emptyMatching.total === 0);
+
+  const accounts = redactText('ACC-123456 and ACC-654321', redactionSettings('ACC-\\d{6}'));
+  check('PII pattern masks its matches', accounts.text === '[ACCOUNT_ID] and [ACCOUNT_ID]' && accounts.total === 2);
+
+  // Slips past the static checks (polynomial, not exponential) but can't finish on a long text
+  const slow = timed(() => redactText('a'.repeat(REGEX_LIMITS.maxTextLength), redactionSettings('.*a.*a.*a.*!')));
+  check('slow PII pattern masks the whole part instead of sending it', slow.result?.text === '[ACCOUNT_ID]' && slow.ms < 1000, `${slow.ms}ms`);
+
+  let failed = 0;
+  checks.forEach(({ description, passed, detail }) => {
+    if (!passed) failed++;
+    console.log(`${passed ? '✅' : '❌'} ${description}${detail ? ` (${detail})` : ''}`);
+  });
+
+  console.log(`\n${failed === 0 ? '🎉' : '⚠️'} ${checks.length - failed}/${checks.length} checks passed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('❌ Regex safety check failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Regression check for the rule-based sentiment scorer
+ * Scores every case in scripts/fixtures/sentiment-regression.json and compares label, score bounds
+ * and orderings ("really really bad!!!" must be more negative than "bad"). Exits with 1 on failures.
+ * Run with: node scripts/test-sentiment-regression.js
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { scoreSentiment } from '../lib/sentimentScorer.js';
+
+const fixturePath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sentiment-regression.json');
+
+/**
+ * Check one fixture case
+ * @returns {string[]} Failure messages
+ */
+function checkCase(testCase) {
+  const options = { language: testCase.language || 'en' };
+  const result = scoreSentiment(testCase.text, options);
+  const compare = text => scoreSentiment(text, options).compound;
+  const failures = [];
+
+  if (testCase.label && result.label !== testCase.label) {
+    failures.push(`label ${result.label}, expected ${testCase.label}`);
+  }
+  if (testCase.minScore !== undefined && result.score < testCase.minScore) {
+    failures.push(`score ${result.score} < ${testCase.minScore}`);
+  }
+  if (testCase.maxScore !== undefined && result.score > testCase.maxScore) {
+    failures.push(`score ${result.score} > ${testCase.maxScore}`);
+  }
+  if (testCase.morePositiveThan !== undefined && !(result.compound > compare(testCase.morePositiveThan))) {
+    failures.push(`not more positive than "${testCase.morePositiveThan}"`);
+  }
+  if (testCase.moreNegativeThan !== undefined && !(result.compound < compare(testCase.moreNegativeThan))) {
+    failures.push(`not more negative than "${testCase.moreNegativeThan}"`);
+  }
+  if (testCase.lessNegativeThan !== undefined && !(result.compound > compare(testCase.lessNegativeThan))) {
+    failures.push(`not less negative than "${testCase.lessNegativeThan}"`);
+  }
+
+  return { result, failures };
+}
+
+async function main() {
+  const { cases } = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+  console.log(`🧪 Checking ${cases.length} sentiment cases...\n`);
+
+  let failed = 0;
+  cases.forEach(testCase => {
+    const { result, failures } = checkCase(testCase);
+    const summary = `"${testCase.text}" → ${result.label} (compound ${result.compound}, score ${result.score})`;
+
+    if (failures.length > 0) {
+      failed++;
+      console.log(`❌ ${summary}: ${failures.join('; ')}`);
+    } else {
+      console.log(`✅ ${summary}`);
+    }
+  });
+
+  console.log(`\n${failed === 0 ? '🎉' : '⚠️'} ${cases.length - failed}/${cases.length} cases passed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Sentiment regression check failed:', error);
+  process.exit(1);
+});
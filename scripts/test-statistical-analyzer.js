@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * Reference checks for the hypothesis tests in StatisticalAnalyzer
+ * Compares p-values, statistics, effect sizes and intervals with published values (R, scipy and
+ * statistical tables). Exits with 1 on failures.
+ * Run with: node scripts/test-statistical-analyzer.js
+ */
+
+import { StatisticalAnalyzer } from '../lib/analytics/StatisticalAnalyzer.js';
+
+const analyzer = new StatisticalAnalyzer();
+
+// R datasets used as references
+const PLANT_GROWTH = {
+  ctrl: [4.17, 5.58, 5.18, 6.11, 4.50, 4.61, 5.17, 4.53, 5.33, 5.14],
+  trt1: [4.81, 4.17, 4.41, 3.59, 5.87, 3.83, 6.03, 4.89, 4.32, 4.69],
+  trt2: [6.31, 5.12, 5.54, 5.50, 5.37, 5.29, 4.92, 6.15, 5.80, 5.26]
+};
+const SLEEP = {
+  group1: [0.7, -1.6, -0.2, -1.2, -0.1, 3.4, 3.7, 0.8, 0.0, 2.0],
+  group2: [1.9, 0.8, 1.1, 0.1, -0.1, 4.4, 5.5, 1.6, 4.6, 3.4]
+};
+
+const feedbackItems = (count, sentimentScore, prefix) => Array.from({ length: count }, (_, i) => ({
+  id: `${prefix}-${i}`,
+  sentimentScore: sentimentScore + (i % 5) * 0.02,
+  sentimentLabel: i % 2 ? 'positive' : 'negative',
+  category: 'bug'
+}));
+
+/**
+ * Reference cases: [description, actual, expected, tolerance]
+ * Booleans and strings are compared exactly.
+ */
+function buildCases() {
+  const cases = [];
+  const check = (description, actual, expected, tolerance = 0) => cases.push({ description, actual, expected, tolerance });
+
+  // Distribution functions against table critical values
+  check('t: p(|t| > 2.228, df 10) = 0.05', analyzer.calculateTTestPValue(2.228, 10), 0.05, 1e-4);
+  check('t: p(|t| > 3.169, df 10) = 0.01', analyzer.calculateTTestPValue(-3.169, 10), 0.01, 1e-4);
+  check('t: p(|t| > 12.706, df 1) = 0.05', analyzer.calculateTTestPValue(12.706, 1), 0.05, 1e-4);
+  check('t: p(|t| > 0) = 1', analyzer.calculateTTestPValue(0, 5), 1, 1e-12);
+  check('F: p(F > 4.256; 2, 9) = 0.05', analyzer.calculateFTestPValue(4.256, 2, 9), 0.05, 1e-4);
+  check('F: p(F > 3.098; 3, 20) = 0.05', analyzer.calculateFTestPValue(3.098, 3, 20), 0.05, 1e-4);
+  check('F: p(F > 10.04; 1, 10) = 0.01', analyzer.calculateFTestPValue(10.04, 1, 10), 0.01, 1e-4);
+  check('chi-square: p(X > 3.841; 1) = 0.05', analyzer.calculateChiSquarePValue(3.841, 1), 0.05, 1e-4);
+  check('chi-square: p(X > 5.991; 2) = 0.05', analyzer.calculateChiSquarePValue(5.991, 2), 0.05, 1e-4);
+  check('chi-square: p(X > 23.209; 10) = 0.01', analyzer.calculateChiSquarePValue(23.209, 10), 0.01, 1e-4);
+  check('chi-square: p(X > 124.342; 100) = 0.05', analyzer.calculateChiSquarePValue(124.342, 100), 0.05, 1e-4);
+  check('t critical value, df 10 = 2.228', analyzer.calculateTCriticalValue(10), 2.2281, 1e-4);
+  check('normal critical value = 1.960', analyzer.calculateNormalCriticalValue(), 1.95996, 1e-5);
+
+  // One-sample t-test: R t.test(sleep$extra[1:10] - sleep$extra[11:20]) (paired test)
+  const differences = SLEEP.group1.map((value, i) => value - SLEEP.group2[i]);
+  const oneSample = analyzer.performOneSampleTTest(differences, 0);
+  check('one-sample t: sleep t = -4.0621', oneSample.statistic, -4.0621, 1e-4);
+  check('one-sample t: sleep p = 0.002833', oneSample.pValue, 0.002833, 1e-6);
+  check('one-sample t: Cohen\'s d = -1.2846', oneSample.effectSize.value, -1.2846, 1e-4);
+
+  // Welch's t-test: R t.test(extra ~ group, data = sleep)
+  const welch = analyzer.performWelchTTest(SLEEP.group1, SLEEP.group2);
+  check('Welch: sleep t = -1.8608', welch.statistic, -1.8608, 1e-4);
+  check('Welch: sleep df = 17.776', welch.df, 17.776, 1e-3);
+  check('Welch: sleep p = 0.07939', welch.pValue, 0.07939, 1e-5);
+
+  // One-way ANOVA: R summary(aov(weight ~ group, data = PlantGrowth))
+  const anova = analyzer.performANOVA(PLANT_GROWTH, 'weight');
+  check('ANOVA: PlantGrowth F = 4.846', anova.statistic, 4.846, 1e-3);
+  check('ANOVA: PlantGrowth p = 0.01591', anova.pValue, 0.01591, 1e-5);
+  check('ANOVA: PlantGrowth df = 2, 27', `${anova.df.between}, ${anova.df.within}`, '2, 27');
+  check('ANOVA: eta squared = 3.766 / 14.258', anova.effectSize.value, 3.76634 / 14.25835, 1e-4);
+  check('ANOVA: trt1 vs trt2 differ after Holm adjustment', anova.comparisons[0].groups.join(' vs '), 'trt1 vs trt2');
+  check('ANOVA: interpretation names the pair', anova.interpretation.startsWith('Weight differs significantly between trt1 and trt2'), true);
+
+  // Chi-square test of independence: R example in ?chisq.test (party by gender)
+  const chiSquare = analyzer.performChiSquareTest({
+    rows: ['F', 'M'],
+    columns: ['Democrat', 'Independent', 'Republican'],
+    table: [[762, 327, 468], [484, 239, 477]]
+  });
+  check('chi-square: X-squared = 30.07', chiSquare.statistic, 30.0701, 1e-4);
+  check('chi-square: df = 2', chiSquare.df, 2);
+  check('chi-square: p = 2.954e-07', chiSquare.pValue, 2.954e-7, 1e-10);
+  check('chi-square: Cramér\'s V = sqrt(30.07 / 2757)', chiSquare.effectSize.value, Math.sqrt(30.0701 / 2757), 1e-5);
+
+  // Without continuity correction: R chisq.test(matrix(c(10, 30, 20, 40), 2), correct = FALSE)
+  const independent = analyzer.performChiSquareTest({ rows: ['x', 'y'], columns: ['p', 'n'], table: [[10, 20], [30, 40]] });
+  check('chi-square 2x2: X-squared = 0.79365', independent.statistic, 0.79365, 1e-5);
+  check('chi-square 2x2: p = 0.373', independent.pValue, 0.3730, 1e-4);
+  check('chi-square 2x2: not significant', independent.significant, false);
+
+  // D'Agostino-Pearson: scipy kurtosistest(range(20)) = -1.7058104152122062, symmetric data has no skew
+  const normality = analyzer.testNormality(Array.from({ length: 20 }, (_, i) => i));
+  check('normality: range(20) kurtosis z = -1.70581', normality.kurtosisZ, -1.7058104152122062, 1e-9);
+  check('normality: range(20) skewness z = 0', normality.skewnessZ, 0, 1e-12);
+  check('normality: range(20) p = exp(-K² / 2)', normality.pValue, Math.exp(-(1.7058104152122062 ** 2) / 2), 1e-9);
+  check('normality: exponential quantiles are not normal', analyzer.testNormality(Array.from({ length: 40 }, (_, i) => -Math.log(1 - (i + 0.5) / 40))).isNormal, false);
+  check('normality: fewer than 20 values are not tested', analyzer.testNormality([1, 2, 3]).available, false);
+
+  // Lilliefors: Dallal & Wilkinson (1986) critical values at the 5% level
+  check('Lilliefors: n = 20, D = 0.192 → p ≈ 0.05', analyzer.calculateLillieforsPValue(0.192, 20), 0.05, 0.003);
+  check('Lilliefors: n = 30, D = 0.159 → p ≈ 0.05', analyzer.calculateLillieforsPValue(0.159, 30), 0.05, 0.005);
+
+  // Histogram
+  const histogram = analyzer.createHistogram([0, 0.1, 0.5, 0.9, 1], 2);
+  check('histogram: frequencies', histogram.frequencies.join(','), '2,3');
+
+  // Period comparison helpers (Analytics KPI significance)
+
+  // Wilson interval: R prop.test(8, 10, correct = FALSE)$conf.int
+  const wilson = analyzer.calculateProportionConfidenceInterval(8, 10);
+  check('Wilson: 8/10 lower = 0.4901625', wilson.lower, 0.4901625, 1e-6);
+  check('Wilson: 8/10 upper = 0.9433178', wilson.upper, 0.9433178, 1e-6);
+
+  // Mean interval: R t.test(sleep$extra[1:10])$conf.int
+  const meanInterval = analyzer.calculateMeanConfidenceInterval(SLEEP.group1);
+  check('mean CI: sleep group 1 lower = -0.5297804', meanInterval.lower, -0.5297804, 1e-6);
+  check('mean CI: sleep group 1 upper = 2.0297804', meanInterval.upper, 2.0297804, 1e-6);
+
+  // Two-proportion z-test: R prop.test(c(45, 30), c(100, 100), correct = FALSE), X-squared = z²
+  const proportions = analyzer.performTwoProportionZTest(45, 100, 30, 100);
+  check('two-proportion z: z = sqrt(4.8)', proportions.statistic, Math.sqrt(4.8), 1e-9);
+  check('two-proportion z: p = 0.02846', proportions.pValue, 0.02846, 1e-5);
+  check('two-proportion z: significant', proportions.significant, true);
+  check('two-proportion z: 3/8 vs 1/6 is too small', analyzer.performTwoProportionZTest(3, 8, 1, 6).sufficient, false);
+
+  // Poisson rate test: R prop.test(130, 230, p = 0.5, correct = FALSE), X-squared = 3.913
+  const rate = analyzer.performPoissonRateTest(130, 100);
+  check('Poisson rate: p = 0.04791', rate.pValue, 0.04791, 1e-5);
+  check('Poisson rate: 3 vs 4 is too small', analyzer.performPoissonRateTest(3, 4).sufficient, false);
+
+  // Bootstrap: close to Welch on the sleep data (seeded, so the result is stable)
+  const bootstrap = analyzer.performBootstrapMeanTest(SLEEP.group1, SLEEP.group2);
+  check('bootstrap: sleep p ≈ Welch p 0.079', bootstrap.pValue, 0.079, 0.03);
+  check('bootstrap: sleep CI lower ≈ -3.37', bootstrap.confidenceInterval.lower, -3.37, 0.4);
+  check('bootstrap: same data gives the same p', analyzer.performBootstrapMeanTest(SLEEP.group1, SLEEP.group2).pValue, bootstrap.pValue);
+
+  // Welch interval used when both periods reach the minimum sample size: R t.test(extra ~ group, data = sleep)$conf.int
+  const welchInterval = new StatisticalAnalyzer({ minSampleSize: 10 }).compareMeans(SLEEP.group1, SLEEP.group2);
+  check('compare means: Welch at the minimum sample size', welchInterval.test, 'welch_t');
+  check('compare means: sleep CI lower = -3.3654832', welchInterval.confidenceInterval.lower, -3.3654832, 1e-5);
+  check('compare means: sleep CI upper = 0.2054832', welchInterval.confidenceInterval.upper, 0.2054832, 1e-5);
+
+  // Small-sample thresholds
+  const { minSampleSize } = analyzer.options;
+  const belowMinimum = analyzer.comparePeriods(feedbackItems(minSampleSize - 1, 0.6, 'a'), feedbackItems(40, 0.5, 'b'));
+  check(`periods: ${minSampleSize - 1} entries is a small sample`, belowMinimum.smallSample, true);
+  check(`periods: ${minSampleSize - 1} entries uses the bootstrap`, belowMinimum.averageSentiment.test, 'bootstrap_mean_difference');
+  const atMinimum = analyzer.comparePeriods(feedbackItems(minSampleSize, 0.6, 'a'), feedbackItems(minSampleSize, 0.5, 'b'));
+  check(`periods: ${minSampleSize} entries is not a small sample`, atMinimum.smallSample, false);
+  check(`periods: ${minSampleSize} entries uses Welch`, atMinimum.averageSentiment.test, 'welch_t');
+  const tooFew = analyzer.comparePeriods(feedbackItems(4, 0.6, 'a'), feedbackItems(40, 0.5, 'b'));
+  check('periods: 4 entries cannot be compared', tooFew.averageSentiment.sufficient, false);
+  check('periods: insufficient comparisons are never significant', tooFew.averageSentiment.significant, false);
+
+  return cases;
+}
+
+function main() {
+  const cases = buildCases();
+  console.log(`🧪 Checking ${cases.length} statistical reference values...\n`);
+
+  let failed = 0;
+  cases.forEach(({ description, actual, expected, tolerance }) => {
+    const passed = typeof expected === 'number'
+      ? typeof actual === 'number' && Math.abs(actual - expected) <= tolerance
+      : actual === expected;
+
+    if (passed) {
+      console.log(`✅ ${description}`);
+    } else {
+      failed++;
+      console.log(`❌ ${description}: got ${actual}`);
+    }
+  });
+
+  console.log(`\n${failed === 0 ? '🎉' : '⚠️'} ${cases.length - failed}/${cases.length} checks passed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('❌ Statistical analyzer check failed:', error);
+  process.exit(1);
+}